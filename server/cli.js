@@ -0,0 +1,405 @@
+#!/usr/bin/env node
+/**
+ * Mermaid PNG Exporter - Línea de comandos
+ *
+ * Renderiza archivos .mmd / .mermaid con el mismo renderizador que la app
+ * (render.html en un Chromium sin interfaz, ver renderer.js), aplicando antes
+ * las correcciones automáticas. Acepta archivos, carpetas y patrones glob, y
+ * replica la estructura de carpetas en la salida.
+ *
+ * Uso (en server/): npm run render -- <entradas...> [opciones]
+ *                  node cli.js render <entradas...> [opciones]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createRenderer, normalizeRenderOptions, RenderError, RENDER_FORMATS } = require('./renderer');
+
+const distPath = path.join(__dirname, 'dist');
+
+// Mismas extensiones que la exportación por lotes de la app
+const DIAGRAM_FILE_PATTERN = /\.(mmd|mermaid)$/i;
+const GLOB_PATTERN = /[*?]/;
+
+// Códigos de salida: diagramas con errores / uso incorrecto
+const EXIT_RENDER_ERROR = 1;
+const EXIT_USAGE = 2;
+
+const USAGE = `
+  Uso (en server/): npm run render -- <entradas...> [opciones]
+                    node cli.js render <entradas...> [opciones]
+
+  Entradas: archivos, carpetas (se buscan .mmd y .mermaid) o patrones glob
+  ("docs/**/*.mmd"; entre comillas para que no los expanda la shell)
+
+  Opciones:
+    -o, --output <ruta>      Archivo de salida (una sola entrada) o carpeta;
+                             por defecto, junto a cada diagrama
+    -f, --format <png|svg>   Formato (por defecto, el de la extensión de -o o png)
+    -s, --scale <n>          Escala del PNG (por defecto 3)
+        --width <px>         Ancho exacto del PNG (en lugar de la escala)
+        --height <px>        Alto exacto del PNG (en lugar de la escala)
+    -t, --transparent        Fondo transparente
+    -b, --background <color> Color de fondo del lienzo
+        --theme <tema>       Tema de Mermaid (default, neutral, dark, forest, base)
+        --style <archivo>    Estilo del lienzo en JSON (padding, radius, border, shadow...)
+        --no-fix             No aplicar las correcciones automáticas
+    -h, --help               Mostrar esta ayuda
+`;
+
+// Opción -> [clave, ¿lleva valor?]
+const OPTIONS = {
+    '-o': ['output', true],
+    '--output': ['output', true],
+    '-f': ['format', true],
+    '--format': ['format', true],
+    '-s': ['scale', true],
+    '--scale': ['scale', true],
+    '--width': ['width', true],
+    '--height': ['height', true],
+    '-t': ['transparent', false],
+    '--transparent': ['transparent', false],
+    '-b': ['background', true],
+    '--background': ['background', true],
+    '--theme': ['theme', true],
+    '--style': ['style', true],
+    '--no-fix': ['noFix', false],
+    '-h': ['help', false],
+    '--help': ['help', false],
+};
+
+class UsageError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'UsageError';
+    }
+}
+
+/**
+ * Interpreta los argumentos tras "render" (admite --opcion=valor)
+ * @param {string[]} args
+ * @returns {{inputs: string[], options: Object}}
+ */
+function parseArgs(args) {
+    const inputs = [];
+    const options = {};
+
+    for (let i = 0; i < args.length; i++) {
+        const [flag, inlineValue] = args[i].startsWith('--') ? args[i].split(/=(.*)/s) : [args[i]];
+        const option = OPTIONS[flag];
+
+        if (!option) {
+            if (flag.startsWith('-') && flag !== '-') {
+                throw new UsageError(`Opción desconocida: ${flag}`);
+            }
+            inputs.push(args[i]);
+            continue;
+        }
+
+        const [key, takesValue] = option;
+        if (!takesValue) {
+            options[key] = true;
+        } else if (inlineValue !== undefined) {
+            options[key] = inlineValue;
+        } else if (i + 1 < args.length) {
+            options[key] = args[++i];
+        } else {
+            throw new UsageError(`Falta el valor de ${flag}`);
+        }
+    }
+
+    return { inputs, options };
+}
+
+/**
+ * Ruta con separadores "/" (los patrones glob se escriben así también en Windows)
+ * @param {string} filePath
+ * @returns {string}
+ */
+function toPosix(filePath) {
+    return filePath.split(path.sep).join('/');
+}
+
+/**
+ * Convierte un patrón glob en expresión regular: ** (cualquier número de
+ * carpetas), * (cualquier texto sin "/") y ? (un carácter)
+ * @param {string} pattern
+ * @returns {RegExp}
+ */
+function globToRegExp(pattern) {
+    let source = '';
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+        if (char === '*' && pattern[i + 1] === '*') {
+            const slash = pattern[i + 2] === '/';
+            source += slash ? '(?:.*/)?' : '.*';
+            i += slash ? 2 : 1;
+        } else if (char === '*') {
+            source += '[^/]*';
+        } else if (char === '?') {
+            source += '[^/]';
+        } else {
+            source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        }
+    }
+    return new RegExp(`^${source}$`, process.platform === 'win32' ? 'i' : '');
+}
+
+/**
+ * Archivos de una carpeta y sus subcarpetas, en orden alfabético
+ * @param {string} dir
+ * @returns {string[]}
+ */
+function walkDirectory(dir) {
+    return fs.readdirSync(dir, { withFileTypes: true })
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .flatMap((entry) => {
+            const entryPath = path.join(dir, entry.name);
+            if (entry.isDirectory()) return walkDirectory(entryPath);
+            return entry.isFile() ? [entryPath] : [];
+        });
+}
+
+/**
+ * Resuelve las entradas a archivos concretos. Cada archivo lleva la carpeta
+ * base respecto a la que se replica su ruta en la salida: la carpeta indicada,
+ * la parte fija del patrón glob o la carpeta del propio archivo.
+ * @param {string[]} inputs
+ * @returns {Array<{file: string, base: string}>}
+ */
+function expandInputs(inputs) {
+    const files = [];
+    const seen = new Set();
+    const add = (file, base) => {
+        const resolved = path.resolve(file);
+        if (seen.has(resolved)) return;
+        seen.add(resolved);
+        files.push({ file: resolved, base: path.resolve(base) });
+    };
+
+    inputs.forEach((input) => {
+        if (GLOB_PATTERN.test(input)) {
+            const pattern = toPosix(path.resolve(input));
+            const segments = pattern.split('/');
+            const fixedCount = segments.findIndex((segment) => GLOB_PATTERN.test(segment));
+            const base = segments.slice(0, fixedCount).join('/') || '/';
+            const matcher = globToRegExp(pattern);
+
+            // Como con las carpetas, solo diagramas: "docs/**" no debe incluir .md ni imágenes
+            const matches = fs.existsSync(base) && fs.statSync(base).isDirectory()
+                ? walkDirectory(base).filter((file) => matcher.test(toPosix(file)) && DIAGRAM_FILE_PATTERN.test(file))
+                : [];
+            if (matches.length === 0) {
+                throw new UsageError(`Ningún archivo .mmd ni .mermaid coincide con ${input}`);
+            }
+            matches.forEach((file) => add(file, base));
+            return;
+        }
+
+        if (!fs.existsSync(input)) {
+            throw new UsageError(`No existe: ${input}`);
+        }
+
+        if (fs.statSync(input).isDirectory()) {
+            const diagrams = walkDirectory(input).filter((file) => DIAGRAM_FILE_PATTERN.test(file));
+            if (diagrams.length === 0) {
+                throw new UsageError(`No hay archivos .mmd ni .mermaid en ${input}`);
+            }
+            diagrams.forEach((file) => add(file, input));
+        } else {
+            add(input, path.dirname(input));
+        }
+    });
+
+    return files;
+}
+
+/**
+ * Ruta de salida de cada archivo: el archivo de -o si es una sola entrada con
+ * extensión de imagen, la misma ruta relativa dentro de la carpeta de -o o,
+ * sin -o, junto al diagrama
+ * @param {Array<{file: string, base: string}>} files
+ * @param {string|undefined} output
+ * @param {string} format
+ * @returns {string[]}
+ */
+function resolveOutputPaths(files, output, format) {
+    const withFormat = (file) => `${file.replace(DIAGRAM_FILE_PATTERN, '')}.${format}`;
+
+    if (!output) {
+        return files.map(({ file }) => withFormat(file));
+    }
+
+    const outputIsFile = RENDER_FORMATS.includes(path.extname(output).slice(1).toLowerCase());
+    if (outputIsFile) {
+        if (files.length > 1) {
+            throw new UsageError(`Con varias entradas, -o debe ser una carpeta (no ${output})`);
+        }
+        return [path.resolve(output)];
+    }
+
+    return files.map(({ file, base }) => path.resolve(output, withFormat(path.relative(base, file))));
+}
+
+/**
+ * Lee el estilo del lienzo de un archivo JSON (mismo formato que DEFAULT_EXPORT_STYLE)
+ * @param {string} file
+ * @returns {Object}
+ */
+function readStyle(file) {
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+        throw new UsageError(`Estilo no válido en ${file}: ${err.message}`);
+    }
+}
+
+/**
+ * Sirve la build en un puerto libre de localhost para el navegador sin interfaz
+ * @returns {Promise<import('http').Server>}
+ */
+function startStaticServer() {
+    if (!fs.existsSync(path.join(distPath, 'render.html'))) {
+        throw new Error(`Falta la build de la app en ${distPath} (npm run build y copiar dist, ver build-exe.ps1)`);
+    }
+
+    // Carga diferida, como puppeteer: el resto del módulo no depende de express
+    const express = require('express');
+    const app = express();
+    app.use(express.static(distPath));
+
+    return new Promise((resolve, reject) => {
+        const server = app.listen(0, '127.0.0.1', () => resolve(server));
+        server.on('error', reject);
+    });
+}
+
+/**
+ * Mensaje de error de un diagrama con el formato de parseError:
+ * resumen y línea, seguidos del mensaje de Mermaid
+ * @param {string} file
+ * @param {Error} err
+ * @returns {string}
+ */
+function formatRenderError(file, err) {
+    const details = err instanceof RenderError ? err.details : null;
+    const location = details?.lineNumber ? `${file}:${details.lineNumber}` : file;
+    const lines = [`  ✗ ${location}`, `    ${err.message}`];
+    if (details?.message && details.message !== err.message) {
+        details.message.split('\n').forEach((line) => lines.push(`    │ ${line}`));
+    }
+    return lines.join('\n');
+}
+
+/**
+ * Renderiza todos los archivos; un diagrama con errores no detiene el resto
+ * @param {Array<{file: string, base: string}>} files
+ * @param {string[]} outputs
+ * @param {Object} renderOptions - Opciones comunes (ver normalizeRenderOptions)
+ * @returns {Promise<number>} - Número de diagramas con errores
+ */
+async function renderFiles(files, outputs, renderOptions) {
+    const server = await startStaticServer();
+    const renderer = createRenderer(`http://127.0.0.1:${server.address().port}`);
+    let failed = 0;
+
+    try {
+        for (const [index, { file }] of files.entries()) {
+            const displayPath = path.relative(process.cwd(), file) || file;
+            try {
+                const { buffer, fixes } = await renderer.render({
+                    ...renderOptions,
+                    code: fs.readFileSync(file, 'utf8'),
+                });
+                fs.mkdirSync(path.dirname(outputs[index]), { recursive: true });
+                fs.writeFileSync(outputs[index], buffer);
+
+                const fixNote = fixes > 0 ? ` (${fixes} correcciones automáticas)` : '';
+                console.log(`  ✓ ${displayPath} → ${path.relative(process.cwd(), outputs[index])}${fixNote}`);
+            } catch (err) {
+                // Sin navegador no tiene sentido seguir con el resto
+                if (err instanceof RenderError && err.status === 503) throw err;
+                failed += 1;
+                console.error(formatRenderError(displayPath, err));
+            }
+        }
+    } finally {
+        await renderer.close();
+        server.close();
+    }
+
+    return failed;
+}
+
+/**
+ * Punto de entrada: "render <entradas...> [opciones]"
+ * Termina con código 0 si todo se exportó, 1 si algún diagrama falló y 2 si el uso es incorrecto
+ * @param {string[]} argv - Argumentos desde el comando (sin node ni el script)
+ */
+async function run(argv) {
+    const [command, ...args] = argv;
+
+    try {
+        if (command !== 'render') {
+            throw new UsageError(command ? `Comando desconocido: ${command}` : 'Falta el comando');
+        }
+
+        const { inputs, options } = parseArgs(args);
+        if (options.help) {
+            console.log(USAGE);
+            return;
+        }
+        if (inputs.length === 0) {
+            throw new UsageError('Indica al menos un archivo, carpeta o patrón');
+        }
+
+        const outputExtension = options.output ? path.extname(options.output).slice(1).toLowerCase() : '';
+        const format = (options.format || (RENDER_FORMATS.includes(outputExtension) ? outputExtension : 'png')).toLowerCase();
+        if (!RENDER_FORMATS.includes(format)) {
+            throw new UsageError(`Formato no soportado: ${format} (usa ${RENDER_FORMATS.join(' o ')})`);
+        }
+
+        const renderOptions = {
+            format,
+            scale: options.scale,
+            width: options.width,
+            height: options.height,
+            transparent: Boolean(options.transparent),
+            background: options.background,
+            theme: options.theme,
+            style: options.style ? readStyle(options.style) : undefined,
+            autoFix: !options.noFix,
+        };
+        // Validar la escala y el tamaño antes de abrir el navegador
+        try {
+            normalizeRenderOptions(renderOptions);
+        } catch (err) {
+            throw new UsageError(err.message);
+        }
+
+        const files = expandInputs(inputs);
+        const outputs = resolveOutputPaths(files, options.output, format);
+        const failed = await renderFiles(files, outputs, renderOptions);
+
+        console.log('');
+        console.log(`  ${files.length - failed}/${files.length} diagramas exportados`);
+        if (failed > 0) {
+            process.exitCode = EXIT_RENDER_ERROR;
+        }
+    } catch (err) {
+        if (err instanceof UsageError) {
+            console.error(`  ✗ ${err.message}`);
+            console.error(USAGE);
+            process.exitCode = EXIT_USAGE;
+        } else {
+            console.error(`  ✗ ${err.message}`);
+            process.exitCode = EXIT_RENDER_ERROR;
+        }
+    }
+}
+
+if (require.main === module) {
+    run(process.argv.slice(2));
+}
+
+module.exports = { run, parseArgs, globToRegExp, expandInputs, resolveOutputPaths, UsageError };
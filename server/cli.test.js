@@ -0,0 +1,122 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { parseArgs, globToRegExp, expandInputs, resolveOutputPaths } from './cli';
+
+// Mensaje del UsageError lanzado (null si no lanza)
+const usageErrorOf = (fn) => {
+    try {
+        fn();
+        return null;
+    } catch (err) {
+        return err.name === 'UsageError' ? err.message : err;
+    }
+};
+
+describe('parseArgs', () => {
+    it('separa entradas y opciones, con valor aparte o tras "="', () => {
+        expect(parseArgs(['docs', '-o', 'out', '--scale=2', '-t', 'a.mmd', '--no-fix'])).toEqual({
+            inputs: ['docs', 'a.mmd'],
+            options: { output: 'out', scale: '2', transparent: true, noFix: true },
+        });
+    });
+
+    it('conserva los "=" del valor', () => {
+        expect(parseArgs(['--background=rgb(0,0,0)=x']).options.background).toBe('rgb(0,0,0)=x');
+    });
+
+    it('rechaza opciones desconocidas y opciones sin valor', () => {
+        expect(usageErrorOf(() => parseArgs(['--zoom', '2']))).toBe('Opción desconocida: --zoom');
+        expect(usageErrorOf(() => parseArgs(['a.mmd', '-o']))).toBe('Falta el valor de -o');
+    });
+});
+
+describe('globToRegExp', () => {
+    it('** cruza carpetas, * y ? no', () => {
+        const matcher = globToRegExp('/docs/**/*.mmd');
+
+        expect(matcher.test('/docs/a.mmd')).toBe(true);
+        expect(matcher.test('/docs/x/y/a.mmd')).toBe(true);
+        expect(matcher.test('/docs/a.md')).toBe(false);
+        expect(globToRegExp('/docs/*.mmd').test('/docs/x/a.mmd')).toBe(false);
+        expect(globToRegExp('/docs/?.mmd').test('/docs/ab.mmd')).toBe(false);
+    });
+
+    it('escapa los caracteres especiales de las expresiones regulares', () => {
+        expect(globToRegExp('/a+b/(1).mmd').test('/a+b/(1).mmd')).toBe(true);
+        expect(globToRegExp('/a.mmd').test('/abmmd')).toBe(false);
+    });
+});
+
+describe('expandInputs', () => {
+    let root;
+    const file = (...parts) => path.join(root, ...parts);
+
+    beforeAll(() => {
+        root = fs.mkdtempSync(path.join(os.tmpdir(), 'mermaid-cli-'));
+        fs.mkdirSync(file('docs', 'sub'), { recursive: true });
+        fs.writeFileSync(file('docs', 'a.mmd'), 'graph TD');
+        fs.writeFileSync(file('docs', 'README.md'), '# Docs');
+        fs.writeFileSync(file('docs', 'sub', 'b.mermaid'), 'graph LR');
+        fs.writeFileSync(file('docs', 'sub', 'logo.png'), '');
+    });
+
+    afterAll(() => {
+        fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    it('busca diagramas en las carpetas con la carpeta como base', () => {
+        expect(expandInputs([file('docs')])).toEqual([
+            { file: file('docs', 'a.mmd'), base: file('docs') },
+            { file: file('docs', 'sub', 'b.mermaid'), base: file('docs') },
+        ]);
+    });
+
+    it('filtra los patrones glob a diagramas, con la parte fija como base', () => {
+        expect(expandInputs([`${file('docs')}/**`])).toEqual([
+            { file: file('docs', 'a.mmd'), base: file('docs') },
+            { file: file('docs', 'sub', 'b.mermaid'), base: file('docs') },
+        ]);
+        expect(usageErrorOf(() => expandInputs([`${file('docs')}/**/*.md`]))).toMatch(/Ningún archivo/);
+    });
+
+    it('usa la carpeta de cada archivo como base y no repite archivos', () => {
+        expect(expandInputs([file('docs', 'a.mmd'), `${file('docs')}/*.mmd`])).toEqual([
+            { file: file('docs', 'a.mmd'), base: file('docs') },
+        ]);
+    });
+
+    it('rechaza entradas que no existen o carpetas sin diagramas', () => {
+        expect(usageErrorOf(() => expandInputs([file('nada.mmd')]))).toMatch(/^No existe/);
+        fs.mkdirSync(file('vacia'));
+        expect(usageErrorOf(() => expandInputs([file('vacia')]))).toMatch(/^No hay archivos/);
+    });
+});
+
+describe('resolveOutputPaths', () => {
+    const base = path.resolve('docs');
+    const files = [
+        { file: path.join(base, 'a.mmd'), base },
+        { file: path.join(base, 'sub', 'b.mermaid'), base },
+    ];
+
+    it('sin -o, escribe junto a cada diagrama', () => {
+        expect(resolveOutputPaths(files, undefined, 'svg')).toEqual([
+            path.join(base, 'a.svg'),
+            path.join(base, 'sub', 'b.svg'),
+        ]);
+    });
+
+    it('con una carpeta, replica la estructura', () => {
+        expect(resolveOutputPaths(files, 'out', 'png')).toEqual([
+            path.resolve('out', 'a.png'),
+            path.resolve('out', 'sub', 'b.png'),
+        ]);
+    });
+
+    it('acepta un archivo de salida solo con una entrada', () => {
+        expect(resolveOutputPaths(files.slice(0, 1), 'diagrama.png', 'png')).toEqual([path.resolve('diagrama.png')]);
+        expect(usageErrorOf(() => resolveOutputPaths(files, 'diagrama.png', 'png'))).toMatch(/debe ser una carpeta/);
+    });
+});
@@ -0,0 +1,121 @@
+/**
+ * Mermaid PNG Exporter - Diagramas codificados en la URL
+ *
+ * Decodifica los formatos de URL de mermaid.ink (/img/:encoded, /svg/:encoded)
+ * y de Kroki (/mermaid/png/:deflated) para servir las mismas URLs en local.
+ */
+
+const zlib = require('zlib');
+const { RenderError } = require('./renderer');
+
+// Mismo prefijo que mermaid.live y mermaid.ink: JSON comprimido con zlib en base64url
+const PAKO_PREFIX = 'pako:';
+const BASE64_PREFIX = 'base64:';
+
+/**
+ * Decodifica base64 o base64url (con o sin relleno)
+ * @param {string} text
+ * @returns {Buffer}
+ */
+function fromBase64Url(text) {
+    // Buffer acepta ambos alfabetos y el relleno opcional
+    return Buffer.from(text, 'base64');
+}
+
+/**
+ * Código y tema de un estado de mermaid.live ({ code, mermaid }),
+ * o el texto tal cual si no es ese JSON
+ * @param {string} text
+ * @returns {{code: string, theme?: string, themeVariables?: Object}}
+ */
+function parseMermaidState(text) {
+    let payload;
+    try {
+        payload = JSON.parse(text);
+    } catch {
+        return { code: text };
+    }
+    if (typeof payload?.code !== 'string') return { code: text };
+
+    const state = { code: payload.code };
+    // La configuración puede venir como texto JSON (mermaid.live) o como objeto
+    try {
+        const config = typeof payload.mermaid === 'string' ? JSON.parse(payload.mermaid) : payload.mermaid || {};
+        if (config.theme) state.theme = config.theme;
+        if (config.themeVariables && typeof config.themeVariables === 'object') {
+            state.themeVariables = config.themeVariables;
+        }
+    } catch {
+        // Configuración corrupta: el código sigue siendo válido
+    }
+    return state;
+}
+
+/**
+ * Decodifica el segmento :encoded de mermaid.ink: "pako:<zlib base64url>",
+ * "base64:<base64>" o base64 directo, del código o del JSON de mermaid.live
+ * @param {string} encoded
+ * @returns {{code: string, theme?: string, themeVariables?: Object}}
+ */
+function decodeMermaidInk(encoded) {
+    try {
+        if (encoded.startsWith(PAKO_PREFIX)) {
+            return parseMermaidState(zlib.inflateSync(fromBase64Url(encoded.slice(PAKO_PREFIX.length))).toString('utf8'));
+        }
+        const base64 = encoded.startsWith(BASE64_PREFIX) ? encoded.slice(BASE64_PREFIX.length) : encoded;
+        return parseMermaidState(fromBase64Url(base64).toString('utf8'));
+    } catch (err) {
+        throw new RenderError(`Diagrama codificado ilegible: ${err.message}`);
+    }
+}
+
+/**
+ * Decodifica el segmento de Kroki: código comprimido con zlib en base64url
+ * @param {string} encoded
+ * @returns {string}
+ */
+function decodeKroki(encoded) {
+    try {
+        return zlib.inflateSync(fromBase64Url(encoded)).toString('utf8');
+    } catch (err) {
+        throw new RenderError(`Diagrama codificado ilegible: ${err.message}`);
+    }
+}
+
+/**
+ * Valor de un parámetro de la query como texto, o undefined si no viene
+ * @param {Object} query
+ * @param {string} name
+ * @returns {string|undefined}
+ */
+function queryText(query, name) {
+    const value = query[name];
+    if (value === undefined || value === '') return undefined;
+    // Un parámetro repetido (?theme=a&theme=b) llega como array
+    if (typeof value !== 'string') {
+        throw new RenderError(`Parámetro ${name} no válido: debe aparecer una sola vez`);
+    }
+    return value;
+}
+
+/**
+ * Opciones de la query de mermaid.ink: bgColor (hex sin "#" o "!nombre"),
+ * theme, width, height y scale
+ * @param {Object} query
+ * @returns {Object} - Opciones de render (ver normalizeRenderOptions)
+ */
+function parseMermaidInkQuery(query) {
+    const [bgColor, theme, width, height, scale] = ['bgColor', 'theme', 'width', 'height', 'scale']
+        .map((name) => queryText(query, name));
+    const options = {};
+    if (bgColor) {
+        options.background = bgColor.startsWith('!') ? bgColor.slice(1) : `#${bgColor}`;
+    }
+    if (theme) options.theme = theme;
+    if (width) options.width = width;
+    if (height) options.height = height;
+    if (scale) options.scale = scale;
+    return options;
+}
+
+module.exports = { decodeMermaidInk, decodeKroki, parseMermaidInkQuery };
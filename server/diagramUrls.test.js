@@ -0,0 +1,68 @@
+import { describe, it, expect } from 'vitest';
+import zlib from 'zlib';
+import { decodeMermaidInk, decodeKroki, parseMermaidInkQuery } from './diagramUrls';
+
+const CODE = 'graph TD\n    A["Año"] --> B';
+
+const base64Url = (buffer) => buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+// Código HTTP del RenderError lanzado (null si no lanza). Se compara el nombre:
+// diagramUrls.js carga renderer.js con require y el test con import (otra instancia)
+const statusOf = (fn) => {
+    try {
+        fn();
+        return null;
+    } catch (err) {
+        return err.name === 'RenderError' ? err.status : err;
+    }
+};
+
+describe('decodeMermaidInk', () => {
+    it('decodifica base64 directo y con prefijo', () => {
+        const encoded = Buffer.from(CODE).toString('base64');
+
+        expect(decodeMermaidInk(encoded)).toEqual({ code: CODE });
+        expect(decodeMermaidInk(`base64:${encoded}`)).toEqual({ code: CODE });
+    });
+
+    it('decodifica el estado pako de mermaid.live con su tema', () => {
+        const state = { code: CODE, mermaid: JSON.stringify({ theme: 'dark', themeVariables: { primaryColor: '#f00' } }) };
+        const encoded = `pako:${base64Url(zlib.deflateSync(JSON.stringify(state)))}`;
+
+        expect(decodeMermaidInk(encoded)).toEqual({ code: CODE, theme: 'dark', themeVariables: { primaryColor: '#f00' } });
+    });
+
+    it('responde 400 si el diagrama no se puede decodificar', () => {
+        expect(statusOf(() => decodeMermaidInk('pako:no-es-zlib'))).toBe(400);
+    });
+});
+
+describe('decodeKroki', () => {
+    it('decodifica el código comprimido en base64url', () => {
+        expect(decodeKroki(base64Url(zlib.deflateSync(CODE)))).toBe(CODE);
+    });
+
+    it('responde 400 si el diagrama no se puede decodificar', () => {
+        expect(statusOf(() => decodeKroki('abc'))).toBe(400);
+    });
+});
+
+describe('parseMermaidInkQuery', () => {
+    it('convierte bgColor en color de fondo', () => {
+        expect(parseMermaidInkQuery({ bgColor: 'ff0000' })).toEqual({ background: '#ff0000' });
+        expect(parseMermaidInkQuery({ bgColor: '!white' })).toEqual({ background: 'white' });
+    });
+
+    it('pasa el tema y el tamaño tal cual', () => {
+        expect(parseMermaidInkQuery({ theme: 'forest', width: '800', scale: '2' }))
+            .toEqual({ theme: 'forest', width: '800', scale: '2' });
+        expect(parseMermaidInkQuery({})).toEqual({});
+    });
+
+    it('responde 400 a los parámetros repetidos', () => {
+        ['bgColor', 'theme', 'width', 'height', 'scale'].forEach((name) => {
+            expect(statusOf(() => parseMermaidInkQuery({ [name]: ['a', 'b'] }))).toBe(400);
+        });
+        expect(statusOf(() => parseMermaidInkQuery({ bgColor: { a: '1' } }))).toBe(400);
+    });
+});
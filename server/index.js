@@ -2,6 +2,7 @@
  * Mermaid PNG Exporter - Servidor Embebido
  * 
  * Este servidor sirve la aplicación web y abre el navegador automáticamente.
+ * Con el argumento "render" funciona como línea de comandos (ver cli.js).
  * Se empaqueta con pkg para crear un ejecutable standalone.
  */
 
@@ -9,9 +10,29 @@ const express = require('express');
 const path = require('path');
 const { exec } = require('child_process');
 const os = require('os');
+const { createRenderer, RenderError } = require('./renderer');
+const { decodeMermaidInk, decodeKroki, parseMermaidInkQuery } = require('./diagramUrls');
 
 const app = express();
 const PORT = 3000;
+// Solo accesible desde este equipo salvo que se indique otra interfaz
+// (p. ej. MERMAID_EXPORTER_HOST=0.0.0.0 para exponer la API en la red local)
+const HOST = process.env.MERMAID_EXPORTER_HOST || '127.0.0.1';
+const ALL_INTERFACES = ['0.0.0.0', '::'];
+
+/**
+ * URL con la que este equipo llega al servidor (navegador y render sin interfaz)
+ * @returns {string}
+ */
+function getLocalUrl() {
+    const host = ALL_INTERFACES.includes(HOST) ? '127.0.0.1' : HOST;
+    return `http://${host.includes(':') ? `[${host}]` : host}:${PORT}`;
+}
+
+// Límite del cuerpo de POST /api/render (el código Mermaid va en JSON)
+const RENDER_BODY_LIMIT = '1mb';
+// Caché de las imágenes pedidas por URL: el mismo diagrama da siempre la misma imagen
+const IMAGE_URL_MAX_AGE = 60 * 60 * 24;
 
 // Determinar la ruta de los archivos estáticos
 // En desarrollo: ./dist
@@ -24,6 +45,77 @@ app.use(express.static(distPath, {
     etag: true
 }));
 
+// Render sin interfaz: reutiliza la build servida arriba (render.html)
+const renderer = createRenderer(getLocalUrl());
+
+/**
+ * Renderiza y responde con la imagen, o con un JSON de error
+ * (400 si el diagrama, su codificación o las opciones no son válidos)
+ * @param {import('express').Response} res
+ * @param {Function} getOptions - Devuelve las opciones de render (ver normalizeRenderOptions); puede lanzar RenderError
+ * @param {Object} [cache] - Caché de las respuestas correctas
+ * @param {number} [cache.maxAge] - Segundos de Cache-Control (sin caché si se omite)
+ */
+async function sendRender(res, getOptions, { maxAge } = {}) {
+    try {
+        const { mimeType, buffer } = await renderer.render(getOptions());
+        if (maxAge) {
+            res.set('Cache-Control', `public, max-age=${maxAge}`);
+        }
+        res.type(mimeType).send(buffer);
+    } catch (err) {
+        const status = err instanceof RenderError ? err.status : 500;
+        res.status(status).json({
+            error: err.message,
+            ...(err.details ? { message: err.details.message, line: err.details.lineNumber } : {}),
+        });
+    }
+}
+
+// POST /api/render - cuerpo JSON: { code, format, scale, width, height, transparent, background, theme, themeVariables }
+app.post('/api/render', express.json({ limit: RENDER_BODY_LIMIT }), (req, res) => {
+    sendRender(res, () => req.body || {});
+});
+
+// GET /api/render?code=<base64>&format=svg&scale=2&transparent=true
+app.get('/api/render', (req, res) => {
+    const { code, ...options } = req.query;
+    if (typeof code !== 'string' || !code) {
+        res.status(400).json({ error: 'Falta el parámetro code (código Mermaid en base64)' });
+        return;
+    }
+    // Acepta base64 estándar y la variante para URLs (- y _). Un "+" sin escapar
+    // llega como espacio desde la query, y el base64 no tiene espacios
+    const base64 = code.replace(/ /g, '+');
+    sendRender(res, () => ({ ...options, code: Buffer.from(base64, 'base64').toString('utf8') }));
+});
+
+// Compatibles con mermaid.ink: /img/<base64 o pako:...>?bgColor=...&theme=...&width=...
+// mermaid.ink sirve JPEG por defecto; aquí /img siempre devuelve PNG
+app.get('/img/:encoded', (req, res) => {
+    sendRender(res, () => ({
+        ...decodeMermaidInk(req.params.encoded),
+        ...parseMermaidInkQuery(req.query),
+        format: 'png',
+    }), { maxAge: IMAGE_URL_MAX_AGE });
+});
+
+app.get('/svg/:encoded', (req, res) => {
+    sendRender(res, () => ({
+        ...decodeMermaidInk(req.params.encoded),
+        ...parseMermaidInkQuery(req.query),
+        format: 'svg',
+    }), { maxAge: IMAGE_URL_MAX_AGE });
+});
+
+// Compatible con Kroki: /mermaid/png/<código comprimido con zlib en base64url> (también svg)
+app.get('/mermaid/:format(png|svg)/:deflated', (req, res) => {
+    sendRender(res, () => ({
+        code: decodeKroki(req.params.deflated),
+        format: req.params.format,
+    }), { maxAge: IMAGE_URL_MAX_AGE });
+});
+
 // SPA fallback - todas las rutas van a index.html
 app.get('*', (req, res) => {
     res.sendFile(path.join(distPath, 'index.html'));
@@ -63,32 +155,46 @@ function showBanner() {
 }
 
 // Iniciar servidor
-const server = app.listen(PORT, () => {
-    showBanner();
-    console.log(`  ✓ Servidor iniciado en http://localhost:${PORT}`);
-    console.log('');
-    console.log('  Abriendo navegador...');
-    console.log('');
-    console.log('  ┌─────────────────────────────────────────────────────────┐');
-    console.log('  │  Para cerrar: Cierra esta ventana o presiona Ctrl+C    │');
-    console.log('  └─────────────────────────────────────────────────────────┘');
-    console.log('');
+function startServer() {
+    const localUrl = getLocalUrl();
+    const server = app.listen(PORT, HOST, () => {
+        showBanner();
+        console.log(`  ✓ Servidor iniciado en ${localUrl}`);
+        console.log(`  ✓ API de render en ${localUrl}/api/render`);
+        if (HOST !== '127.0.0.1' && HOST !== 'localhost') {
+            console.log(`  ⚠ Accesible desde otros equipos (MERMAID_EXPORTER_HOST=${HOST})`);
+        }
+        console.log('');
+        console.log('  Abriendo navegador...');
+        console.log('');
+        console.log('  ┌─────────────────────────────────────────────────────────┐');
+        console.log('  │  Para cerrar: Cierra esta ventana o presiona Ctrl+C    │');
+        console.log('  └─────────────────────────────────────────────────────────┘');
+        console.log('');
 
-    openBrowser(`http://localhost:${PORT}`);
-});
+        openBrowser(localUrl);
+    });
 
-// Manejo de cierre limpio
-process.on('SIGINT', () => {
-    console.log('');
-    console.log('  Cerrando servidor...');
-    server.close(() => {
-        console.log('  ✓ Servidor cerrado correctamente');
-        process.exit(0);
+    // Manejo de cierre limpio
+    process.on('SIGINT', () => {
+        console.log('');
+        console.log('  Cerrando servidor...');
+        server.close(() => {
+            console.log('  ✓ Servidor cerrado correctamente');
+            renderer.close().finally(() => process.exit(0));
+        });
     });
-});
 
-process.on('SIGTERM', () => {
-    server.close(() => {
-        process.exit(0);
+    process.on('SIGTERM', () => {
+        server.close(() => {
+            renderer.close().finally(() => process.exit(0));
+        });
     });
-});
+}
+
+// Con el argumento "render" se usa la línea de comandos en lugar del servidor (ver cli.js)
+if (process.argv[2] === 'render') {
+    require('./cli').run(process.argv.slice(2));
+} else {
+    startServer();
+}
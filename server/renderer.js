@@ -0,0 +1,183 @@
+/**
+ * Mermaid PNG Exporter - Renderizador sin interfaz
+ *
+ * Abre render.html (la build de src/headless.js) en un Chromium sin interfaz y
+ * le pide los diagramas: así el servidor exporta exactamente igual que la app.
+ * Si no hay Chromium descargado por puppeteer, se puede indicar uno instalado
+ * con la variable de entorno PUPPETEER_EXECUTABLE_PATH (p. ej. Chrome o Edge).
+ */
+
+const RENDER_FORMATS = ['png', 'svg'];
+const MIN_SCALE = 0.1;
+const MAX_SCALE = 8;
+// Tiempo máximo por diagrama antes de dar el render por fallido
+const RENDER_TIMEOUT_MS = 30000;
+
+class RenderError extends Error {
+    /**
+     * @param {string} message
+     * @param {Object} [options]
+     * @param {{summary: string, message: string, lineNumber: number|null}} [options.details] - Error de Mermaid ya analizado (parseError)
+     * @param {number} [options.status] - Código HTTP con el que responder
+     */
+    constructor(message, { details = null, status = 400 } = {}) {
+        super(message);
+        this.name = 'RenderError';
+        this.details = details;
+        this.status = status;
+    }
+}
+
+/**
+ * Interpreta un booleano de JSON o de la query (?transparent=true / =1)
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isTrue(value) {
+    return value === true || value === 'true' || value === '1';
+}
+
+/**
+ * Normaliza las opciones de render recibidas por HTTP o por línea de comandos
+ * @param {Object} input - Valores sin validar (strings de la query o JSON)
+ * @returns {{code: string, format: string, scale: number, width?: number, height?: number, transparent: boolean, background?: string, theme?: string, themeVariables?: Object, style?: Object, autoFix: boolean}}
+ */
+function normalizeRenderOptions(input) {
+    const format = String(input.format || 'png').toLowerCase();
+    if (!RENDER_FORMATS.includes(format)) {
+        throw new RenderError(`Formato no soportado: ${format} (usa ${RENDER_FORMATS.join(' o ')})`);
+    }
+
+    const scale = input.scale === undefined ? 3 : Number(input.scale);
+    if (!Number.isFinite(scale) || scale < MIN_SCALE || scale > MAX_SCALE) {
+        throw new RenderError(`Escala no válida: ${input.scale} (entre ${MIN_SCALE} y ${MAX_SCALE})`);
+    }
+
+    // Ancho o alto exacto en px del PNG: tienen prioridad sobre la escala
+    const size = (value, name) => {
+        if (value === undefined || value === '') return undefined;
+        const px = Number(value);
+        if (!Number.isInteger(px) || px <= 0) {
+            throw new RenderError(`${name} no válido: ${value}`);
+        }
+        return px;
+    };
+
+    const { themeVariables, style } = input;
+
+    return {
+        code: typeof input.code === 'string' ? input.code : '',
+        format,
+        scale,
+        width: size(input.width, 'Ancho'),
+        height: size(input.height, 'Alto'),
+        transparent: isTrue(input.transparent),
+        background: input.background ? String(input.background) : undefined,
+        theme: input.theme ? String(input.theme) : undefined,
+        themeVariables: themeVariables && typeof themeVariables === 'object' ? themeVariables : undefined,
+        style: style && typeof style === 'object' ? style : undefined,
+        autoFix: isTrue(input.autoFix),
+    };
+}
+
+/**
+ * Arranca el Chromium de puppeteer. Carga diferida: el servidor arranca
+ * aunque puppeteer no esté instalado
+ * @returns {Promise<Object>} - Navegador de puppeteer
+ */
+function launchPuppeteer() {
+    return require('puppeteer').launch({ headless: true });
+}
+
+/**
+ * Crea un renderizador que reutiliza un único navegador y una única página.
+ * El navegador se arranca con el primer render; los renders van de uno en uno.
+ * Si un render supera el tiempo máximo, su página se cierra y el siguiente abre otra.
+ * @param {string} baseUrl - URL donde se sirve la build (p. ej. http://localhost:3000)
+ * @param {Object} [options]
+ * @param {Function} [options.launch] - Arranca el navegador (por defecto, puppeteer)
+ * @param {number} [options.timeout] - Milisegundos máximos por diagrama
+ * @returns {{render: Function, close: Function}}
+ */
+function createRenderer(baseUrl, { launch = launchPuppeteer, timeout = RENDER_TIMEOUT_MS } = {}) {
+    let pagePromise = null;
+    let browser = null;
+    let queue = Promise.resolve();
+
+    const getPage = () => {
+        if (!pagePromise) {
+            pagePromise = (async () => {
+                if (!browser) browser = await launch();
+                const page = await browser.newPage();
+                await page.goto(`${baseUrl}/render.html`, { waitUntil: 'load' });
+                await page.waitForFunction(() => Boolean(window.mermaidExporter), { timeout });
+                return page;
+            })().catch((err) => {
+                pagePromise = null;
+                throw new RenderError(`No se pudo iniciar el navegador sin interfaz: ${err.message}`, { status: 503 });
+            });
+        }
+        return pagePromise;
+    };
+
+    // La página sigue ocupada con el render colgado (y con la configuración global de
+    // Mermaid a medias): se descarta para que el siguiente render no la comparta
+    const discardPage = (page) => {
+        pagePromise = null;
+        page.close().catch(() => {});
+    };
+
+    const renderNow = async (options) => {
+        const page = await getPage();
+        let timer;
+        let result;
+        try {
+            result = await Promise.race([
+                page.evaluate((opts) => window.mermaidExporter.render(opts), options),
+                new Promise((_, reject) => {
+                    timer = setTimeout(() => {
+                        discardPage(page);
+                        reject(new RenderError(`El render superó ${timeout / 1000}s`, { status: 504 }));
+                    }, timeout);
+                }),
+            ]);
+        } finally {
+            clearTimeout(timer);
+        }
+
+        if (result.error) {
+            throw new RenderError(result.error.summary, { details: result.error });
+        }
+
+        return {
+            mimeType: result.mimeType,
+            buffer: Buffer.from(result.data, result.encoding),
+            fixes: result.fixes,
+        };
+    };
+
+    /**
+     * Renderiza un diagrama
+     * @param {Object} input - Opciones (ver normalizeRenderOptions)
+     * @returns {Promise<{mimeType: string, buffer: Buffer, fixes: number}>}
+     */
+    const render = async (input) => {
+        const options = normalizeRenderOptions(input);
+        const result = queue.then(() => renderNow(options));
+        // Un render fallido no debe bloquear los siguientes
+        queue = result.catch(() => {});
+        return result;
+    };
+
+    const close = async () => {
+        pagePromise = null;
+        if (browser) {
+            await browser.close();
+            browser = null;
+        }
+    };
+
+    return { render, close };
+}
+
+module.exports = { createRenderer, normalizeRenderOptions, RenderError, RENDER_FORMATS };
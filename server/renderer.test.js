@@ -0,0 +1,138 @@
+import { describe, it, expect } from 'vitest';
+import { createRenderer, normalizeRenderOptions, RenderError } from './renderer';
+
+// Código HTTP del RenderError lanzado (null si las opciones son válidas)
+const statusOf = (input) => {
+    try {
+        normalizeRenderOptions(input);
+        return null;
+    } catch (err) {
+        return err instanceof RenderError ? err.status : err;
+    }
+};
+
+describe('normalizeRenderOptions', () => {
+    it('aplica los valores por defecto', () => {
+        expect(normalizeRenderOptions({ code: 'graph TD\n    A --> B' })).toEqual({
+            code: 'graph TD\n    A --> B',
+            format: 'png',
+            scale: 3,
+            width: undefined,
+            height: undefined,
+            transparent: false,
+            background: undefined,
+            theme: undefined,
+            themeVariables: undefined,
+            style: undefined,
+            autoFix: false,
+        });
+    });
+
+    it('convierte los valores de la query', () => {
+        const options = normalizeRenderOptions({
+            code: 'graph TD',
+            format: 'SVG',
+            scale: '2.5',
+            width: '800',
+            transparent: 'true',
+            autoFix: '1',
+            background: '#fff',
+            theme: 'dark',
+        });
+
+        expect(options).toMatchObject({
+            format: 'svg',
+            scale: 2.5,
+            width: 800,
+            transparent: true,
+            autoFix: true,
+            background: '#fff',
+            theme: 'dark',
+        });
+    });
+
+    it('solo acepta objetos en themeVariables y style', () => {
+        const themeVariables = { primaryColor: '#ff0000' };
+
+        expect(normalizeRenderOptions({ themeVariables, style: 'x' })).toMatchObject({ themeVariables, style: undefined });
+    });
+
+    it('rechaza formatos, escalas y tamaños no válidos con un 400', () => {
+        const invalid = [
+            { format: 'jpg' },
+            { scale: '0.05' },
+            { scale: '9' },
+            { scale: 'abc' },
+            { width: '0' },
+            { height: '12.5' },
+            { width: '-3' },
+        ];
+
+        invalid.forEach((input) => {
+            expect(statusOf(input)).toBe(400);
+        });
+    });
+
+    it('ignora el código que no es texto', () => {
+        expect(normalizeRenderOptions({ code: ['graph TD'] }).code).toBe('');
+    });
+});
+
+/**
+ * Navegador falso: cada página nueva responde con el siguiente resultado de
+ * la lista (una promesa que no se resuelve simula un render colgado)
+ * @param {Array<Function>} evaluations - Devuelven el resultado de page.evaluate
+ */
+const createFakeBrowser = (evaluations) => {
+    const pages = [];
+    const browser = {
+        newPage: async () => {
+            const page = {
+                closed: false,
+                goto: async () => {},
+                waitForFunction: async () => {},
+                evaluate: async () => evaluations.shift()(),
+                close: async () => {
+                    page.closed = true;
+                },
+            };
+            pages.push(page);
+            return page;
+        },
+        close: async () => {},
+    };
+    return { browser, pages };
+};
+
+const SVG_RESULT = { mimeType: 'image/svg+xml', data: '<svg/>', encoding: 'utf8', fixes: 0 };
+
+describe('createRenderer', () => {
+    it('tras un render que supera el tiempo, el siguiente usa una página nueva', async () => {
+        const { browser, pages } = createFakeBrowser([
+            () => new Promise(() => {}),
+            () => SVG_RESULT,
+        ]);
+        const renderer = createRenderer('http://127.0.0.1:0', { launch: async () => browser, timeout: 20 });
+
+        const hung = renderer.render({ code: 'graph TD', format: 'svg' });
+        const next = renderer.render({ code: 'graph LR', format: 'svg' });
+
+        await expect(hung).rejects.toMatchObject({ status: 504 });
+        const result = await next;
+
+        expect(result.buffer.toString()).toBe('<svg/>');
+        expect(pages).toHaveLength(2);
+        expect(pages[0].closed).toBe(true);
+        expect(pages[1].closed).toBe(false);
+    });
+
+    it('reutiliza la página entre renders correctos', async () => {
+        const { browser, pages } = createFakeBrowser([() => SVG_RESULT, () => SVG_RESULT]);
+        const renderer = createRenderer('http://127.0.0.1:0', { launch: async () => browser, timeout: 1000 });
+
+        await renderer.render({ code: 'graph TD', format: 'svg' });
+        await renderer.render({ code: 'graph TD', format: 'svg' });
+
+        expect(pages).toHaveLength(1);
+    });
+});
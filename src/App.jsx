@@ -1,16 +1,31 @@
-import { useState, useCallback, useEffect, useRef } from 'react';
+import { useState, useCallback, useEffect, useRef, useMemo } from 'react';
 import { useTheme } from './hooks/useTheme';
 import { useLanguage } from './hooks/useLanguage';
 import { useMediaQuery } from './hooks/useMediaQuery';
 import { useMermaidRenderer } from './hooks/useMermaidRenderer';
 import { useExportPNG } from './hooks/useExportPNG';
+import { useExportStyle } from './hooks/useExportStyle';
+import { useMermaidTheme } from './hooks/useMermaidTheme';
+import { useMarkdownDocument } from './hooks/useMarkdownDocument';
+import { useShareLink } from './hooks/useShareLink';
+import { useWorkspace } from './hooks/useWorkspace';
+import { useAutoFixSettings } from './hooks/useAutoFixSettings';
+import { useUndoHistory } from './hooks/useUndoHistory';
+import { decodeShareState } from './utils/shareUrl';
 import { autoFixMermaidCode } from './utils/mermaidAutoFix';
+import { findSourceRange, getElementAtSelection, replaceLabel } from './utils/sourceMap';
+import { updateNodeStyle } from './utils/styleParser';
 import { DEFAULT_DIAGRAMS } from './config/mermaid.config';
 import { translations } from './i18n';
 
 import { Header, Footer } from './components/layout';
 import { EditorPanel } from './components/editor';
 import { PreviewPanel } from './components/preview';
+import { BatchExportDialog } from './components/batch';
+import { MarkdownBlocksPanel } from './components/markdown';
+import { WorkspaceSidebar } from './components/workspace';
+import { HistoryDialog } from './components/history';
+import { AutoFixReviewDialog } from './components/autofix';
 
 // Icons for mobile tab bar
 const CodeIcon = () => (
@@ -104,19 +119,107 @@ export default function App() {
     const initialLang = storedLang || browserLang;
     return DEFAULT_DIAGRAMS[initialLang] || DEFAULT_DIAGRAMS.en;
   });
+  const [exportFormat, setExportFormat] = useState('png');
   const [exportScale, setExportScale] = useState(3);
+  const [pngSizing, setPngSizing] = useState({ mode: 'scale', targetWidth: 1920, targetHeight: 1080, dpi: 300, printWidth: 180 });
+  const [pdfOptions, setPdfOptions] = useState({ pageSize: 'a4', orientation: 'auto', margin: 10 });
+  const [posterOptions, setPosterOptions] = useState({ columns: 2, rows: 2, overlap: 10, output: 'pdf' });
   const [bgTransparent, setBgTransparent] = useState(false);
   const [activePanel, setActivePanel] = useState('preview'); // Default to preview on mobile
+  const [isBatchOpen, setIsBatchOpen] = useState(false);
+  const [isWorkspaceOpen, setIsWorkspaceOpen] = useState(false);
+  const [isHistoryOpen, setIsHistoryOpen] = useState(false);
+  const [isAutoFixReviewOpen, setIsAutoFixReviewOpen] = useState(false);
+  // Selección del editor ({start, end}) y rango a mostrar al hacer clic en el preview
+  const [editorSelection, setEditorSelection] = useState(null);
+  const [sourceReveal, setSourceReveal] = useState(null);
+  // Leído antes de que useShareLink limpie el fragmento: un enlace compartido abre un documento nuevo
+  const [startFromSharedLink] = useState(() => Boolean(decodeShareState(window.location.hash)));
+
+  const { autoFixSettings, setAutoFixSettings } = useAutoFixSettings();
 
   // Ref para rastrear el último código auto-corregido (previene bucles infinitos)
   const lastAutoFixedCodeRef = useRef('');
 
+  // Hooks
+  const { theme, colors } = useTheme();
+  const { isMobile, isTablet } = useMediaQuery();
+  const { exportStyle, setExportStyle, resetExportStyle } = useExportStyle();
+  const { mermaidTheme, setMermaidTheme, resetMermaidTheme } = useMermaidTheme();
+  const {
+    previewRef,
+    error,
+    errorInfo,
+    isRendering,
+    clearErrors
+  } = useMermaidRenderer(code, 400, mermaidTheme);
+
+  const {
+    exportToPNG,
+    exportToSVG,
+    exportToPDF,
+    exportToPoster,
+    exportThemeVariants,
+    copyToClipboard,
+    copyStatus,
+    isExporting,
+    exportSuccess
+  } = useExportPNG(previewRef);
+
+  const {
+    documents,
+    activeDocument,
+    saveStatus,
+    workspaceError,
+    flushActiveDocument,
+    openDocument,
+    createDocument,
+    duplicateDocument,
+    renameDocument,
+    deleteDocument,
+  } = useWorkspace({
+    code,
+    setCode,
+    previewRef,
+    isPreviewValid: !isRendering && !errorInfo && code.trim().length > 0,
+    untitledName: t('workspace.untitled'),
+    startFromCurrentCode: startFromSharedLink,
+  });
+
+  // Deshacer/rehacer: lo restaurado no debe volver a pasar por el auto-fix preventivo
+  const handleUndoRestore = useCallback((restoredCode) => {
+    lastAutoFixedCodeRef.current = restoredCode;
+  }, []);
+
+  const { commitCode, undo, redo, undoLabel, redoLabel } = useUndoHistory({
+    code,
+    setCode,
+    scopeKey: activeDocument?.id || null,
+    typingLabel: t('undo.typing'),
+    onRestore: handleUndoRestore,
+  });
+
+  const describeAutoFix = useCallback(
+    (count) => `${t('undo.autoFix')}: ${count} ${t('undo.changes')}`,
+    [t],
+  );
+
+  const setCodeFromMarkdown = useCallback((blockCode) => commitCode(blockCode, t('undo.markdownBlock')), [commitCode, t]);
+  const { markdownDoc, openMarkdown, selectBlock, closeMarkdown, getMarkdownDiagrams } = useMarkdownDocument(
+    code,
+    setCodeFromMarkdown,
+    { documentId: activeDocument?.id || null, createDocument },
+  );
+
   // ==========================================================================
   // AUTO-FIX PREVENTIVO TRANSPARENTE
   // Aplica correcciones automáticamente ANTES del renderizado para problemas
   // que renderizan incorrectamente sin causar error (ej: [":::res1 texto"])
+  // Se puede desactivar en la revisión del auto-fix
   // ==========================================================================
   useEffect(() => {
+    if (!autoFixSettings.preventive) return;
+
     // Evitar bucle infinito: no re-procesar código que acabamos de corregir
     if (code === lastAutoFixedCodeRef.current) {
       return;
@@ -128,27 +231,10 @@ export default function App() {
     if (result.hasChanges) {
       // Guardar el código corregido para evitar re-procesarlo
       lastAutoFixedCodeRef.current = result.code;
-      // Aplicar la corrección automáticamente
-      setCode(result.code);
+      // Aplicar la corrección automáticamente (se puede deshacer)
+      commitCode(result.code, describeAutoFix(result.fixes.length));
     }
-  }, [code]);
-
-  // Hooks
-  const { theme, colors } = useTheme();
-  const { isMobile, isTablet } = useMediaQuery();
-  const {
-    previewRef,
-    error,
-    errorInfo,
-    isRendering,
-    clearErrors
-  } = useMermaidRenderer(code);
-
-  const {
-    exportToPNG,
-    isExporting,
-    exportSuccess
-  } = useExportPNG(previewRef);
+  }, [code, autoFixSettings.preventive, commitCode, describeAutoFix]);
 
   // Track previous language to detect changes
   const prevLanguageRef = useRef(language);
@@ -173,7 +259,7 @@ export default function App() {
 
     // Also check default diagrams
     if (normalizedCode === DEFAULT_DIAGRAMS[prevLang]?.trim()) {
-      setCode(DEFAULT_DIAGRAMS[newLang]);
+      commitCode(DEFAULT_DIAGRAMS[newLang], t('undo.translateExample'));
       return;
     }
 
@@ -183,26 +269,164 @@ export default function App() {
         // Found a match! Replace with the same example in the new language
         const newExampleCode = newTranslations.examples[exampleType];
         if (newExampleCode) {
-          setCode(newExampleCode);
+          commitCode(newExampleCode, t('undo.translateExample'));
         }
         return;
       }
     }
     // If no match found, keep current code (user has modified it)
-  }, [language, code]);
+  }, [language, code, commitCode, t]);
 
   // Handlers
   const handleAutoFix = useCallback(() => {
+    if (autoFixSettings.review) {
+      setIsAutoFixReviewOpen(true);
+      return;
+    }
     const result = autoFixMermaidCode(code);
     if (result.hasChanges) {
       clearErrors();
-      setCode(result.code);
+      commitCode(result.code, describeAutoFix(result.fixes.length));
     }
-  }, [code, clearErrors]);
+  }, [code, clearErrors, autoFixSettings.review, commitCode, describeAutoFix]);
+
+  const handleAutoFixReviewOpen = useCallback(() => setIsAutoFixReviewOpen(true), []);
+  const handleAutoFixReviewClose = useCallback(() => setIsAutoFixReviewOpen(false), []);
+
+  // Aplicar solo las correcciones aceptadas: el auto-fix preventivo no debe
+  // volver a aplicar las rechazadas sobre este mismo código
+  const handleAutoFixReviewApply = useCallback((fixedCode, fixCount) => {
+    clearErrors();
+    lastAutoFixedCodeRef.current = fixedCode;
+    commitCode(fixedCode, describeAutoFix(fixCount));
+    setIsAutoFixReviewOpen(false);
+  }, [clearErrors, commitCode, describeAutoFix]);
+
+  // Restaurar código (y opciones de exportación) desde un PNG o archivo soltado en el editor
+  const handleSourceImport = useCallback(({ code: importedCode, options = {} }) => {
+    commitCode(importedCode, t('undo.import'));
+    // En los modos de tamaño la escala guardada es la resultante, no una del selector
+    if (typeof options.scale === 'number' && (options.sizing?.mode ?? 'scale') === 'scale') setExportScale(options.scale);
+    if (typeof options.transparent === 'boolean') setBgTransparent(options.transparent);
+    if (options.sizing && typeof options.sizing === 'object') setPngSizing((prev) => ({ ...prev, ...options.sizing }));
+  }, [commitCode, t]);
+
+  // Restaurar el estado de un enlace compartido (#pako:, propio o de mermaid.live)
+  const handleShareImport = useCallback(({ code: sharedCode, scale, transparent, themeConfig }) => {
+    commitCode(sharedCode, t('undo.import'));
+    if (typeof scale === 'number') setExportScale(scale);
+    if (typeof transparent === 'boolean') setBgTransparent(transparent);
+    if (themeConfig) setMermaidTheme(themeConfig);
+  }, [setMermaidTheme, commitCode, t]);
+
+  const { shareStatus, copyShareLink } = useShareLink(handleShareImport);
+
+  const handleShare = useCallback(() => {
+    copyShareLink({ code, scale: exportScale, transparent: bgTransparent, themeConfig: mermaidTheme });
+  }, [copyShareLink, code, exportScale, bgTransparent, mermaidTheme]);
 
   const handleExport = useCallback(() => {
-    exportToPNG({ scale: exportScale, transparent: bgTransparent });
-  }, [exportToPNG, exportScale, bgTransparent]);
+    if (exportFormat === 'svg') {
+      exportToSVG({ transparent: bgTransparent, style: exportStyle });
+      return;
+    }
+    if (exportFormat === 'pdf') {
+      exportToPDF({ ...pdfOptions, transparent: bgTransparent, style: exportStyle });
+      return;
+    }
+    if (exportFormat === 'poster') {
+      exportToPoster({ ...pdfOptions, ...posterOptions, style: exportStyle });
+      return;
+    }
+    exportToPNG({ scale: exportScale, sizing: pngSizing, transparent: bgTransparent, style: exportStyle, source: code });
+  }, [exportFormat, exportToPNG, exportToSVG, exportToPDF, exportToPoster, exportScale, pngSizing, pdfOptions, posterOptions, bgTransparent, exportStyle, code]);
+
+  // Variante clara y oscura del mismo diagrama (SVG si es el formato elegido, PNG en otro caso)
+  const handleExportVariants = useCallback(() => {
+    exportThemeVariants({
+      format: exportFormat === 'svg' ? 'svg' : 'png',
+      code,
+      themeConfig: mermaidTheme,
+      scale: exportScale,
+      sizing: pngSizing,
+      transparent: bgTransparent,
+      style: exportStyle,
+    });
+  }, [exportThemeVariants, exportFormat, code, mermaidTheme, exportScale, pngSizing, bgTransparent, exportStyle]);
+
+  const handleBatchClose = useCallback(() => setIsBatchOpen(false), []);
+
+  // Espacio de trabajo: al cambiar de documento se cierra el Markdown abierto
+  const handleWorkspaceClose = useCallback(() => setIsWorkspaceOpen(false), []);
+
+  const handleDocumentOpen = useCallback(async (id) => {
+    closeMarkdown();
+    await openDocument(id);
+    setIsWorkspaceOpen(false);
+  }, [closeMarkdown, openDocument]);
+
+  const handleDocumentCreate = useCallback(async () => {
+    closeMarkdown();
+    await createDocument(DEFAULT_DIAGRAMS[language] || DEFAULT_DIAGRAMS.en);
+    setIsWorkspaceOpen(false);
+  }, [closeMarkdown, createDocument, language]);
+
+  const handleHistoryOpen = useCallback(() => {
+    setIsWorkspaceOpen(false);
+    setIsHistoryOpen(true);
+  }, []);
+
+  const handleHistoryClose = useCallback(() => setIsHistoryOpen(false), []);
+
+  // Restaurar una versión: el autoguardado la registra como un cambio más en el historial
+  const handleHistoryRestore = useCallback((restoredCode) => {
+    closeMarkdown();
+    commitCode(restoredCode, t('undo.restoreVersion'));
+  }, [closeMarkdown, commitCode, t]);
+
+  const handleDocumentDuplicate = useCallback((doc) => {
+    closeMarkdown();
+    duplicateDocument(doc.id, `${doc.name} (${t('workspace.copySuffix')})`);
+  }, [closeMarkdown, duplicateDocument, t]);
+
+  // Preview ↔ código: el clic en un elemento selecciona su definición,
+  // y el cursor del editor resalta el elemento correspondiente
+  const highlightTarget = useMemo(
+    () => (editorSelection ? getElementAtSelection(code, editorSelection.start, editorSelection.end) : null),
+    [code, editorSelection],
+  );
+
+  const handlePreviewElementSelect = useCallback((target) => {
+    const range = findSourceRange(code, target);
+    if (range) setSourceReveal(range);
+  }, [code]);
+
+  // En móvil el editor está en otra pestaña: solo se cambia con "Ver en el código"
+  const handlePreviewShowSource = useCallback((target) => {
+    const range = findSourceRange(code, target);
+    if (!range) return;
+    // Rango nuevo para que el editor lo vuelva a aplicar ya visible
+    setSourceReveal({ ...range });
+    setActivePanel('editor');
+  }, [code]);
+
+  // Edición de etiquetas con doble clic en el preview
+  const handlePreviewLabelEdit = useCallback((target, text) => {
+    const nextCode = replaceLabel(code, target, text);
+    if (nextCode === null || nextCode === code) return;
+    const element = target.type === 'edge' ? `${target.from} → ${target.to}` : target.id;
+    commitCode(nextCode, `${t('undo.label')}: ${element}`);
+  }, [code, commitCode, t]);
+
+  // Estilo de un nodo desde el menú contextual del preview
+  const handlePreviewNodeStyleChange = useCallback((nodeId, props) => {
+    const nextCode = updateNodeStyle(code, nodeId, props);
+    if (nextCode !== code) commitCode(nextCode, `${t('undo.style')}: ${nodeId}`);
+  }, [code, commitCode, t]);
+
+  const handleCopy = useCallback(() => {
+    copyToClipboard({ scale: exportScale, sizing: pngSizing, transparent: bgTransparent, style: exportStyle });
+  }, [copyToClipboard, exportScale, pngSizing, bgTransparent, exportStyle]);
 
   // Determinar si se puede exportar
   const canExport = !isRendering && !errorInfo && code.trim().length > 0;
@@ -238,11 +462,11 @@ export default function App() {
       };
     }
 
-    // Desktop: Side by side
+    // Desktop: Side by side (con la lista de diagramas del Markdown a la izquierda)
     return {
       ...baseStyles,
       display: 'grid',
-      gridTemplateColumns: '1fr 1fr',
+      gridTemplateColumns: markdownDoc ? '260px 1fr 1fr' : '1fr 1fr',
       gap: '1px',
       background: colors.borderPrimary,
     };
@@ -328,7 +552,20 @@ export default function App() {
         >
           <EditorPanel
             code={code}
-            onCodeChange={setCode}
+            onCodeChange={commitCode}
+            errorInfo={errorInfo}
+            onSourceImport={handleSourceImport}
+            onMarkdownImport={openMarkdown}
+            onShareImport={handleShareImport}
+            onShare={handleShare}
+            shareStatus={shareStatus}
+            onAutoFixReview={handleAutoFixReviewOpen}
+            onUndo={undo}
+            onRedo={redo}
+            undoLabel={undoLabel}
+            redoLabel={redoLabel}
+            onSelectionChange={setEditorSelection}
+            revealRange={sourceReveal}
             isMobile={isMobile}
           />
         </div>
@@ -348,8 +585,20 @@ export default function App() {
             isRendering={isRendering}
             errorInfo={errorInfo}
             code={code}
-            onCodeChange={setCode}
+            onCodeChange={commitCode}
             onAutoFix={handleAutoFix}
+            exportStyle={exportStyle}
+            bgTransparent={bgTransparent}
+            mermaidTheme={mermaidTheme}
+            onMermaidThemeChange={setMermaidTheme}
+            onMermaidThemeReset={resetMermaidTheme}
+            onExportVariants={handleExportVariants}
+            canExport={canExport && !isExporting}
+            onElementSelect={handlePreviewElementSelect}
+            onShowSource={handlePreviewShowSource}
+            onLabelEdit={handlePreviewLabelEdit}
+            onNodeStyleChange={handlePreviewNodeStyleChange}
+            highlightTarget={highlightTarget}
             isMobile={isMobile}
           />
         </div>
@@ -357,12 +606,45 @@ export default function App() {
     </>
   );
 
+  // Lista de diagramas del documento Markdown abierto
+  const renderMarkdownPanel = (isCompact) => markdownDoc && (
+    <MarkdownBlocksPanel
+      doc={markdownDoc}
+      onSelect={selectBlock}
+      onClose={closeMarkdown}
+      getDiagrams={getMarkdownDiagrams}
+      exportOptions={{
+        format: exportFormat === 'svg' ? 'svg' : 'png',
+        themeConfig: mermaidTheme,
+        scale: exportScale,
+        sizing: pngSizing,
+        transparent: bgTransparent,
+        style: exportStyle,
+      }}
+      isCompact={isCompact}
+    />
+  );
+
   // Render tablet/desktop layout
   const renderDesktopLayout = () => (
     <>
+      {!isTablet && renderMarkdownPanel(false)}
       <EditorPanel
         code={code}
-        onCodeChange={setCode}
+        onCodeChange={commitCode}
+        errorInfo={errorInfo}
+        onSourceImport={handleSourceImport}
+        onMarkdownImport={openMarkdown}
+        onShareImport={handleShareImport}
+        onShare={handleShare}
+        shareStatus={shareStatus}
+        onAutoFixReview={handleAutoFixReviewOpen}
+        onUndo={undo}
+        onRedo={redo}
+        undoLabel={undoLabel}
+        redoLabel={redoLabel}
+        onSelectionChange={setEditorSelection}
+        revealRange={sourceReveal}
         isMobile={false}
         isTablet={isTablet}
       />
@@ -371,8 +653,19 @@ export default function App() {
         isRendering={isRendering}
         errorInfo={errorInfo}
         code={code}
-        onCodeChange={setCode}
+        onCodeChange={commitCode}
         onAutoFix={handleAutoFix}
+        exportStyle={exportStyle}
+        bgTransparent={bgTransparent}
+        mermaidTheme={mermaidTheme}
+        onMermaidThemeChange={setMermaidTheme}
+        onMermaidThemeReset={resetMermaidTheme}
+        onExportVariants={handleExportVariants}
+        canExport={canExport && !isExporting}
+        onElementSelect={handlePreviewElementSelect}
+        onLabelEdit={handlePreviewLabelEdit}
+        onNodeStyleChange={handlePreviewNodeStyleChange}
+        highlightTarget={highlightTarget}
         isMobile={false}
         isTablet={isTablet}
       />
@@ -383,24 +676,94 @@ export default function App() {
     <div className="app-container" style={styles.container}>
       <style>{dynamicCSS}</style>
 
-      <Header isMobile={isMobile} isTablet={isTablet} />
+      <Header
+        onOpenWorkspace={() => setIsWorkspaceOpen(true)}
+        documentName={activeDocument?.name}
+        onOpenBatch={() => setIsBatchOpen(true)}
+        isMobile={isMobile}
+        isTablet={isTablet}
+      />
+
+      {(isMobile || isTablet) && renderMarkdownPanel(true)}
 
       <main style={getMainStyles()}>
         {isMobile ? renderMobileLayout() : renderDesktopLayout()}
       </main>
 
       <Footer
+        exportFormat={exportFormat}
+        onFormatChange={setExportFormat}
         exportScale={exportScale}
         onScaleChange={setExportScale}
+        pngSizing={pngSizing}
+        onPngSizingChange={setPngSizing}
+        pdfOptions={pdfOptions}
+        onPdfOptionsChange={setPdfOptions}
+        posterOptions={posterOptions}
+        onPosterOptionsChange={setPosterOptions}
         bgTransparent={bgTransparent}
         onTransparentChange={setBgTransparent}
+        exportStyle={exportStyle}
+        onExportStyleChange={setExportStyle}
+        onExportStyleReset={resetExportStyle}
         onExport={handleExport}
+        onCopy={handleCopy}
+        copyStatus={copyStatus}
         isExporting={isExporting}
         exportSuccess={exportSuccess}
         canExport={canExport}
         isMobile={isMobile}
         isTablet={isTablet}
       />
+
+      <BatchExportDialog
+        isOpen={isBatchOpen}
+        onClose={handleBatchClose}
+        exportOptions={{
+          themeConfig: mermaidTheme,
+          scale: exportScale,
+          sizing: pngSizing,
+          transparent: bgTransparent,
+          style: exportStyle,
+        }}
+        isMobile={isMobile}
+      />
+
+      <WorkspaceSidebar
+        isOpen={isWorkspaceOpen}
+        onClose={handleWorkspaceClose}
+        documents={documents}
+        activeId={activeDocument?.id || null}
+        saveStatus={saveStatus}
+        workspaceError={workspaceError}
+        onOpen={handleDocumentOpen}
+        onCreate={handleDocumentCreate}
+        onOpenHistory={handleHistoryOpen}
+        onDuplicate={handleDocumentDuplicate}
+        onRename={renameDocument}
+        onDelete={deleteDocument}
+      />
+
+      <HistoryDialog
+        isOpen={isHistoryOpen}
+        onClose={handleHistoryClose}
+        document={activeDocument}
+        code={code}
+        flushActiveDocument={flushActiveDocument}
+        onRestore={handleHistoryRestore}
+        themeConfig={mermaidTheme}
+        isMobile={isMobile}
+      />
+
+      <AutoFixReviewDialog
+        isOpen={isAutoFixReviewOpen}
+        onClose={handleAutoFixReviewClose}
+        code={code}
+        settings={autoFixSettings}
+        onSettingsChange={setAutoFixSettings}
+        onApply={handleAutoFixReviewApply}
+        isMobile={isMobile}
+      />
     </div>
   );
 }
\ No newline at end of file
@@ -0,0 +1,360 @@
+import { useEffect, useMemo, useState } from 'react';
+import { useTheme } from '../../hooks/useTheme';
+import { useLanguage } from '../../hooks/useLanguage';
+import { getAutoFixChanges, applyAutoFixChanges } from '../../utils/mermaidAutoFix';
+import { DIFF_COLORS } from '../../utils/diffUtils';
+
+/**
+ * Texto de una corrección para la lista (las estructurales traen descripción)
+ * @param {Object} fix - Fix devuelto por autoFixMermaidCode
+ * @returns {string}
+ */
+const describeFix = (fix) => fix.description || `${fix.original} → ${fix.fixed}`;
+
+/**
+ * Revisión del auto-fix: lista cada corrección con su antes/después para
+ * aceptarla o rechazarla, y los ajustes del auto-fix preventivo (Responsive)
+ * @param {Object} props
+ * @param {boolean} props.isOpen - Si el diálogo está abierto
+ * @param {Function} props.onClose - Cerrar sin aplicar
+ * @param {string} props.code - Código actual del editor
+ * @param {{preventive: boolean, review: boolean}} props.settings - Ajustes del auto-fix
+ * @param {Function} props.onSettingsChange - Recibe los ajustes nuevos
+ * @param {Function} props.onApply - Recibe el código con las correcciones aceptadas y cuántas son
+ * @param {boolean} props.isMobile - Is mobile viewport
+ */
+export function AutoFixReviewDialog({ isOpen, onClose, code, settings, onSettingsChange, onApply, isMobile = false }) {
+    const { colors, isDark } = useTheme();
+    const { t } = useLanguage();
+
+    const changes = useMemo(() => (isOpen ? getAutoFixChanges(code) : []), [isOpen, code]);
+    const [acceptedLines, setAcceptedLines] = useState(() => new Set());
+
+    // Por defecto se aceptan todas; se recalcula si el código cambia con el diálogo abierto
+    useEffect(() => {
+        setAcceptedLines(new Set(changes.map((change) => change.line)));
+    }, [changes]);
+
+    // Cerrar con Escape
+    useEffect(() => {
+        if (!isOpen) return undefined;
+        const handleKeyDown = (e) => {
+            if (e.key === 'Escape') onClose();
+        };
+        document.addEventListener('keydown', handleKeyDown);
+        return () => document.removeEventListener('keydown', handleKeyDown);
+    }, [isOpen, onClose]);
+
+    if (!isOpen) return null;
+
+    const toggleLine = (line) => {
+        setAcceptedLines((prev) => {
+            const next = new Set(prev);
+            if (next.has(line)) next.delete(line);
+            else next.add(line);
+            return next;
+        });
+    };
+
+    const handleApply = () => {
+        const accepted = changes.filter((change) => acceptedLines.has(change.line));
+        const fixCount = accepted.reduce((total, change) => total + change.fixes.length, 0);
+        onApply(applyAutoFixChanges(code, accepted), fixCount);
+    };
+
+    const acceptedCount = changes.filter((change) => acceptedLines.has(change.line)).length;
+
+    const styles = {
+        overlay: {
+            position: 'fixed',
+            inset: 0,
+            background: 'rgba(0, 0, 0, 0.5)',
+            backdropFilter: 'blur(4px)',
+            zIndex: 1000,
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'center',
+            padding: '16px',
+        },
+        dialog: {
+            width: isMobile ? '100%' : 'min(860px, 100%)',
+            maxHeight: '85vh',
+            display: 'flex',
+            flexDirection: 'column',
+            gap: '16px',
+            padding: isMobile ? '18px' : '24px',
+            background: isDark ? '#18181b' : '#ffffff',
+            border: `1px solid ${colors.borderSecondary}`,
+            borderRadius: '16px',
+            boxShadow: '0 24px 64px rgba(0, 0, 0, 0.35)',
+            color: colors.textPrimary,
+        },
+        header: {
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'space-between',
+            gap: '12px',
+        },
+        title: {
+            fontSize: '16px',
+            fontWeight: '600',
+        },
+        closeButton: {
+            background: 'transparent',
+            border: 'none',
+            color: colors.textMuted,
+            cursor: 'pointer',
+            padding: '6px',
+            display: 'flex',
+        },
+        settings: {
+            display: 'flex',
+            flexDirection: 'column',
+            gap: '8px',
+            padding: '12px',
+            borderRadius: '10px',
+            background: colors.bgButton,
+            border: `1px solid ${colors.borderPrimary}`,
+        },
+        settingRow: {
+            display: 'flex',
+            alignItems: 'flex-start',
+            gap: '8px',
+            fontSize: '13px',
+            cursor: 'pointer',
+        },
+        settingHint: {
+            display: 'block',
+            fontSize: '11px',
+            color: colors.textMuted,
+        },
+        toolbar: {
+            display: 'flex',
+            alignItems: 'center',
+            gap: '8px',
+            fontSize: '12px',
+            color: colors.textMuted,
+        },
+        smallButton: {
+            padding: '3px 8px',
+            fontSize: '11px',
+            fontWeight: '500',
+            background: 'transparent',
+            border: `1px solid ${colors.borderSecondary}`,
+            borderRadius: '6px',
+            color: colors.textSecondary,
+            cursor: 'pointer',
+        },
+        list: {
+            flex: 1,
+            overflowY: 'auto',
+            display: 'flex',
+            flexDirection: 'column',
+            gap: '8px',
+            minHeight: 0,
+        },
+        item: {
+            display: 'flex',
+            gap: '10px',
+            padding: '10px 12px',
+            borderRadius: '10px',
+            border: `1px solid ${colors.borderPrimary}`,
+            background: colors.bgButton,
+            cursor: 'pointer',
+        },
+        itemRejected: {
+            opacity: 0.55,
+        },
+        itemBody: {
+            flex: 1,
+            minWidth: 0,
+            display: 'flex',
+            flexDirection: 'column',
+            gap: '6px',
+        },
+        itemTitle: {
+            fontSize: '12px',
+            fontWeight: '600',
+            color: colors.textSecondary,
+        },
+        fixList: {
+            margin: 0,
+            paddingLeft: '18px',
+            fontSize: '12px',
+            color: colors.textMuted,
+        },
+        diff: {
+            borderRadius: '6px',
+            overflow: 'auto',
+            border: `1px solid ${colors.borderPrimary}`,
+            background: colors.bgSecondary,
+        },
+        diffLine: {
+            display: 'grid',
+            gridTemplateColumns: '16px 1fr',
+            padding: '0 8px',
+            fontFamily: "'JetBrains Mono', monospace",
+            fontSize: '12px',
+            lineHeight: '20px',
+            whiteSpace: 'pre',
+            color: colors.textPrimary,
+        },
+        removedLine: {
+            background: 'rgba(239, 68, 68, 0.14)',
+        },
+        addedLine: {
+            background: 'rgba(34, 197, 94, 0.14)',
+        },
+        deletedNote: {
+            fontStyle: 'italic',
+            color: colors.textMuted,
+        },
+        hint: {
+            fontSize: '13px',
+            color: colors.textMuted,
+        },
+        footer: {
+            display: 'flex',
+            justifyContent: 'flex-end',
+            gap: '8px',
+        },
+        secondaryButton: {
+            padding: '8px 14px',
+            fontSize: '13px',
+            fontWeight: '500',
+            background: 'transparent',
+            border: `1px solid ${colors.borderSecondary}`,
+            borderRadius: '8px',
+            color: colors.textSecondary,
+            cursor: 'pointer',
+        },
+        primaryButton: {
+            padding: '8px 14px',
+            fontSize: '13px',
+            fontWeight: '600',
+            background: 'linear-gradient(135deg, #6366f1 0%, #8b5cf6 100%)',
+            border: 'none',
+            borderRadius: '8px',
+            color: '#fff',
+            cursor: acceptedCount > 0 ? 'pointer' : 'not-allowed',
+            opacity: acceptedCount > 0 ? 1 : 0.5,
+        },
+    };
+
+    return (
+        <div style={styles.overlay} onClick={onClose}>
+            <div
+                style={styles.dialog}
+                role="dialog"
+                aria-modal="true"
+                aria-label={t('autoFixReview.title')}
+                onClick={(e) => e.stopPropagation()}
+            >
+                <div style={styles.header}>
+                    <span style={styles.title}>{t('autoFixReview.title')}</span>
+                    <button onClick={onClose} style={styles.closeButton} aria-label={t('autoFixReview.close')}>
+                        <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                            <path d="M18 6L6 18M6 6l12 12" />
+                        </svg>
+                    </button>
+                </div>
+
+                <div style={styles.settings}>
+                    <label style={styles.settingRow}>
+                        <input
+                            type="checkbox"
+                            checked={settings.preventive}
+                            onChange={(e) => onSettingsChange({ ...settings, preventive: e.target.checked })}
+                        />
+                        <span>
+                            {t('autoFixReview.preventive')}
+                            <span style={styles.settingHint}>{t('autoFixReview.preventiveHint')}</span>
+                        </span>
+                    </label>
+                    <label style={styles.settingRow}>
+                        <input
+                            type="checkbox"
+                            checked={settings.review}
+                            onChange={(e) => onSettingsChange({ ...settings, review: e.target.checked })}
+                        />
+                        <span>
+                            {t('autoFixReview.reviewMode')}
+                            <span style={styles.settingHint}>{t('autoFixReview.reviewModeHint')}</span>
+                        </span>
+                    </label>
+                </div>
+
+                {changes.length === 0 ? (
+                    <span style={styles.hint}>{t('autoFixReview.empty')}</span>
+                ) : (
+                    <>
+                        <div style={styles.toolbar}>
+                            <span>{acceptedCount} / {changes.length} {t('autoFixReview.selected')}</span>
+                            <button
+                                style={styles.smallButton}
+                                onClick={() => setAcceptedLines(new Set(changes.map((change) => change.line)))}
+                            >
+                                {t('autoFixReview.acceptAll')}
+                            </button>
+                            <button style={styles.smallButton} onClick={() => setAcceptedLines(new Set())}>
+                                {t('autoFixReview.rejectAll')}
+                            </button>
+                        </div>
+
+                        <div style={styles.list}>
+                            {changes.map((change) => {
+                                const isAccepted = acceptedLines.has(change.line);
+                                return (
+                                    <label
+                                        key={change.line}
+                                        style={{ ...styles.item, ...(isAccepted ? {} : styles.itemRejected) }}
+                                    >
+                                        <input
+                                            type="checkbox"
+                                            checked={isAccepted}
+                                            onChange={() => toggleLine(change.line)}
+                                            aria-label={`${t('autoFixReview.line')} ${change.line}`}
+                                        />
+                                        <div style={styles.itemBody}>
+                                            <span style={styles.itemTitle}>{t('autoFixReview.line')} {change.line}</span>
+                                            <ul style={styles.fixList}>
+                                                {change.fixes.map((fix, index) => (
+                                                    <li key={index}>{describeFix(fix)}</li>
+                                                ))}
+                                            </ul>
+                                            <div style={styles.diff}>
+                                                <div style={{ ...styles.diffLine, ...styles.removedLine }}>
+                                                    <span style={{ color: DIFF_COLORS.removed }}>-</span>
+                                                    <span>{change.before}</span>
+                                                </div>
+                                                <div style={{ ...styles.diffLine, ...styles.addedLine }}>
+                                                    <span style={{ color: DIFF_COLORS.added }}>+</span>
+                                                    {change.after === null ? (
+                                                        <span style={styles.deletedNote}>{t('autoFixReview.lineRemoved')}</span>
+                                                    ) : (
+                                                        <span>{change.after}</span>
+                                                    )}
+                                                </div>
+                                            </div>
+                                        </div>
+                                    </label>
+                                );
+                            })}
+                        </div>
+                    </>
+                )}
+
+                <div style={styles.footer}>
+                    <button style={styles.secondaryButton} onClick={onClose}>
+                        {t('autoFixReview.cancel')}
+                    </button>
+                    {changes.length > 0 && (
+                        <button style={styles.primaryButton} onClick={handleApply} disabled={acceptedCount === 0}>
+                            {t('autoFixReview.apply')} ({acceptedCount})
+                        </button>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+}
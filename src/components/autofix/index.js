@@ -0,0 +1 @@
+export { AutoFixReviewDialog } from './AutoFixReviewDialog';
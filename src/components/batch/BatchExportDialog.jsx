@@ -0,0 +1,311 @@
+import { useEffect, useRef, useState } from 'react';
+import { useTheme } from '../../hooks/useTheme';
+import { useLanguage } from '../../hooks/useLanguage';
+import { useBatchExport } from '../../hooks/useBatchExport';
+import { BATCH_FORMATS, supportsDirectoryPicker, pickBatchDirectory, readBatchFiles } from '../../utils/batchExport';
+
+/**
+ * Diálogo de exportación por lotes: elige varios .mmd (o una carpeta),
+ * los exporta a un ZIP y muestra el informe por archivo (Responsive)
+ * @param {Object} props
+ * @param {boolean} props.isOpen - Si el diálogo está abierto
+ * @param {Function} props.onClose - Cerrar el diálogo
+ * @param {Object} props.exportOptions - Opciones actuales {themeConfig, scale, sizing, transparent, style}
+ * @param {boolean} props.isMobile - Is mobile viewport
+ */
+export function BatchExportDialog({ isOpen, onClose, exportOptions, isMobile = false }) {
+    const { colors, isDark } = useTheme();
+    const { t } = useLanguage();
+    const { runBatch, resetBatch, isRunning, progress, report, batchError } = useBatchExport();
+    const [format, setFormat] = useState('png');
+    const filesInputRef = useRef(null);
+    const folderInputRef = useRef(null);
+
+    // Cerrar con Escape (salvo durante la exportación)
+    useEffect(() => {
+        if (!isOpen) return undefined;
+        const handleKeyDown = (e) => {
+            if (e.key === 'Escape' && !isRunning) onClose();
+        };
+        document.addEventListener('keydown', handleKeyDown);
+        return () => document.removeEventListener('keydown', handleKeyDown);
+    }, [isOpen, isRunning, onClose]);
+
+    // Empezar limpio cada vez que se abre
+    useEffect(() => {
+        if (isOpen) resetBatch();
+    }, [isOpen, resetBatch]);
+
+    const startBatch = (diagrams) => runBatch(diagrams, { ...exportOptions, format });
+
+    const handleFilesChange = async (e) => {
+        const diagrams = await readBatchFiles(e.target.files);
+        // Permitir volver a elegir los mismos archivos
+        e.target.value = '';
+        startBatch(diagrams);
+    };
+
+    const handlePickFolder = async () => {
+        if (!supportsDirectoryPicker()) {
+            folderInputRef.current?.click();
+            return;
+        }
+        const diagrams = await pickBatchDirectory();
+        if (diagrams.length > 0) startBatch(diagrams);
+    };
+
+    if (!isOpen) return null;
+
+    const failed = report?.filter((entry) => entry.status === 'error') || [];
+    const succeeded = report ? report.length - failed.length : 0;
+
+    const styles = {
+        overlay: {
+            position: 'fixed',
+            inset: 0,
+            background: 'rgba(0, 0, 0, 0.5)',
+            backdropFilter: 'blur(4px)',
+            zIndex: 1000,
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'center',
+            padding: '16px',
+        },
+        dialog: {
+            width: isMobile ? '100%' : '520px',
+            maxHeight: '85vh',
+            display: 'flex',
+            flexDirection: 'column',
+            gap: '16px',
+            padding: isMobile ? '18px' : '24px',
+            background: isDark ? '#18181b' : '#ffffff',
+            border: `1px solid ${colors.borderSecondary}`,
+            borderRadius: '16px',
+            boxShadow: '0 24px 64px rgba(0, 0, 0, 0.35)',
+            color: colors.textPrimary,
+        },
+        header: {
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'space-between',
+        },
+        title: {
+            fontSize: '16px',
+            fontWeight: '600',
+        },
+        closeButton: {
+            background: 'transparent',
+            border: 'none',
+            color: colors.textMuted,
+            cursor: isRunning ? 'not-allowed' : 'pointer',
+            padding: '6px',
+            display: 'flex',
+        },
+        hint: {
+            fontSize: '12px',
+            color: colors.textMuted,
+            lineHeight: 1.5,
+        },
+        formats: {
+            display: 'flex',
+            gap: '2px',
+            background: colors.bgButton,
+            padding: '4px',
+            borderRadius: '10px',
+            alignSelf: 'flex-start',
+        },
+        formatButton: {
+            padding: '8px 14px',
+            fontSize: '13px',
+            fontWeight: '600',
+            background: 'transparent',
+            border: 'none',
+            borderRadius: '6px',
+            color: colors.textMuted,
+            cursor: 'pointer',
+        },
+        formatButtonActive: {
+            background: 'linear-gradient(135deg, #6366f1 0%, #8b5cf6 100%)',
+            color: '#fff',
+            boxShadow: '0 2px 8px rgba(99, 102, 241, 0.3)',
+        },
+        actions: {
+            display: 'flex',
+            gap: '10px',
+            flexWrap: 'wrap',
+        },
+        actionButton: {
+            flex: 1,
+            padding: '12px 16px',
+            fontSize: '14px',
+            fontWeight: '600',
+            background: colors.bgButton,
+            border: `1px solid ${colors.borderSecondary}`,
+            borderRadius: '10px',
+            color: colors.textSecondary,
+            cursor: isRunning ? 'not-allowed' : 'pointer',
+            opacity: isRunning ? 0.5 : 1,
+        },
+        progressTrack: {
+            height: '6px',
+            borderRadius: '3px',
+            background: colors.bgButton,
+            overflow: 'hidden',
+        },
+        progressBar: {
+            height: '100%',
+            width: progress ? `${(progress.done / progress.total) * 100}%` : 0,
+            background: 'linear-gradient(135deg, #6366f1 0%, #8b5cf6 100%)',
+            transition: 'width 0.2s ease',
+        },
+        summary: {
+            fontSize: '13px',
+            fontWeight: '600',
+        },
+        reportList: {
+            overflowY: 'auto',
+            display: 'flex',
+            flexDirection: 'column',
+            gap: '8px',
+            minHeight: 0,
+        },
+        reportItem: {
+            padding: '10px 12px',
+            borderRadius: '8px',
+            background: 'rgba(239, 68, 68, 0.08)',
+            border: '1px solid rgba(239, 68, 68, 0.25)',
+            fontSize: '12px',
+            display: 'flex',
+            flexDirection: 'column',
+            gap: '4px',
+        },
+        reportPath: {
+            fontFamily: "'JetBrains Mono', monospace",
+            fontWeight: '600',
+            color: colors.textPrimary,
+            wordBreak: 'break-all',
+        },
+        reportMessage: {
+            color: '#f87171',
+        },
+        error: {
+            fontSize: '13px',
+            color: '#ef4444',
+        },
+    };
+
+    return (
+        <div style={styles.overlay} onClick={() => !isRunning && onClose()}>
+            <div
+                style={styles.dialog}
+                role="dialog"
+                aria-modal="true"
+                aria-label={t('batch.title')}
+                onClick={(e) => e.stopPropagation()}
+            >
+                <div style={styles.header}>
+                    <span style={styles.title}>{t('batch.title')}</span>
+                    <button
+                        onClick={onClose}
+                        disabled={isRunning}
+                        style={styles.closeButton}
+                        aria-label={t('batch.close')}
+                    >
+                        <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                            <path d="M18 6L6 18M6 6l12 12" />
+                        </svg>
+                    </button>
+                </div>
+
+                <p style={styles.hint}>{t('batch.description')}</p>
+
+                <div style={styles.formats}>
+                    {BATCH_FORMATS.map((value) => (
+                        <button
+                            key={value}
+                            onClick={() => setFormat(value)}
+                            disabled={isRunning}
+                            style={{
+                                ...styles.formatButton,
+                                ...(format === value ? styles.formatButtonActive : {}),
+                            }}
+                        >
+                            {t(`batch.formats.${value}`)}
+                        </button>
+                    ))}
+                </div>
+
+                <div style={styles.actions}>
+                    <button
+                        onClick={() => filesInputRef.current?.click()}
+                        disabled={isRunning}
+                        style={styles.actionButton}
+                    >
+                        {t('batch.chooseFiles')}
+                    </button>
+                    <button
+                        onClick={handlePickFolder}
+                        disabled={isRunning}
+                        style={styles.actionButton}
+                    >
+                        {t('batch.chooseFolder')}
+                    </button>
+                    <input
+                        ref={filesInputRef}
+                        type="file"
+                        accept=".mmd,.mermaid"
+                        multiple
+                        onChange={handleFilesChange}
+                        style={{ display: 'none' }}
+                    />
+                    {/* Alternativa a showDirectoryPicker para navegadores sin File System Access API */}
+                    <input
+                        ref={folderInputRef}
+                        type="file"
+                        webkitdirectory=""
+                        multiple
+                        onChange={handleFilesChange}
+                        style={{ display: 'none' }}
+                    />
+                </div>
+
+                {progress && (
+                    <>
+                        <div style={styles.progressTrack}>
+                            <div style={styles.progressBar} />
+                        </div>
+                        <span style={styles.hint}>
+                            {isRunning
+                                ? `${t('batch.progress')} ${progress.done}/${progress.total}`
+                                : t('batch.downloaded')}
+                        </span>
+                    </>
+                )}
+
+                {batchError && <span style={styles.error}>{batchError}</span>}
+
+                {report && (
+                    <>
+                        <span style={styles.summary}>
+                            {succeeded} {t('batch.exported')} · {failed.length} {t('batch.failed')}
+                        </span>
+                        {failed.length > 0 && (
+                            <div style={styles.reportList}>
+                                {failed.map((entry) => (
+                                    <div key={entry.path} style={styles.reportItem}>
+                                        <span style={styles.reportPath}>
+                                            {entry.path}
+                                            {entry.error.lineNumber && ` · ${t('batch.line')} ${entry.error.lineNumber}`}
+                                        </span>
+                                        <span style={styles.reportMessage}>{entry.error.summary}</span>
+                                        <span style={styles.hint}>{entry.error.message.split('\n')[0]}</span>
+                                    </div>
+                                ))}
+                            </div>
+                        )}
+                    </>
+                )}
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1 @@
+export { BatchExportDialog } from './BatchExportDialog';
@@ -0,0 +1,724 @@
+import { useState, useRef, useMemo, useCallback, useEffect, useLayoutEffect } from 'react';
+import { useTheme } from '../../hooks/useTheme';
+import { useLanguage } from '../../hooks/useLanguage';
+import { tokenizeLine, findMatchingBracket } from '../../utils/syntaxHighlight';
+
+const LINE_HEIGHT = 1.7;
+const INDENT = '    ';
+const COMPLETION_WIDTH = 260;
+const LINT_TOOLTIP_WIDTH = 320;
+// Margen para pasar el ratón del subrayado al tooltip sin que se cierre
+const LINT_HIDE_DELAY = 250;
+
+// Inicial que identifica el tipo de cada sugerencia
+const COMPLETION_BADGES = {
+    node: 'N',
+    subgraph: 'S',
+    class: 'C',
+    keyword: 'K',
+    arrow: '→',
+};
+
+/**
+ * Sustituye el rango [from, to] del textarea conservando la pila de deshacer nativa
+ * @param {HTMLTextAreaElement} textarea
+ * @param {number} from
+ * @param {number} to
+ * @param {string} text
+ * @param {Function} onChange - Fallback si el navegador no admite execCommand
+ */
+const replaceRange = (textarea, from, to, text, onChange) => {
+    textarea.focus();
+    textarea.setSelectionRange(from, to);
+    if (!document.execCommand('insertText', false, text)) {
+        textarea.setRangeText(text, from, to, 'end');
+        onChange(textarea.value);
+    }
+};
+
+/**
+ * Editor de código Mermaid: textarea nativo (conserva selección e IME)
+ * sobre una capa con resaltado de sintaxis, números de línea, emparejado
+ * de corchetes, marcadores de error/aviso en el margen y subrayado de
+ * problemas con arreglo rápido (tooltip al pasar el ratón o Ctrl+.)
+ * @param {Object} props
+ * @param {string} props.value - Código
+ * @param {Function} props.onChange - Recibe el código nuevo
+ * @param {Function} [props.onPaste] - Handler de pegado del textarea
+ * @param {string} [props.placeholder]
+ * @param {string} props.diagramType - Tipo de diagrama (ver getDiagramType) para las palabras clave
+ * @param {Array<{line: number, severity: 'error'|'warning', message: string}>} props.markers - Marcadores del margen
+ * @param {Function} [props.getCompletions] - (code, caret, {explicit}) => {from, items} | null (ver utils/completion)
+ * @param {Array<{line: number, start: number, end: number, message: string, severity: string}>} [props.diagnostics] - Problemas a subrayar (ver utils/lint)
+ * @param {Function} [props.getQuickFix] - (code, line) => {from, to, text} | null (ver utils/lint)
+ * @param {Function} [props.onSelectionChange] - Recibe la selección ({start, end}) al moverse el cursor
+ * @param {{from: number, to: number, line: number}|null} [props.revealRange] - Rango a seleccionar y mostrar (cada objeto nuevo se aplica una vez)
+ * @param {boolean} props.isMobile - Is mobile viewport
+ */
+export function CodeEditor({
+    value,
+    onChange,
+    onPaste,
+    placeholder,
+    diagramType,
+    markers = [],
+    getCompletions,
+    diagnostics = [],
+    getQuickFix,
+    onSelectionChange,
+    revealRange = null,
+    isMobile = false,
+}) {
+    const { colors } = useTheme();
+    const { t } = useLanguage();
+    const textareaRef = useRef(null);
+    const highlightRef = useRef(null);
+    const gutterRef = useRef(null);
+    const releaseTabRef = useRef(false);
+    const measureRef = useRef(null);
+    const [caret, setCaret] = useState(null);
+    const [completion, setCompletion] = useState(null); // { from, items, selected, top, left }
+    const [lintTooltip, setLintTooltip] = useState(null); // { line, items, top, left }
+    const hideLintTimerRef = useRef(null);
+    const previousValueRef = useRef(value);
+    const emittedValueRef = useRef(value);
+    const appliedRevealRef = useRef(null);
+
+    const fontSize = isMobile ? 13 : 14;
+    const lineHeightPx = fontSize * LINE_HEIGHT;
+    const padding = isMobile ? 16 : 20;
+
+    const lines = useMemo(() => value.split('\n'), [value]);
+    const tokenizedLines = useMemo(
+        () => lines.map((line) => tokenizeLine(line, diagramType)),
+        [lines, diagramType],
+    );
+    const bracketPair = useMemo(
+        () => (caret === null ? null : findMatchingBracket(value, caret)),
+        [value, caret],
+    );
+
+    // Marcadores agrupados por línea (el error tiene prioridad sobre los avisos)
+    const markersByLine = useMemo(() => {
+        const grouped = new Map();
+        markers.forEach((marker) => {
+            const entry = grouped.get(marker.line) || { severity: 'warning', messages: [] };
+            if (marker.severity === 'error') entry.severity = 'error';
+            entry.messages.push(marker.message);
+            grouped.set(marker.line, entry);
+        });
+        return grouped;
+    }, [markers]);
+
+    // Diagnósticos agrupados por línea para el subrayado
+    const diagnosticsByLine = useMemo(() => {
+        const grouped = new Map();
+        diagnostics.forEach((diagnostic) => {
+            grouped.set(diagnostic.line, [...(grouped.get(diagnostic.line) || []), diagnostic]);
+        });
+        return grouped;
+    }, [diagnostics]);
+
+    useEffect(() => () => clearTimeout(hideLintTimerRef.current), []);
+
+    // Cambio externo con el editor enfocado (deshacer, auto-fix...): el cursor va al
+    // primer carácter distinto en lugar de saltar al final del texto
+    useLayoutEffect(() => {
+        const previous = previousValueRef.current;
+        previousValueRef.current = value;
+        const textarea = textareaRef.current;
+        if (!textarea || value === emittedValueRef.current || document.activeElement !== textarea) return;
+
+        let index = 0;
+        while (index < previous.length && index < value.length && previous[index] === value[index]) index++;
+        textarea.setSelectionRange(index, index);
+        emittedValueRef.current = value;
+    }, [value]);
+
+    const updateCaret = useCallback(() => {
+        const textarea = textareaRef.current;
+        if (!textarea) return;
+        setCaret(textarea.selectionStart === textarea.selectionEnd ? textarea.selectionStart : null);
+        onSelectionChange?.({ start: textarea.selectionStart, end: textarea.selectionEnd });
+    }, [onSelectionChange]);
+
+    /**
+     * Ancho en px de un texto con la fuente del editor. Se mide en lugar de
+     * multiplicar columnas: los tabuladores y los caracteres anchos (CJK, emoji)
+     * no ocupan una celda
+     * @param {string} text - Inicio de una línea
+     * @returns {number}
+     */
+    const measureTextWidth = (text) => {
+        const measure = measureRef.current;
+        if (!measure) return 0;
+        measure.textContent = text;
+        return measure.getBoundingClientRect().width;
+    };
+
+    /**
+     * Abre (o actualiza) las sugerencias para la posición actual del cursor
+     * @param {boolean} explicit - Pedidas con Ctrl+Espacio
+     */
+    const openCompletion = (explicit = false) => {
+        const textarea = textareaRef.current;
+        if (!getCompletions || !textarea || textarea.selectionStart !== textarea.selectionEnd) {
+            setCompletion(null);
+            return;
+        }
+
+        const position = textarea.selectionStart;
+        const result = getCompletions(textarea.value, position, { explicit });
+        if (!result) {
+            setCompletion(null);
+            return;
+        }
+
+        const before = textarea.value.slice(0, position);
+        const line = before.split('\n').length;
+        const lineStart = before.lastIndexOf('\n') + 1;
+        const x = measureTextWidth(textarea.value.slice(lineStart, result.from));
+        const maxLeft = Math.max(0, textarea.clientWidth - COMPLETION_WIDTH);
+
+        setCompletion({
+            from: result.from,
+            items: result.items,
+            selected: 0,
+            top: padding + line * lineHeightPx - textarea.scrollTop + 2,
+            left: Math.min(maxLeft, Math.max(0, padding + x - textarea.scrollLeft)),
+        });
+    };
+
+    const acceptCompletion = (item) => {
+        const textarea = textareaRef.current;
+        if (!textarea || !completion) return;
+        replaceRange(textarea, completion.from, textarea.selectionStart, item.label, onChange);
+        setCompletion(null);
+        updateCaret();
+    };
+
+    /**
+     * Muestra el tooltip con los problemas de una línea
+     * @param {number} lineNumber - Línea (1-based)
+     * @param {Array} items - Diagnósticos a mostrar
+     * @param {number} left - Posición horizontal (px, relativa al área de código) donde anclarlo
+     */
+    const showLintTooltip = (lineNumber, items, left) => {
+        const textarea = textareaRef.current;
+        clearTimeout(hideLintTimerRef.current);
+        const maxLeft = Math.max(0, textarea.clientWidth - LINT_TOOLTIP_WIDTH);
+        setLintTooltip({
+            line: lineNumber,
+            items,
+            top: padding + lineNumber * lineHeightPx - textarea.scrollTop + 2,
+            left: Math.min(maxLeft, Math.max(0, left)),
+        });
+    };
+
+    const scheduleHideLintTooltip = () => {
+        clearTimeout(hideLintTimerRef.current);
+        hideLintTimerRef.current = setTimeout(() => setLintTooltip(null), LINT_HIDE_DELAY);
+    };
+
+    // El textarea tapa la capa de resaltado: se comprueba qué subrayados hay bajo el ratón
+    const handleMouseMove = (e) => {
+        const textarea = textareaRef.current;
+        if (!textarea || !highlightRef.current || diagnostics.length === 0) return;
+
+        let lineNumber = null;
+        let left = Infinity;
+        const hovered = [];
+        highlightRef.current.querySelectorAll('[data-lint-line]').forEach((element) => {
+            const rect = element.getBoundingClientRect();
+            if (e.clientX < rect.left || e.clientX >= rect.right || e.clientY < rect.top || e.clientY >= rect.bottom) return;
+            lineNumber = Number(element.dataset.lintLine);
+            left = Math.min(left, rect.left);
+            hovered.push(diagnosticsByLine.get(lineNumber)[Number(element.dataset.lintIndex)]);
+        });
+
+        if (hovered.length === 0) {
+            if (lintTooltip) scheduleHideLintTooltip();
+            return;
+        }
+        if (lintTooltip?.line === lineNumber && lintTooltip.items.length === hovered.length) {
+            clearTimeout(hideLintTimerRef.current);
+            return;
+        }
+        showLintTooltip(lineNumber, hovered, left - textarea.getBoundingClientRect().left);
+    };
+
+    /**
+     * Aplica el arreglo de una línea como edición del textarea (se deshace con Ctrl+Z)
+     * @param {number} lineNumber - Línea (1-based)
+     */
+    const applyQuickFix = (lineNumber) => {
+        const textarea = textareaRef.current;
+        setLintTooltip(null);
+        if (!textarea || !getQuickFix) return;
+        const fix = getQuickFix(textarea.value, lineNumber);
+        if (!fix) return;
+        replaceRange(textarea, fix.from, fix.to, fix.text, onChange);
+        updateCaret();
+    };
+
+    // La capa de resaltado y el margen siguen el scroll del textarea
+    const handleScroll = () => {
+        const textarea = textareaRef.current;
+        if (highlightRef.current) {
+            highlightRef.current.scrollTop = textarea.scrollTop;
+            highlightRef.current.scrollLeft = textarea.scrollLeft;
+        }
+        if (gutterRef.current) {
+            gutterRef.current.style.transform = `translateY(${-textarea.scrollTop}px)`;
+        }
+        setCompletion(null);
+        setLintTooltip(null);
+    };
+
+    // Tab indenta; tras Escape, Tab vuelve a mover el foco (accesibilidad de teclado)
+    const handleKeyDown = (e) => {
+        if (completion) {
+            if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                e.preventDefault();
+                const step = e.key === 'ArrowDown' ? 1 : -1;
+                const count = completion.items.length;
+                setCompletion({ ...completion, selected: (completion.selected + step + count) % count });
+                return;
+            }
+            if (e.key === 'Enter' || e.key === 'Tab') {
+                e.preventDefault();
+                acceptCompletion(completion.items[completion.selected]);
+                return;
+            }
+            if (e.key === 'Escape') {
+                e.preventDefault();
+                setCompletion(null);
+                return;
+            }
+        }
+
+        if (e.key === ' ' && (e.ctrlKey || e.metaKey)) {
+            e.preventDefault();
+            openCompletion(true);
+            return;
+        }
+
+        // Ctrl+. arregla la línea del cursor si tiene problemas
+        if (e.key === '.' && (e.ctrlKey || e.metaKey)) {
+            e.preventDefault();
+            const lineNumber = e.currentTarget.value.slice(0, e.currentTarget.selectionStart).split('\n').length;
+            if (diagnosticsByLine.has(lineNumber)) applyQuickFix(lineNumber);
+            return;
+        }
+
+        if (e.key === 'Escape' && lintTooltip) {
+            setLintTooltip(null);
+            return;
+        }
+
+        if (e.key === 'Escape') {
+            releaseTabRef.current = true;
+            return;
+        }
+        if (e.key !== 'Tab' || e.shiftKey || releaseTabRef.current) {
+            releaseTabRef.current = false;
+            return;
+        }
+
+        e.preventDefault();
+        const textarea = e.currentTarget;
+        replaceRange(textarea, textarea.selectionStart, textarea.selectionEnd, INDENT, onChange);
+    };
+
+    /**
+     * Selecciona un rango y desplaza el editor hasta su línea
+     * @param {number} from
+     * @param {number} to
+     * @param {number} lineNumber - Línea del rango (1-based)
+     */
+    const selectRange = useCallback((from, to, lineNumber) => {
+        const textarea = textareaRef.current;
+        if (!textarea) return;
+        textarea.focus();
+        textarea.setSelectionRange(from, to);
+        textarea.scrollTop = Math.max(0, (lineNumber - 3) * lineHeightPx);
+        updateCaret();
+    }, [lineHeightPx, updateCaret]);
+
+    // Clic en un marcador: seleccionar la línea en el editor
+    const selectLine = (lineNumber) => {
+        const start = lines.slice(0, lineNumber - 1).reduce((total, line) => total + line.length + 1, 0);
+        selectRange(start, start + (lines[lineNumber - 1]?.length || 0), lineNumber);
+    };
+
+    // Clic en un elemento del preview: seleccionar su definición (cada petición una sola vez)
+    useEffect(() => {
+        if (!revealRange || revealRange === appliedRevealRef.current) return;
+        appliedRevealRef.current = revealRange;
+        selectRange(revealRange.from, revealRange.to, revealRange.line);
+    }, [revealRange, selectRange]);
+
+    const textMetrics = {
+        fontSize: `${fontSize}px`,
+        fontFamily: "'JetBrains Mono', monospace",
+        lineHeight: `${lineHeightPx}px`,
+        letterSpacing: '0.01em',
+        tabSize: 4,
+        whiteSpace: 'pre',
+    };
+
+    const styles = {
+        root: {
+            flex: 1,
+            display: 'flex',
+            minHeight: 0,
+            background: colors.bgInput,
+            transition: 'background 0.3s ease',
+        },
+        gutter: {
+            flexShrink: 0,
+            overflow: 'hidden',
+            borderRight: `1px solid ${colors.borderPrimary}`,
+            userSelect: 'none',
+        },
+        gutterInner: {
+            paddingTop: `${padding}px`,
+            paddingBottom: `${padding}px`,
+            willChange: 'transform',
+        },
+        gutterLine: {
+            ...textMetrics,
+            height: `${lineHeightPx}px`,
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'flex-end',
+            gap: '6px',
+            padding: '0 10px 0 8px',
+            fontSize: `${fontSize - 2}px`,
+            color: colors.gutterText,
+        },
+        marker: {
+            width: '8px',
+            height: '8px',
+            borderRadius: '50%',
+            flexShrink: 0,
+            cursor: 'pointer',
+        },
+        codeArea: {
+            flex: 1,
+            position: 'relative',
+            minWidth: 0,
+        },
+        highlight: {
+            ...textMetrics,
+            position: 'absolute',
+            inset: 0,
+            margin: 0,
+            padding: `${padding}px`,
+            overflow: 'hidden',
+            pointerEvents: 'none',
+            color: colors.syntax.text,
+        },
+        line: {
+            position: 'relative',
+            minHeight: `${lineHeightPx}px`,
+            width: 'max-content',
+            minWidth: '100%',
+        },
+        // Copia transparente de la línea: el subrayado queda sobre el mismo texto
+        // aunque haya tabuladores o caracteres anchos delante
+        squiggleLayer: {
+            position: 'absolute',
+            top: 0,
+            left: 0,
+            color: 'transparent',
+        },
+        squiggle: {
+            textDecorationLine: 'underline',
+            textDecorationStyle: 'wavy',
+            textDecorationSkipInk: 'none',
+            textUnderlineOffset: '3px',
+        },
+        lintTooltip: {
+            position: 'absolute',
+            width: `${LINT_TOOLTIP_WIDTH}px`,
+            padding: '10px 12px',
+            background: colors.bgSecondary,
+            border: `1px solid ${colors.borderSecondary}`,
+            borderRadius: '8px',
+            boxShadow: '0 8px 24px rgba(0, 0, 0, 0.25)',
+            fontSize: '12px',
+            lineHeight: 1.5,
+            color: colors.textPrimary,
+            zIndex: 10,
+        },
+        lintMessage: {
+            margin: '0 0 6px 0',
+        },
+        quickFixButton: {
+            marginTop: '4px',
+            padding: '4px 10px',
+            fontSize: '12px',
+            fontWeight: '600',
+            color: '#fff',
+            background: '#f59e0b',
+            border: 'none',
+            borderRadius: '5px',
+            cursor: 'pointer',
+        },
+        measure: {
+            ...textMetrics,
+            position: 'absolute',
+            visibility: 'hidden',
+            pointerEvents: 'none',
+        },
+        completion: {
+            position: 'absolute',
+            width: `${COMPLETION_WIDTH}px`,
+            maxHeight: `${lineHeightPx * 8}px`,
+            overflowY: 'auto',
+            margin: 0,
+            padding: '4px',
+            listStyle: 'none',
+            background: colors.bgSecondary,
+            border: `1px solid ${colors.borderSecondary}`,
+            borderRadius: '8px',
+            boxShadow: '0 8px 24px rgba(0, 0, 0, 0.25)',
+            zIndex: 10,
+        },
+        completionItem: {
+            display: 'flex',
+            alignItems: 'center',
+            gap: '8px',
+            padding: '4px 8px',
+            borderRadius: '5px',
+            cursor: 'pointer',
+            fontSize: '12px',
+        },
+        completionItemActive: {
+            background: 'rgba(99, 102, 241, 0.18)',
+        },
+        completionBadge: {
+            width: '16px',
+            flexShrink: 0,
+            textAlign: 'center',
+            fontSize: '10px',
+            fontWeight: '700',
+            color: '#8b5cf6',
+        },
+        completionLabel: {
+            fontFamily: "'JetBrains Mono', monospace",
+            color: colors.textPrimary,
+            whiteSpace: 'nowrap',
+        },
+        completionDetail: {
+            flex: 1,
+            minWidth: 0,
+            color: colors.textMuted,
+            overflow: 'hidden',
+            textOverflow: 'ellipsis',
+            whiteSpace: 'nowrap',
+            textAlign: 'right',
+        },
+        textarea: {
+            ...textMetrics,
+            position: 'absolute',
+            inset: 0,
+            width: '100%',
+            height: '100%',
+            margin: 0,
+            padding: `${padding}px`,
+            background: 'transparent',
+            border: 'none',
+            outline: 'none',
+            resize: 'none',
+            overflow: 'auto',
+            // El texto visible es la capa de resaltado; el textarea aporta cursor y selección
+            color: 'transparent',
+            caretColor: colors.textPrimary,
+        },
+    };
+
+    const markerColor = { error: '#ef4444', warning: '#f59e0b' };
+    const gutterDigits = String(lines.length).length;
+
+    // El texto del textarea es transparente: el placeholder necesita su propio color
+    const placeholderCSS = `
+        .code-editor-input::placeholder {
+            color: ${colors.textMuted};
+        }
+    `;
+
+    let offset = 0;
+
+    return (
+        <div style={styles.root}>
+            <style>{placeholderCSS}</style>
+            <div style={{ ...styles.gutter, minWidth: `${gutterDigits + 4}ch` }} aria-hidden="true">
+                <div ref={gutterRef} style={styles.gutterInner}>
+                    {lines.map((_, index) => {
+                        const lineMarkers = markersByLine.get(index + 1);
+                        return (
+                            <div key={index} style={styles.gutterLine}>
+                                {lineMarkers && (
+                                    <span
+                                        style={{ ...styles.marker, background: markerColor[lineMarkers.severity] }}
+                                        title={lineMarkers.messages.join('\n')}
+                                        onClick={() => selectLine(index + 1)}
+                                    />
+                                )}
+                                {index + 1}
+                            </div>
+                        );
+                    })}
+                </div>
+            </div>
+
+            <div style={styles.codeArea}>
+                <pre ref={highlightRef} style={styles.highlight} aria-hidden="true">
+                    {tokenizedLines.map((tokens, index) => {
+                        const lineStart = offset;
+                        offset += lines[index].length + 1;
+                        let tokenStart = lineStart;
+                        const isErrorLine = markersByLine.get(index + 1)?.severity === 'error';
+
+                        return (
+                            <div
+                                key={index}
+                                style={{ ...styles.line, background: isErrorLine ? colors.lineError : 'transparent' }}
+                            >
+                                {tokens.map((token, tokenIndex) => {
+                                    const start = tokenStart;
+                                    tokenStart += token.text.length;
+                                    const isMatchedBracket = token.type === 'bracket' && bracketPair?.includes(start);
+                                    return (
+                                        <span
+                                            key={tokenIndex}
+                                            style={{
+                                                color: colors.syntax[token.type],
+                                                fontStyle: token.type === 'comment' ? 'italic' : 'normal',
+                                                fontWeight: token.type === 'keyword' ? 600 : 'normal',
+                                                background: isMatchedBracket ? colors.bracketMatch : 'transparent',
+                                                borderRadius: isMatchedBracket ? '2px' : 0,
+                                            }}
+                                        >
+                                            {token.text}
+                                        </span>
+                                    );
+                                })}
+                                {(diagnosticsByLine.get(index + 1) || []).map((diagnostic, diagnosticIndex) => (
+                                    <span key={`lint-${diagnosticIndex}`} style={styles.squiggleLayer}>
+                                        {lines[index].slice(0, diagnostic.start)}
+                                        <span
+                                            data-lint-line={index + 1}
+                                            data-lint-index={diagnosticIndex}
+                                            style={{ ...styles.squiggle, textDecorationColor: markerColor[diagnostic.severity] }}
+                                        >
+                                            {lines[index].slice(diagnostic.start, diagnostic.end)}
+                                        </span>
+                                    </span>
+                                ))}
+                            </div>
+                        );
+                    })}
+                </pre>
+
+                <textarea
+                    ref={textareaRef}
+                    value={value}
+                    onChange={(e) => {
+                        emittedValueRef.current = e.target.value;
+                        onChange(e.target.value);
+                        updateCaret();
+                        // Sugerir al escribir; al borrar solo se actualiza la lista ya abierta
+                        const inputType = e.nativeEvent.inputType || '';
+                        if (inputType.startsWith('insert') || (completion && inputType.startsWith('delete'))) {
+                            openCompletion();
+                        } else {
+                            setCompletion(null);
+                        }
+                    }}
+                    onPaste={onPaste}
+                    onMouseMove={handleMouseMove}
+                    onMouseLeave={() => lintTooltip && scheduleHideLintTooltip()}
+                    onScroll={handleScroll}
+                    onKeyDown={handleKeyDown}
+                    onKeyUp={updateCaret}
+                    onClick={() => {
+                        updateCaret();
+                        setCompletion(null);
+                    }}
+                    onSelect={updateCaret}
+                    onBlur={() => {
+                        setCaret(null);
+                        setCompletion(null);
+                    }}
+                    className="code-editor-input"
+                    style={styles.textarea}
+                    placeholder={placeholder}
+                    spellCheck={false}
+                    wrap="off"
+                    autoCapitalize="off"
+                    autoComplete="off"
+                    autoCorrect="off"
+                    aria-autocomplete={getCompletions ? 'list' : undefined}
+                    aria-expanded={getCompletions ? Boolean(completion) : undefined}
+                />
+
+                <span ref={measureRef} style={styles.measure} aria-hidden="true" />
+
+                {lintTooltip && (
+                    <div
+                        role="tooltip"
+                        style={{ ...styles.lintTooltip, top: lintTooltip.top, left: lintTooltip.left }}
+                        onMouseEnter={() => clearTimeout(hideLintTimerRef.current)}
+                        onMouseLeave={scheduleHideLintTooltip}
+                    >
+                        {lintTooltip.items.map((diagnostic, index) => (
+                            <p key={index} style={styles.lintMessage}>{diagnostic.message}</p>
+                        ))}
+                        {getQuickFix && (
+                            <button
+                                type="button"
+                                style={styles.quickFixButton}
+                                title={`${t('editor.quickFix')} (Ctrl+.)`}
+                                // mousedown para no quitar el foco al textarea
+                                onMouseDown={(e) => {
+                                    e.preventDefault();
+                                    applyQuickFix(lintTooltip.line);
+                                }}
+                            >
+                                {t('editor.quickFix')}
+                            </button>
+                        )}
+                    </div>
+                )}
+
+                {completion && (
+                    <ul role="listbox" style={{ ...styles.completion, top: completion.top, left: completion.left }}>
+                        {completion.items.map((item, index) => (
+                            <li
+                                key={`${item.kind}-${item.label}`}
+                                role="option"
+                                aria-selected={index === completion.selected}
+                                // mousedown para no quitar el foco al textarea
+                                onMouseDown={(e) => {
+                                    e.preventDefault();
+                                    acceptCompletion(item);
+                                }}
+                                style={{
+                                    ...styles.completionItem,
+                                    ...(index === completion.selected ? styles.completionItemActive : {}),
+                                }}
+                            >
+                                <span style={styles.completionBadge}>{COMPLETION_BADGES[item.kind]}</span>
+                                <span style={styles.completionLabel}>{item.label}</span>
+                                {item.detail && <span style={styles.completionDetail}>{item.detail}</span>}
+                            </li>
+                        ))}
+                    </ul>
+                )}
+            </div>
+        </div>
+    );
+}
@@ -1,11 +1,21 @@
-import { useState } from 'react';
+import { useState, useRef, useMemo, useDeferredValue } from 'react';
 import { useTheme } from '../../hooks/useTheme';
 import { useLanguage } from '../../hooks/useLanguage';
 import { IconButton } from '../ui';
+import { isPng, extractMermaidSource } from '../../utils/pngMetadata';
+import { MARKDOWN_FILE_PATTERN, containsMermaidBlocks } from '../../utils/markdownDiagrams';
+import { isShareLink, decodeShareState } from '../../utils/shareUrl';
+import { getDiagramType } from '../../utils/mermaidAutoFix';
+import { getCompletions } from '../../utils/completion';
+import { lintCode, getQuickFix } from '../../utils/lint';
+import { CodeEditor } from './CodeEditor';
 
 // Diagram types (labels are not translated as they are Mermaid syntax names)
 const DIAGRAM_TYPES = ['flowchart', 'sequence', 'classDiagram', 'stateDiagram', 'erDiagram', 'gantt', 'pie', 'mindmap'];
 
+// Plain-text files that can be dropped straight into the editor
+const TEXT_FILE_PATTERN = /\.(mmd|mermaid|txt)$/i;
+
 // Icono de copiar
 const CopyIcon = () => (
     <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
@@ -14,6 +24,45 @@ const CopyIcon = () => (
     </svg>
 );
 
+// Icono de documento Markdown
+const MarkdownIcon = () => (
+    <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+        <rect x="2" y="5" width="20" height="14" rx="2" />
+        <path d="M6 15V9l3 3 3-3v6" />
+        <path d="M17 9v6m-2-2l2 2 2-2" />
+    </svg>
+);
+
+// Icono de enlace
+const LinkIcon = () => (
+    <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+        <path d="M10 13a5 5 0 007.54.54l3-3a5 5 0 00-7.07-7.07l-1.72 1.71" />
+        <path d="M14 11a5 5 0 00-7.54-.54l-3 3a5 5 0 007.07 7.07l1.71-1.71" />
+    </svg>
+);
+
+// Iconos de deshacer / rehacer
+const UndoIcon = () => (
+    <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+        <path d="M9 14L4 9l5-5" />
+        <path d="M4 9h11a5 5 0 010 10h-4" />
+    </svg>
+);
+
+const RedoIcon = () => (
+    <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+        <path d="M15 14l5-5-5-5" />
+        <path d="M20 9H9a5 5 0 000 10h4" />
+    </svg>
+);
+
+// Icono de llave inglesa (revisar auto-fix)
+const WrenchIcon = () => (
+    <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+        <path d="M14.7 6.3a1 1 0 000 1.4l1.6 1.6a1 1 0 001.4 0l3.77-3.77a6 6 0 01-7.94 7.94l-6.91 6.91a2.12 2.12 0 01-3-3l6.91-6.91a6 6 0 017.94-7.94l-3.76 3.76z" />
+    </svg>
+);
+
 // Icono de check
 const CheckIcon = () => (
     <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="#10b981" strokeWidth="2">
@@ -22,18 +71,66 @@ const CheckIcon = () => (
 );
 
 /**
- * Panel de editor con textarea y ejemplos (Responsive)
+ * Panel de editor con resaltado de sintaxis, marcadores de error y ejemplos (Responsive)
  * @param {Object} props
  * @param {string} props.code - Código actual
- * @param {Function} props.onCodeChange - Handler de cambio de código
+ * @param {Function} props.onCodeChange - Handler de cambio de código (code, label?) - label describe el paso para deshacer
+ * @param {Object|null} props.errorInfo - Error de render (ver parseError) para marcar su línea
+ * @param {Function} props.onSourceImport - Handler al soltar un archivo con código ({code, options})
+ * @param {Function} props.onMarkdownImport - Handler al abrir, soltar o pegar un Markdown ({name, markdown}); devuelve false si no tiene diagramas
+ * @param {Function} props.onShareImport - Handler al pegar un enlace compartido (#pako:) con el estado decodificado
+ * @param {Function} props.onShare - Copiar el enlace para compartir el diagrama
+ * @param {string} props.shareStatus - Estado del enlace ('idle' | 'copied' | 'error')
+ * @param {Function} [props.onAutoFixReview] - Abrir la revisión de correcciones del auto-fix
+ * @param {Function} [props.onUndo] - Deshacer el último cambio del código
+ * @param {Function} [props.onRedo] - Rehacer el último cambio deshecho
+ * @param {string|null} [props.undoLabel] - Descripción del paso que se desharía
+ * @param {string|null} [props.redoLabel] - Descripción del paso que se reharía
+ * @param {Function} [props.onSelectionChange] - Recibe la selección del editor ({start, end})
+ * @param {{from: number, to: number, line: number}|null} [props.revealRange] - Rango a seleccionar y mostrar
  * @param {boolean} props.isMobile - Is mobile viewport
  * @param {boolean} props.isTablet - Is tablet viewport
  */
-export function EditorPanel({ code, onCodeChange, isMobile = false, isTablet = false }) {
+export function EditorPanel({
+    code,
+    onCodeChange,
+    errorInfo,
+    onSourceImport,
+    onMarkdownImport,
+    onShareImport,
+    onShare,
+    shareStatus = 'idle',
+    onAutoFixReview,
+    onUndo,
+    onRedo,
+    undoLabel = null,
+    redoLabel = null,
+    onSelectionChange,
+    revealRange = null,
+    isMobile = false,
+    isTablet = false,
+}) {
     const [copied, setCopied] = useState(false);
+    const markdownInputRef = useRef(null);
+    const [isDragging, setIsDragging] = useState(false);
+    const [dropError, setDropError] = useState(null);
     const { theme, colors } = useTheme();
     const { t, getTranslations } = useLanguage();
 
+    // El análisis se hace sobre un valor diferido para no frenar la escritura
+    const deferredCode = useDeferredValue(code);
+    const diagramType = useMemo(() => getDiagramType(deferredCode), [deferredCode]);
+    const diagnostics = useMemo(() => lintCode(deferredCode), [deferredCode]);
+
+    // Marcadores del margen: error de render + problemas detectados por el lint
+    const markers = useMemo(() => {
+        const result = diagnostics.map(({ line, severity, message }) => ({ line, severity, message }));
+        if (errorInfo?.lineNumber) {
+            result.push({ line: errorInfo.lineNumber, severity: 'error', message: errorInfo.summary });
+        }
+        return result;
+    }, [diagnostics, errorInfo]);
+
     const copyCode = () => {
         navigator.clipboard.writeText(code);
         setCopied(true);
@@ -44,7 +141,92 @@ export function EditorPanel({ code, onCodeChange, isMobile = false, isTablet = f
         const translations = getTranslations();
         const exampleCode = translations.examples?.[type];
         if (exampleCode) {
-            onCodeChange(exampleCode);
+            onCodeChange(exampleCode, `${t('undo.example')}: ${type}`);
+        }
+    };
+
+    const showDropError = (message) => {
+        setDropError(message);
+        setTimeout(() => setDropError(null), 4000);
+    };
+
+    const importMarkdown = (name, markdown) => {
+        if (!onMarkdownImport({ name, markdown })) {
+            showDropError(t('editor.noMermaidBlocks'));
+        }
+    };
+
+    const handleMarkdownFile = async (e) => {
+        const file = e.target.files?.[0];
+        // Permitir volver a abrir el mismo archivo
+        e.target.value = '';
+        if (file) importMarkdown(file.name, await file.text());
+    };
+
+    // Pegar un enlace compartido (propio o de mermaid.live) restaura su estado, y un
+    // Markdown con bloques ```mermaid se abre como documento en lugar de insertarlo tal cual
+    const handlePaste = (e) => {
+        const text = e.clipboardData?.getData('text/plain') || '';
+
+        if (onShareImport && isShareLink(text)) {
+            const state = decodeShareState(text.trim());
+            if (state) {
+                e.preventDefault();
+                onShareImport(state);
+            }
+            return;
+        }
+
+        if (onMarkdownImport && containsMermaidBlocks(text)) {
+            e.preventDefault();
+            importMarkdown(t('markdown.pastedName'), text);
+        }
+    };
+
+    // Only file drags are intercepted; dragging selected text keeps the native behavior
+    const isFileDrag = (e) => Array.from(e.dataTransfer?.types || []).includes('Files');
+
+    const handleDragOver = (e) => {
+        if (!isFileDrag(e)) return;
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'copy';
+        setIsDragging(true);
+    };
+
+    const handleDrop = async (e) => {
+        if (!isFileDrag(e)) return;
+        e.preventDefault();
+        setIsDragging(false);
+
+        const file = e.dataTransfer.files?.[0];
+        if (!file || !onSourceImport) return;
+
+        try {
+            const bytes = new Uint8Array(await file.arrayBuffer());
+            if (isPng(bytes)) {
+                const embedded = extractMermaidSource(bytes);
+                if (!embedded) {
+                    showDropError(t('editor.noEmbeddedSource'));
+                    return;
+                }
+                onSourceImport(embedded);
+                return;
+            }
+
+            if (MARKDOWN_FILE_PATTERN.test(file.name) && onMarkdownImport) {
+                importMarkdown(file.name, new TextDecoder().decode(bytes));
+                return;
+            }
+
+            if (file.type.startsWith('text/') || TEXT_FILE_PATTERN.test(file.name)) {
+                onSourceImport({ code: new TextDecoder().decode(bytes), options: {} });
+                return;
+            }
+
+            showDropError(t('editor.unsupportedFile'));
+        } catch (err) {
+            console.error('Drop import error:', err);
+            showDropError(t('editor.unsupportedFile'));
         }
     };
 
@@ -76,6 +258,11 @@ export function EditorPanel({ code, onCodeChange, isMobile = false, isTablet = f
             alignItems: 'center',
             gap: '10px',
         },
+        headerActions: {
+            display: 'flex',
+            alignItems: 'center',
+            gap: '6px',
+        },
         examplesBar: {
             padding: isMobile ? '8px 16px' : '12px 20px',
             display: 'flex',
@@ -108,18 +295,36 @@ export function EditorPanel({ code, onCodeChange, isMobile = false, isTablet = f
             // Ensure touch target size
             minHeight: isMobile ? '36px' : 'auto',
         },
-        textarea: {
+        editorArea: {
             flex: 1,
-            background: colors.bgInput,
-            border: 'none',
-            padding: isMobile ? '16px' : '20px',
-            fontSize: isMobile ? '13px' : '14px',
-            fontFamily: "'JetBrains Mono', monospace",
-            color: colors.textPrimary,
-            resize: 'none',
-            lineHeight: '1.7',
-            letterSpacing: '0.01em',
-            transition: 'background 0.3s ease, color 0.3s ease',
+            display: 'flex',
+            flexDirection: 'column',
+            position: 'relative',
+            minHeight: 0,
+        },
+        dropOverlay: {
+            position: 'absolute',
+            inset: '8px',
+            border: '2px dashed #6366f1',
+            borderRadius: '12px',
+            background: theme === 'dark' ? 'rgba(99, 102, 241, 0.12)' : 'rgba(99, 102, 241, 0.08)',
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'center',
+            textAlign: 'center',
+            padding: '16px',
+            color: '#6366f1',
+            fontSize: '13px',
+            fontWeight: '600',
+            pointerEvents: 'none',
+        },
+        dropError: {
+            padding: isMobile ? '8px 16px' : '10px 20px',
+            fontSize: '12px',
+            fontWeight: '500',
+            color: '#ef4444',
+            background: 'rgba(239, 68, 68, 0.08)',
+            borderBottom: `1px solid ${colors.borderPrimary}`,
         },
     };
 
@@ -136,10 +341,59 @@ export function EditorPanel({ code, onCodeChange, isMobile = false, isTablet = f
 
             <div style={styles.header}>
                 <span style={styles.title}>{t('editor.title')}</span>
-                <IconButton
-                    onClick={copyCode}
-                    icon={copied ? <CheckIcon /> : <CopyIcon />}
-                    title={t('editor.copy')}
+                <div style={styles.headerActions}>
+                    {onUndo && (
+                        <IconButton
+                            onClick={onUndo}
+                            icon={<UndoIcon />}
+                            title={undoLabel ? `${t('undo.undo')}: ${undoLabel} (Ctrl+Z)` : t('undo.nothingToUndo')}
+                            disabled={!undoLabel}
+                        />
+                    )}
+                    {onRedo && (
+                        <IconButton
+                            onClick={onRedo}
+                            icon={<RedoIcon />}
+                            title={redoLabel ? `${t('undo.redo')}: ${redoLabel} (Ctrl+Shift+Z)` : t('undo.nothingToRedo')}
+                            disabled={!redoLabel}
+                        />
+                    )}
+                    {onMarkdownImport && (
+                        <IconButton
+                            onClick={() => markdownInputRef.current?.click()}
+                            icon={<MarkdownIcon />}
+                            title={t('editor.openMarkdown')}
+                        />
+                    )}
+                    {onShare && (
+                        <IconButton
+                            onClick={onShare}
+                            icon={shareStatus === 'copied' ? <CheckIcon /> : <LinkIcon />}
+                            title={shareStatus === 'error' ? t('editor.shareFallback') : t('editor.share')}
+                        />
+                    )}
+                    {onAutoFixReview && (
+                        <IconButton
+                            onClick={onAutoFixReview}
+                            icon={<WrenchIcon />}
+                            title={diagnostics.length > 0
+                                ? `${t('editor.reviewFixes')} (${diagnostics.length})`
+                                : t('editor.reviewFixes')}
+                            active={diagnostics.length > 0}
+                        />
+                    )}
+                    <IconButton
+                        onClick={copyCode}
+                        icon={copied ? <CheckIcon /> : <CopyIcon />}
+                        title={t('editor.copy')}
+                    />
+                </div>
+                <input
+                    ref={markdownInputRef}
+                    type="file"
+                    accept=".md,.markdown,.mdx,text/markdown"
+                    onChange={handleMarkdownFile}
+                    style={{ display: 'none' }}
                 />
             </div>
 
@@ -156,13 +410,30 @@ export function EditorPanel({ code, onCodeChange, isMobile = false, isTablet = f
                 ))}
             </div>
 
-            <textarea
-                value={code}
-                onChange={(e) => onCodeChange(e.target.value)}
-                style={styles.textarea}
-                placeholder={t('editor.placeholder')}
-                spellCheck={false}
-            />
+            {dropError && <div style={styles.dropError}>{dropError}</div>}
+
+            <div
+                style={styles.editorArea}
+                onDragOver={handleDragOver}
+                onDragLeave={() => setIsDragging(false)}
+                onDrop={handleDrop}
+            >
+                <CodeEditor
+                    value={code}
+                    onChange={onCodeChange}
+                    onPaste={handlePaste}
+                    placeholder={t('editor.placeholder')}
+                    diagramType={diagramType}
+                    markers={markers}
+                    getCompletions={getCompletions}
+                    diagnostics={diagnostics}
+                    getQuickFix={getQuickFix}
+                    onSelectionChange={onSelectionChange}
+                    revealRange={revealRange}
+                    isMobile={isMobile}
+                />
+                {isDragging && <div style={styles.dropOverlay}>{t('editor.dropHint')}</div>}
+            </div>
         </section>
     );
 }
@@ -0,0 +1,500 @@
+import { useEffect, useMemo, useState } from 'react';
+import { useTheme } from '../../hooks/useTheme';
+import { useLanguage } from '../../hooks/useLanguage';
+import { useVersionHistory } from '../../hooks/useVersionHistory';
+import { diffLines, diffNodes, DIFF_COLORS } from '../../utils/diffUtils';
+import { VisualDiff } from './VisualDiff';
+
+const CURRENT_VERSION = 'current';
+
+/**
+ * Historial de versiones del documento activo: explorar, etiquetar,
+ * restaurar y comparar instantáneas (diff de código y visual) (Responsive)
+ * @param {Object} props
+ * @param {boolean} props.isOpen - Si el diálogo está abierto
+ * @param {Function} props.onClose - Cerrar el diálogo
+ * @param {Object|null} props.document - Documento activo {id, name}
+ * @param {string} props.code - Código actual del editor
+ * @param {Function} props.flushActiveDocument - Guardar cambios pendientes antes de leer el historial
+ * @param {Function} props.onRestore - Cargar el código de una instantánea en el editor
+ * @param {Object} props.themeConfig - Tema de Mermaid para el diff visual
+ * @param {boolean} props.isMobile - Is mobile viewport
+ */
+export function HistoryDialog({ isOpen, onClose, document: activeDocument, code, flushActiveDocument, onRestore, themeConfig, isMobile = false }) {
+    const { colors, isDark } = useTheme();
+    const { t, language } = useLanguage();
+    const { snapshots, isLoading, historyError, loadSnapshots, labelSnapshot, saveVersion } = useVersionHistory({
+        documentId: activeDocument?.id || null,
+        code,
+        flushActiveDocument,
+    });
+    const [baseId, setBaseId] = useState(null);
+    const [targetId, setTargetId] = useState(CURRENT_VERSION);
+    const [view, setView] = useState('code'); // 'code' | 'visual'
+    const [versionLabel, setVersionLabel] = useState('');
+    const [editingId, setEditingId] = useState(null);
+    const [draftLabel, setDraftLabel] = useState('');
+
+    // Cargar el historial cada vez que se abre
+    useEffect(() => {
+        if (!isOpen) return;
+        setBaseId(null);
+        setTargetId(CURRENT_VERSION);
+        loadSnapshots();
+    }, [isOpen, loadSnapshots]);
+
+    // Por defecto, comparar la versión anterior a la última con el código actual
+    useEffect(() => {
+        if (isOpen && !baseId && snapshots.length > 0) {
+            setBaseId((snapshots[1] || snapshots[0]).id);
+        }
+    }, [isOpen, baseId, snapshots]);
+
+    // Cerrar con Escape
+    useEffect(() => {
+        if (!isOpen) return undefined;
+        const handleKeyDown = (e) => {
+            if (e.key === 'Escape' && !editingId) onClose();
+        };
+        document.addEventListener('keydown', handleKeyDown);
+        return () => document.removeEventListener('keydown', handleKeyDown);
+    }, [isOpen, editingId, onClose]);
+
+    const base = snapshots.find((entry) => entry.id === baseId) || null;
+    const target = targetId === CURRENT_VERSION ? null : snapshots.find((entry) => entry.id === targetId) || null;
+    const targetCode = target ? target.code : code;
+
+    const lineDiff = useMemo(() => (base ? diffLines(base.code, targetCode) : []), [base, targetCode]);
+    const nodeDiff = useMemo(() => (base ? diffNodes(base.code, targetCode) : null), [base, targetCode]);
+
+    const formatDate = (timestamp) => new Date(timestamp).toLocaleString(language, {
+        dateStyle: 'short',
+        timeStyle: 'medium',
+    });
+
+    const getSnapshotTitle = (snapshot) => snapshot.label || formatDate(snapshot.updatedAt);
+
+    const handleSaveVersion = async () => {
+        await saveVersion(versionLabel);
+        setVersionLabel('');
+    };
+
+    const commitLabel = () => {
+        if (editingId) labelSnapshot(editingId, draftLabel);
+        setEditingId(null);
+    };
+
+    const handleRestore = (snapshot) => {
+        onRestore(snapshot.code);
+        onClose();
+    };
+
+    if (!isOpen) return null;
+
+    const styles = {
+        overlay: {
+            position: 'fixed',
+            inset: 0,
+            background: 'rgba(0, 0, 0, 0.5)',
+            backdropFilter: 'blur(4px)',
+            zIndex: 1000,
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'center',
+            padding: '16px',
+        },
+        dialog: {
+            width: isMobile ? '100%' : 'min(1200px, 100%)',
+            height: '85vh',
+            display: 'flex',
+            flexDirection: 'column',
+            gap: '16px',
+            padding: isMobile ? '18px' : '24px',
+            background: isDark ? '#18181b' : '#ffffff',
+            border: `1px solid ${colors.borderSecondary}`,
+            borderRadius: '16px',
+            boxShadow: '0 24px 64px rgba(0, 0, 0, 0.35)',
+            color: colors.textPrimary,
+        },
+        header: {
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'space-between',
+            gap: '12px',
+        },
+        title: {
+            fontSize: '16px',
+            fontWeight: '600',
+            overflow: 'hidden',
+            textOverflow: 'ellipsis',
+            whiteSpace: 'nowrap',
+        },
+        closeButton: {
+            background: 'transparent',
+            border: 'none',
+            color: colors.textMuted,
+            cursor: 'pointer',
+            padding: '6px',
+            display: 'flex',
+        },
+        body: {
+            flex: 1,
+            display: 'grid',
+            gridTemplateColumns: isMobile ? '1fr' : '300px 1fr',
+            gridTemplateRows: isMobile ? 'minmax(0, 35%) minmax(0, 1fr)' : 'minmax(0, 1fr)',
+            gap: '16px',
+            minHeight: 0,
+        },
+        sidebar: {
+            display: 'flex',
+            flexDirection: 'column',
+            gap: '10px',
+            minHeight: 0,
+        },
+        saveRow: {
+            display: 'flex',
+            gap: '6px',
+        },
+        input: {
+            flex: 1,
+            minWidth: 0,
+            padding: '8px 10px',
+            fontSize: '13px',
+            background: colors.bgInput,
+            border: `1px solid ${colors.borderSecondary}`,
+            borderRadius: '8px',
+            color: colors.textPrimary,
+        },
+        primaryButton: {
+            padding: '8px 12px',
+            fontSize: '13px',
+            fontWeight: '600',
+            background: 'linear-gradient(135deg, #6366f1 0%, #8b5cf6 100%)',
+            border: 'none',
+            borderRadius: '8px',
+            color: '#fff',
+            cursor: versionLabel.trim() ? 'pointer' : 'not-allowed',
+            opacity: versionLabel.trim() ? 1 : 0.5,
+            whiteSpace: 'nowrap',
+        },
+        list: {
+            flex: 1,
+            overflowY: 'auto',
+            display: 'flex',
+            flexDirection: 'column',
+            gap: '6px',
+            minHeight: 0,
+        },
+        item: {
+            padding: '10px 12px',
+            borderRadius: '10px',
+            border: `1px solid ${colors.borderPrimary}`,
+            background: colors.bgButton,
+            cursor: 'pointer',
+            display: 'flex',
+            flexDirection: 'column',
+            gap: '4px',
+            textAlign: 'left',
+        },
+        itemActive: {
+            borderColor: '#6366f1',
+            boxShadow: '0 0 0 1px #6366f1',
+        },
+        itemTitle: {
+            fontSize: '13px',
+            fontWeight: '600',
+            color: colors.textPrimary,
+            overflow: 'hidden',
+            textOverflow: 'ellipsis',
+            whiteSpace: 'nowrap',
+        },
+        itemMeta: {
+            fontSize: '11px',
+            color: colors.textMuted,
+        },
+        itemActions: {
+            display: 'flex',
+            gap: '4px',
+        },
+        smallButton: {
+            padding: '3px 8px',
+            fontSize: '11px',
+            fontWeight: '500',
+            background: 'transparent',
+            border: `1px solid ${colors.borderSecondary}`,
+            borderRadius: '6px',
+            color: colors.textSecondary,
+            cursor: 'pointer',
+        },
+        compare: {
+            display: 'flex',
+            flexDirection: 'column',
+            gap: '12px',
+            minHeight: 0,
+            minWidth: 0,
+        },
+        compareBar: {
+            display: 'flex',
+            alignItems: 'center',
+            gap: '8px',
+            flexWrap: 'wrap',
+            fontSize: '12px',
+            color: colors.textMuted,
+        },
+        select: {
+            padding: '6px 8px',
+            fontSize: '12px',
+            background: colors.bgInput,
+            border: `1px solid ${colors.borderSecondary}`,
+            borderRadius: '6px',
+            color: colors.textPrimary,
+            maxWidth: '220px',
+        },
+        tabs: {
+            display: 'flex',
+            gap: '2px',
+            background: colors.bgButton,
+            padding: '3px',
+            borderRadius: '8px',
+            marginLeft: 'auto',
+        },
+        tab: {
+            padding: '6px 12px',
+            fontSize: '12px',
+            fontWeight: '600',
+            background: 'transparent',
+            border: 'none',
+            borderRadius: '6px',
+            color: colors.textMuted,
+            cursor: 'pointer',
+        },
+        tabActive: {
+            background: 'linear-gradient(135deg, #6366f1 0%, #8b5cf6 100%)',
+            color: '#fff',
+        },
+        diffView: {
+            flex: 1,
+            overflow: 'auto',
+            minHeight: 0,
+            border: `1px solid ${colors.borderPrimary}`,
+            borderRadius: '10px',
+            background: colors.bgSecondary,
+        },
+        diffLine: {
+            display: 'grid',
+            gridTemplateColumns: '40px 40px 16px 1fr',
+            fontFamily: "'JetBrains Mono', monospace",
+            fontSize: '12px',
+            lineHeight: '20px',
+            whiteSpace: 'pre',
+        },
+        lineNumber: {
+            textAlign: 'right',
+            paddingRight: '8px',
+            color: colors.textMuted,
+            userSelect: 'none',
+        },
+        visualView: {
+            flex: 1,
+            overflow: 'auto',
+            minHeight: 0,
+        },
+        hint: {
+            fontSize: '12px',
+            color: colors.textMuted,
+        },
+        error: {
+            fontSize: '12px',
+            color: '#ef4444',
+        },
+    };
+
+    const diffLineBackground = {
+        added: 'rgba(34, 197, 94, 0.14)',
+        removed: 'rgba(239, 68, 68, 0.14)',
+        same: 'transparent',
+    };
+    const diffMarker = { added: '+', removed: '-', same: ' ' };
+    const changedLines = lineDiff.filter((line) => line.type !== 'same').length;
+
+    return (
+        <div style={styles.overlay} onClick={onClose}>
+            <div
+                style={styles.dialog}
+                role="dialog"
+                aria-modal="true"
+                aria-label={t('history.title')}
+                onClick={(e) => e.stopPropagation()}
+            >
+                <div style={styles.header}>
+                    <span style={styles.title}>
+                        {t('history.title')}{activeDocument ? ` · ${activeDocument.name}` : ''}
+                    </span>
+                    <button onClick={onClose} style={styles.closeButton} aria-label={t('history.close')}>
+                        <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                            <path d="M18 6L6 18M6 6l12 12" />
+                        </svg>
+                    </button>
+                </div>
+
+                <div style={styles.body}>
+                    <div style={styles.sidebar}>
+                        <div style={styles.saveRow}>
+                            <input
+                                value={versionLabel}
+                                onChange={(e) => setVersionLabel(e.target.value)}
+                                onKeyDown={(e) => e.key === 'Enter' && versionLabel.trim() && handleSaveVersion()}
+                                placeholder={t('history.labelPlaceholder')}
+                                style={styles.input}
+                                aria-label={t('history.labelPlaceholder')}
+                            />
+                            <button
+                                onClick={handleSaveVersion}
+                                disabled={!versionLabel.trim()}
+                                style={styles.primaryButton}
+                            >
+                                {t('history.saveVersion')}
+                            </button>
+                        </div>
+
+                        {historyError && <span style={styles.error}>{historyError}</span>}
+                        {isLoading && snapshots.length === 0 && <span style={styles.hint}>{t('history.loading')}</span>}
+
+                        <div style={styles.list}>
+                            {snapshots.map((snapshot) => (
+                                <div
+                                    key={snapshot.id}
+                                    role="button"
+                                    tabIndex={0}
+                                    onClick={() => setBaseId(snapshot.id)}
+                                    onKeyDown={(e) => e.key === 'Enter' && editingId !== snapshot.id && setBaseId(snapshot.id)}
+                                    style={{
+                                        ...styles.item,
+                                        ...(snapshot.id === baseId ? styles.itemActive : {}),
+                                    }}
+                                >
+                                    {editingId === snapshot.id ? (
+                                        <input
+                                            autoFocus
+                                            value={draftLabel}
+                                            onChange={(e) => setDraftLabel(e.target.value)}
+                                            onBlur={commitLabel}
+                                            onKeyDown={(e) => {
+                                                if (e.key === 'Enter') commitLabel();
+                                                if (e.key === 'Escape') setEditingId(null);
+                                            }}
+                                            onClick={(e) => e.stopPropagation()}
+                                            placeholder={t('history.labelPlaceholder')}
+                                            style={styles.input}
+                                        />
+                                    ) : (
+                                        <span style={styles.itemTitle} title={getSnapshotTitle(snapshot)}>
+                                            {getSnapshotTitle(snapshot)}
+                                        </span>
+                                    )}
+                                    <span style={styles.itemMeta}>
+                                        {snapshot.label && `${formatDate(snapshot.updatedAt)} · `}
+                                        {snapshot.code.split('\n').length} {t('history.lines')}
+                                    </span>
+                                    <div style={styles.itemActions} onClick={(e) => e.stopPropagation()}>
+                                        <button style={styles.smallButton} onClick={() => handleRestore(snapshot)}>
+                                            {t('history.restore')}
+                                        </button>
+                                        <button
+                                            style={styles.smallButton}
+                                            onClick={() => {
+                                                setEditingId(snapshot.id);
+                                                setDraftLabel(snapshot.label || '');
+                                            }}
+                                        >
+                                            {snapshot.label ? t('history.editLabel') : t('history.addLabel')}
+                                        </button>
+                                    </div>
+                                </div>
+                            ))}
+                        </div>
+                    </div>
+
+                    <div style={styles.compare}>
+                        <div style={styles.compareBar}>
+                            <span>{t('history.compare')}</span>
+                            <select
+                                value={baseId || ''}
+                                onChange={(e) => setBaseId(e.target.value)}
+                                style={styles.select}
+                                aria-label={t('history.from')}
+                            >
+                                {snapshots.map((snapshot) => (
+                                    <option key={snapshot.id} value={snapshot.id}>{getSnapshotTitle(snapshot)}</option>
+                                ))}
+                            </select>
+                            <span>→</span>
+                            <select
+                                value={targetId}
+                                onChange={(e) => setTargetId(e.target.value)}
+                                style={styles.select}
+                                aria-label={t('history.to')}
+                            >
+                                <option value={CURRENT_VERSION}>{t('history.current')}</option>
+                                {snapshots.map((snapshot) => (
+                                    <option key={snapshot.id} value={snapshot.id}>{getSnapshotTitle(snapshot)}</option>
+                                ))}
+                            </select>
+
+                            <div style={styles.tabs}>
+                                {['code', 'visual'].map((value) => (
+                                    <button
+                                        key={value}
+                                        onClick={() => setView(value)}
+                                        style={{ ...styles.tab, ...(view === value ? styles.tabActive : {}) }}
+                                    >
+                                        {t(`history.views.${value}`)}
+                                    </button>
+                                ))}
+                            </div>
+                        </div>
+
+                        {!base && !isLoading && <span style={styles.hint}>{t('history.empty')}</span>}
+
+                        {base && view === 'code' && (
+                            <>
+                                <span style={styles.hint}>
+                                    {changedLines === 0 ? t('history.noChanges') : `${changedLines} ${t('history.changedLines')}`}
+                                </span>
+                                <div style={styles.diffView}>
+                                    {lineDiff.map((line, index) => (
+                                        <div
+                                            key={index}
+                                            style={{ ...styles.diffLine, background: diffLineBackground[line.type] }}
+                                        >
+                                            <span style={styles.lineNumber}>{line.oldLine ?? ''}</span>
+                                            <span style={styles.lineNumber}>{line.newLine ?? ''}</span>
+                                            <span style={{ color: DIFF_COLORS[line.type] || colors.textMuted }}>
+                                                {diffMarker[line.type]}
+                                            </span>
+                                            <span style={{ color: colors.textPrimary }}>{line.text}</span>
+                                        </div>
+                                    ))}
+                                </div>
+                            </>
+                        )}
+
+                        {base && view === 'visual' && (
+                            <div style={styles.visualView}>
+                                <VisualDiff
+                                    oldCode={base.code}
+                                    newCode={targetCode}
+                                    nodeDiff={nodeDiff}
+                                    themeConfig={themeConfig}
+                                    beforeLabel={getSnapshotTitle(base)}
+                                    afterLabel={target ? getSnapshotTitle(target) : t('history.current')}
+                                    isMobile={isMobile}
+                                />
+                            </div>
+                        )}
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+}
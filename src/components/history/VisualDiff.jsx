@@ -0,0 +1,153 @@
+import { useEffect, useRef, useState } from 'react';
+import { useTheme } from '../../hooks/useTheme';
+import { useLanguage } from '../../hooks/useLanguage';
+import { renderMermaidOffscreen, highlightRenderedNodes } from '../../utils/mermaidRender';
+import { DIFF_COLORS } from '../../utils/diffUtils';
+import { parseError } from '../../utils/errorParser';
+
+/**
+ * Colores de resaltado por id de nodo para cada lado del diff
+ * @param {{added: string[], removed: string[], changed: string[]}} nodeDiff
+ * @returns {{before: Object<string, string>, after: Object<string, string>}}
+ */
+const getHighlightColors = (nodeDiff) => {
+    const before = {};
+    const after = {};
+    nodeDiff.removed.forEach((id) => { before[id] = DIFF_COLORS.removed; });
+    nodeDiff.added.forEach((id) => { after[id] = DIFF_COLORS.added; });
+    nodeDiff.changed.forEach((id) => {
+        before[id] = DIFF_COLORS.changed;
+        after[id] = DIFF_COLORS.changed;
+    });
+    return { before, after };
+};
+
+/**
+ * Dos versiones renderizadas lado a lado con los nodos añadidos,
+ * eliminados y modificados resaltados (Responsive)
+ * @param {Object} props
+ * @param {string} props.oldCode - Versión anterior
+ * @param {string} props.newCode - Versión nueva
+ * @param {{added: string[], removed: string[], changed: string[]}} props.nodeDiff - Ver diffNodes
+ * @param {Object} props.themeConfig - Tema de Mermaid actual
+ * @param {string} props.beforeLabel - Título del lado izquierdo
+ * @param {string} props.afterLabel - Título del lado derecho
+ * @param {boolean} props.isMobile - Apilar en vertical
+ */
+export function VisualDiff({ oldCode, newCode, nodeDiff, themeConfig, beforeLabel, afterLabel, isMobile = false }) {
+    const { colors } = useTheme();
+    const { t } = useLanguage();
+    const beforeRef = useRef(null);
+    const afterRef = useRef(null);
+    const [renderErrors, setRenderErrors] = useState({ before: null, after: null });
+
+    useEffect(() => {
+        let cancelled = false;
+        const highlightColors = getHighlightColors(nodeDiff);
+
+        // Mermaid usa configuración global: renderizar las dos versiones en serie
+        const renderSide = async (side, code, container) => {
+            if (!container) return;
+            container.replaceChildren();
+            try {
+                const { svgElement, cleanup } = await renderMermaidOffscreen(code, themeConfig);
+                highlightRenderedNodes(svgElement, highlightColors[side]);
+                svgElement.style.maxWidth = '100%';
+                svgElement.style.height = 'auto';
+                if (!cancelled) container.replaceChildren(svgElement);
+                cleanup();
+                setRenderErrors((prev) => ({ ...prev, [side]: null }));
+            } catch (err) {
+                if (!cancelled) setRenderErrors((prev) => ({ ...prev, [side]: parseError(err, code).summary }));
+            }
+        };
+
+        (async () => {
+            await renderSide('before', oldCode, beforeRef.current);
+            if (!cancelled) await renderSide('after', newCode, afterRef.current);
+        })();
+
+        return () => {
+            cancelled = true;
+        };
+    }, [oldCode, newCode, nodeDiff, themeConfig]);
+
+    const styles = {
+        container: {
+            display: 'grid',
+            gridTemplateColumns: isMobile ? '1fr' : '1fr 1fr',
+            gap: '12px',
+            minHeight: 0,
+        },
+        side: {
+            display: 'flex',
+            flexDirection: 'column',
+            gap: '8px',
+            minWidth: 0,
+        },
+        sideTitle: {
+            fontSize: '12px',
+            fontWeight: '600',
+            color: colors.textSecondary,
+            textTransform: 'uppercase',
+            letterSpacing: '0.06em',
+        },
+        canvas: {
+            padding: '16px',
+            background: '#ffffff',
+            border: `1px solid ${colors.borderSecondary}`,
+            borderRadius: '10px',
+            overflow: 'auto',
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'center',
+            minHeight: '200px',
+        },
+        error: {
+            fontSize: '12px',
+            color: '#ef4444',
+        },
+        legend: {
+            gridColumn: '1 / -1',
+            display: 'flex',
+            gap: '16px',
+            flexWrap: 'wrap',
+            fontSize: '12px',
+            color: colors.textMuted,
+        },
+        legendItem: {
+            display: 'flex',
+            alignItems: 'center',
+            gap: '6px',
+        },
+        swatch: {
+            width: '12px',
+            height: '12px',
+            borderRadius: '3px',
+            border: '3px solid',
+        },
+    };
+
+    return (
+        <div style={styles.container}>
+            <div style={styles.legend}>
+                {['added', 'removed', 'changed'].map((type) => (
+                    <span key={type} style={styles.legendItem}>
+                        <span style={{ ...styles.swatch, borderColor: DIFF_COLORS[type] }} />
+                        {nodeDiff[type].length} {t(`history.nodes.${type}`)}
+                    </span>
+                ))}
+            </div>
+            <div style={styles.side}>
+                <span style={styles.sideTitle}>{beforeLabel}</span>
+                {renderErrors.before && <span style={styles.error}>{renderErrors.before}</span>}
+                <div ref={beforeRef} style={styles.canvas} />
+            </div>
+            <div style={styles.side}>
+                <span style={styles.sideTitle}>{afterLabel}</span>
+                {renderErrors.after && <span style={styles.error}>{renderErrors.after}</span>}
+                <div ref={afterRef} style={styles.canvas} />
+            </div>
+        </div>
+    );
+}
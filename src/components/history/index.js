@@ -0,0 +1 @@
+export { HistoryDialog } from './HistoryDialog';
@@ -1,14 +1,27 @@
 import { useTheme } from '../../hooks/useTheme';
-import { ScaleSelector, TransparentToggle, ExportButton } from '../ui';
+import { FormatSelector, SizingSelector, TransparentToggle, ExportStyleMenu, PdfOptions, PosterOptions, ExportButton, CopyImageButton } from '../ui';
 
 /**
  * Componente de pie de página con controles de exportación (Responsive)
  * @param {Object} props
+ * @param {string} props.exportFormat - Formato de exportación ('png' | 'svg' | 'pdf' | 'poster')
+ * @param {Function} props.onFormatChange - Handler de cambio de formato
  * @param {number} props.exportScale - Escala de exportación
+ * @param {Object} props.pdfOptions - Opciones de página PDF {pageSize, orientation, margin}
+ * @param {Function} props.onPdfOptionsChange - Handler de cambio de opciones PDF
+ * @param {Object} props.posterOptions - Opciones de rejilla del póster {columns, rows, overlap, output}
+ * @param {Function} props.onPosterOptionsChange - Handler de cambio de opciones del póster
  * @param {Function} props.onScaleChange - Handler de cambio de escala
+ * @param {Object} props.pngSizing - Modo de tamaño del PNG {mode, targetWidth, targetHeight, dpi, printWidth}
+ * @param {Function} props.onPngSizingChange - Handler de cambio del modo de tamaño
  * @param {boolean} props.bgTransparent - Estado de fondo transparente
  * @param {Function} props.onTransparentChange - Handler de cambio de transparencia
+ * @param {Object} props.exportStyle - Estilo del lienzo exportado (fondo, padding, marco, sombra)
+ * @param {Function} props.onExportStyleChange - Handler de cambio del estilo del lienzo
+ * @param {Function} props.onExportStyleReset - Restaurar el estilo por defecto
  * @param {Function} props.onExport - Handler de exportación
+ * @param {Function} props.onCopy - Handler de copia al portapapeles
+ * @param {string} props.copyStatus - Estado de la copia ('idle' | 'copying' | 'copied' | 'error')
  * @param {boolean} props.isExporting - Estado de exportación
  * @param {boolean} props.exportSuccess - Estado de éxito
  * @param {boolean} props.canExport - Si se puede exportar
@@ -16,11 +29,24 @@ import { ScaleSelector, TransparentToggle, ExportButton } from '../ui';
  * @param {boolean} props.isTablet - Is tablet viewport
  */
 export function Footer({
+    exportFormat,
+    onFormatChange,
     exportScale,
     onScaleChange,
+    pngSizing,
+    onPngSizingChange,
+    pdfOptions,
+    onPdfOptionsChange,
+    posterOptions,
+    onPosterOptionsChange,
     bgTransparent,
     onTransparentChange,
+    exportStyle,
+    onExportStyleChange,
+    onExportStyleReset,
     onExport,
+    onCopy,
+    copyStatus,
     isExporting,
     exportSuccess,
     canExport,
@@ -65,35 +91,98 @@ export function Footer({
             alignItems: 'center',
             gap: isMobile ? '8px' : '12px',
         },
+        actions: {
+            display: 'flex',
+            alignItems: 'center',
+            gap: isMobile ? '8px' : '12px',
+        },
     };
 
     return (
         <footer className="app-footer" style={styles.footer}>
             <div style={styles.options}>
                 <div style={styles.optionGroup}>
-                    <ScaleSelector
-                        value={exportScale}
-                        onChange={onScaleChange}
+                    <FormatSelector
+                        value={exportFormat}
+                        onChange={onFormatChange}
                         isMobile={isMobile}
                     />
                 </div>
 
+                {/* El tamaño solo afecta al PNG; el SVG es vectorial y PDF/póster calculan su DPI */}
+                {exportFormat === 'png' && (
+                    <div style={styles.optionGroup}>
+                        <SizingSelector
+                            sizing={pngSizing}
+                            onSizingChange={onPngSizingChange}
+                            scale={exportScale}
+                            onScaleChange={onScaleChange}
+                            isMobile={isMobile}
+                        />
+                    </div>
+                )}
+
+                {/* El póster comparte las opciones de página del PDF */}
+                {(exportFormat === 'pdf' || exportFormat === 'poster') && (
+                    <div style={styles.optionGroup}>
+                        <PdfOptions
+                            value={pdfOptions}
+                            onChange={onPdfOptionsChange}
+                            isMobile={isMobile}
+                        />
+                    </div>
+                )}
+
+                {exportFormat === 'poster' && (
+                    <div style={styles.optionGroup}>
+                        <PosterOptions
+                            value={posterOptions}
+                            onChange={onPosterOptionsChange}
+                            isMobile={isMobile}
+                        />
+                    </div>
+                )}
+
+                {/* Las páginas del póster se imprimen siempre sobre papel blanco */}
+                {exportFormat !== 'poster' && (
+                    <div style={styles.optionGroup}>
+                        <TransparentToggle
+                            value={bgTransparent}
+                            onChange={onTransparentChange}
+                            isMobile={isMobile}
+                        />
+                    </div>
+                )}
+
                 <div style={styles.optionGroup}>
-                    <TransparentToggle
-                        value={bgTransparent}
-                        onChange={onTransparentChange}
+                    <ExportStyleMenu
+                        value={exportStyle}
+                        onChange={onExportStyleChange}
+                        onReset={onExportStyleReset}
+                        transparent={bgTransparent && exportFormat !== 'poster'}
                         isMobile={isMobile}
                     />
                 </div>
             </div>
 
-            <ExportButton
-                onClick={onExport}
-                disabled={!canExport}
-                isExporting={isExporting}
-                success={exportSuccess}
-                fullWidth={isMobile}
-            />
+            <div style={styles.actions}>
+                <CopyImageButton
+                    onClick={onCopy}
+                    disabled={!canExport}
+                    status={copyStatus}
+                    isMobile={isMobile}
+                />
+                <div style={{ flex: isMobile ? 1 : 'none' }}>
+                    <ExportButton
+                        onClick={onExport}
+                        disabled={!canExport}
+                        isExporting={isExporting}
+                        success={exportSuccess}
+                        fullWidth={isMobile}
+                        format={exportFormat}
+                    />
+                </div>
+            </div>
         </footer>
     );
 }
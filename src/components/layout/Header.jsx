@@ -37,10 +37,13 @@ function Logo({ size = 32 }) {
 /**
  * Componente de cabecera de la aplicación (Responsive)
  * @param {Object} props
+ * @param {Function} props.onOpenWorkspace - Abrir la barra de documentos
+ * @param {string} [props.documentName] - Nombre del documento abierto
+ * @param {Function} props.onOpenBatch - Abrir la exportación por lotes
  * @param {boolean} props.isMobile - Is mobile viewport
  * @param {boolean} props.isTablet - Is tablet viewport
  */
-export function Header({ isMobile = false, isTablet = false }) {
+export function Header({ onOpenWorkspace, documentName, onOpenBatch, isMobile = false, isTablet = false }) {
     const { theme, colors } = useTheme();
     const { t } = useLanguage();
 
@@ -65,6 +68,18 @@ export function Header({ isMobile = false, isTablet = false }) {
             display: 'flex',
             alignItems: 'center',
             gap: isMobile ? '10px' : '14px',
+            minWidth: 0,
+        },
+        documentName: {
+            fontSize: '13px',
+            color: colors.textMuted,
+            fontWeight: '500',
+            overflow: 'hidden',
+            textOverflow: 'ellipsis',
+            whiteSpace: 'nowrap',
+            maxWidth: isTablet ? '160px' : '280px',
+            // Hide on mobile to save space
+            display: isMobile ? 'none' : 'block',
         },
         title: {
             fontSize: isMobile ? '18px' : isTablet ? '20px' : '22px',
@@ -78,6 +93,23 @@ export function Header({ isMobile = false, isTablet = false }) {
             alignItems: 'center',
             gap: isMobile ? '8px' : '12px',
         },
+        batchButton: {
+            display: 'flex',
+            alignItems: 'center',
+            gap: isMobile ? '0' : '8px',
+            background: colors.bgButton,
+            border: `1px solid ${colors.borderSecondary}`,
+            borderRadius: isMobile ? '10px' : '12px',
+            padding: isMobile ? '10px' : '8px 14px',
+            cursor: 'pointer',
+            color: colors.textSecondary,
+            fontSize: '13px',
+            fontWeight: '500',
+            // Ensure touch-friendly size
+            minWidth: isMobile ? '44px' : 'auto',
+            minHeight: isMobile ? '44px' : 'auto',
+            justifyContent: 'center',
+        },
         subtitle: {
             fontSize: '13px',
             color: colors.textMuted,
@@ -91,11 +123,29 @@ export function Header({ isMobile = false, isTablet = false }) {
         <header style={styles.header}>
             <div style={styles.content}>
                 <div style={styles.logo}>
+                    <button
+                        onClick={onOpenWorkspace}
+                        style={styles.batchButton}
+                        title={t('header.documentsTooltip')}
+                        aria-label={t('header.documents')}
+                    >
+                        <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+                            <path d="M3 6h18M3 12h18M3 18h18" />
+                        </svg>
+                    </button>
                     <Logo size={isMobile ? 28 : 32} />
                     <h1 style={styles.title}>Mermaid → PNG</h1>
+                    {documentName && <span style={styles.documentName} title={documentName}>· {documentName}</span>}
                 </div>
 
                 <div style={styles.rightSection}>
+                    <button onClick={onOpenBatch} style={styles.batchButton} title={t('header.batchTooltip')}>
+                        <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+                            <rect x="3" y="7" width="14" height="14" rx="2" />
+                            <path d="M7 3h12a2 2 0 012 2v12" />
+                        </svg>
+                        {!isMobile && t('header.batch')}
+                    </button>
                     <LanguageSelector isMobile={isMobile} />
                     <ThemeToggle isMobile={isMobile} />
                     <p style={styles.subtitle}>{t('header.subtitle')}</p>
@@ -0,0 +1,193 @@
+import { useTheme } from '../../hooks/useTheme';
+import { useLanguage } from '../../hooks/useLanguage';
+import { useBatchExport } from '../../hooks/useBatchExport';
+import { MARKDOWN_FILE_PATTERN } from '../../utils/markdownDiagrams';
+
+/**
+ * Panel lateral con los diagramas de un documento Markdown: título bajo el
+ * que aparece cada uno, cambio de bloque y exportación de todos (Responsive)
+ * @param {Object} props
+ * @param {{name: string, blocks: Array, activeIndex: number}} props.doc - Documento abierto
+ * @param {Function} props.onSelect - Cambiar al bloque con ese índice
+ * @param {Function} props.onClose - Cerrar el documento
+ * @param {Function} props.getDiagrams - Diagramas a exportar [{path, code}]
+ * @param {Object} props.exportOptions - Opciones actuales {format, themeConfig, scale, sizing, transparent, style}
+ * @param {boolean} props.isCompact - Tira horizontal (móvil/tablet) en lugar de columna
+ */
+export function MarkdownBlocksPanel({ doc, onSelect, onClose, getDiagrams, exportOptions, isCompact = false }) {
+    const { colors } = useTheme();
+    const { t } = useLanguage();
+    const { runBatch, isRunning, progress, report, batchError } = useBatchExport();
+
+    const failedCount = report?.filter((entry) => entry.status === 'error').length || 0;
+
+    const handleExportAll = () => {
+        const baseName = doc.name.replace(MARKDOWN_FILE_PATTERN, '') || 'markdown';
+        runBatch(getDiagrams(), exportOptions, `${baseName}-diagrams.zip`);
+    };
+
+    const styles = {
+        panel: {
+            background: colors.bgSecondary,
+            display: 'flex',
+            flexDirection: isCompact ? 'row' : 'column',
+            alignItems: isCompact ? 'center' : 'stretch',
+            gap: isCompact ? '8px' : 0,
+            padding: isCompact ? '8px 16px' : 0,
+            borderBottom: isCompact ? `1px solid ${colors.borderPrimary}` : 'none',
+            overflow: 'hidden',
+            minHeight: 0,
+            minWidth: 0,
+        },
+        header: {
+            padding: isCompact ? 0 : '14px 16px',
+            borderBottom: isCompact ? 'none' : `1px solid ${colors.borderPrimary}`,
+            background: isCompact ? 'transparent' : colors.bgHover,
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'space-between',
+            gap: '8px',
+            flexShrink: 0,
+        },
+        title: {
+            fontSize: '12px',
+            fontWeight: '600',
+            color: colors.textSecondary,
+            textTransform: 'uppercase',
+            letterSpacing: '0.08em',
+            overflow: 'hidden',
+            textOverflow: 'ellipsis',
+            whiteSpace: 'nowrap',
+            maxWidth: isCompact ? '120px' : 'none',
+        },
+        closeButton: {
+            background: 'transparent',
+            border: 'none',
+            color: colors.textMuted,
+            cursor: 'pointer',
+            padding: '4px',
+            display: 'flex',
+        },
+        list: {
+            flex: 1,
+            display: 'flex',
+            flexDirection: isCompact ? 'row' : 'column',
+            gap: isCompact ? '6px' : '2px',
+            overflowX: isCompact ? 'auto' : 'hidden',
+            overflowY: isCompact ? 'hidden' : 'auto',
+            padding: isCompact ? 0 : '8px',
+            minHeight: 0,
+        },
+        item: {
+            textAlign: 'left',
+            padding: isCompact ? '6px 10px' : '10px 12px',
+            background: 'transparent',
+            border: `1px solid ${isCompact ? colors.borderSecondary : 'transparent'}`,
+            borderRadius: '8px',
+            color: colors.textSecondary,
+            cursor: 'pointer',
+            display: 'flex',
+            flexDirection: 'column',
+            gap: '2px',
+            flexShrink: 0,
+            maxWidth: isCompact ? '180px' : 'none',
+        },
+        itemActive: {
+            background: 'rgba(99, 102, 241, 0.12)',
+            borderColor: '#6366f1',
+            color: colors.textPrimary,
+        },
+        itemHeading: {
+            fontSize: '13px',
+            fontWeight: '600',
+            overflow: 'hidden',
+            textOverflow: 'ellipsis',
+            whiteSpace: 'nowrap',
+        },
+        itemContext: {
+            fontSize: '11px',
+            color: colors.textMuted,
+            overflow: 'hidden',
+            textOverflow: 'ellipsis',
+            whiteSpace: 'nowrap',
+        },
+        footer: {
+            padding: isCompact ? 0 : '12px',
+            borderTop: isCompact ? 'none' : `1px solid ${colors.borderPrimary}`,
+            display: 'flex',
+            flexDirection: 'column',
+            gap: '6px',
+            flexShrink: 0,
+        },
+        exportButton: {
+            padding: '10px 14px',
+            fontSize: '13px',
+            fontWeight: '600',
+            background: 'linear-gradient(135deg, #6366f1 0%, #8b5cf6 100%)',
+            border: 'none',
+            borderRadius: '8px',
+            color: '#fff',
+            cursor: isRunning ? 'wait' : 'pointer',
+            opacity: isRunning ? 0.7 : 1,
+            whiteSpace: 'nowrap',
+        },
+        status: {
+            fontSize: '11px',
+            color: batchError || failedCount > 0 ? '#ef4444' : colors.textMuted,
+            display: isCompact ? 'none' : 'block',
+        },
+    };
+
+    const getStatus = () => {
+        if (batchError) return batchError;
+        if (isRunning && progress) return `${t('batch.progress')} ${progress.done}/${progress.total}`;
+        if (report) return `${report.length - failedCount} ${t('batch.exported')} · ${failedCount} ${t('batch.failed')}`;
+        return null;
+    };
+
+    return (
+        <aside style={styles.panel} aria-label={t('markdown.title')}>
+            <div style={styles.header}>
+                <span style={styles.title} title={doc.name}>
+                    {isCompact ? doc.name : `${t('markdown.title')} · ${doc.name}`}
+                </span>
+                <button onClick={onClose} style={styles.closeButton} title={t('markdown.close')} aria-label={t('markdown.close')}>
+                    <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                        <path d="M18 6L6 18M6 6l12 12" />
+                    </svg>
+                </button>
+            </div>
+
+            <div style={styles.list}>
+                {doc.blocks.map((block) => (
+                    <button
+                        key={block.index}
+                        onClick={() => onSelect(block.index)}
+                        style={{
+                            ...styles.item,
+                            ...(block.index === doc.activeIndex ? styles.itemActive : {}),
+                        }}
+                        title={block.headingPath.join(' › ')}
+                    >
+                        <span style={styles.itemHeading}>
+                            {block.heading || `${t('markdown.untitled')} ${block.index + 1}`}
+                        </span>
+                        {!isCompact && (
+                            <span style={styles.itemContext}>
+                                {block.headingPath.length > 1 ? `${block.headingPath.slice(0, -1).join(' › ')} · ` : ''}
+                                {t('markdown.line')} {block.line}
+                            </span>
+                        )}
+                    </button>
+                ))}
+            </div>
+
+            <div style={styles.footer}>
+                <button onClick={handleExportAll} disabled={isRunning} style={styles.exportButton}>
+                    {t('markdown.exportAll')} ({doc.blocks.length})
+                </button>
+                {getStatus() && <span style={styles.status}>{getStatus()}</span>}
+            </div>
+        </aside>
+    );
+}
@@ -0,0 +1 @@
+export { MarkdownBlocksPanel } from './MarkdownBlocksPanel';
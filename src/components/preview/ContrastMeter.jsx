@@ -0,0 +1,103 @@
+import { useTheme } from '../../hooks/useTheme';
+import { useLanguage } from '../../hooks/useLanguage';
+import { getContrastRatio } from '../../utils/styleParser';
+
+// Color e icono de cada nivel WCAG
+const LEVEL_INDICATORS = {
+    AAA: { color: '#22c55e', icon: '✓', text: 'AAA' },
+    AA: { color: '#fbbf24', icon: '●', text: 'AA' },
+    FAIL: { color: '#ef4444', icon: '✕', text: 'FAIL' },
+};
+
+const LEVEL_GRADIENTS = {
+    AAA: 'linear-gradient(90deg, #22c55e 0%, #4ade80 100%)',
+    AA: 'linear-gradient(90deg, #fbbf24 0%, #fcd34d 100%)',
+    FAIL: 'linear-gradient(90deg, #ef4444 0%, #f87171 100%)',
+};
+
+/**
+ * Medidor de contraste WCAG entre texto y fondo, con ratio, nivel y barra
+ * @param {Object} props
+ * @param {string} props.fill - Color de fondo
+ * @param {string} props.color - Color del texto
+ * @param {boolean} [props.showMarkers] - Marcas 1 / 4.5 / 7 / 21+ bajo la barra
+ * @param {Object} [props.style] - Estilos del contenedor
+ */
+export function ContrastMeter({ fill, color, showMarkers = true, style = {} }) {
+    const { colors } = useTheme();
+    const { t } = useLanguage();
+
+    const { ratio, level } = getContrastRatio(color, fill);
+    const indicator = LEVEL_INDICATORS[level];
+
+    const styles = {
+        contrastMeter: {
+            marginBottom: '12px',
+            ...style,
+        },
+        contrastLabel: {
+            display: 'flex',
+            justifyContent: 'space-between',
+            alignItems: 'center',
+            marginBottom: '6px',
+            fontSize: '11px',
+            color: colors.textMuted,
+            textTransform: 'uppercase',
+            letterSpacing: '0.05em',
+        },
+        contrastValue: {
+            display: 'flex',
+            alignItems: 'center',
+            gap: '6px',
+            fontSize: '12px',
+            fontWeight: '600',
+            color: indicator.color,
+        },
+        meterTrack: {
+            height: '6px',
+            background: colors.bgHover,
+            borderRadius: '3px',
+            overflow: 'hidden',
+            position: 'relative',
+        },
+        meterFill: {
+            height: '100%',
+            borderRadius: '3px',
+            transition: 'width 0.3s ease',
+            // Ratio 1-21 sobre el ancho de la barra
+            width: `${Math.min(100, (ratio / 21) * 100)}%`,
+            background: LEVEL_GRADIENTS[level],
+        },
+        meterMarkers: {
+            position: 'relative',
+            height: '12px',
+            marginTop: '4px',
+            display: 'flex',
+            justifyContent: 'space-between',
+            fontSize: '9px',
+            color: colors.textMuted,
+        },
+    };
+
+    return (
+        <div style={styles.contrastMeter}>
+            <div style={styles.contrastLabel}>
+                <span>{t('styleEditor.contrast')}</span>
+                <span style={styles.contrastValue}>
+                    {ratio}:1 {indicator.icon} {indicator.text}
+                </span>
+            </div>
+            <div style={styles.meterTrack}>
+                <div style={styles.meterFill} />
+            </div>
+            {showMarkers && (
+                <div style={styles.meterMarkers}>
+                    <span>1</span>
+                    <span style={{ position: 'absolute', left: '21%' }}>4.5</span>
+                    <span style={{ position: 'absolute', left: '33%' }}>7</span>
+                    <span>21+</span>
+                </div>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,86 @@
+import { useEffect, useRef, useState } from 'react';
+import { useTheme } from '../../hooks/useTheme';
+import { useLanguage } from '../../hooks/useLanguage';
+
+// Ancho mínimo de la caja de texto
+const MIN_EDITOR_WIDTH = 160;
+
+/**
+ * Caja de texto sobre el preview para editar la etiqueta de un nodo o arista.
+ * Enter o salir de la caja confirma; Escape cancela.
+ * @param {Object} props
+ * @param {string} props.initialText - Etiqueta actual (texto plano)
+ * @param {{left: number, top: number, width: number, height: number}} props.rect - Caja del elemento, relativa al preview
+ * @param {Function} props.onCommit - Recibe el texto nuevo
+ * @param {Function} props.onCancel - Cerrar sin cambios
+ */
+export function InlineLabelEditor({ initialText, rect, onCommit, onCancel }) {
+    const { colors } = useTheme();
+    const { t } = useLanguage();
+    const [text, setText] = useState(initialText);
+    const inputRef = useRef(null);
+    const closedRef = useRef(false);
+
+    useEffect(() => {
+        inputRef.current?.focus();
+        inputRef.current?.select();
+    }, []);
+
+    // Enter y blur pueden llegar seguidos: solo se cierra una vez
+    const close = (commit) => {
+        if (closedRef.current) return;
+        closedRef.current = true;
+        if (commit && text.trim() && text !== initialText) onCommit(text.trim());
+        else onCancel();
+    };
+
+    const handleKeyDown = (e) => {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            close(true);
+        } else if (e.key === 'Escape') {
+            e.preventDefault();
+            close(false);
+        }
+    };
+
+    const width = Math.max(MIN_EDITOR_WIDTH, rect.width);
+
+    const styles = {
+        input: {
+            position: 'absolute',
+            left: `${rect.left + rect.width / 2 - width / 2}px`,
+            top: `${rect.top + rect.height / 2 - 16}px`,
+            width: `${width}px`,
+            height: '32px',
+            padding: '0 10px',
+            boxSizing: 'border-box',
+            fontSize: '14px',
+            textAlign: 'center',
+            color: colors.textPrimary,
+            background: colors.bgSecondary,
+            border: '2px solid #6366f1',
+            borderRadius: '8px',
+            boxShadow: '0 8px 24px rgba(0, 0, 0, 0.25)',
+            outline: 'none',
+            zIndex: 3,
+        },
+    };
+
+    return (
+        <input
+            ref={inputRef}
+            value={text}
+            onChange={(e) => setText(e.target.value)}
+            onKeyDown={handleKeyDown}
+            onBlur={() => close(true)}
+            // No iniciar un desplazamiento del preview al seleccionar texto
+            onPointerDown={(e) => e.stopPropagation()}
+            onClick={(e) => e.stopPropagation()}
+            onDoubleClick={(e) => e.stopPropagation()}
+            style={styles.input}
+            aria-label={t('preview.editLabel')}
+            title={t('preview.editLabelHint')}
+        />
+    );
+}
@@ -0,0 +1,238 @@
+import { useState, useRef, useEffect } from 'react';
+import { useTheme } from '../../hooks/useTheme';
+import { useLanguage } from '../../hooks/useLanguage';
+import { MERMAID_THEMES } from '../../config/mermaid.config';
+
+const formatVariables = (themeVariables) => (
+    Object.keys(themeVariables).length > 0 ? JSON.stringify(themeVariables, null, 2) : ''
+);
+
+/**
+ * Menú desplegable con el tema de Mermaid del diagrama (independiente del
+ * tema de la app), el editor de themeVariables y la exportación claro + oscuro
+ * @param {Object} props
+ * @param {{theme: string, themeVariables: Object}} props.value - Tema actual
+ * @param {Function} props.onChange - Handler de cambio (recibe la configuración completa)
+ * @param {Function} props.onReset - Restaurar el tema por defecto
+ * @param {Function} props.onExportVariants - Exportar la variante clara y la oscura
+ * @param {boolean} props.canExportVariants - Si hay un diagrama válido que exportar
+ * @param {boolean} props.isMobile - Is mobile viewport
+ */
+export function MermaidThemeMenu({ value, onChange, onReset, onExportVariants, canExportVariants = false, isMobile = false }) {
+    const { colors, isDark } = useTheme();
+    const { t } = useLanguage();
+    const [isOpen, setIsOpen] = useState(false);
+    const [variablesDraft, setVariablesDraft] = useState(() => formatVariables(value.themeVariables));
+    const [variablesError, setVariablesError] = useState(false);
+    const containerRef = useRef(null);
+
+    // Sincronizar el borrador cuando las variables cambian desde fuera (reset)
+    useEffect(() => {
+        setVariablesDraft(formatVariables(value.themeVariables));
+        setVariablesError(false);
+    }, [value.themeVariables]);
+
+    // Cerrar al hacer click fuera o pulsar Escape
+    useEffect(() => {
+        if (!isOpen) return undefined;
+
+        const handlePointerDown = (e) => {
+            if (containerRef.current && !containerRef.current.contains(e.target)) {
+                setIsOpen(false);
+            }
+        };
+        const handleKeyDown = (e) => {
+            if (e.key === 'Escape') setIsOpen(false);
+        };
+
+        document.addEventListener('mousedown', handlePointerDown);
+        document.addEventListener('keydown', handleKeyDown);
+        return () => {
+            document.removeEventListener('mousedown', handlePointerDown);
+            document.removeEventListener('keydown', handleKeyDown);
+        };
+    }, [isOpen]);
+
+    const applyVariables = () => {
+        try {
+            const parsed = variablesDraft.trim() ? JSON.parse(variablesDraft) : {};
+            if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+                throw new Error('themeVariables must be an object');
+            }
+            setVariablesError(false);
+            onChange({ ...value, themeVariables: parsed });
+        } catch {
+            setVariablesError(true);
+        }
+    };
+
+    const styles = {
+        container: {
+            position: 'relative',
+        },
+        trigger: {
+            background: isOpen ? colors.bgButtonHover : 'transparent',
+            border: `1px solid ${colors.borderPrimary}`,
+            borderRadius: '8px',
+            cursor: 'pointer',
+            padding: '6px 12px',
+            display: 'flex',
+            alignItems: 'center',
+            gap: '8px',
+            color: colors.textSecondary,
+            fontSize: '12px',
+            fontWeight: '600',
+            letterSpacing: '0.02em',
+            whiteSpace: 'nowrap',
+        },
+        panel: {
+            position: 'absolute',
+            top: 'calc(100% + 8px)',
+            right: 0,
+            zIndex: 50,
+            width: isMobile ? '260px' : '320px',
+            padding: '16px',
+            background: isDark ? '#18181b' : '#ffffff',
+            border: `1px solid ${colors.borderSecondary}`,
+            borderRadius: '12px',
+            boxShadow: '0 12px 40px rgba(0, 0, 0, 0.3)',
+            display: 'flex',
+            flexDirection: 'column',
+            gap: '14px',
+        },
+        section: {
+            display: 'flex',
+            flexDirection: 'column',
+            gap: '8px',
+        },
+        sectionTitle: {
+            fontSize: '11px',
+            fontWeight: '600',
+            textTransform: 'uppercase',
+            letterSpacing: '0.08em',
+            color: colors.textMuted,
+        },
+        select: {
+            padding: '8px 10px',
+            fontSize: '13px',
+            fontWeight: '600',
+            background: colors.bgButton,
+            border: `1px solid ${colors.borderSecondary}`,
+            borderRadius: '8px',
+            color: colors.textSecondary,
+            cursor: 'pointer',
+        },
+        textarea: {
+            minHeight: '110px',
+            padding: '8px 10px',
+            fontSize: '12px',
+            fontFamily: "'JetBrains Mono', monospace",
+            background: colors.bgButton,
+            border: `1px solid ${variablesError ? '#ef4444' : colors.borderSecondary}`,
+            borderRadius: '8px',
+            color: colors.textSecondary,
+            resize: 'vertical',
+        },
+        hint: {
+            fontSize: '11px',
+            color: colors.textMuted,
+        },
+        error: {
+            fontSize: '11px',
+            color: '#ef4444',
+        },
+        actions: {
+            display: 'flex',
+            justifyContent: 'flex-end',
+            gap: '8px',
+        },
+        secondary: {
+            padding: '6px 12px',
+            fontSize: '12px',
+            fontWeight: '500',
+            background: 'transparent',
+            border: `1px solid ${colors.borderSecondary}`,
+            borderRadius: '6px',
+            color: colors.textSecondary,
+            cursor: 'pointer',
+        },
+        primary: {
+            padding: '10px 14px',
+            fontSize: '13px',
+            fontWeight: '600',
+            background: 'linear-gradient(135deg, #6366f1 0%, #8b5cf6 100%)',
+            border: 'none',
+            borderRadius: '8px',
+            color: '#fff',
+            cursor: canExportVariants ? 'pointer' : 'not-allowed',
+            opacity: canExportVariants ? 1 : 0.5,
+        },
+    };
+
+    return (
+        <div ref={containerRef} style={styles.container}>
+            <button
+                onClick={() => setIsOpen((open) => !open)}
+                style={styles.trigger}
+                aria-expanded={isOpen}
+                title={t('mermaidTheme.tooltip')}
+            >
+                <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+                    <circle cx="12" cy="12" r="9" />
+                    <path d="M12 3v18" />
+                    <path d="M12 3a9 9 0 010 18" fill="currentColor" />
+                </svg>
+                <span>{isMobile ? t('mermaidTheme.title') : `${t('mermaidTheme.title')}: ${t(`mermaidTheme.themes.${value.theme}`)}`}</span>
+            </button>
+
+            {isOpen && (
+                <div style={styles.panel} role="dialog" aria-label={t('mermaidTheme.title')}>
+                    <div style={styles.section}>
+                        <span style={styles.sectionTitle}>{t('mermaidTheme.theme')}</span>
+                        <select
+                            value={value.theme}
+                            onChange={(e) => onChange({ ...value, theme: e.target.value })}
+                            style={styles.select}
+                            aria-label={t('mermaidTheme.theme')}
+                        >
+                            {MERMAID_THEMES.map((theme) => (
+                                <option key={theme} value={theme}>{t(`mermaidTheme.themes.${theme}`)}</option>
+                            ))}
+                        </select>
+                    </div>
+
+                    <div style={styles.section}>
+                        <span style={styles.sectionTitle}>{t('mermaidTheme.variables')}</span>
+                        <textarea
+                            value={variablesDraft}
+                            onChange={(e) => setVariablesDraft(e.target.value)}
+                            placeholder={'{\n  "primaryColor": "#ffcc00"\n}'}
+                            spellCheck={false}
+                            style={styles.textarea}
+                            aria-label={t('mermaidTheme.variables')}
+                            aria-invalid={variablesError}
+                        />
+                        {variablesError
+                            ? <span style={styles.error}>{t('mermaidTheme.invalidJson')}</span>
+                            : <span style={styles.hint}>{t('mermaidTheme.variablesHint')}</span>}
+                        <div style={styles.actions}>
+                            <button onClick={onReset} style={styles.secondary}>{t('mermaidTheme.reset')}</button>
+                            <button onClick={applyVariables} style={styles.secondary}>{t('mermaidTheme.apply')}</button>
+                        </div>
+                    </div>
+
+                    <div style={styles.section}>
+                        <button
+                            onClick={onExportVariants}
+                            disabled={!canExportVariants}
+                            style={styles.primary}
+                        >
+                            {t('mermaidTheme.exportVariants')}
+                        </button>
+                        <span style={styles.hint}>{t('mermaidTheme.variantsHint')}</span>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+}
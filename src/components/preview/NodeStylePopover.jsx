@@ -0,0 +1,315 @@
+import { useEffect, useRef, useState } from 'react';
+import { useTheme } from '../../hooks/useTheme';
+import { useLanguage } from '../../hooks/useLanguage';
+import { ContrastMeter } from './ContrastMeter';
+import { getNodeEffectiveStyle, parseClassAssignments, parseAllNodes, parseColor, rgbToHex } from '../../utils/styleParser';
+
+const POPOVER_WIDTH = 260;
+
+// Alto aproximado, para no salirse por abajo del preview
+const POPOVER_HEIGHT = 380;
+
+const FONT_WEIGHTS = ['normal', 'bold'];
+
+/**
+ * Color en #rrggbb para <input type="color"> (acepta #rgb, rgb(), nombres...)
+ * @param {string} color
+ * @returns {string}
+ */
+const toHexColor = (color) => rgbToHex(parseColor(color));
+
+/**
+ * Nodos que comparten la clase (los que cambian al editar su classDef)
+ * @param {string} code
+ * @param {string} className
+ * @returns {number}
+ */
+const countClassNodes = (code, className) => {
+    const ids = new Set();
+    parseAllNodes(code).forEach((node) => {
+        if (node.inlineClass === className) ids.add(node.id);
+    });
+    parseClassAssignments(code).forEach((classes, nodeId) => {
+        if (classes.includes(className)) ids.add(nodeId);
+    });
+    return ids.size;
+};
+
+/**
+ * Popover compacto para cambiar el estilo de un nodo desde el preview
+ * (relleno, borde, texto, grosor del borde y peso de la fuente) con el medidor
+ * de contraste WCAG en vivo. Aplicar escribe solo lo que ha cambiado.
+ * @param {Object} props
+ * @param {string} props.code - Código actual
+ * @param {string} props.nodeId - Nodo a editar
+ * @param {{x: number, y: number}} props.position - Punto del clic, relativo al preview
+ * @param {{width: number, height: number}} props.bounds - Tamaño del preview (para no salirse)
+ * @param {Function} props.onApply - Recibe el id del nodo y las propiedades cambiadas
+ * @param {Function} props.onClose - Cerrar sin aplicar
+ */
+export function NodeStylePopover({ code, nodeId, position, bounds, onApply, onClose }) {
+    const { colors, isDark } = useTheme();
+    const { t } = useLanguage();
+    const popoverRef = useRef(null);
+
+    // Estilo del código al abrir (el popover se monta de nuevo para cada nodo)
+    const [initial] = useState(() => {
+        const style = getNodeEffectiveStyle(nodeId, code);
+        return {
+            ...style,
+            fill: toHexColor(style.fill),
+            stroke: toHexColor(style.stroke),
+            color: toHexColor(style.color),
+            strokeWidth: parseFloat(style.strokeWidth) || 1,
+            fontWeight: style.fontWeight === 'bold' || Number(style.fontWeight) >= 600 ? 'bold' : 'normal',
+        };
+    });
+
+    const [draft, setDraft] = useState(initial);
+    const sharedCount = initial.source === 'classDef' ? countClassNodes(code, initial.className) : 0;
+
+    // Cerrar con Escape o con un clic fuera
+    useEffect(() => {
+        const handleKeyDown = (e) => {
+            if (e.key === 'Escape') onClose();
+        };
+        const handlePointerDown = (e) => {
+            if (popoverRef.current && !popoverRef.current.contains(e.target)) onClose();
+        };
+        document.addEventListener('keydown', handleKeyDown);
+        document.addEventListener('pointerdown', handlePointerDown);
+        return () => {
+            document.removeEventListener('keydown', handleKeyDown);
+            document.removeEventListener('pointerdown', handlePointerDown);
+        };
+    }, [onClose]);
+
+    const setField = (field, value) => setDraft((prev) => ({ ...prev, [field]: value }));
+
+    const handleApply = () => {
+        const changes = {};
+        ['fill', 'stroke', 'color', 'fontWeight'].forEach((field) => {
+            if (draft[field] !== initial[field]) changes[field] = draft[field];
+        });
+        if (draft.strokeWidth !== initial.strokeWidth) changes.strokeWidth = `${draft.strokeWidth}px`;
+
+        if (Object.keys(changes).length > 0) onApply(nodeId, changes);
+        else onClose();
+    };
+
+    // Dónde se escribe el cambio
+    const sourceText = initial.source === 'inline_style'
+        ? `style ${nodeId}`
+        : initial.source === 'classDef'
+            ? `classDef ${initial.className}`
+            : t('nodeStyle.newClass');
+
+    const styles = {
+        popover: {
+            position: 'absolute',
+            left: `${Math.max(8, Math.min(position.x, bounds.width - POPOVER_WIDTH - 8))}px`,
+            top: `${Math.max(8, Math.min(position.y, bounds.height - POPOVER_HEIGHT - 8))}px`,
+            width: `${POPOVER_WIDTH}px`,
+            padding: '14px',
+            boxSizing: 'border-box',
+            background: isDark ? '#18181b' : '#ffffff',
+            border: `1px solid ${colors.borderSecondary}`,
+            borderRadius: '12px',
+            boxShadow: '0 16px 40px rgba(0, 0, 0, 0.3)',
+            color: colors.textPrimary,
+            cursor: 'default',
+            zIndex: 4,
+        },
+        header: {
+            display: 'flex',
+            alignItems: 'baseline',
+            justifyContent: 'space-between',
+            gap: '8px',
+            marginBottom: '10px',
+        },
+        title: {
+            fontSize: '13px',
+            fontWeight: '600',
+            overflow: 'hidden',
+            textOverflow: 'ellipsis',
+            whiteSpace: 'nowrap',
+        },
+        source: {
+            fontSize: '10px',
+            fontFamily: "'JetBrains Mono', monospace",
+            color: colors.textMuted,
+            whiteSpace: 'nowrap',
+        },
+        sharedHint: {
+            fontSize: '11px',
+            color: '#f59e0b',
+            marginBottom: '10px',
+        },
+        sample: {
+            padding: '8px',
+            marginBottom: '10px',
+            borderRadius: '8px',
+            textAlign: 'center',
+            fontSize: '13px',
+            background: draft.fill,
+            color: draft.color,
+            border: `${draft.strokeWidth}px solid ${draft.stroke}`,
+            fontWeight: draft.fontWeight,
+        },
+        row: {
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'space-between',
+            gap: '8px',
+            marginBottom: '8px',
+            fontSize: '12px',
+            color: colors.textSecondary,
+        },
+        colorInput: {
+            width: '32px',
+            height: '24px',
+            padding: 0,
+            border: `1px solid ${colors.borderPrimary}`,
+            borderRadius: '6px',
+            background: 'transparent',
+            cursor: 'pointer',
+        },
+        hex: {
+            width: '72px',
+            fontSize: '11px',
+            fontFamily: "'JetBrains Mono', monospace",
+            color: colors.textMuted,
+            textAlign: 'right',
+        },
+        field: {
+            display: 'flex',
+            alignItems: 'center',
+            gap: '6px',
+        },
+        numberInput: {
+            width: '56px',
+            padding: '3px 6px',
+            fontSize: '12px',
+            color: colors.textPrimary,
+            background: colors.bgButton,
+            border: `1px solid ${colors.borderPrimary}`,
+            borderRadius: '6px',
+        },
+        select: {
+            padding: '3px 6px',
+            fontSize: '12px',
+            color: colors.textPrimary,
+            background: colors.bgButton,
+            border: `1px solid ${colors.borderPrimary}`,
+            borderRadius: '6px',
+        },
+        footer: {
+            display: 'flex',
+            justifyContent: 'flex-end',
+            gap: '8px',
+        },
+        secondaryButton: {
+            padding: '6px 12px',
+            fontSize: '12px',
+            fontWeight: '500',
+            background: 'transparent',
+            border: `1px solid ${colors.borderSecondary}`,
+            borderRadius: '8px',
+            color: colors.textSecondary,
+            cursor: 'pointer',
+        },
+        primaryButton: {
+            padding: '6px 12px',
+            fontSize: '12px',
+            fontWeight: '600',
+            background: 'linear-gradient(135deg, #6366f1 0%, #8b5cf6 100%)',
+            border: 'none',
+            borderRadius: '8px',
+            color: '#fff',
+            cursor: 'pointer',
+        },
+    };
+
+    const renderColorRow = (field, label) => (
+        <label style={styles.row}>
+            <span>{label}</span>
+            <span style={styles.field}>
+                <span style={styles.hex}>{draft[field]}</span>
+                <input
+                    type="color"
+                    value={draft[field]}
+                    onChange={(e) => setField(field, e.target.value)}
+                    style={styles.colorInput}
+                />
+            </span>
+        </label>
+    );
+
+    return (
+        <div
+            ref={popoverRef}
+            style={styles.popover}
+            role="dialog"
+            aria-label={`${t('nodeStyle.title')}: ${nodeId}`}
+            // Los gestos dentro del popover no deben desplazar ni seleccionar en el preview
+            onPointerDown={(e) => e.stopPropagation()}
+            onClick={(e) => e.stopPropagation()}
+            onDoubleClick={(e) => e.stopPropagation()}
+            onContextMenu={(e) => e.stopPropagation()}
+        >
+            <div style={styles.header}>
+                <span style={styles.title}>{t('nodeStyle.title')}: {nodeId}</span>
+                <span style={styles.source}>{sourceText}</span>
+            </div>
+            {sharedCount > 1 && (
+                <div style={styles.sharedHint}>{sharedCount} {t('nodeStyle.sharedClass')}</div>
+            )}
+
+            <div style={styles.sample}>{t('styleEditor.sampleText')}</div>
+
+            {renderColorRow('fill', t('styleEditor.fill'))}
+            {renderColorRow('stroke', t('nodeStyle.stroke'))}
+            {renderColorRow('color', t('styleEditor.textColor'))}
+
+            <label style={styles.row}>
+                <span>{t('nodeStyle.strokeWidth')}</span>
+                <span style={styles.field}>
+                    <input
+                        type="number"
+                        min="0"
+                        max="10"
+                        step="0.5"
+                        value={draft.strokeWidth}
+                        onChange={(e) => setField('strokeWidth', Math.max(0, Number(e.target.value) || 0))}
+                        style={styles.numberInput}
+                    />
+                    px
+                </span>
+            </label>
+
+            <label style={styles.row}>
+                <span>{t('nodeStyle.fontWeight')}</span>
+                <select
+                    value={draft.fontWeight}
+                    onChange={(e) => setField('fontWeight', e.target.value)}
+                    style={styles.select}
+                >
+                    {FONT_WEIGHTS.map((weight) => (
+                        <option key={weight} value={weight}>{t(`nodeStyle.${weight}`)}</option>
+                    ))}
+                </select>
+            </label>
+
+            <ContrastMeter fill={draft.fill} color={draft.color} showMarkers={false} />
+
+            <div style={styles.footer}>
+                <button style={styles.secondaryButton} onClick={onClose}>
+                    {t('nodeStyle.cancel')}
+                </button>
+                <button style={styles.primaryButton} onClick={handleApply}>
+                    {t('styleEditor.apply')}
+                </button>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,117 @@
+import { useRef } from 'react';
+import { useTheme } from '../../hooks/useTheme';
+import { useLanguage } from '../../hooks/useLanguage';
+
+// Tamaño máximo del minimapa
+const MINIMAP_WIDTH = 160;
+const MINIMAP_HEIGHT = 120;
+
+/**
+ * Minimapa del preview para diagramas que no caben: miniatura del lienzo con
+ * el recuadro de la zona visible. Pulsar o arrastrar sobre él centra la vista ahí.
+ * @param {Object} props
+ * @param {string|null} props.imageUrl - Imagen del lienzo (la del último render)
+ * @param {{width: number, height: number}} props.contentSize - Tamaño del lienzo sin escalar
+ * @param {{width: number, height: number}} props.viewportSize - Tamaño de la zona visible
+ * @param {{scale: number, x: number, y: number}} props.view - Zoom y desplazamiento actuales
+ * @param {Function} props.onNavigate - Recibe el punto del lienzo (x, y) que centrar
+ * @param {boolean} props.isMobile - Is mobile viewport
+ */
+export function PreviewMinimap({ imageUrl, contentSize, viewportSize, view, onNavigate, isMobile = false }) {
+    const { colors } = useTheme();
+    const { t } = useLanguage();
+    const mapRef = useRef(null);
+    const isDraggingRef = useRef(false);
+
+    const ratio = Math.min(MINIMAP_WIDTH / contentSize.width, MINIMAP_HEIGHT / contentSize.height);
+    const width = contentSize.width * ratio;
+    const height = contentSize.height * ratio;
+
+    // Zona visible en coordenadas del lienzo, recortada a sus bordes
+    const left = Math.max(0, -view.x / view.scale);
+    const top = Math.max(0, -view.y / view.scale);
+    const right = Math.min(contentSize.width, (viewportSize.width - view.x) / view.scale);
+    const bottom = Math.min(contentSize.height, (viewportSize.height - view.y) / view.scale);
+
+    const navigate = (e) => {
+        const rect = mapRef.current.getBoundingClientRect();
+        onNavigate((e.clientX - rect.left) / ratio, (e.clientY - rect.top) / ratio);
+    };
+
+    const handlePointerDown = (e) => {
+        e.stopPropagation();
+        isDraggingRef.current = true;
+        e.currentTarget.setPointerCapture?.(e.pointerId);
+        navigate(e);
+    };
+
+    const handlePointerMove = (e) => {
+        if (isDraggingRef.current) navigate(e);
+    };
+
+    const handlePointerUp = () => {
+        isDraggingRef.current = false;
+    };
+
+    const styles = {
+        minimap: {
+            position: 'absolute',
+            left: isMobile ? '8px' : '12px',
+            bottom: isMobile ? '8px' : '12px',
+            width: `${width}px`,
+            height: `${height}px`,
+            padding: '4px',
+            boxSizing: 'content-box',
+            background: colors.bgHover,
+            border: `1px solid ${colors.borderPrimary}`,
+            borderRadius: '8px',
+            boxShadow: '0 4px 12px rgba(0, 0, 0, 0.12)',
+            cursor: 'pointer',
+            touchAction: 'none',
+            zIndex: 2,
+        },
+        map: {
+            position: 'relative',
+            width: '100%',
+            height: '100%',
+            overflow: 'hidden',
+        },
+        image: {
+            width: '100%',
+            height: '100%',
+            objectFit: 'contain',
+            display: 'block',
+            pointerEvents: 'none',
+            userSelect: 'none',
+        },
+        visibleArea: {
+            position: 'absolute',
+            left: `${left * ratio}px`,
+            top: `${top * ratio}px`,
+            width: `${Math.max(0, right - left) * ratio}px`,
+            height: `${Math.max(0, bottom - top) * ratio}px`,
+            border: '1.5px solid #6366f1',
+            background: 'rgba(99, 102, 241, 0.12)',
+            borderRadius: '2px',
+            boxSizing: 'border-box',
+            pointerEvents: 'none',
+        },
+    };
+
+    return (
+        <div
+            style={styles.minimap}
+            title={t('zoom.minimap')}
+            onPointerDown={handlePointerDown}
+            onPointerMove={handlePointerMove}
+            onPointerUp={handlePointerUp}
+            onPointerCancel={handlePointerUp}
+            onClick={(e) => e.stopPropagation()}
+        >
+            <div ref={mapRef} style={styles.map}>
+                {imageUrl && <img src={imageUrl} alt="" style={styles.image} draggable={false} />}
+                <div style={styles.visibleArea} />
+            </div>
+        </div>
+    );
+}
@@ -1,10 +1,29 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
 import { useTheme } from '../../hooks/useTheme';
 import { useLanguage } from '../../hooks/useLanguage';
+import { usePreviewZoom } from '../../hooks/usePreviewZoom';
 import { ErrorDisplay } from '../error';
 import { VisibilityControls } from './VisibilityControls';
+import { MermaidThemeMenu } from './MermaidThemeMenu';
+import { ZoomControls } from './ZoomControls';
+import { PreviewMinimap } from './PreviewMinimap';
+import { InlineLabelEditor } from './InlineLabelEditor';
+import { NodeStylePopover } from './NodeStylePopover';
+import { resolveExportStyle, isFramedExportStyle, exportSvgToSvg, PREVIEW_HIGHLIGHT_CLASS } from '../../utils/exportUtils';
+import { parseColor } from '../../utils/styleParser';
+import { getRenderedTarget, findRenderedElement } from '../../utils/mermaidRender';
+import { findLabelRange } from '../../utils/sourceMap';
+
+// Tiempo que se muestra un aviso sobre el diagrama
+const NOTICE_DURATION_MS = 4000;
 
 /**
  * Panel de vista previa del diagrama (Responsive)
+ * - Zoom con rueda/pellizco, arrastrar para desplazar y minimapa en diagramas grandes
+ * - Doble clic en un nodo o arista para editar su etiqueta en el sitio
+ *   (salvo etiquetas compartidas por varias aristas, que se editan en el código)
+ * - Clic derecho en un nodo para cambiar su estilo
+ * - Con onShowSource, tocar un elemento muestra un botón para ir a su código
  * @param {Object} props
  * @param {React.RefObject} props.previewRef - Ref del contenedor de preview
  * @param {boolean} props.isRendering - Estado de renderizado
@@ -12,6 +31,18 @@ import { VisibilityControls } from './VisibilityControls';
  * @param {string} props.code - Código actual
  * @param {Function} props.onCodeChange - Handler para cambiar código
  * @param {Function} props.onAutoFix - Handler de auto-fix
+ * @param {Object} props.exportStyle - Estilo del lienzo exportado, reflejado alrededor del diagrama
+ * @param {boolean} props.bgTransparent - Si la exportación usa fondo transparente
+ * @param {{theme: string, themeVariables: Object}} props.mermaidTheme - Tema de Mermaid del diagrama
+ * @param {Function} props.onMermaidThemeChange - Handler de cambio de tema
+ * @param {Function} props.onMermaidThemeReset - Restaurar el tema por defecto
+ * @param {Function} props.onExportVariants - Exportar variante clara y oscura
+ * @param {boolean} props.canExport - Si hay un diagrama válido que exportar
+ * @param {Function} [props.onElementSelect] - Clic en un nodo, subgraph o arista ({type, id} | {type, from, to, index})
+ * @param {Function} [props.onShowSource] - "Ver en el código" del elemento tocado (recibe el elemento)
+ * @param {Function} [props.onLabelEdit] - Recibe el elemento y el texto nuevo de su etiqueta
+ * @param {Function} [props.onNodeStyleChange] - Recibe el id del nodo y las propiedades de estilo cambiadas
+ * @param {Object|null} [props.highlightTarget] - Elemento a resaltar (el que está bajo el cursor del editor)
  * @param {boolean} props.isMobile - Is mobile viewport
  * @param {boolean} props.isTablet - Is tablet viewport
  */
@@ -22,11 +53,152 @@ export function PreviewPanel({
     code,
     onCodeChange,
     onAutoFix,
+    exportStyle,
+    bgTransparent = false,
+    mermaidTheme,
+    onMermaidThemeChange,
+    onMermaidThemeReset,
+    onExportVariants,
+    canExport = false,
+    onElementSelect,
+    onShowSource,
+    onLabelEdit,
+    onNodeStyleChange,
+    highlightTarget = null,
     isMobile = false,
     isTablet = false,
 }) {
     const { colors } = useTheme();
     const { t } = useLanguage();
+    const viewportRef = useRef(null);
+    const [minimapUrl, setMinimapUrl] = useState(null);
+    const [labelEdit, setLabelEdit] = useState(null); // {target, text, rect}
+    const [styleEdit, setStyleEdit] = useState(null); // {nodeId, position}
+    const [sourceTarget, setSourceTarget] = useState(null); // Elemento tocado, para "Ver en el código"
+    const [notice, setNotice] = useState(null); // Aviso temporal sobre el diagrama
+
+    const hasDiagram = !errorInfo && Boolean(code.trim());
+    const zoom = usePreviewZoom({
+        viewportRef,
+        contentRef: previewRef,
+        margin: isMobile ? 16 : isTablet ? 20 : 24,
+        enabled: hasDiagram,
+    });
+    const { view, contentSize, viewportSize } = zoom;
+    const isMeasured = contentSize.width > 0 && contentSize.height > 0;
+    const showMinimap = hasDiagram && isMeasured && (
+        contentSize.width * view.scale > viewportSize.width
+        || contentSize.height * view.scale > viewportSize.height
+    );
+
+    // Miniatura del lienzo para el minimapa, tras cada render
+    useEffect(() => {
+        if (!showMinimap || isRendering) return;
+        const svgElement = previewRef.current?.querySelector('svg');
+        try {
+            setMinimapUrl(svgElement ? exportSvgToSvg(svgElement, { transparent: bgTransparent, style: exportStyle }) : null);
+        } catch (err) {
+            console.warn('Minimap error:', err);
+            setMinimapUrl(null);
+        }
+    }, [previewRef, showMinimap, isRendering, errorInfo, exportStyle, bgTransparent]);
+
+    // El aviso se oculta solo
+    useEffect(() => {
+        if (!notice) return undefined;
+        const timer = setTimeout(() => setNotice(null), NOTICE_DURATION_MS);
+        return () => clearTimeout(timer);
+    }, [notice]);
+
+    // Resaltar el elemento del cursor del editor (también tras cada re-render del SVG)
+    useEffect(() => {
+        const container = previewRef.current;
+        if (!container || isRendering) return;
+        container.querySelectorAll(`.${PREVIEW_HIGHLIGHT_CLASS}`).forEach((element) => {
+            element.classList.remove(PREVIEW_HIGHLIGHT_CLASS);
+        });
+        findRenderedElement(container.querySelector('svg'), highlightTarget)?.classList.add(PREVIEW_HIGHLIGHT_CLASS);
+    }, [previewRef, highlightTarget, isRendering, errorInfo]);
+
+    const handlePreviewClick = (e) => {
+        if (zoom.shouldIgnoreClick()) return;
+        const target = getRenderedTarget(e.target);
+        if (target) onElementSelect(target);
+        // Tocar fuera de un elemento oculta el botón
+        if (onShowSource) setSourceTarget(target);
+    };
+
+    const handleShowSource = () => {
+        onShowSource(sourceTarget);
+        setSourceTarget(null);
+    };
+
+    const handlePreviewDoubleClick = (e) => {
+        const target = getRenderedTarget(e.target);
+        const range = target && findLabelRange(code, target);
+        if (!range) return;
+        if (range.shared) {
+            setSourceTarget(null);
+            setNotice(t('preview.sharedLabel'));
+            return;
+        }
+
+        const element = e.target.closest('g.node, g.edgeLabel, path.flowchart-link');
+        const box = element.getBoundingClientRect();
+        const viewportBox = viewportRef.current.getBoundingClientRect();
+        setLabelEdit({
+            target,
+            text: range.text,
+            rect: {
+                left: box.left - viewportBox.left,
+                top: box.top - viewportBox.top,
+                width: box.width,
+                height: box.height,
+            },
+        });
+    };
+
+    const handleLabelCommit = (text) => {
+        onLabelEdit(labelEdit.target, text);
+        setLabelEdit(null);
+    };
+
+    const handlePreviewContextMenu = (e) => {
+        const target = getRenderedTarget(e.target);
+        if (target?.type !== 'node') return;
+        e.preventDefault();
+        const viewportBox = viewportRef.current.getBoundingClientRect();
+        setStyleEdit({
+            nodeId: target.id,
+            position: { x: e.clientX - viewportBox.left, y: e.clientY - viewportBox.top },
+        });
+    };
+
+    const handleNodeStyleApply = (nodeId, props) => {
+        onNodeStyleChange(nodeId, props);
+        setStyleEdit(null);
+    };
+
+    const closeStyleEdit = useCallback(() => setStyleEdit(null), []);
+
+    // Reflejar en el preview el lienzo que tendrá la exportación (fondo, padding, marco y sombra)
+    const getCanvasStyle = () => {
+        if (!code.trim()) return {};
+
+        const { background, padding, radius, border, shadow } = resolveExportStyle(exportStyle);
+        const shadowRgb = parseColor(shadow.color) || { r: 0, g: 0, b: 0 };
+
+        return {
+            padding: `${padding.top}px ${padding.right}px ${padding.bottom}px ${padding.left}px`,
+            background: bgTransparent ? 'transparent' : background,
+            borderRadius: isFramedExportStyle({ radius, border, shadow }) ? `${radius}px` : 0,
+            border: border.enabled ? `${border.width}px solid ${border.color}` : 'none',
+            boxShadow: shadow.enabled
+                ? `0 ${shadow.offsetY}px ${shadow.blur * 2}px rgba(${shadowRgb.r}, ${shadowRgb.g}, ${shadowRgb.b}, ${shadow.opacity})`
+                : 'none',
+            boxSizing: 'border-box',
+        };
+    };
 
     const styles = {
         section: {
@@ -58,6 +230,11 @@ export function PreviewPanel({
             alignItems: 'center',
             gap: '10px',
         },
+        headerControls: {
+            display: 'flex',
+            alignItems: 'center',
+            gap: '8px',
+        },
         renderingDot: {
             width: '8px',
             height: '8px',
@@ -67,7 +244,8 @@ export function PreviewPanel({
         },
         container: {
             flex: 1,
-            overflow: 'auto',
+            position: 'relative',
+            overflow: errorInfo ? 'auto' : 'hidden',
             display: 'flex',
             alignItems: 'center',
             justifyContent: 'center',
@@ -84,33 +262,101 @@ export function PreviewPanel({
             transition: 'background-image 0.3s ease',
             // Enable touch scrolling
             WebkitOverflowScrolling: 'touch',
-            // Enable pinch-to-zoom on touch devices
-            touchAction: 'pan-x pan-y pinch-zoom',
+            // Los gestos táctiles los gestiona usePreviewZoom (salvo con el error a la vista)
+            touchAction: hasDiagram ? 'none' : 'pan-x pan-y pinch-zoom',
+            cursor: hasDiagram ? (zoom.isPanning ? 'grabbing' : 'grab') : 'default',
+            userSelect: zoom.isPanning ? 'none' : undefined,
             // Critical: allows flex item to shrink below content size
             minHeight: 0,
         },
+        notice: {
+            position: 'absolute',
+            top: isMobile ? '8px' : '12px',
+            left: '50%',
+            transform: 'translateX(-50%)',
+            maxWidth: 'calc(100% - 32px)',
+            padding: '8px 14px',
+            border: `1px solid ${colors.borderPrimary}`,
+            borderRadius: '10px',
+            background: colors.bgHover,
+            color: colors.textSecondary,
+            fontSize: '13px',
+            boxShadow: '0 4px 12px rgba(0, 0, 0, 0.12)',
+            pointerEvents: 'none',
+            zIndex: 2,
+        },
+        showSourceButton: {
+            position: 'absolute',
+            top: isMobile ? '8px' : '12px',
+            left: '50%',
+            transform: 'translateX(-50%)',
+            padding: '8px 14px',
+            border: `1px solid ${colors.borderPrimary}`,
+            borderRadius: '10px',
+            background: colors.bgHover,
+            color: colors.textPrimary,
+            fontSize: '13px',
+            fontWeight: '600',
+            boxShadow: '0 4px 12px rgba(0, 0, 0, 0.12)',
+            cursor: 'pointer',
+            zIndex: 2,
+        },
+        // Lienzo a tamaño real, ampliado y desplazado con transform (sin re-renderizar Mermaid)
         preview: {
-            maxWidth: '100%',
-            maxHeight: '100%',
-            display: 'flex',
-            alignItems: 'center',
-            justifyContent: 'center',
+            position: 'absolute',
+            left: 0,
+            top: 0,
+            width: 'max-content',
+            transformOrigin: '0 0',
+            transform: `translate(${view.x}px, ${view.y}px) scale(${view.scale})`,
+            visibility: isMeasured ? 'visible' : 'hidden',
         },
     };
 
+    // Elementos clicables y resaltado (CSS de la página: no viaja con el SVG exportado)
+    const interactiveCSS = `
+        .preview-interactive g.node,
+        .preview-interactive g.cluster,
+        .preview-interactive g.edgeLabel,
+        .preview-interactive path.flowchart-link {
+            cursor: pointer;
+        }
+        .${PREVIEW_HIGHLIGHT_CLASS} rect,
+        .${PREVIEW_HIGHLIGHT_CLASS} circle,
+        .${PREVIEW_HIGHLIGHT_CLASS} ellipse,
+        .${PREVIEW_HIGHLIGHT_CLASS} polygon,
+        .${PREVIEW_HIGHLIGHT_CLASS} path,
+        path.${PREVIEW_HIGHLIGHT_CLASS} {
+            stroke: #6366f1 !important;
+            stroke-width: 3px !important;
+        }
+    `;
+
     return (
         <section style={styles.section}>
+            {onElementSelect && <style>{interactiveCSS}</style>}
             <div style={styles.header}>
                 <span style={styles.title}>
                     {t('preview.title')}
                     {isRendering && <span style={styles.renderingDot} />}
                 </span>
 
-                {/* Visibility Controls */}
-                <VisibilityControls code={code} onCodeChange={onCodeChange} />
+                <div style={styles.headerControls}>
+                    <MermaidThemeMenu
+                        value={mermaidTheme}
+                        onChange={onMermaidThemeChange}
+                        onReset={onMermaidThemeReset}
+                        onExportVariants={onExportVariants}
+                        canExportVariants={canExport}
+                        isMobile={isMobile}
+                    />
+
+                    {/* Visibility Controls */}
+                    <VisibilityControls code={code} onCodeChange={onCodeChange} />
+                </div>
             </div>
 
-            <div style={styles.container}>
+            <div ref={viewportRef} style={styles.container} {...(hasDiagram ? zoom.viewportHandlers : {})}>
                 {errorInfo && (
                     <ErrorDisplay
                         errorInfo={errorInfo}
@@ -121,11 +367,70 @@ export function PreviewPanel({
                 )}
                 <div
                     ref={previewRef}
+                    className={onElementSelect ? 'preview-interactive' : undefined}
+                    onClick={onElementSelect ? handlePreviewClick : undefined}
+                    onDoubleClick={onLabelEdit ? handlePreviewDoubleClick : undefined}
+                    onContextMenu={onNodeStyleChange ? handlePreviewContextMenu : undefined}
                     style={{
                         ...styles.preview,
+                        ...getCanvasStyle(),
                         display: errorInfo ? 'none' : undefined
                     }}
                 />
+                {labelEdit && hasDiagram && (
+                    <InlineLabelEditor
+                        key={JSON.stringify(labelEdit.target)}
+                        initialText={labelEdit.text}
+                        rect={labelEdit.rect}
+                        onCommit={handleLabelCommit}
+                        onCancel={() => setLabelEdit(null)}
+                    />
+                )}
+                {styleEdit && hasDiagram && (
+                    <NodeStylePopover
+                        key={styleEdit.nodeId}
+                        code={code}
+                        nodeId={styleEdit.nodeId}
+                        position={styleEdit.position}
+                        bounds={viewportSize}
+                        onApply={handleNodeStyleApply}
+                        onClose={closeStyleEdit}
+                    />
+                )}
+                {notice && hasDiagram && (
+                    <div role="status" style={styles.notice}>{notice}</div>
+                )}
+                {sourceTarget && hasDiagram && (
+                    <button
+                        type="button"
+                        style={styles.showSourceButton}
+                        onPointerDown={(e) => e.stopPropagation()}
+                        onClick={handleShowSource}
+                    >
+                        {t('preview.showSource')}
+                    </button>
+                )}
+                {hasDiagram && isMeasured && (
+                    <ZoomControls
+                        scale={view.scale}
+                        onZoomIn={zoom.zoomIn}
+                        onZoomOut={zoom.zoomOut}
+                        onFitWidth={zoom.fitWidth}
+                        onFitPage={zoom.fitPage}
+                        onActualSize={zoom.actualSize}
+                        isMobile={isMobile}
+                    />
+                )}
+                {showMinimap && (
+                    <PreviewMinimap
+                        imageUrl={minimapUrl}
+                        contentSize={contentSize}
+                        viewportSize={viewportSize}
+                        view={view}
+                        onNavigate={zoom.centerOn}
+                        isMobile={isMobile}
+                    />
+                )}
             </div>
         </section>
     );
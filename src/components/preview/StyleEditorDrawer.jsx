@@ -1,6 +1,7 @@
 import { useState, useEffect, useRef } from 'react';
 import { useTheme } from '../../hooks/useTheme';
 import { useLanguage } from '../../hooks/useLanguage';
+import { ContrastMeter } from './ContrastMeter';
 import {
     analyzeAllStyles,
     getContrastRatio,
@@ -13,6 +14,15 @@ import {
     injectSubgraphTitleCSS,
 } from '../../utils/styleParser';
 
+// Palabra clave Mermaid de cada tipo de estilo (para la etiqueta de deshacer)
+const STYLE_KEYWORDS = {
+    classDef: 'classDef',
+    inline: 'style',
+    subgraph: 'subgraph',
+    unstyledNode: 'style',
+    edgeLabel: 'edgeLabel',
+};
+
 /**
  * StyleEditorDrawer - Interactive style editor for Mermaid styles
  * Supports both classDef and inline style statements
@@ -86,7 +96,7 @@ export function StyleEditorDrawer({ isOpen, onClose, code, onCodeChange }) {
             updatedCode = injectSubgraphTitleCSS(updatedCode, suggestedColor);
             
             // Apply changes directly since CSS injection requires immediate update
-            onCodeChange(updatedCode);
+            onCodeChange(updatedCode, `${t('undo.style')}: subgraph ${styleItem.id}`);
             return;
         }
 
@@ -103,7 +113,7 @@ export function StyleEditorDrawer({ isOpen, onClose, code, onCodeChange }) {
             });
             
             // Apply changes directly since this creates classDef + class assignment
-            onCodeChange(updatedCode);
+            onCodeChange(updatedCode, `${t('undo.style')}: style ${styleItem.id}`);
             return;
         }
 
@@ -127,7 +137,7 @@ export function StyleEditorDrawer({ isOpen, onClose, code, onCodeChange }) {
     const handleFixAll = () => {
         const { code: newCode, fixes } = autoFixAllStyles(code);
         if (fixes.length > 0) {
-            onCodeChange(newCode);
+            onCodeChange(newCode, `${t('styleEditor.fixAll')}: ${fixes.length} ${t('undo.changes')}`);
         }
     };
 
@@ -135,18 +145,22 @@ export function StyleEditorDrawer({ isOpen, onClose, code, onCodeChange }) {
     const handleImproveAll = () => {
         const { code: newCode, improvements } = improveAllStyles(code);
         if (improvements.length > 0) {
-            onCodeChange(newCode);
+            onCodeChange(newCode, `${t('undo.improveAll')}: ${improvements.length} ${t('undo.changes')}`);
         }
     };
 
     // Apply pending changes
     const handleApply = () => {
         let newCode = code;
-        Object.entries(pendingChanges).forEach(([key, change]) => {
+        const changes = Object.values(pendingChanges);
+        changes.forEach((change) => {
             const { _type, _id, ...props } = change;
             newCode = updateStyle(newCode, _id, _type, props);
         });
-        onCodeChange(newCode);
+        const label = changes.length === 1
+            ? `${t('undo.style')}: ${STYLE_KEYWORDS[changes[0]._type] || changes[0]._type} ${changes[0]._id}`
+            : `${t('undo.style')}: ${changes.length} ${t('undo.changes')}`;
+        onCodeChange(newCode, label);
         setPendingChanges({});
         onClose();
     };
@@ -312,48 +326,6 @@ export function StyleEditorDrawer({ isOpen, onClose, code, onCodeChange }) {
             fontFamily: "'Outfit', sans-serif",
             border: '1px solid rgba(255,255,255,0.1)',
         },
-        // Contrast Meter
-        contrastMeter: {
-            marginBottom: '12px',
-        },
-        contrastLabel: {
-            display: 'flex',
-            justifyContent: 'space-between',
-            alignItems: 'center',
-            marginBottom: '6px',
-            fontSize: '11px',
-            color: colors.textMuted,
-            textTransform: 'uppercase',
-            letterSpacing: '0.05em',
-        },
-        contrastValue: {
-            display: 'flex',
-            alignItems: 'center',
-            gap: '6px',
-            fontSize: '12px',
-            fontWeight: '600',
-        },
-        meterTrack: {
-            height: '6px',
-            background: colors.bgHover,
-            borderRadius: '3px',
-            overflow: 'hidden',
-            position: 'relative',
-        },
-        meterFill: {
-            height: '100%',
-            borderRadius: '3px',
-            transition: 'width 0.3s ease',
-        },
-        meterMarkers: {
-            position: 'relative',
-            height: '12px',
-            marginTop: '4px',
-            display: 'flex',
-            justifyContent: 'space-between',
-            fontSize: '9px',
-            color: colors.textMuted,
-        },
         // Color Editor Section
         colorSection: {
             display: 'flex',
@@ -483,16 +455,6 @@ export function StyleEditorDrawer({ isOpen, onClose, code, onCodeChange }) {
         },
     };
 
-    // Get contrast color and icon
-    const getContrastIndicator = (level, ratio) => {
-        if (level === 'AAA') return { color: '#22c55e', icon: '✓', text: 'AAA' };
-        if (level === 'AA') return { color: '#fbbf24', icon: '●', text: 'AA' };
-        return { color: '#ef4444', icon: '✕', text: 'FAIL' };
-    };
-
-    // Calculate meter fill percentage (0-21 ratio mapped to 0-100%)
-    const getMeterWidth = (ratio) => Math.min(100, (ratio / 21) * 100);
-
     // Render style card (works for classDef, inline, subgraph, and edge labels)
     const renderStyleCard = (styleItem) => {
         const key = `${styleItem.type}:${styleItem.id}`;
@@ -514,8 +476,7 @@ export function StyleEditorDrawer({ isOpen, onClose, code, onCodeChange }) {
             return renderUnstyledNodeCard(styleItem, key, fill, color);
         }
 
-        const { ratio, level } = getContrastRatio(color, fill);
-        const indicator = getContrastIndicator(level, ratio);
+        const { level } = getContrastRatio(color, fill);
 
         // Type badge styling
         const typeBadge = styleItem.type === 'inline'
@@ -575,33 +536,7 @@ export function StyleEditorDrawer({ isOpen, onClose, code, onCodeChange }) {
                 </div>
 
                 {/* Contrast Meter */}
-                <div style={styles.contrastMeter}>
-                    <div style={styles.contrastLabel}>
-                        <span>{t('styleEditor.contrast')}</span>
-                        <span style={{ ...styles.contrastValue, color: indicator.color }}>
-                            {ratio}:1 {indicator.icon} {indicator.text}
-                        </span>
-                    </div>
-                    <div style={styles.meterTrack}>
-                        <div
-                            style={{
-                                ...styles.meterFill,
-                                width: `${getMeterWidth(ratio)}%`,
-                                background: level === 'FAIL'
-                                    ? 'linear-gradient(90deg, #ef4444 0%, #f87171 100%)'
-                                    : level === 'AA'
-                                        ? 'linear-gradient(90deg, #fbbf24 0%, #fcd34d 100%)'
-                                        : 'linear-gradient(90deg, #22c55e 0%, #4ade80 100%)',
-                            }}
-                        />
-                    </div>
-                    <div style={styles.meterMarkers}>
-                        <span>1</span>
-                        <span style={{ position: 'absolute', left: '21%' }}>4.5</span>
-                        <span style={{ position: 'absolute', left: '33%' }}>7</span>
-                        <span>21+</span>
-                    </div>
-                </div>
+                <ContrastMeter fill={fill} color={color} />
 
                 {/* Color Editors */}
                 <div style={styles.colorSection}>
@@ -634,8 +569,7 @@ export function StyleEditorDrawer({ isOpen, onClose, code, onCodeChange }) {
 
     // Special card renderer for Edge Labels
     const renderEdgeLabelCard = (styleItem, key, fill, color) => {
-        const { ratio, level } = getContrastRatio(color, fill);
-        const indicator = getContrastIndicator(level, ratio);
+        const { level } = getContrastRatio(color, fill);
         const isFixed = styleItem.isFixedByCSS || level !== 'FAIL';
 
         return (
@@ -735,27 +669,7 @@ export function StyleEditorDrawer({ isOpen, onClose, code, onCodeChange }) {
                 </div>
 
                 {/* Contrast Meter */}
-                <div style={styles.contrastMeter}>
-                    <div style={styles.contrastLabel}>
-                        <span>{t('styleEditor.contrast')}</span>
-                        <span style={{ ...styles.contrastValue, color: indicator.color }}>
-                            {ratio}:1 {indicator.icon} {indicator.text}
-                        </span>
-                    </div>
-                    <div style={styles.meterTrack}>
-                        <div
-                            style={{
-                                ...styles.meterFill,
-                                width: `${getMeterWidth(ratio)}%`,
-                                background: level === 'FAIL'
-                                    ? 'linear-gradient(90deg, #ef4444 0%, #f87171 100%)'
-                                    : level === 'AA'
-                                        ? 'linear-gradient(90deg, #fbbf24 0%, #fcd34d 100%)'
-                                        : 'linear-gradient(90deg, #22c55e 0%, #4ade80 100%)',
-                            }}
-                        />
-                    </div>
-                </div>
+                <ContrastMeter fill={fill} color={color} showMarkers={false} />
 
             </div>
         );
@@ -763,8 +677,7 @@ export function StyleEditorDrawer({ isOpen, onClose, code, onCodeChange }) {
 
     // Special card renderer for Subgraph Titles
     const renderSubgraphCard = (styleItem, key, fill, color) => {
-        const { ratio, level } = getContrastRatio(color, fill);
-        const indicator = getContrastIndicator(level, ratio);
+        const { level } = getContrastRatio(color, fill);
         const hasNoExplicitStyle = !styleItem.hasExplicitStyle && !styleItem.isFixedByCSS;
         const isFixed = styleItem.isFixedByCSS || level !== 'FAIL';
 
@@ -913,33 +826,7 @@ export function StyleEditorDrawer({ isOpen, onClose, code, onCodeChange }) {
                 </div>
 
                 {/* Contrast Meter */}
-                <div style={styles.contrastMeter}>
-                    <div style={styles.contrastLabel}>
-                        <span>{t('styleEditor.contrast')}</span>
-                        <span style={{ ...styles.contrastValue, color: indicator.color }}>
-                            {ratio}:1 {indicator.icon} {indicator.text}
-                        </span>
-                    </div>
-                    <div style={styles.meterTrack}>
-                        <div
-                            style={{
-                                ...styles.meterFill,
-                                width: `${getMeterWidth(ratio)}%`,
-                                background: level === 'FAIL'
-                                    ? 'linear-gradient(90deg, #ef4444 0%, #f87171 100%)'
-                                    : level === 'AA'
-                                        ? 'linear-gradient(90deg, #fbbf24 0%, #fcd34d 100%)'
-                                        : 'linear-gradient(90deg, #22c55e 0%, #4ade80 100%)',
-                            }}
-                        />
-                    </div>
-                    <div style={styles.meterMarkers}>
-                        <span>1</span>
-                        <span style={{ position: 'absolute', left: '21%' }}>4.5</span>
-                        <span style={{ position: 'absolute', left: '33%' }}>7</span>
-                        <span>21+</span>
-                    </div>
-                </div>
+                <ContrastMeter fill={fill} color={color} />
 
                 {/* Color Editors */}
                 <div style={styles.colorSection}>
@@ -972,9 +859,6 @@ export function StyleEditorDrawer({ isOpen, onClose, code, onCodeChange }) {
 
     // Special card renderer for Unstyled Nodes
     const renderUnstyledNodeCard = (styleItem, key, fill, color) => {
-        const { ratio, level } = getContrastRatio(color, fill);
-        const indicator = getContrastIndicator(level, ratio);
-
         return (
             <div key={key} style={{ 
                 ...styles.classCard, 
@@ -1079,33 +963,7 @@ export function StyleEditorDrawer({ isOpen, onClose, code, onCodeChange }) {
                 </div>
 
                 {/* Contrast Meter */}
-                <div style={styles.contrastMeter}>
-                    <div style={styles.contrastLabel}>
-                        <span>{t('styleEditor.contrast')}</span>
-                        <span style={{ ...styles.contrastValue, color: indicator.color }}>
-                            {ratio}:1 {indicator.icon} {indicator.text}
-                        </span>
-                    </div>
-                    <div style={styles.meterTrack}>
-                        <div
-                            style={{
-                                ...styles.meterFill,
-                                width: `${getMeterWidth(ratio)}%`,
-                                background: level === 'FAIL'
-                                    ? 'linear-gradient(90deg, #ef4444 0%, #f87171 100%)'
-                                    : level === 'AA'
-                                        ? 'linear-gradient(90deg, #fbbf24 0%, #fcd34d 100%)'
-                                        : 'linear-gradient(90deg, #22c55e 0%, #4ade80 100%)',
-                            }}
-                        />
-                    </div>
-                    <div style={styles.meterMarkers}>
-                        <span>1</span>
-                        <span style={{ position: 'absolute', left: '21%' }}>4.5</span>
-                        <span style={{ position: 'absolute', left: '33%' }}>7</span>
-                        <span>21+</span>
-                    </div>
-                </div>
+                <ContrastMeter fill={fill} color={color} />
 
                 {/* Color Editors */}
                 <div style={styles.colorSection}>
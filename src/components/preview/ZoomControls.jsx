@@ -0,0 +1,108 @@
+import { useTheme } from '../../hooks/useTheme';
+import { useLanguage } from '../../hooks/useLanguage';
+import { IconButton } from '../ui';
+
+const ZoomOutIcon = () => (
+    <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round">
+        <path d="M5 12h14" />
+    </svg>
+);
+
+const ZoomInIcon = () => (
+    <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round">
+        <path d="M12 5v14M5 12h14" />
+    </svg>
+);
+
+const FitWidthIcon = () => (
+    <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+        <path d="M3 12h18M7 8l-4 4 4 4M17 8l4 4-4 4" />
+    </svg>
+);
+
+const FitPageIcon = () => (
+    <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+        <path d="M4 9V4h5M15 4h5v5M20 15v5h-5M9 20H4v-5" />
+    </svg>
+);
+
+/**
+ * Controles flotantes de zoom del preview: -, porcentaje, +, ajustar al ancho,
+ * ajustar a la página y tamaño real
+ * @param {Object} props
+ * @param {number} props.scale - Zoom actual (1 = 100%)
+ * @param {Function} props.onZoomIn
+ * @param {Function} props.onZoomOut
+ * @param {Function} props.onFitWidth
+ * @param {Function} props.onFitPage
+ * @param {Function} props.onActualSize
+ * @param {boolean} props.isMobile - Is mobile viewport
+ */
+export function ZoomControls({ scale, onZoomIn, onZoomOut, onFitWidth, onFitPage, onActualSize, isMobile = false }) {
+    const { colors } = useTheme();
+    const { t } = useLanguage();
+
+    const styles = {
+        toolbar: {
+            position: 'absolute',
+            right: isMobile ? '8px' : '12px',
+            bottom: isMobile ? '8px' : '12px',
+            display: 'flex',
+            alignItems: 'center',
+            gap: '2px',
+            padding: '2px',
+            background: colors.bgHover,
+            border: `1px solid ${colors.borderPrimary}`,
+            borderRadius: '10px',
+            boxShadow: '0 4px 12px rgba(0, 0, 0, 0.12)',
+            backdropFilter: 'blur(6px)',
+            zIndex: 2,
+        },
+        button: {
+            padding: isMobile ? '8px' : '6px',
+        },
+        percentage: {
+            minWidth: '44px',
+            textAlign: 'center',
+            fontSize: '12px',
+            fontWeight: '600',
+            fontVariantNumeric: 'tabular-nums',
+            color: colors.textSecondary,
+        },
+        actualSize: {
+            padding: isMobile ? '8px 6px' : '6px',
+            fontSize: '11px',
+            fontWeight: '600',
+            color: colors.textMuted,
+            background: 'transparent',
+            border: 'none',
+            borderRadius: '8px',
+            cursor: 'pointer',
+        },
+        separator: {
+            width: '1px',
+            height: '18px',
+            background: colors.borderPrimary,
+            margin: '0 2px',
+        },
+    };
+
+    // Los gestos sobre la barra no deben desplazar el diagrama que hay debajo
+    const stopGesture = (e) => e.stopPropagation();
+
+    return (
+        <div style={styles.toolbar} onPointerDown={stopGesture} onClick={stopGesture}>
+            <IconButton onClick={onZoomOut} icon={<ZoomOutIcon />} title={t('zoom.zoomOut')} style={styles.button} />
+            <span style={styles.percentage} title={t('zoom.level')} aria-live="polite">
+                {Math.round(scale * 100)}%
+            </span>
+            <IconButton onClick={onZoomIn} icon={<ZoomInIcon />} title={t('zoom.zoomIn')} style={styles.button} />
+            <span style={styles.separator} />
+            <IconButton onClick={onFitWidth} icon={<FitWidthIcon />} title={t('zoom.fitWidth')} style={styles.button} />
+            <IconButton onClick={onFitPage} icon={<FitPageIcon />} title={t('zoom.fitPage')} style={styles.button} />
+            <button style={styles.actualSize} onClick={onActualSize} title={t('zoom.actualSize')}>
+                100%
+            </button>
+        </div>
+    );
+}
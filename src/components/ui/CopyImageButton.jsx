@@ -0,0 +1,70 @@
+import { useTheme } from '../../hooks/useTheme';
+import { useLanguage } from '../../hooks/useLanguage';
+
+/**
+ * Botón secundario para copiar el diagrama al portapapeles como imagen (Responsive)
+ * @param {Object} props
+ * @param {Function} props.onClick - Handler de click
+ * @param {boolean} props.disabled - Estado deshabilitado
+ * @param {string} props.status - Estado de la copia ('idle' | 'copying' | 'copied' | 'error')
+ * @param {boolean} props.isMobile - Is mobile viewport (icon only)
+ */
+export function CopyImageButton({ onClick, disabled, status = 'idle', isMobile = false }) {
+    const { colors } = useTheme();
+    const { t } = useLanguage();
+
+    const isBusy = status === 'copying';
+    const accent = status === 'copied' ? '#10b981' : status === 'error' ? '#ef4444' : null;
+
+    const styles = {
+        button: {
+            padding: isMobile ? '0' : '14px 20px',
+            fontSize: '14px',
+            fontWeight: '600',
+            background: colors.bgButton,
+            border: `1px solid ${accent || colors.borderSecondary}`,
+            borderRadius: '12px',
+            color: accent || colors.textSecondary,
+            cursor: disabled ? 'not-allowed' : 'pointer',
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'center',
+            gap: '10px',
+            transition: 'all 0.3s ease',
+            opacity: disabled ? 0.4 : 1,
+            // Ensure touch-friendly size
+            minHeight: '48px',
+            minWidth: '48px',
+            flexShrink: 0,
+            whiteSpace: 'nowrap',
+        },
+    };
+
+    const label = status === 'copied'
+        ? t('export.copied')
+        : status === 'error'
+            ? t('export.copyFailed')
+            : t('export.copy');
+
+    return (
+        <button
+            onClick={onClick}
+            disabled={disabled || isBusy}
+            style={styles.button}
+            title={t('export.copyTooltip')}
+            aria-label={label}
+        >
+            {status === 'copied' ? (
+                <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                    <polyline points="20 6 9 17 4 12" />
+                </svg>
+            ) : (
+                <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                    <rect x="9" y="9" width="13" height="13" rx="2" />
+                    <path d="M5 15H4a2 2 0 01-2-2V4a2 2 0 012-2h9a2 2 0 012 2v1" />
+                </svg>
+            )}
+            {!isMobile && label}
+        </button>
+    );
+}
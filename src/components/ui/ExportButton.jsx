@@ -1,5 +1,13 @@
 import { useLanguage } from '../../hooks/useLanguage';
 
+// Clave de traducción de la etiqueta según el formato de exportación
+const LABEL_KEYS = {
+    png: 'export.button',
+    svg: 'export.buttonSvg',
+    pdf: 'export.buttonPdf',
+    poster: 'export.buttonPoster',
+};
+
 /**
  * Botón de exportación con estados de carga y éxito (Responsive)
  * @param {Object} props
@@ -8,8 +16,9 @@ import { useLanguage } from '../../hooks/useLanguage';
  * @param {boolean} props.isExporting - Estado de exportación
  * @param {boolean} props.success - Estado de éxito
  * @param {boolean} props.fullWidth - Full width mode for mobile
+ * @param {string} props.format - Formato de exportación ('png' | 'svg' | 'pdf' | 'poster')
  */
-export function ExportButton({ onClick, disabled, isExporting, success, fullWidth = false }) {
+export function ExportButton({ onClick, disabled, isExporting, success, fullWidth = false, format = 'png' }) {
     const { t } = useLanguage();
 
     const styles = {
@@ -63,7 +72,7 @@ export function ExportButton({ onClick, disabled, isExporting, success, fullWidt
                         <polyline points="7 10 12 15 17 10" />
                         <line x1="12" y1="15" x2="12" y2="3" />
                     </svg>
-                    {t('export.button')}
+                    {t(LABEL_KEYS[format] || LABEL_KEYS.png)}
                 </>
             )}
         </button>
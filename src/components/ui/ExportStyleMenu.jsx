@@ -0,0 +1,294 @@
+import { useState, useRef, useEffect } from 'react';
+import { useTheme } from '../../hooks/useTheme';
+import { useLanguage } from '../../hooks/useLanguage';
+
+const PADDING_SIDES = ['top', 'right', 'bottom', 'left'];
+
+/**
+ * Menú desplegable con el estilo del lienzo exportado: color de fondo,
+ * padding por lado, esquinas redondeadas, borde y sombra (Responsive)
+ * @param {Object} props
+ * @param {Object} props.value - Estilo actual (ver DEFAULT_EXPORT_STYLE)
+ * @param {Function} props.onChange - Handler de cambio (recibe el estilo completo)
+ * @param {Function} props.onReset - Restaurar valores por defecto
+ * @param {boolean} props.transparent - Si el fondo transparente está activo
+ * @param {boolean} props.isMobile - Is mobile viewport
+ */
+export function ExportStyleMenu({ value, onChange, onReset, transparent = false, isMobile = false }) {
+    const { colors, isDark } = useTheme();
+    const { t } = useLanguage();
+    const [isOpen, setIsOpen] = useState(false);
+    const containerRef = useRef(null);
+
+    // Cerrar al hacer click fuera o pulsar Escape
+    useEffect(() => {
+        if (!isOpen) return undefined;
+
+        const handlePointerDown = (e) => {
+            if (containerRef.current && !containerRef.current.contains(e.target)) {
+                setIsOpen(false);
+            }
+        };
+        const handleKeyDown = (e) => {
+            if (e.key === 'Escape') setIsOpen(false);
+        };
+
+        document.addEventListener('mousedown', handlePointerDown);
+        document.addEventListener('keydown', handleKeyDown);
+        return () => {
+            document.removeEventListener('mousedown', handlePointerDown);
+            document.removeEventListener('keydown', handleKeyDown);
+        };
+    }, [isOpen]);
+
+    const update = (key, newValue) => onChange({ ...value, [key]: newValue });
+    const updateNested = (group, key, newValue) => onChange({ ...value, [group]: { ...value[group], [key]: newValue } });
+    const toNumber = (raw, min = 0) => Math.max(min, Number(raw) || 0);
+
+    const styles = {
+        container: {
+            position: 'relative',
+        },
+        trigger: {
+            display: 'flex',
+            alignItems: 'center',
+            gap: '8px',
+            padding: isMobile ? '8px 10px' : '8px 14px',
+            fontSize: isMobile ? '12px' : '13px',
+            fontWeight: '500',
+            background: isOpen ? colors.bgButtonHover : colors.bgButton,
+            border: `1px solid ${colors.borderSecondary}`,
+            borderRadius: isMobile ? '8px' : '10px',
+            color: colors.textSecondary,
+            cursor: 'pointer',
+            minHeight: isMobile ? '36px' : 'auto',
+            whiteSpace: 'nowrap',
+        },
+        swatch: {
+            width: '14px',
+            height: '14px',
+            borderRadius: '4px',
+            border: `1px solid ${colors.borderInput}`,
+            background: transparent ? 'transparent' : value.background,
+        },
+        panel: {
+            position: 'absolute',
+            bottom: 'calc(100% + 12px)',
+            left: 0,
+            zIndex: 50,
+            width: isMobile ? '280px' : '320px',
+            padding: '16px',
+            background: isDark ? '#18181b' : '#ffffff',
+            border: `1px solid ${colors.borderSecondary}`,
+            borderRadius: '12px',
+            boxShadow: '0 12px 40px rgba(0, 0, 0, 0.3)',
+            display: 'flex',
+            flexDirection: 'column',
+            gap: '14px',
+        },
+        section: {
+            display: 'flex',
+            flexDirection: 'column',
+            gap: '8px',
+        },
+        sectionTitle: {
+            fontSize: '11px',
+            fontWeight: '600',
+            textTransform: 'uppercase',
+            letterSpacing: '0.08em',
+            color: colors.textMuted,
+            display: 'flex',
+            alignItems: 'center',
+            gap: '8px',
+        },
+        row: {
+            display: 'flex',
+            alignItems: 'center',
+            gap: '8px',
+            flexWrap: 'wrap',
+        },
+        fieldLabel: {
+            fontSize: '12px',
+            color: colors.textSecondary,
+        },
+        input: {
+            width: '56px',
+            padding: '6px 8px',
+            fontSize: '12px',
+            fontFamily: "'JetBrains Mono', monospace",
+            background: colors.bgButton,
+            border: `1px solid ${colors.borderSecondary}`,
+            borderRadius: '6px',
+            color: colors.textSecondary,
+        },
+        color: {
+            width: '32px',
+            height: '28px',
+            padding: 0,
+            border: `1px solid ${colors.borderSecondary}`,
+            borderRadius: '6px',
+            background: 'transparent',
+            cursor: 'pointer',
+        },
+        hint: {
+            fontSize: '11px',
+            color: colors.textMuted,
+        },
+        reset: {
+            alignSelf: 'flex-end',
+            padding: '6px 12px',
+            fontSize: '12px',
+            fontWeight: '500',
+            background: 'transparent',
+            border: `1px solid ${colors.borderSecondary}`,
+            borderRadius: '6px',
+            color: colors.textSecondary,
+            cursor: 'pointer',
+        },
+    };
+
+    return (
+        <div ref={containerRef} style={styles.container}>
+            <button
+                onClick={() => setIsOpen((open) => !open)}
+                style={styles.trigger}
+                aria-expanded={isOpen}
+                title={t('exportStyle.tooltip')}
+            >
+                <span style={styles.swatch} />
+                {!isMobile && t('exportStyle.title')}
+            </button>
+
+            {isOpen && (
+                <div style={styles.panel} role="dialog" aria-label={t('exportStyle.title')}>
+                    <div style={styles.section}>
+                        <span style={styles.sectionTitle}>{t('exportStyle.background')}</span>
+                        <div style={styles.row}>
+                            <input
+                                type="color"
+                                value={value.background}
+                                onChange={(e) => update('background', e.target.value)}
+                                disabled={transparent}
+                                style={{ ...styles.color, opacity: transparent ? 0.4 : 1 }}
+                                aria-label={t('exportStyle.background')}
+                            />
+                            <span style={styles.fieldLabel}>{value.background}</span>
+                        </div>
+                        {transparent && <span style={styles.hint}>{t('exportStyle.transparentHint')}</span>}
+                    </div>
+
+                    <div style={styles.section}>
+                        <span style={styles.sectionTitle}>{t('exportStyle.padding')}</span>
+                        <div style={styles.row}>
+                            {PADDING_SIDES.map((side) => (
+                                <input
+                                    key={side}
+                                    type="number"
+                                    min="0"
+                                    value={value.padding[side]}
+                                    onChange={(e) => updateNested('padding', side, toNumber(e.target.value))}
+                                    style={styles.input}
+                                    title={t(`exportStyle.sides.${side}`)}
+                                    aria-label={t(`exportStyle.sides.${side}`)}
+                                />
+                            ))}
+                        </div>
+                    </div>
+
+                    <div style={styles.section}>
+                        <span style={styles.sectionTitle}>{t('exportStyle.radius')}</span>
+                        <div style={styles.row}>
+                            <input
+                                type="number"
+                                min="0"
+                                value={value.radius}
+                                onChange={(e) => update('radius', toNumber(e.target.value))}
+                                style={styles.input}
+                                aria-label={t('exportStyle.radius')}
+                            />
+                        </div>
+                    </div>
+
+                    <div style={styles.section}>
+                        <label style={styles.sectionTitle}>
+                            <input
+                                type="checkbox"
+                                checked={value.border.enabled}
+                                onChange={(e) => updateNested('border', 'enabled', e.target.checked)}
+                            />
+                            {t('exportStyle.border')}
+                        </label>
+                        {value.border.enabled && (
+                            <div style={styles.row}>
+                                <input
+                                    type="color"
+                                    value={value.border.color}
+                                    onChange={(e) => updateNested('border', 'color', e.target.value)}
+                                    style={styles.color}
+                                    aria-label={t('exportStyle.color')}
+                                />
+                                <span style={styles.fieldLabel}>{t('exportStyle.width')}</span>
+                                <input
+                                    type="number"
+                                    min="1"
+                                    value={value.border.width}
+                                    onChange={(e) => updateNested('border', 'width', toNumber(e.target.value, 1))}
+                                    style={styles.input}
+                                />
+                            </div>
+                        )}
+                    </div>
+
+                    <div style={styles.section}>
+                        <label style={styles.sectionTitle}>
+                            <input
+                                type="checkbox"
+                                checked={value.shadow.enabled}
+                                onChange={(e) => updateNested('shadow', 'enabled', e.target.checked)}
+                            />
+                            {t('exportStyle.shadow')}
+                        </label>
+                        {value.shadow.enabled && (
+                            <div style={styles.row}>
+                                <input
+                                    type="color"
+                                    value={value.shadow.color}
+                                    onChange={(e) => updateNested('shadow', 'color', e.target.value)}
+                                    style={styles.color}
+                                    aria-label={t('exportStyle.color')}
+                                />
+                                <span style={styles.fieldLabel}>{t('exportStyle.blur')}</span>
+                                <input
+                                    type="number"
+                                    min="0"
+                                    value={value.shadow.blur}
+                                    onChange={(e) => updateNested('shadow', 'blur', toNumber(e.target.value))}
+                                    style={styles.input}
+                                />
+                                <span style={styles.fieldLabel}>{t('exportStyle.offset')}</span>
+                                <input
+                                    type="number"
+                                    value={value.shadow.offsetY}
+                                    onChange={(e) => updateNested('shadow', 'offsetY', Number(e.target.value) || 0)}
+                                    style={styles.input}
+                                />
+                                <input
+                                    type="range"
+                                    min="0"
+                                    max="1"
+                                    step="0.05"
+                                    value={value.shadow.opacity}
+                                    onChange={(e) => updateNested('shadow', 'opacity', Number(e.target.value))}
+                                    aria-label={t('exportStyle.opacity')}
+                                    title={t('exportStyle.opacity')}
+                                />
+                            </div>
+                        )}
+                    </div>
+
+                    <button onClick={onReset} style={styles.reset}>{t('exportStyle.reset')}</button>
+                </div>
+            )}
+        </div>
+    );
+}
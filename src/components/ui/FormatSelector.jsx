@@ -0,0 +1,79 @@
+import { useTheme } from '../../hooks/useTheme';
+import { useLanguage } from '../../hooks/useLanguage';
+
+const FORMATS = ['png', 'svg', 'pdf', 'poster'];
+
+/**
+ * Selector de formato de exportación (PNG, SVG vectorial, PDF o póster) (Responsive)
+ * @param {Object} props
+ * @param {string} props.value - Formato actual ('png' | 'svg' | 'pdf' | 'poster')
+ * @param {Function} props.onChange - Handler de cambio
+ * @param {boolean} props.isMobile - Is mobile viewport
+ */
+export function FormatSelector({ value, onChange, isMobile = false }) {
+    const { colors } = useTheme();
+    const { t } = useLanguage();
+
+    const styles = {
+        container: {
+            display: 'flex',
+            alignItems: 'center',
+            gap: isMobile ? '8px' : '12px',
+        },
+        label: {
+            fontSize: isMobile ? '12px' : '13px',
+            color: colors.textMuted,
+            fontWeight: '500',
+            // Shorter label on mobile
+            display: isMobile ? 'none' : 'block',
+        },
+        buttons: {
+            display: 'flex',
+            gap: '2px',
+            background: colors.bgButton,
+            padding: isMobile ? '3px' : '4px',
+            borderRadius: isMobile ? '8px' : '10px',
+        },
+        button: {
+            padding: isMobile ? '6px 10px' : '8px 14px',
+            fontSize: isMobile ? '12px' : '13px',
+            fontWeight: '600',
+            fontFamily: "'JetBrains Mono', monospace",
+            textTransform: 'uppercase',
+            background: 'transparent',
+            border: 'none',
+            borderRadius: isMobile ? '5px' : '6px',
+            color: colors.textMuted,
+            cursor: 'pointer',
+            transition: 'all 0.2s ease',
+            // Ensure touch-friendly size
+            minWidth: isMobile ? '36px' : 'auto',
+            minHeight: isMobile ? '36px' : 'auto',
+        },
+        buttonActive: {
+            background: 'linear-gradient(135deg, #6366f1 0%, #8b5cf6 100%)',
+            color: '#fff',
+            boxShadow: '0 2px 8px rgba(99, 102, 241, 0.3)',
+        },
+    };
+
+    return (
+        <div style={styles.container}>
+            <label style={styles.label}>{t('footer.format')}</label>
+            <div style={styles.buttons}>
+                {FORMATS.map((format) => (
+                    <button
+                        key={format}
+                        onClick={() => onChange(format)}
+                        style={{
+                            ...styles.button,
+                            ...(value === format ? styles.buttonActive : {}),
+                        }}
+                    >
+                        {t(`footer.formats.${format}`)}
+                    </button>
+                ))}
+            </div>
+        </div>
+    );
+}
@@ -7,8 +7,9 @@ import { useTheme } from '../../hooks/useTheme';
  * @param {Function} props.onClick - Handler de click
  * @param {string} props.title - Tooltip
  * @param {boolean} props.active - Estado activo
+ * @param {boolean} props.disabled - Deshabilitado
  */
-export function IconButton({ icon, onClick, title, active = false, style = {} }) {
+export function IconButton({ icon, onClick, title, active = false, disabled = false, style = {} }) {
     const { colors } = useTheme();
 
     const baseStyles = {
@@ -16,7 +17,8 @@ export function IconButton({ icon, onClick, title, active = false, style = {} })
         border: "none",
         padding: "8px",
         borderRadius: "8px",
-        cursor: "pointer",
+        cursor: disabled ? "not-allowed" : "pointer",
+        opacity: disabled ? 0.4 : 1,
         color: active ? colors.textPrimary : colors.textMuted,
         transition: "all 0.2s ease",
         display: "flex",
@@ -28,6 +30,7 @@ export function IconButton({ icon, onClick, title, active = false, style = {} })
     return (
         <button
             onClick={onClick}
+            disabled={disabled}
             style={baseStyles}
             title={title}
         >
@@ -0,0 +1,96 @@
+import { useTheme } from '../../hooks/useTheme';
+import { useLanguage } from '../../hooks/useLanguage';
+import { PDF_PAGE_SIZES, PDF_ORIENTATIONS } from '../../utils/pdfUtils';
+
+/**
+ * Opciones de página para la exportación PDF: tamaño, orientación y márgenes (Responsive)
+ * @param {Object} props
+ * @param {{pageSize: string, orientation: string, margin: number}} props.value - Opciones actuales
+ * @param {Function} props.onChange - Handler de cambio (recibe las opciones completas)
+ * @param {boolean} props.isMobile - Is mobile viewport
+ */
+export function PdfOptions({ value, onChange, isMobile = false }) {
+    const { colors } = useTheme();
+    const { t } = useLanguage();
+
+    const update = (key, newValue) => onChange({ ...value, [key]: newValue });
+
+    const styles = {
+        container: {
+            display: 'flex',
+            alignItems: 'center',
+            gap: isMobile ? '8px' : '12px',
+            flexWrap: 'wrap',
+        },
+        field: {
+            display: 'flex',
+            alignItems: 'center',
+            gap: '8px',
+        },
+        label: {
+            fontSize: isMobile ? '12px' : '13px',
+            color: colors.textMuted,
+            fontWeight: '500',
+            // Shorter label on mobile
+            display: isMobile ? 'none' : 'block',
+        },
+        control: {
+            padding: isMobile ? '6px 8px' : '8px 10px',
+            fontSize: isMobile ? '12px' : '13px',
+            fontWeight: '600',
+            fontFamily: "'JetBrains Mono', monospace",
+            background: colors.bgButton,
+            border: `1px solid ${colors.borderSecondary}`,
+            borderRadius: isMobile ? '6px' : '8px',
+            color: colors.textSecondary,
+            cursor: 'pointer',
+            minHeight: isMobile ? '36px' : 'auto',
+        },
+    };
+
+    return (
+        <div style={styles.container}>
+            <div style={styles.field}>
+                <label style={styles.label}>{t('pdf.pageSize')}</label>
+                <select
+                    value={value.pageSize}
+                    onChange={(e) => update('pageSize', e.target.value)}
+                    style={styles.control}
+                    aria-label={t('pdf.pageSize')}
+                >
+                    {Object.keys(PDF_PAGE_SIZES).map((size) => (
+                        <option key={size} value={size}>{t(`pdf.sizes.${size}`)}</option>
+                    ))}
+                </select>
+            </div>
+
+            <div style={styles.field}>
+                <label style={styles.label}>{t('pdf.orientation')}</label>
+                <select
+                    value={value.orientation}
+                    onChange={(e) => update('orientation', e.target.value)}
+                    style={styles.control}
+                    aria-label={t('pdf.orientation')}
+                >
+                    {PDF_ORIENTATIONS.map((orientation) => (
+                        <option key={orientation} value={orientation}>{t(`pdf.orientations.${orientation}`)}</option>
+                    ))}
+                </select>
+            </div>
+
+            <div style={styles.field}>
+                <label style={styles.label}>{t('pdf.margin')}</label>
+                <input
+                    type="number"
+                    min="0"
+                    max="50"
+                    step="1"
+                    value={value.margin}
+                    onChange={(e) => update('margin', Math.max(0, Number(e.target.value) || 0))}
+                    style={{ ...styles.control, width: '64px', cursor: 'text' }}
+                    aria-label={t('pdf.margin')}
+                />
+            </div>
+        </div>
+    );
+}
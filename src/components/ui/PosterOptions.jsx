@@ -0,0 +1,117 @@
+import { useTheme } from '../../hooks/useTheme';
+import { useLanguage } from '../../hooks/useLanguage';
+import { POSTER_OUTPUTS, POSTER_MAX_TILES_PER_SIDE } from '../../utils/posterUtils';
+
+/**
+ * Opciones de rejilla para la exportación en póster: columnas, filas,
+ * solapamiento y formato de salida (Responsive)
+ * @param {Object} props
+ * @param {{columns: number, rows: number, overlap: number, output: string}} props.value - Opciones actuales
+ * @param {Function} props.onChange - Handler de cambio (recibe las opciones completas)
+ * @param {boolean} props.isMobile - Is mobile viewport
+ */
+export function PosterOptions({ value, onChange, isMobile = false }) {
+    const { colors } = useTheme();
+    const { t } = useLanguage();
+
+    const update = (key, newValue) => onChange({ ...value, [key]: newValue });
+    const clampTiles = (raw) => Math.min(Math.max(Math.round(Number(raw)) || 1, 1), POSTER_MAX_TILES_PER_SIDE);
+
+    const styles = {
+        container: {
+            display: 'flex',
+            alignItems: 'center',
+            gap: isMobile ? '8px' : '12px',
+            flexWrap: 'wrap',
+        },
+        field: {
+            display: 'flex',
+            alignItems: 'center',
+            gap: '8px',
+        },
+        label: {
+            fontSize: isMobile ? '12px' : '13px',
+            color: colors.textMuted,
+            fontWeight: '500',
+            // Shorter label on mobile
+            display: isMobile ? 'none' : 'block',
+        },
+        separator: {
+            fontSize: '13px',
+            color: colors.textMuted,
+        },
+        control: {
+            padding: isMobile ? '6px 8px' : '8px 10px',
+            fontSize: isMobile ? '12px' : '13px',
+            fontWeight: '600',
+            fontFamily: "'JetBrains Mono', monospace",
+            background: colors.bgButton,
+            border: `1px solid ${colors.borderSecondary}`,
+            borderRadius: isMobile ? '6px' : '8px',
+            color: colors.textSecondary,
+            cursor: 'pointer',
+            minHeight: isMobile ? '36px' : 'auto',
+        },
+        number: {
+            width: '56px',
+            cursor: 'text',
+        },
+    };
+
+    return (
+        <div style={styles.container}>
+            <div style={styles.field}>
+                <label style={styles.label}>{t('poster.grid')}</label>
+                <input
+                    type="number"
+                    min="1"
+                    max={POSTER_MAX_TILES_PER_SIDE}
+                    value={value.columns}
+                    onChange={(e) => update('columns', clampTiles(e.target.value))}
+                    style={{ ...styles.control, ...styles.number }}
+                    aria-label={t('poster.columns')}
+                    title={t('poster.columns')}
+                />
+                <span style={styles.separator}>×</span>
+                <input
+                    type="number"
+                    min="1"
+                    max={POSTER_MAX_TILES_PER_SIDE}
+                    value={value.rows}
+                    onChange={(e) => update('rows', clampTiles(e.target.value))}
+                    style={{ ...styles.control, ...styles.number }}
+                    aria-label={t('poster.rows')}
+                    title={t('poster.rows')}
+                />
+            </div>
+
+            <div style={styles.field}>
+                <label style={styles.label}>{t('poster.overlap')}</label>
+                <input
+                    type="number"
+                    min="0"
+                    max="30"
+                    step="1"
+                    value={value.overlap}
+                    onChange={(e) => update('overlap', Math.max(0, Number(e.target.value) || 0))}
+                    style={{ ...styles.control, ...styles.number }}
+                    aria-label={t('poster.overlap')}
+                />
+            </div>
+
+            <div style={styles.field}>
+                <label style={styles.label}>{t('poster.output')}</label>
+                <select
+                    value={value.output}
+                    onChange={(e) => update('output', e.target.value)}
+                    style={styles.control}
+                    aria-label={t('poster.output')}
+                >
+                    {POSTER_OUTPUTS.map((output) => (
+                        <option key={output} value={output}>{t(`poster.outputs.${output}`)}</option>
+                    ))}
+                </select>
+            </div>
+        </div>
+    );
+}
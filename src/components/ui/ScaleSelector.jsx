@@ -1,7 +1,6 @@
 import { useTheme } from '../../hooks/useTheme';
 import { useLanguage } from '../../hooks/useLanguage';
-
-const SCALES = [1, 2, 3, 4];
+import { EXPORT_SCALES } from '../../utils/exportUtils';
 
 /**
  * Selector de escala para exportación PNG (Responsive)
@@ -60,7 +59,7 @@ export function ScaleSelector({ value, onChange, isMobile = false }) {
         <div style={styles.container}>
             <label style={styles.label}>{t('footer.scale')}</label>
             <div style={styles.buttons}>
-                {SCALES.map((scale) => (
+                {EXPORT_SCALES.map((scale) => (
                     <button
                         key={scale}
                         onClick={() => onChange(scale)}
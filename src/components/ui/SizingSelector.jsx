@@ -0,0 +1,158 @@
+import { useTheme } from '../../hooks/useTheme';
+import { useLanguage } from '../../hooks/useLanguage';
+import { ScaleSelector } from './ScaleSelector';
+import { PNG_SIZING_MODES, PRINT_DPI_OPTIONS } from '../../utils/exportUtils';
+
+/**
+ * Selector del tamaño del PNG: multiplicador, ancho/alto exacto en píxeles
+ * o tamaño físico a un DPI concreto (Responsive)
+ * @param {Object} props
+ * @param {{mode: string, targetWidth: number, targetHeight: number, dpi: number, printWidth: number}} props.sizing - Opciones de tamaño
+ * @param {Function} props.onSizingChange - Handler de cambio (recibe las opciones completas)
+ * @param {number} props.scale - Escala actual (modo scale)
+ * @param {Function} props.onScaleChange - Handler de cambio de escala
+ * @param {boolean} props.isMobile - Is mobile viewport
+ */
+export function SizingSelector({ sizing, onSizingChange, scale, onScaleChange, isMobile = false }) {
+    const { colors } = useTheme();
+    const { t } = useLanguage();
+
+    const update = (key, value) => onSizingChange({ ...sizing, [key]: value });
+    const toPositive = (raw) => Math.max(1, Math.round(Number(raw)) || 1);
+
+    const styles = {
+        container: {
+            display: 'flex',
+            alignItems: 'center',
+            gap: isMobile ? '8px' : '12px',
+            flexWrap: 'wrap',
+        },
+        field: {
+            display: 'flex',
+            alignItems: 'center',
+            gap: '8px',
+        },
+        label: {
+            fontSize: isMobile ? '12px' : '13px',
+            color: colors.textMuted,
+            fontWeight: '500',
+            // Shorter label on mobile
+            display: isMobile ? 'none' : 'block',
+        },
+        control: {
+            padding: isMobile ? '6px 8px' : '8px 10px',
+            fontSize: isMobile ? '12px' : '13px',
+            fontWeight: '600',
+            fontFamily: "'JetBrains Mono', monospace",
+            background: colors.bgButton,
+            border: `1px solid ${colors.borderSecondary}`,
+            borderRadius: isMobile ? '6px' : '8px',
+            color: colors.textSecondary,
+            cursor: 'pointer',
+            minHeight: isMobile ? '36px' : 'auto',
+        },
+        number: {
+            width: '80px',
+            cursor: 'text',
+        },
+        buttons: {
+            display: 'flex',
+            gap: '2px',
+            background: colors.bgButton,
+            padding: isMobile ? '3px' : '4px',
+            borderRadius: isMobile ? '8px' : '10px',
+        },
+        button: {
+            padding: isMobile ? '6px 10px' : '8px 12px',
+            fontSize: isMobile ? '12px' : '13px',
+            fontWeight: '600',
+            fontFamily: "'JetBrains Mono', monospace",
+            background: 'transparent',
+            border: 'none',
+            borderRadius: isMobile ? '5px' : '6px',
+            color: colors.textMuted,
+            cursor: 'pointer',
+            transition: 'all 0.2s ease',
+            minHeight: isMobile ? '36px' : 'auto',
+        },
+        buttonActive: {
+            background: 'linear-gradient(135deg, #6366f1 0%, #8b5cf6 100%)',
+            color: '#fff',
+            boxShadow: '0 2px 8px rgba(99, 102, 241, 0.3)',
+        },
+    };
+
+    return (
+        <div style={styles.container}>
+            <div style={styles.field}>
+                <label style={styles.label}>{t('sizing.mode')}</label>
+                <select
+                    value={sizing.mode}
+                    onChange={(e) => update('mode', e.target.value)}
+                    style={styles.control}
+                    aria-label={t('sizing.mode')}
+                >
+                    {PNG_SIZING_MODES.map((mode) => (
+                        <option key={mode} value={mode}>{t(`sizing.modes.${mode}`)}</option>
+                    ))}
+                </select>
+            </div>
+
+            {sizing.mode === 'scale' && (
+                <ScaleSelector value={scale} onChange={onScaleChange} isMobile={isMobile} />
+            )}
+
+            {sizing.mode === 'width' && (
+                <input
+                    type="number"
+                    min="1"
+                    value={sizing.targetWidth}
+                    onChange={(e) => update('targetWidth', toPositive(e.target.value))}
+                    style={{ ...styles.control, ...styles.number }}
+                    aria-label={t('sizing.modes.width')}
+                />
+            )}
+
+            {sizing.mode === 'height' && (
+                <input
+                    type="number"
+                    min="1"
+                    value={sizing.targetHeight}
+                    onChange={(e) => update('targetHeight', toPositive(e.target.value))}
+                    style={{ ...styles.control, ...styles.number }}
+                    aria-label={t('sizing.modes.height')}
+                />
+            )}
+
+            {sizing.mode === 'print' && (
+                <>
+                    <div style={styles.field}>
+                        <label style={styles.label}>{t('sizing.printWidth')}</label>
+                        <input
+                            type="number"
+                            min="1"
+                            value={sizing.printWidth}
+                            onChange={(e) => update('printWidth', toPositive(e.target.value))}
+                            style={{ ...styles.control, ...styles.number }}
+                            aria-label={t('sizing.printWidth')}
+                        />
+                    </div>
+                    <div style={styles.buttons}>
+                        {PRINT_DPI_OPTIONS.map((dpi) => (
+                            <button
+                                key={dpi}
+                                onClick={() => update('dpi', dpi)}
+                                style={{
+                                    ...styles.button,
+                                    ...(sizing.dpi === dpi ? styles.buttonActive : {}),
+                                }}
+                            >
+                                {dpi} DPI
+                            </button>
+                        ))}
+                    </div>
+                </>
+            )}
+        </div>
+    );
+}
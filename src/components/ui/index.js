@@ -1,6 +1,12 @@
 export { ThemeToggle } from './ThemeToggle';
 export { IconButton } from './IconButton';
 export { ScaleSelector } from './ScaleSelector';
+export { SizingSelector } from './SizingSelector';
 export { TransparentToggle } from './TransparentToggle';
+export { ExportStyleMenu } from './ExportStyleMenu';
+export { FormatSelector } from './FormatSelector';
+export { PdfOptions } from './PdfOptions';
+export { PosterOptions } from './PosterOptions';
 export { ExportButton } from './ExportButton';
+export { CopyImageButton } from './CopyImageButton';
 export { LanguageSelector } from './LanguageSelector';
@@ -0,0 +1,356 @@
+import { useState, useEffect } from 'react';
+import { useTheme } from '../../hooks/useTheme';
+import { useLanguage } from '../../hooks/useLanguage';
+
+/**
+ * Barra lateral del espacio de trabajo: documentos guardados con miniatura,
+ * crear, abrir, duplicar, renombrar y eliminar (Responsive)
+ * @param {Object} props
+ * @param {boolean} props.isOpen - Si la barra está abierta
+ * @param {Function} props.onClose - Cerrar la barra
+ * @param {Array<Object>} props.documents - Documentos (más recientes primero)
+ * @param {string|null} props.activeId - Documento abierto en el editor
+ * @param {string} props.saveStatus - Estado del autoguardado ('idle' | 'saving' | 'saved' | 'error')
+ * @param {string|null} props.workspaceError - Error de IndexedDB, si lo hay
+ * @param {Function} props.onOpen - Abrir un documento (id)
+ * @param {Function} props.onCreate - Crear un documento nuevo
+ * @param {Function} props.onOpenHistory - Abrir el historial de versiones del documento activo
+ * @param {Function} props.onDuplicate - Duplicar un documento (doc)
+ * @param {Function} props.onRename - Renombrar un documento (id, name)
+ * @param {Function} props.onDelete - Eliminar un documento (id)
+ */
+export function WorkspaceSidebar({
+    isOpen,
+    onClose,
+    documents,
+    activeId,
+    saveStatus,
+    workspaceError,
+    onOpen,
+    onCreate,
+    onOpenHistory,
+    onDuplicate,
+    onRename,
+    onDelete,
+}) {
+    const { colors, theme } = useTheme();
+    const { t, language } = useLanguage();
+    const [editingId, setEditingId] = useState(null);
+    const [draftName, setDraftName] = useState('');
+    const [confirmDeleteId, setConfirmDeleteId] = useState(null);
+
+    // Close on escape key
+    useEffect(() => {
+        const handleEscape = (e) => {
+            if (e.key === 'Escape' && isOpen && !editingId) onClose();
+        };
+        document.addEventListener('keydown', handleEscape);
+        return () => document.removeEventListener('keydown', handleEscape);
+    }, [isOpen, editingId, onClose]);
+
+    const startRename = (doc) => {
+        setEditingId(doc.id);
+        setDraftName(doc.name);
+    };
+
+    const commitRename = () => {
+        if (editingId && draftName.trim()) onRename(editingId, draftName);
+        setEditingId(null);
+    };
+
+    const formatDate = (timestamp) => new Date(timestamp).toLocaleString(language, {
+        dateStyle: 'short',
+        timeStyle: 'short',
+    });
+
+    const styles = {
+        overlay: {
+            position: 'fixed',
+            inset: 0,
+            background: 'rgba(0, 0, 0, 0.5)',
+            backdropFilter: 'blur(4px)',
+            zIndex: 1000,
+        },
+        drawer: {
+            position: 'fixed',
+            top: 0,
+            left: 0,
+            width: '340px',
+            maxWidth: '100vw',
+            height: '100%',
+            background: theme === 'dark'
+                ? 'linear-gradient(180deg, #0f0f18 0%, #0a0a10 100%)'
+                : 'linear-gradient(180deg, #f8fafc 0%, #f1f5f9 100%)',
+            borderRight: `1px solid ${colors.borderPrimary}`,
+            boxShadow: theme === 'dark'
+                ? '8px 0 32px rgba(0, 0, 0, 0.5)'
+                : '8px 0 32px rgba(0, 0, 0, 0.1)',
+            zIndex: 1001,
+            display: 'flex',
+            flexDirection: 'column',
+        },
+        header: {
+            padding: '18px 20px',
+            borderBottom: `1px solid ${colors.borderPrimary}`,
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'space-between',
+            background: colors.bgHover,
+        },
+        title: {
+            display: 'flex',
+            flexDirection: 'column',
+            gap: '2px',
+            fontSize: '16px',
+            fontWeight: '600',
+            color: colors.textPrimary,
+        },
+        saveStatus: {
+            fontSize: '11px',
+            fontWeight: '500',
+            color: saveStatus === 'error' ? '#ef4444' : colors.textMuted,
+        },
+        closeButton: {
+            background: 'transparent',
+            border: 'none',
+            color: colors.textMuted,
+            cursor: 'pointer',
+            padding: '8px',
+            borderRadius: '8px',
+            display: 'flex',
+        },
+        topActions: {
+            display: 'flex',
+            gap: '8px',
+            margin: '16px 20px 8px',
+        },
+        newButton: {
+            flex: 1,
+            padding: '10px 14px',
+            fontSize: '13px',
+            fontWeight: '600',
+            background: 'linear-gradient(135deg, #6366f1 0%, #8b5cf6 100%)',
+            border: 'none',
+            borderRadius: '10px',
+            color: '#fff',
+            cursor: 'pointer',
+        },
+        historyButton: {
+            padding: '10px 14px',
+            fontSize: '13px',
+            fontWeight: '600',
+            background: colors.bgButton,
+            border: `1px solid ${colors.borderSecondary}`,
+            borderRadius: '10px',
+            color: colors.textSecondary,
+            cursor: activeId ? 'pointer' : 'not-allowed',
+            opacity: activeId ? 1 : 0.5,
+        },
+        error: {
+            margin: '0 20px',
+            fontSize: '12px',
+            color: '#ef4444',
+        },
+        list: {
+            flex: 1,
+            overflowY: 'auto',
+            padding: '8px 12px 20px',
+            display: 'flex',
+            flexDirection: 'column',
+            gap: '8px',
+        },
+        card: {
+            display: 'flex',
+            gap: '12px',
+            padding: '10px',
+            background: colors.bgButton,
+            border: `1px solid ${colors.borderPrimary}`,
+            borderRadius: '12px',
+            cursor: 'pointer',
+            textAlign: 'left',
+        },
+        cardActive: {
+            borderColor: '#6366f1',
+            boxShadow: '0 0 0 1px #6366f1',
+        },
+        thumbnail: {
+            width: '72px',
+            height: '54px',
+            flexShrink: 0,
+            borderRadius: '6px',
+            background: '#ffffff',
+            border: `1px solid ${colors.borderSecondary}`,
+            objectFit: 'contain',
+        },
+        info: {
+            flex: 1,
+            minWidth: 0,
+            display: 'flex',
+            flexDirection: 'column',
+            gap: '4px',
+        },
+        name: {
+            fontSize: '13px',
+            fontWeight: '600',
+            color: colors.textPrimary,
+            overflow: 'hidden',
+            textOverflow: 'ellipsis',
+            whiteSpace: 'nowrap',
+        },
+        nameInput: {
+            fontSize: '13px',
+            fontWeight: '600',
+            padding: '2px 6px',
+            background: colors.bgInput,
+            border: '1px solid #6366f1',
+            borderRadius: '4px',
+            color: colors.textPrimary,
+            width: '100%',
+        },
+        date: {
+            fontSize: '11px',
+            color: colors.textMuted,
+        },
+        actions: {
+            display: 'flex',
+            gap: '4px',
+            marginTop: '2px',
+        },
+        action: {
+            padding: '3px 8px',
+            fontSize: '11px',
+            fontWeight: '500',
+            background: 'transparent',
+            border: `1px solid ${colors.borderSecondary}`,
+            borderRadius: '6px',
+            color: colors.textSecondary,
+            cursor: 'pointer',
+        },
+        actionDanger: {
+            borderColor: 'rgba(239, 68, 68, 0.5)',
+            color: '#ef4444',
+        },
+    };
+
+    if (!isOpen) return null;
+
+    const saveLabel = {
+        saving: t('workspace.saving'),
+        saved: t('workspace.saved'),
+        error: t('workspace.saveFailed'),
+    }[saveStatus];
+
+    return (
+        <>
+            {/* Overlay */}
+            <div style={styles.overlay} onClick={onClose} />
+
+            {/* Drawer */}
+            <aside style={styles.drawer} aria-label={t('workspace.title')}>
+                <div style={styles.header}>
+                    <div style={styles.title}>
+                        {t('workspace.title')}
+                        {saveLabel && <span style={styles.saveStatus}>{saveLabel}</span>}
+                    </div>
+                    <button style={styles.closeButton} onClick={onClose} aria-label={t('workspace.close')}>
+                        <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                            <path d="M18 6L6 18M6 6l12 12" />
+                        </svg>
+                    </button>
+                </div>
+
+                <div style={styles.topActions}>
+                    <button style={styles.newButton} onClick={onCreate}>+ {t('workspace.new')}</button>
+                    <button
+                        style={styles.historyButton}
+                        onClick={onOpenHistory}
+                        disabled={!activeId}
+                        title={t('workspace.historyTooltip')}
+                    >
+                        {t('workspace.history')}
+                    </button>
+                </div>
+                {workspaceError && <p style={styles.error}>{workspaceError}</p>}
+
+                <div style={styles.list}>
+                    {documents.map((doc) => (
+                        <div
+                            key={doc.id}
+                            role="button"
+                            tabIndex={0}
+                            onClick={() => editingId !== doc.id && onOpen(doc.id)}
+                            onKeyDown={(e) => e.key === 'Enter' && editingId !== doc.id && onOpen(doc.id)}
+                            style={{
+                                ...styles.card,
+                                ...(doc.id === activeId ? styles.cardActive : {}),
+                            }}
+                        >
+                            {doc.thumbnail
+                                ? <img src={doc.thumbnail} alt="" style={styles.thumbnail} />
+                                : <div style={styles.thumbnail} />}
+
+                            <div style={styles.info}>
+                                {editingId === doc.id ? (
+                                    <input
+                                        autoFocus
+                                        value={draftName}
+                                        onChange={(e) => setDraftName(e.target.value)}
+                                        onBlur={commitRename}
+                                        onKeyDown={(e) => {
+                                            if (e.key === 'Enter') commitRename();
+                                            if (e.key === 'Escape') setEditingId(null);
+                                        }}
+                                        onClick={(e) => e.stopPropagation()}
+                                        style={styles.nameInput}
+                                        aria-label={t('workspace.rename')}
+                                    />
+                                ) : (
+                                    <span
+                                        style={styles.name}
+                                        title={doc.name}
+                                        onDoubleClick={(e) => {
+                                            e.stopPropagation();
+                                            startRename(doc);
+                                        }}
+                                    >
+                                        {doc.name}
+                                    </span>
+                                )}
+                                <span style={styles.date}>{formatDate(doc.updatedAt)}</span>
+
+                                <div style={styles.actions} onClick={(e) => e.stopPropagation()}>
+                                    <button style={styles.action} onClick={() => startRename(doc)}>
+                                        {t('workspace.rename')}
+                                    </button>
+                                    <button style={styles.action} onClick={() => onDuplicate(doc)}>
+                                        {t('workspace.duplicate')}
+                                    </button>
+                                    {confirmDeleteId === doc.id ? (
+                                        <button
+                                            style={{ ...styles.action, ...styles.actionDanger }}
+                                            onClick={() => {
+                                                setConfirmDeleteId(null);
+                                                onDelete(doc.id);
+                                            }}
+                                            onBlur={() => setConfirmDeleteId(null)}
+                                            autoFocus
+                                        >
+                                            {t('workspace.confirmDelete')}
+                                        </button>
+                                    ) : (
+                                        <button
+                                            style={{ ...styles.action, ...styles.actionDanger }}
+                                            onClick={() => setConfirmDeleteId(doc.id)}
+                                        >
+                                            {t('workspace.delete')}
+                                        </button>
+                                    )}
+                                </div>
+                            </div>
+                        </div>
+                    ))}
+                </div>
+            </aside>
+        </>
+    );
+}
@@ -0,0 +1 @@
+export { WorkspaceSidebar } from './WorkspaceSidebar';
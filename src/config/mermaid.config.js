@@ -1,10 +1,22 @@
 import mermaid from "mermaid";
 
-// Configuración inicial de Mermaid
-export const initializeMermaid = () => {
+// Temas integrados de Mermaid (themeVariables solo se respeta por completo con "base")
+export const MERMAID_THEMES = ["default", "neutral", "dark", "forest", "base"];
+export const DEFAULT_MERMAID_THEME = "neutral";
+
+/**
+ * Configuración de Mermaid. Se llama antes de cada render porque la
+ * configuración es global y el tema puede cambiar entre renders.
+ * @param {Object} [themeConfig]
+ * @param {string} [themeConfig.theme] - Uno de MERMAID_THEMES
+ * @param {Object} [themeConfig.themeVariables] - Variables del tema (primaryColor, lineColor...)
+ */
+export const initializeMermaid = ({ theme = DEFAULT_MERMAID_THEME, themeVariables = {} } = {}) => {
     mermaid.initialize({
         startOnLoad: false,
-        theme: "neutral",
+        theme: MERMAID_THEMES.includes(theme) ? theme : DEFAULT_MERMAID_THEME,
+        // Copia: mermaid.initialize muta el objeto recibido (fontFamily, variables derivadas)
+        themeVariables: { ...themeVariables },
         securityLevel: "loose",
         fontFamily: "JetBrains Mono, monospace",
         flowchart: { useMaxWidth: false, htmlLabels: true, curve: "basis" },
@@ -16,6 +28,27 @@ export const initializeMermaid = () => {
     });
 };
 
+/**
+ * Indica si una configuración de tema produce un diagrama oscuro
+ * @param {{theme: string, themeVariables?: Object}} themeConfig
+ * @returns {boolean}
+ */
+export const isDarkMermaidTheme = ({ theme, themeVariables = {} } = {}) => (
+    theme === "dark" || themeVariables.darkMode === true
+);
+
+/**
+ * Temas para exportar una variante clara y otra oscura del mismo diagrama.
+ * El tema activo se usa para la variante que le corresponde.
+ * @param {{theme: string, themeVariables?: Object}} themeConfig - Tema activo
+ * @returns {{light: Object, dark: Object}}
+ */
+export const getThemeVariants = (themeConfig) => (
+    isDarkMermaidTheme(themeConfig)
+        ? { light: { theme: "default" }, dark: themeConfig }
+        : { light: themeConfig, dark: { theme: "dark" } }
+);
+
 // Diagramas por defecto localizados
 export const DEFAULT_DIAGRAMS = {
     en: `flowchart TD
@@ -0,0 +1,75 @@
+import { DEFAULT_MERMAID_THEME } from './config/mermaid.config';
+import { renderMermaidOffscreen } from './utils/mermaidRender';
+import { exportSvgToPng, buildExportSvg } from './utils/exportUtils';
+import { parseError } from './utils/errorParser';
+import { autoFixMermaidCode } from './utils/mermaidAutoFix';
+
+/**
+ * Renderiza un diagrama y lo exporta con el mismo post-procesado que la app
+ * (recorte, padding, fondo, CSS de etiquetas y metadatos del PNG)
+ * @param {Object} options
+ * @param {string} options.code - Código Mermaid
+ * @param {string} [options.format] - 'png' | 'svg'
+ * @param {number} [options.scale] - Escala del PNG
+ * @param {number} [options.width] - Ancho exacto del PNG en px (en lugar de la escala)
+ * @param {number} [options.height] - Alto exacto del PNG en px (en lugar de la escala)
+ * @param {boolean} [options.transparent] - Fondo transparente
+ * @param {string} [options.background] - Color de fondo del lienzo (tiene prioridad sobre style.background)
+ * @param {Object} [options.style] - Estilo del lienzo (ver DEFAULT_EXPORT_STYLE)
+ * @param {string} [options.theme] - Tema de Mermaid (ver MERMAID_THEMES)
+ * @param {Object} [options.themeVariables] - Variables del tema
+ * @param {boolean} [options.autoFix] - Aplicar antes las correcciones automáticas (autoFixMermaidCode)
+ * @returns {Promise<{mimeType: string, data: string, encoding: string, fixes: number} | {error: {summary: string, message: string, lineNumber: number|null}}>}
+ *   data va en base64 para el PNG y como texto para el SVG; fixes: correcciones automáticas aplicadas
+ */
+const render = async ({
+    code: rawCode,
+    format = 'png',
+    scale = 3,
+    width,
+    height,
+    transparent = false,
+    background,
+    style: baseStyle,
+    theme = DEFAULT_MERMAID_THEME,
+    themeVariables,
+    autoFix = false,
+}) => {
+    const style = background ? { ...baseStyle, background } : baseStyle;
+    const sizing = width
+        ? { mode: 'width', targetWidth: width }
+        : height ? { mode: 'height', targetHeight: height } : undefined;
+    let code = rawCode || '';
+    let fixes = 0;
+    let cleanup = null;
+
+    try {
+        if (autoFix) {
+            const result = autoFixMermaidCode(code);
+            code = result.code;
+            fixes = result.fixes.length;
+        }
+        if (!code.trim()) {
+            throw new Error('El diagrama está vacío');
+        }
+
+        const rendered = await renderMermaidOffscreen(code, { theme, themeVariables });
+        cleanup = rendered.cleanup;
+
+        if (format === 'svg') {
+            const { svgString } = buildExportSvg(rendered.svgElement, { transparent, style });
+            return { mimeType: 'image/svg+xml', data: svgString, encoding: 'utf8', fixes };
+        }
+
+        const pngDataUrl = await exportSvgToPng(rendered.svgElement, { scale, sizing, transparent, style, source: code });
+        return { mimeType: 'image/png', data: pngDataUrl.slice(pngDataUrl.indexOf(',') + 1), encoding: 'base64', fixes };
+    } catch (err) {
+        const { summary, message, lineNumber } = parseError(err, code);
+        return { error: { summary, message, lineNumber } };
+    } finally {
+        cleanup?.();
+    }
+};
+
+// Punto de entrada para el navegador sin interfaz que controla el servidor
+window.mermaidExporter = { render };
@@ -0,0 +1,43 @@
+import { useState, useEffect } from 'react';
+
+const STORAGE_KEY = 'mermaid-exporter-autofix-settings';
+
+const DEFAULT_SETTINGS = {
+    preventive: true, // Corregir en segundo plano mientras se escribe
+    review: false,    // El botón Auto-fix abre la revisión en lugar de aplicarlo todo
+};
+
+/**
+ * Lee los ajustes guardados, ignorando valores corruptos
+ * @returns {{preventive: boolean, review: boolean}}
+ */
+const getInitialSettings = () => {
+    try {
+        const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+        return {
+            preventive: typeof stored.preventive === 'boolean' ? stored.preventive : DEFAULT_SETTINGS.preventive,
+            review: typeof stored.review === 'boolean' ? stored.review : DEFAULT_SETTINGS.review,
+        };
+    } catch {
+        return DEFAULT_SETTINGS;
+    }
+};
+
+/**
+ * Hook para los ajustes del auto-fix
+ * - preventive: el auto-fix transparente que reescribe el código al escribir
+ * - review: revisar y elegir cada corrección antes de aplicarla
+ * - Persiste en localStorage entre sesiones
+ */
+export function useAutoFixSettings() {
+    const [autoFixSettings, setAutoFixSettings] = useState(getInitialSettings);
+
+    useEffect(() => {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(autoFixSettings));
+    }, [autoFixSettings]);
+
+    return {
+        autoFixSettings,
+        setAutoFixSettings,
+    };
+}
@@ -0,0 +1,63 @@
+import { useState, useCallback } from 'react';
+import { exportDiagramsToZip } from '../utils/batchExport';
+import { downloadBlob, generateFilename } from '../utils/exportUtils';
+
+/**
+ * Hook para exportar varios diagramas a un ZIP con informe por archivo
+ */
+export function useBatchExport() {
+    const [isRunning, setIsRunning] = useState(false);
+    const [progress, setProgress] = useState(null); // { done, total, path }
+    const [report, setReport] = useState(null);
+    const [batchError, setBatchError] = useState(null);
+
+    /**
+     * Exporta los diagramas y descarga el ZIP resultante
+     * @param {Array<{path: string, code: string}>} diagrams
+     * @param {Object} options - Ver exportDiagramsToZip
+     * @param {string} [filename] - Nombre del ZIP (por defecto, con timestamp)
+     */
+    const runBatch = useCallback(async (diagrams, options, filename = generateFilename('zip')) => {
+        if (diagrams.length === 0) {
+            setBatchError("No se encontraron diagramas (.mmd o .mermaid)");
+            return false;
+        }
+
+        setIsRunning(true);
+        setBatchError(null);
+        setReport(null);
+        setProgress({ done: 0, total: diagrams.length, path: null });
+
+        try {
+            const { blob, report: batchReport } = await exportDiagramsToZip(
+                diagrams,
+                options,
+                (done, total, path) => setProgress({ done, total, path })
+            );
+            setReport(batchReport);
+            downloadBlob(blob, filename);
+            return true;
+        } catch (err) {
+            console.error("Batch export error:", err);
+            setBatchError(err.message);
+            return false;
+        } finally {
+            setIsRunning(false);
+        }
+    }, []);
+
+    const resetBatch = useCallback(() => {
+        setProgress(null);
+        setReport(null);
+        setBatchError(null);
+    }, []);
+
+    return {
+        runBatch,
+        resetBatch,
+        isRunning,
+        progress,
+        report,
+        batchError,
+    };
+}
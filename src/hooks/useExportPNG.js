@@ -1,18 +1,27 @@
 import { useState, useCallback } from 'react';
-import { exportSvgToPng, downloadDataUrl, generateFilename } from '../utils/exportUtils';
+import { exportSvgToPng, exportSvgToSvg, copySvgToClipboard, downloadDataUrl, downloadBlob, generateFilename, getVariantExportStyle } from '../utils/exportUtils';
+import { exportSvgToPdf } from '../utils/pdfUtils';
+import { exportSvgToPoster } from '../utils/posterUtils';
+import { renderMermaidOffscreen } from '../utils/mermaidRender';
+import { getThemeVariants } from '../config/mermaid.config';
+
+const THEME_VARIANTS = ['light', 'dark'];
 
 /**
- * Hook para exportar diagramas a PNG
+ * Hook para exportar diagramas a PNG, SVG, PDF o póster multipágina
  * @param {React.RefObject} previewRef - Ref del contenedor de preview
  */
 export function useExportPNG(previewRef) {
     const [isExporting, setIsExporting] = useState(false);
     const [exportSuccess, setExportSuccess] = useState(false);
     const [exportError, setExportError] = useState(null);
+    const [copyStatus, setCopyStatus] = useState('idle'); // 'idle' | 'copying' | 'copied' | 'error'
 
-    const exportToPNG = useCallback(async (options = {}) => {
-        const { scale = 3, transparent = false } = options;
-
+    /**
+     * Ejecuta una exportación sobre el SVG del preview gestionando los estados
+     * @param {Function} exporter - (svgElement) => Promise<void> | void
+     */
+    const runExport = useCallback(async (exporter) => {
         const svgElement = previewRef.current?.querySelector("svg");
         if (!svgElement) {
             setExportError("No hay diagrama para exportar");
@@ -23,8 +32,7 @@ export function useExportPNG(previewRef) {
             setIsExporting(true);
             setExportError(null);
 
-            const pngDataUrl = await exportSvgToPng(svgElement, { scale, transparent });
-            downloadDataUrl(pngDataUrl, generateFilename());
+            await exporter(svgElement);
 
             setExportSuccess(true);
             setTimeout(() => setExportSuccess(false), 2500);
@@ -38,12 +46,108 @@ export function useExportPNG(previewRef) {
         }
     }, [previewRef]);
 
+    const exportToPNG = useCallback((options = {}) => {
+        const { scale = 3, sizing, transparent = false, style, source } = options;
+
+        return runExport(async (svgElement) => {
+            const pngDataUrl = await exportSvgToPng(svgElement, { scale, sizing, transparent, style, source });
+            downloadDataUrl(pngDataUrl, generateFilename('png'));
+        });
+    }, [runExport]);
+
+    const exportToSVG = useCallback((options = {}) => {
+        const { transparent = false, style } = options;
+
+        return runExport((svgElement) => {
+            const svgDataUrl = exportSvgToSvg(svgElement, { transparent, style });
+            downloadDataUrl(svgDataUrl, generateFilename('svg'));
+        });
+    }, [runExport]);
+
+    const exportToPDF = useCallback((options = {}) => {
+        const { pageSize = 'a4', orientation = 'auto', margin = 10, transparent = false, style } = options;
+
+        return runExport(async (svgElement) => {
+            const pdfBlob = await exportSvgToPdf(svgElement, { pageSize, orientation, margin, transparent, style });
+            downloadBlob(pdfBlob, generateFilename('pdf'));
+        });
+    }, [runExport]);
+
+    const exportToPoster = useCallback((options = {}) => {
+        const { output = 'pdf' } = options;
+
+        return runExport(async (svgElement) => {
+            const posterBlob = await exportSvgToPoster(svgElement, options);
+            downloadBlob(posterBlob, generateFilename(output === 'zip' ? 'zip' : 'pdf'));
+        });
+    }, [runExport]);
+
+    /**
+     * Exporta una variante clara y otra oscura del diagrama (PNG o SVG) con el
+     * mismo nombre base, para imágenes que dependen de prefers-color-scheme
+     */
+    const exportThemeVariants = useCallback((options = {}) => {
+        const { format = 'png', code, themeConfig, scale = 3, sizing, transparent = false, style } = options;
+
+        return runExport(async () => {
+            const variants = getThemeVariants(themeConfig);
+            const timestamp = Date.now();
+
+            for (const variant of THEME_VARIANTS) {
+                const variantStyle = getVariantExportStyle(style, variant);
+                const filename = generateFilename(format, { suffix: variant, timestamp });
+                const { svgElement, cleanup } = await renderMermaidOffscreen(code, variants[variant]);
+
+                try {
+                    const dataUrl = format === 'svg'
+                        ? exportSvgToSvg(svgElement, { transparent, style: variantStyle })
+                        : await exportSvgToPng(svgElement, { scale, sizing, transparent, style: variantStyle, source: code });
+                    downloadDataUrl(dataUrl, filename);
+                } finally {
+                    cleanup();
+                }
+            }
+        });
+    }, [runExport]);
+
+    const copyToClipboard = useCallback(async (options = {}) => {
+        const { scale = 3, sizing, transparent = false, style } = options;
+
+        const svgElement = previewRef.current?.querySelector("svg");
+        if (!svgElement) {
+            setExportError("No hay diagrama para copiar");
+            return false;
+        }
+
+        setCopyStatus('copying');
+        setExportError(null);
+
+        try {
+            await copySvgToClipboard(svgElement, { scale, sizing, transparent, style });
+            setCopyStatus('copied');
+            return true;
+        } catch (err) {
+            console.error("Clipboard error:", err);
+            setExportError(err.message);
+            setCopyStatus('error');
+            return false;
+        } finally {
+            setTimeout(() => setCopyStatus('idle'), 2500);
+        }
+    }, [previewRef]);
+
     const clearExportError = useCallback(() => {
         setExportError(null);
     }, []);
 
     return {
         exportToPNG,
+        exportToSVG,
+        exportToPDF,
+        exportToPoster,
+        exportThemeVariants,
+        copyToClipboard,
+        copyStatus,
         isExporting,
         exportSuccess,
         exportError,
@@ -0,0 +1,40 @@
+import { useState, useEffect, useCallback } from 'react';
+import { DEFAULT_EXPORT_STYLE, resolveExportStyle } from '../utils/exportUtils';
+
+const STORAGE_KEY = 'mermaid-exporter-export-style';
+
+/**
+ * Lee el estilo guardado, ignorando valores corruptos
+ * @returns {Object}
+ */
+const getInitialExportStyle = () => {
+    try {
+        const stored = localStorage.getItem(STORAGE_KEY);
+        return resolveExportStyle(stored ? JSON.parse(stored) : {});
+    } catch {
+        return resolveExportStyle();
+    }
+};
+
+/**
+ * Hook para el estilo del lienzo exportado (fondo, padding, marco y sombra)
+ * - Persiste la configuración en localStorage entre sesiones
+ */
+export function useExportStyle() {
+    const [exportStyle, setExportStyle] = useState(getInitialExportStyle);
+
+    // Guardar estilo en localStorage cuando cambie
+    useEffect(() => {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(exportStyle));
+    }, [exportStyle]);
+
+    const resetExportStyle = useCallback(() => {
+        setExportStyle(resolveExportStyle(DEFAULT_EXPORT_STYLE));
+    }, []);
+
+    return {
+        exportStyle,
+        setExportStyle,
+        resetExportStyle,
+    };
+}
@@ -0,0 +1,73 @@
+import { useState, useCallback, useEffect } from 'react';
+import { extractMermaidBlocks, getBlockFilename } from '../utils/markdownDiagrams';
+
+/**
+ * Hook para trabajar con los diagramas de un documento Markdown
+ * - Se abre en un documento nuevo del espacio de trabajo (no sobrescribe el activo)
+ * - El bloque activo se edita en el editor principal
+ * - Al cambiar de bloque se conservan los cambios del anterior
+ * - Al cambiar de documento del espacio de trabajo se cierra
+ * @param {string} code - Código actual del editor
+ * @param {Function} setCode - Setter del código del editor
+ * @param {Object} workspace
+ * @param {string|null} workspace.documentId - Documento activo del espacio de trabajo
+ * @param {Function} workspace.createDocument - Crea y abre un documento (código, nombre)
+ */
+export function useMarkdownDocument(code, setCode, { documentId, createDocument }) {
+    const [markdownDoc, setMarkdownDoc] = useState(null); // { name, blocks, activeIndex, documentId }
+
+    // Los bloques solo se editan en el documento donde se abrió el Markdown
+    useEffect(() => {
+        if (markdownDoc && markdownDoc.documentId !== documentId) setMarkdownDoc(null);
+    }, [markdownDoc, documentId]);
+
+    /**
+     * Abre un documento en uno nuevo del espacio de trabajo con su primer diagrama
+     * @param {{name: string, markdown: string}} doc
+     * @returns {boolean} - false si el documento no tiene bloques mermaid
+     */
+    const openMarkdown = useCallback(({ name, markdown }) => {
+        const blocks = extractMermaidBlocks(markdown);
+        if (blocks.length === 0) return false;
+
+        createDocument(blocks[0].code, name)
+            .then((created) => setMarkdownDoc({ name, blocks, activeIndex: 0, documentId: created.id }))
+            .catch((err) => console.warn('No se pudo abrir el Markdown:', err));
+        return true;
+    }, [createDocument]);
+
+    const selectBlock = useCallback((index) => {
+        if (!markdownDoc || index === markdownDoc.activeIndex) return;
+
+        const blocks = markdownDoc.blocks.map((block, i) => (
+            i === markdownDoc.activeIndex ? { ...block, code } : block
+        ));
+        setMarkdownDoc({ ...markdownDoc, blocks, activeIndex: index });
+        setCode(blocks[index].code);
+    }, [markdownDoc, code, setCode]);
+
+    const closeMarkdown = useCallback(() => {
+        setMarkdownDoc(null);
+    }, []);
+
+    /**
+     * Diagramas del documento listos para exportar por lotes, con el
+     * nombre derivado del título más cercano y los cambios del bloque activo
+     * @returns {Array<{path: string, code: string}>}
+     */
+    const getMarkdownDiagrams = useCallback(() => {
+        if (!markdownDoc) return [];
+        return markdownDoc.blocks.map((block, i) => ({
+            path: getBlockFilename(block),
+            code: i === markdownDoc.activeIndex ? code : block.code,
+        }));
+    }, [markdownDoc, code]);
+
+    return {
+        markdownDoc,
+        openMarkdown,
+        selectBlock,
+        closeMarkdown,
+        getMarkdownDiagrams,
+    };
+}
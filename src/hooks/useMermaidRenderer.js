@@ -1,13 +1,15 @@
 import { useState, useRef, useCallback, useEffect } from 'react';
-import { mermaid } from '../config/mermaid.config';
+import { mermaid, initializeMermaid } from '../config/mermaid.config';
 import { parseError } from '../utils/errorParser';
+import { markRenderedTheme } from '../utils/mermaidRender';
 
 /**
  * Hook para renderizar diagramas Mermaid
  * @param {string} code - Código Mermaid a renderizar
  * @param {number} debounceMs - Tiempo de debounce en ms (default: 400)
+ * @param {{theme: string, themeVariables: Object}} [themeConfig] - Tema de Mermaid para el preview
  */
-export function useMermaidRenderer(code, debounceMs = 400) {
+export function useMermaidRenderer(code, debounceMs = 400, themeConfig) {
     const [error, setError] = useState(null);
     const [errorInfo, setErrorInfo] = useState(null);
     const [isRendering, setIsRendering] = useState(false);
@@ -29,6 +31,9 @@ export function useMermaidRenderer(code, debounceMs = 400) {
         const currentRenderId = `mermaid-${renderIdRef.current}-${Date.now()}`;
 
         try {
+            // La configuración de Mermaid es global: reaplicar el tema en cada render
+            initializeMermaid(themeConfig);
+
             const isValid = await mermaid.parse(code);
             if (!isValid && isValid !== undefined) {
                 throw new Error("Sintaxis Mermaid inválida");
@@ -39,10 +44,15 @@ export function useMermaidRenderer(code, debounceMs = 400) {
                 previewRef.current.innerHTML = svg;
                 const svgElement = previewRef.current.querySelector("svg");
                 if (svgElement) {
-                    svgElement.style.maxWidth = "100%";
-                    svgElement.style.height = "auto";
+                    markRenderedTheme(svgElement, themeConfig);
+                    // Tamaño real del diagrama: el zoom del preview lo escala con CSS
+                    const { width, height } = svgElement.viewBox.baseVal || {};
+                    if (width > 0 && height > 0) {
+                        svgElement.style.width = `${width}px`;
+                        svgElement.style.height = `${height}px`;
+                        svgElement.style.maxWidth = "none";
+                    }
                     svgElement.style.display = "block";
-                    svgElement.style.margin = "0 auto";
                 }
             }
         } catch (err) {
@@ -55,7 +65,7 @@ export function useMermaidRenderer(code, debounceMs = 400) {
         } finally {
             setIsRendering(false);
         }
-    }, [code]);
+    }, [code, themeConfig]);
 
     // Renderizar con debounce
     useEffect(() => {
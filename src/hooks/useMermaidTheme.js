@@ -0,0 +1,46 @@
+import { useState, useEffect, useCallback } from 'react';
+import { MERMAID_THEMES, DEFAULT_MERMAID_THEME } from '../config/mermaid.config';
+
+const STORAGE_KEY = 'mermaid-exporter-mermaid-theme';
+
+const DEFAULT_THEME_CONFIG = { theme: DEFAULT_MERMAID_THEME, themeVariables: {} };
+
+/**
+ * Lee el tema guardado, ignorando valores corruptos o temas desconocidos
+ * @returns {{theme: string, themeVariables: Object}}
+ */
+const getInitialThemeConfig = () => {
+    try {
+        const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+        return {
+            theme: MERMAID_THEMES.includes(stored.theme) ? stored.theme : DEFAULT_MERMAID_THEME,
+            themeVariables: stored.themeVariables && typeof stored.themeVariables === 'object' ? stored.themeVariables : {},
+        };
+    } catch {
+        return DEFAULT_THEME_CONFIG;
+    }
+};
+
+/**
+ * Hook para el tema de Mermaid del diagrama (independiente del tema de la app)
+ * - Se aplica al preview y a todas las exportaciones
+ * - Persiste la configuración en localStorage entre sesiones
+ */
+export function useMermaidTheme() {
+    const [mermaidTheme, setMermaidTheme] = useState(getInitialThemeConfig);
+
+    // Guardar tema en localStorage cuando cambie
+    useEffect(() => {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(mermaidTheme));
+    }, [mermaidTheme]);
+
+    const resetMermaidTheme = useCallback(() => {
+        setMermaidTheme(DEFAULT_THEME_CONFIG);
+    }, []);
+
+    return {
+        mermaidTheme,
+        setMermaidTheme,
+        resetMermaidTheme,
+    };
+}
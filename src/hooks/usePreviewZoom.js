@@ -0,0 +1,271 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+
+export const MIN_ZOOM = 0.05;
+export const MAX_ZOOM = 8;
+
+// Factor de los botones +/- (y de cada "clic" de la rueda del ratón)
+const ZOOM_STEP = 1.25;
+
+// Píxeles que hay que arrastrar para que el gesto sea un desplazamiento y no un clic
+const DRAG_THRESHOLD = 4;
+
+const clampZoom = (scale) => Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, scale));
+
+/**
+ * Posición en un eje: centrado si cabe, pegado al margen si no
+ * @param {number} viewportSize
+ * @param {number} contentSize - Tamaño ya escalado
+ * @param {number} margin
+ * @returns {number}
+ */
+const alignAxis = (viewportSize, contentSize, margin) => (
+    contentSize <= viewportSize - margin * 2 ? (viewportSize - contentSize) / 2 : margin
+);
+
+/**
+ * Vista para un modo de encaje
+ * - auto: toda la página, sin ampliar por encima del 100% (vista inicial)
+ * - fitPage: toda la página
+ * - fitWidth: el ancho completo (el alto puede desbordar)
+ * - actual: tamaño real (100%)
+ * @param {'auto'|'fitPage'|'fitWidth'|'actual'} mode
+ * @param {{content: {width, height}, viewport: {width, height}}} sizes
+ * @param {number} margin - Margen alrededor del diagrama
+ * @returns {{scale: number, x: number, y: number}}
+ */
+const computeFitView = (mode, { content, viewport }, margin) => {
+    const widthScale = (viewport.width - margin * 2) / content.width;
+    const pageScale = Math.min(widthScale, (viewport.height - margin * 2) / content.height);
+    const scale = clampZoom({
+        auto: Math.min(1, pageScale),
+        fitPage: pageScale,
+        fitWidth: widthScale,
+        actual: 1,
+    }[mode]);
+
+    return {
+        scale,
+        x: alignAxis(viewport.width, content.width * scale, margin),
+        y: alignAxis(viewport.height, content.height * scale, margin),
+    };
+};
+
+/**
+ * Hook de zoom y desplazamiento del preview con transformaciones CSS
+ * (sin volver a renderizar Mermaid)
+ * - Rueda del ratón y pellizco (trackpad o táctil) amplían alrededor del puntero
+ * - Arrastrar desplaza; el clic que termina un arrastre se ignora (ver shouldIgnoreClick)
+ * - Los modos de encaje se mantienen al redimensionar o re-renderizar hasta que
+ *   el usuario amplía o desplaza a mano
+ * @param {Object} options
+ * @param {React.RefObject} options.viewportRef - Contenedor visible (recorta el contenido)
+ * @param {React.RefObject} options.contentRef - Lienzo del diagrama que se transforma
+ * @param {number} [options.margin] - Margen alrededor del diagrama al encajarlo
+ * @param {boolean} [options.enabled] - Si hay diagrama que ampliar
+ */
+export function usePreviewZoom({ viewportRef, contentRef, margin = 24, enabled = true }) {
+    const [view, setView] = useState({ scale: 1, x: 0, y: 0 });
+    const [sizes, setSizes] = useState({ content: { width: 0, height: 0 }, viewport: { width: 0, height: 0 } });
+    const [isPanning, setIsPanning] = useState(false);
+    const viewRef = useRef(view);
+    const sizesRef = useRef(sizes);
+    const modeRef = useRef('auto');
+    const pointersRef = useRef(new Map());
+    const gestureRef = useRef(null);
+    const ignoreClickRef = useRef(false);
+
+    const updateView = useCallback((next) => {
+        viewRef.current = next;
+        setView(next);
+    }, []);
+
+    /**
+     * Mide el lienzo (tamaño sin transformar) y el contenedor
+     * @returns {boolean} - Si hay algo que encajar
+     */
+    const measure = useCallback(() => {
+        const viewport = viewportRef.current;
+        const content = contentRef.current;
+        if (!viewport || !content) return false;
+
+        const next = {
+            content: { width: content.offsetWidth, height: content.offsetHeight },
+            viewport: { width: viewport.clientWidth, height: viewport.clientHeight },
+        };
+        sizesRef.current = next;
+        setSizes(next);
+        return next.content.width > 0 && next.content.height > 0 && next.viewport.width > 0;
+    }, [viewportRef, contentRef]);
+
+    const fit = useCallback((mode) => {
+        modeRef.current = mode;
+        if (measure()) updateView(computeFitView(mode, sizesRef.current, margin));
+    }, [measure, updateView, margin]);
+
+    /**
+     * Amplía manteniendo fijo un punto del contenedor
+     * @param {number} factor
+     * @param {{x: number, y: number}} [point] - Relativo al contenedor (por defecto, su centro)
+     */
+    const zoomAt = useCallback((factor, point) => {
+        const current = viewRef.current;
+        const { viewport } = sizesRef.current;
+        const anchor = point || { x: viewport.width / 2, y: viewport.height / 2 };
+        const scale = clampZoom(current.scale * factor);
+        const ratio = scale / current.scale;
+
+        modeRef.current = 'manual';
+        updateView({
+            scale,
+            x: anchor.x - (anchor.x - current.x) * ratio,
+            y: anchor.y - (anchor.y - current.y) * ratio,
+        });
+    }, [updateView]);
+
+    const zoomIn = useCallback(() => zoomAt(ZOOM_STEP), [zoomAt]);
+    const zoomOut = useCallback(() => zoomAt(1 / ZOOM_STEP), [zoomAt]);
+    const fitWidth = useCallback(() => fit('fitWidth'), [fit]);
+    const fitPage = useCallback(() => fit('fitPage'), [fit]);
+    const actualSize = useCallback(() => fit('actual'), [fit]);
+
+    /**
+     * Centra la vista en un punto del lienzo (coordenadas sin escalar, p. ej. desde el minimapa)
+     * @param {number} contentX
+     * @param {number} contentY
+     */
+    const centerOn = useCallback((contentX, contentY) => {
+        const { scale } = viewRef.current;
+        const { viewport } = sizesRef.current;
+        modeRef.current = 'manual';
+        updateView({ scale, x: viewport.width / 2 - contentX * scale, y: viewport.height / 2 - contentY * scale });
+    }, [updateView]);
+
+    // Re-encajar al cambiar el tamaño del contenedor o del lienzo (nuevo render, padding...)
+    useEffect(() => {
+        const viewport = viewportRef.current;
+        const content = contentRef.current;
+        if (!enabled || !viewport || !content || typeof ResizeObserver === 'undefined') return undefined;
+
+        const observer = new ResizeObserver(() => {
+            if (modeRef.current === 'manual') measure();
+            else fit(modeRef.current);
+        });
+        observer.observe(viewport);
+        observer.observe(content);
+        return () => observer.disconnect();
+    }, [viewportRef, contentRef, enabled, measure, fit]);
+
+    // Rueda: React registra wheel como pasivo y no permite evitar el scroll de la página
+    useEffect(() => {
+        const viewport = viewportRef.current;
+        if (!enabled || !viewport) return undefined;
+
+        const handleWheel = (e) => {
+            e.preventDefault();
+            const rect = viewport.getBoundingClientRect();
+            // El pellizco del trackpad llega como rueda con ctrlKey y deltas pequeños
+            const delta = e.deltaMode === 1 ? e.deltaY * 16 : e.deltaY;
+            const factor = Math.exp(-delta * (e.ctrlKey ? 0.01 : 0.002));
+            zoomAt(factor, { x: e.clientX - rect.left, y: e.clientY - rect.top });
+        };
+
+        viewport.addEventListener('wheel', handleWheel, { passive: false });
+        return () => viewport.removeEventListener('wheel', handleWheel);
+    }, [viewportRef, enabled, zoomAt]);
+
+    const getPoint = (e) => {
+        const rect = viewportRef.current.getBoundingClientRect();
+        return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+    };
+
+    /**
+     * Estado inicial de un gesto: desplazamiento con un puntero, pellizco con dos
+     * @returns {Object}
+     */
+    const startGesture = () => {
+        const points = [...pointersRef.current.values()];
+        const start = { view: viewRef.current, moved: gestureRef.current?.moved || false };
+        if (points.length < 2) return { ...start, origin: points[0] };
+
+        const [a, b] = points;
+        return {
+            ...start,
+            moved: true,
+            distance: Math.hypot(a.x - b.x, a.y - b.y) || 1,
+            mid: { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 },
+        };
+    };
+
+    const onPointerDown = (e) => {
+        if (!enabled || (e.pointerType === 'mouse' && e.button !== 0)) return;
+        if (pointersRef.current.size === 0) ignoreClickRef.current = false;
+        pointersRef.current.set(e.pointerId, getPoint(e));
+        gestureRef.current = startGesture();
+    };
+
+    const onPointerMove = (e) => {
+        const gesture = gestureRef.current;
+        if (!gesture || !pointersRef.current.has(e.pointerId)) return;
+        pointersRef.current.set(e.pointerId, getPoint(e));
+        const points = [...pointersRef.current.values()];
+
+        if (points.length >= 2) {
+            const [a, b] = points;
+            const mid = { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+            const scale = clampZoom(gesture.view.scale * (Math.hypot(a.x - b.x, a.y - b.y) / gesture.distance));
+            const contentX = (gesture.mid.x - gesture.view.x) / gesture.view.scale;
+            const contentY = (gesture.mid.y - gesture.view.y) / gesture.view.scale;
+            modeRef.current = 'manual';
+            updateView({ scale, x: mid.x - contentX * scale, y: mid.y - contentY * scale });
+            return;
+        }
+
+        const dx = points[0].x - gesture.origin.x;
+        const dy = points[0].y - gesture.origin.y;
+        if (!gesture.moved && Math.hypot(dx, dy) < DRAG_THRESHOLD) return;
+
+        if (!gesture.moved) {
+            gesture.moved = true;
+            // Capturar solo al empezar a arrastrar: un clic normal debe llegar al nodo
+            e.currentTarget.setPointerCapture?.(e.pointerId);
+            setIsPanning(true);
+        }
+        modeRef.current = 'manual';
+        updateView({ ...gesture.view, x: gesture.view.x + dx, y: gesture.view.y + dy });
+    };
+
+    const onPointerUp = (e) => {
+        if (!pointersRef.current.delete(e.pointerId)) return;
+        if (gestureRef.current?.moved) ignoreClickRef.current = true;
+
+        // Al soltar un dedo del pellizco se sigue desplazando con el otro
+        gestureRef.current = pointersRef.current.size > 0 ? startGesture() : null;
+        if (pointersRef.current.size === 0) setIsPanning(false);
+    };
+
+    /**
+     * Indica si el clic actual es el final de un arrastre (no debe seleccionar nada)
+     * @returns {boolean}
+     */
+    const shouldIgnoreClick = useCallback(() => ignoreClickRef.current, []);
+
+    return {
+        view,
+        contentSize: sizes.content,
+        viewportSize: sizes.viewport,
+        isPanning,
+        zoomIn,
+        zoomOut,
+        fitWidth,
+        fitPage,
+        actualSize,
+        centerOn,
+        shouldIgnoreClick,
+        viewportHandlers: {
+            onPointerDown,
+            onPointerMove,
+            onPointerUp,
+            onPointerCancel: onPointerUp,
+        },
+    };
+}
@@ -0,0 +1,55 @@
+import { useState, useEffect, useCallback } from 'react';
+import { decodeShareState, buildShareUrl } from '../utils/shareUrl';
+
+/**
+ * Hook para compartir el diagrama mediante un enlace con el estado en el fragmento
+ * - Al abrir la app (o cambiar el hash) restaura el estado del enlace
+ * - El fragmento no se envía nunca al servidor y funciona offline como PWA
+ * @param {Function} onShareImport - Recibe el estado decodificado ({code, scale, transparent, themeConfig})
+ */
+export function useShareLink(onShareImport) {
+    const [shareStatus, setShareStatus] = useState('idle'); // 'idle' | 'copied' | 'error'
+
+    useEffect(() => {
+        const importFromHash = () => {
+            const state = decodeShareState(window.location.hash);
+            if (!state) return;
+
+            onShareImport(state);
+            // Quitar el fragmento para que recargar no deshaga las ediciones posteriores
+            window.history.replaceState(null, '', `${window.location.pathname}${window.location.search}`);
+        };
+
+        importFromHash();
+        window.addEventListener('hashchange', importFromHash);
+        return () => window.removeEventListener('hashchange', importFromHash);
+    }, [onShareImport]);
+
+    /**
+     * Copia al portapapeles el enlace con el estado actual
+     * @param {Object} state - Ver encodeShareState
+     * @returns {Promise<string>} - URL generada
+     */
+    const copyShareLink = useCallback(async (state) => {
+        const url = buildShareUrl(state);
+
+        try {
+            await navigator.clipboard.writeText(url);
+            setShareStatus('copied');
+        } catch (err) {
+            console.error("Share link error:", err);
+            // Sin portapapeles (p. ej. HTTP): dejar el enlace en la barra de direcciones
+            window.history.replaceState(null, '', url);
+            setShareStatus('error');
+        } finally {
+            setTimeout(() => setShareStatus('idle'), 2500);
+        }
+
+        return url;
+    }, []);
+
+    return {
+        shareStatus,
+        copyShareLink,
+    };
+}
@@ -0,0 +1,157 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+
+// Máximo de pasos que se pueden deshacer
+const MAX_ENTRIES = 200;
+
+// Las pulsaciones seguidas (con pausas menores que esto) forman un único paso
+const TYPING_MERGE_WINDOW = 1000;
+
+// Clase del textarea del editor (ver CodeEditor): allí Ctrl+Z usa este historial
+const CODE_EDITOR_CLASS = 'code-editor-input';
+
+/**
+ * Indica si el atajo debe quedarse en el control enfocado (inputs de
+ * renombrado, etiquetas...) en lugar de ir al historial del código
+ * @param {EventTarget} target
+ * @returns {boolean}
+ */
+const keepsNativeUndo = (target) => {
+    if (!target || target.classList?.contains(CODE_EDITOR_CLASS)) return false;
+    return target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName);
+};
+
+/**
+ * Hook de deshacer/rehacer a nivel de app: registra cualquier cambio del
+ * código (escritura, auto-fix, editor de estilos, ejemplos...) con una
+ * etiqueta que describe el paso
+ * - commitCode(code, label) cambia el código registrando el paso con esa etiqueta
+ * - Los cambios que no pasan por commitCode (escritura) se registran con typingLabel
+ *   y las pulsaciones seguidas se agrupan en un solo paso
+ * - Ctrl+Z / Ctrl+Shift+Z / Ctrl+Y (y el deshacer del menú contextual del editor)
+ * - Al cambiar de documento (scopeKey) el historial empieza de cero
+ * @param {Object} options
+ * @param {string} options.code - Código actual
+ * @param {Function} options.setCode - Setter del código del editor
+ * @param {string|null} options.scopeKey - Id del documento activo
+ * @param {string} options.typingLabel - Etiqueta para la escritura en el editor
+ * @param {Function} [options.onRestore] - Se llama con el código antes de deshacer/rehacer
+ */
+export function useUndoHistory({ code, setCode, scopeKey, typingLabel, onRestore }) {
+    const [past, setPast] = useState([]); // [{code, label, isTyping, time}] - código ANTES del paso
+    const [future, setFuture] = useState([]); // [{code, label}] - código DESPUÉS del paso
+    const lastCodeRef = useRef(code);
+    const scopeRef = useRef(scopeKey);
+    const pendingLabelRef = useRef(null);
+    const isNavigatingRef = useRef(false);
+
+    // Registrar cada cambio del código como un paso
+    useEffect(() => {
+        if (scopeRef.current !== scopeKey) {
+            scopeRef.current = scopeKey;
+            lastCodeRef.current = code;
+            pendingLabelRef.current = null;
+            setPast([]);
+            setFuture([]);
+            return;
+        }
+
+        if (code === lastCodeRef.current) return;
+        const previousCode = lastCodeRef.current;
+        lastCodeRef.current = code;
+
+        // El cambio lo ha hecho el propio deshacer/rehacer
+        if (isNavigatingRef.current) {
+            isNavigatingRef.current = false;
+            return;
+        }
+
+        const label = pendingLabelRef.current;
+        pendingLabelRef.current = null;
+        const now = Date.now();
+
+        setFuture([]);
+        setPast((prev) => {
+            const last = prev[prev.length - 1];
+            if (!label && last?.isTyping && now - last.time < TYPING_MERGE_WINDOW) {
+                return [...prev.slice(0, -1), { ...last, time: now }];
+            }
+            const entry = { code: previousCode, label: label || typingLabel, isTyping: !label, time: now };
+            return [...prev, entry].slice(-MAX_ENTRIES);
+        });
+    }, [code, scopeKey, typingLabel]);
+
+    const commitCode = useCallback((nextCode, label) => {
+        pendingLabelRef.current = label;
+        setCode(nextCode);
+    }, [setCode]);
+
+    /**
+     * Pone el código de un paso sin registrarlo como cambio nuevo
+     * @param {string} nextCode
+     */
+    const restoreCode = useCallback((nextCode) => {
+        // Sin cambio el efecto no se ejecuta: la marca se quedaría puesta y se perdería la siguiente edición
+        if (nextCode === lastCodeRef.current) return;
+        isNavigatingRef.current = true;
+        onRestore?.(nextCode);
+        setCode(nextCode);
+    }, [setCode, onRestore]);
+
+    const undo = useCallback(() => {
+        const entry = past[past.length - 1];
+        if (!entry) return;
+        setPast(past.slice(0, -1));
+        setFuture([...future, { code: lastCodeRef.current, label: entry.label }]);
+        restoreCode(entry.code);
+    }, [past, future, restoreCode]);
+
+    const redo = useCallback(() => {
+        const entry = future[future.length - 1];
+        if (!entry) return;
+        setFuture(future.slice(0, -1));
+        setPast([...past, { code: lastCodeRef.current, label: entry.label, isTyping: false, time: 0 }]);
+        restoreCode(entry.code);
+    }, [past, future, restoreCode]);
+
+    // Atajos de teclado globales; en el editor sustituyen al deshacer nativo
+    useEffect(() => {
+        const handleKeyDown = (e) => {
+            if (!(e.ctrlKey || e.metaKey) || e.altKey || keepsNativeUndo(e.target)) return;
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) {
+                e.preventDefault();
+                undo();
+            } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+                e.preventDefault();
+                redo();
+            }
+        };
+
+        // Deshacer/rehacer desde el menú contextual del editor
+        const handleBeforeInput = (e) => {
+            if (!e.target.classList?.contains(CODE_EDITOR_CLASS)) return;
+            if (e.inputType === 'historyUndo') {
+                e.preventDefault();
+                undo();
+            } else if (e.inputType === 'historyRedo') {
+                e.preventDefault();
+                redo();
+            }
+        };
+
+        document.addEventListener('keydown', handleKeyDown);
+        document.addEventListener('beforeinput', handleBeforeInput);
+        return () => {
+            document.removeEventListener('keydown', handleKeyDown);
+            document.removeEventListener('beforeinput', handleBeforeInput);
+        };
+    }, [undo, redo]);
+
+    return {
+        commitCode,
+        undo,
+        redo,
+        undoLabel: past[past.length - 1]?.label || null,
+        redoLabel: future[future.length - 1]?.label || null,
+    };
+}
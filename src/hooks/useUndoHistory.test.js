@@ -0,0 +1,44 @@
+// @vitest-environment jsdom
+import { useState } from 'react';
+import { describe, it, expect } from 'vitest';
+import { renderHook, act } from '@testing-library/react';
+import { useUndoHistory } from './useUndoHistory';
+
+// Editor mínimo: el código vive en un estado, como en App
+const useEditor = (initialCode) => {
+    const [code, setCode] = useState(initialCode);
+    const history = useUndoHistory({ code, setCode, scopeKey: 'doc', typingLabel: 'Escritura' });
+    return { code, setCode, ...history };
+};
+
+describe('useUndoHistory', () => {
+    it('deshace y rehace los pasos con su etiqueta', () => {
+        const { result } = renderHook(() => useEditor('graph TD'));
+
+        act(() => result.current.commitCode('graph LR', 'Auto-fix'));
+        expect(result.current.undoLabel).toBe('Auto-fix');
+
+        act(() => result.current.undo());
+        expect(result.current.code).toBe('graph TD');
+        expect(result.current.redoLabel).toBe('Auto-fix');
+
+        act(() => result.current.redo());
+        expect(result.current.code).toBe('graph LR');
+    });
+
+    it('registra la siguiente edición tras deshacer un paso que no cambia el código', () => {
+        const { result } = renderHook(() => useEditor('A'));
+
+        // Escribir y volver al texto inicial dentro de la ventana de agrupado
+        act(() => result.current.setCode('AB'));
+        act(() => result.current.setCode('A'));
+        act(() => result.current.undo());
+        expect(result.current.code).toBe('A');
+
+        act(() => result.current.setCode('AC'));
+        expect(result.current.undoLabel).toBe('Escritura');
+
+        act(() => result.current.undo());
+        expect(result.current.code).toBe('A');
+    });
+});
@@ -0,0 +1,71 @@
+import { useState, useCallback } from 'react';
+import { listSnapshots, saveSnapshot, addSnapshot } from '../utils/workspaceDb';
+
+/**
+ * Hook para consultar y etiquetar el historial de versiones de un documento
+ * (las instantáneas las crea el autoguardado de useWorkspace)
+ * @param {Object} options
+ * @param {string|null} options.documentId - Documento activo
+ * @param {string} options.code - Código actual del editor
+ * @param {Function} options.flushActiveDocument - Guarda los cambios pendientes del documento activo
+ */
+export function useVersionHistory({ documentId, code, flushActiveDocument }) {
+    const [snapshots, setSnapshots] = useState([]);
+    const [isLoading, setIsLoading] = useState(false);
+    const [historyError, setHistoryError] = useState(null);
+
+    const loadSnapshots = useCallback(async () => {
+        if (!documentId) return;
+        setIsLoading(true);
+        setHistoryError(null);
+        try {
+            await flushActiveDocument();
+            setSnapshots(await listSnapshots(documentId));
+        } catch (err) {
+            console.error('History load error:', err);
+            setHistoryError(err.message);
+        } finally {
+            setIsLoading(false);
+        }
+    }, [documentId, flushActiveDocument]);
+
+    /**
+     * Pone (o quita, con texto vacío) la etiqueta de una instantánea
+     * @param {string} id
+     * @param {string} label
+     */
+    const labelSnapshot = useCallback(async (id, label) => {
+        const snapshot = snapshots.find((entry) => entry.id === id);
+        if (!snapshot) return;
+
+        const saved = await saveSnapshot({ ...snapshot, label: label.trim() || null });
+        setSnapshots((prev) => prev.map((entry) => (entry.id === id ? saved : entry)));
+    }, [snapshots]);
+
+    /**
+     * Guarda el código actual como versión con nombre
+     * @param {string} label
+     */
+    const saveVersion = useCallback(async (label) => {
+        if (!documentId || !label.trim()) return;
+        await flushActiveDocument();
+
+        // Si la última instantánea ya es el código actual, basta con etiquetarla
+        const [latest] = await listSnapshots(documentId);
+        if (latest && latest.code === code && !latest.label) {
+            await saveSnapshot({ ...latest, label: label.trim() });
+        } else {
+            await addSnapshot(documentId, code, { label: label.trim() });
+        }
+        setSnapshots(await listSnapshots(documentId));
+    }, [documentId, code, flushActiveDocument]);
+
+    return {
+        snapshots,
+        isLoading,
+        historyError,
+        loadSnapshots,
+        labelSnapshot,
+        saveVersion,
+    };
+}
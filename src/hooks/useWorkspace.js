@@ -0,0 +1,276 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import {
+    createDocumentRecord,
+    listDocuments,
+    getDocument,
+    saveDocument,
+    deleteDocument as deleteStoredDocument,
+    listSnapshots,
+    saveSnapshot,
+    addSnapshot,
+} from '../utils/workspaceDb';
+import { exportSvgToThumbnail } from '../utils/exportUtils';
+
+const LAST_DOCUMENT_KEY = 'mermaid-exporter-last-document';
+// Espera tras la última edición antes de guardar (mayor que el debounce del render)
+const AUTOSAVE_DELAY = 1000;
+// Los guardados dentro de esta ventana amplían la última instantánea en lugar de crear otra
+const SNAPSHOT_MERGE_WINDOW = 60 * 1000;
+
+/**
+ * Registra en el historial un guardado con cambios. Las ediciones seguidas se
+ * agrupan en una sola instantánea por minuto para que el historial sea legible;
+ * las instantáneas iniciales y las etiquetadas nunca se sobrescriben.
+ * @param {string} documentId
+ * @param {string} previousCode - Código guardado antes de este cambio
+ * @param {string} docCode - Código nuevo
+ */
+const recordEditSnapshot = async (documentId, previousCode, docCode) => {
+    const [latest] = await listSnapshots(documentId);
+    // Documentos anteriores al historial: conservar su estado de partida
+    if (!latest) await addSnapshot(documentId, previousCode);
+
+    if (latest?.isEdit && !latest.label && Date.now() - latest.createdAt < SNAPSHOT_MERGE_WINDOW) {
+        await saveSnapshot({ ...latest, code: docCode, updatedAt: Date.now() });
+        return;
+    }
+    await addSnapshot(documentId, docCode, { isEdit: true });
+};
+
+/**
+ * Hook para el espacio de trabajo multi-documento guardado en IndexedDB
+ * - Autoguardado del documento activo (código + miniatura del preview)
+ * - Cada guardado con cambios queda en el historial de versiones
+ * - Crear, duplicar, renombrar y eliminar documentos
+ * - Restaura el último documento abierto al iniciar
+ * @param {Object} options
+ * @param {string} options.code - Código actual del editor
+ * @param {Function} options.setCode - Setter del código del editor
+ * @param {React.RefObject} options.previewRef - Ref del contenedor de preview (para las miniaturas)
+ * @param {boolean} options.isPreviewValid - Si el preview muestra el código actual sin errores
+ * @param {string} options.untitledName - Nombre de los documentos nuevos
+ * @param {boolean} options.startFromCurrentCode - Crear un documento nuevo con el código actual en lugar de restaurar el último (p. ej. al abrir un enlace compartido)
+ */
+export function useWorkspace({ code, setCode, previewRef, isPreviewValid, untitledName, startFromCurrentCode = false }) {
+    const [documents, setDocuments] = useState([]);
+    const [activeId, setActiveId] = useState(null);
+    const [isReady, setIsReady] = useState(false);
+    const [saveStatus, setSaveStatus] = useState('idle'); // 'idle' | 'saving' | 'saved' | 'error'
+    const [workspaceError, setWorkspaceError] = useState(null);
+
+    // Valores más recientes para las operaciones asíncronas
+    const codeRef = useRef(code);
+    const activeIdRef = useRef(null);
+    const lastSavedCodeRef = useRef(null);
+    const isPreviewValidRef = useRef(isPreviewValid);
+    codeRef.current = code;
+    activeIdRef.current = activeId;
+    isPreviewValidRef.current = isPreviewValid;
+
+    // Solo cuentan al arrancar: cambiar de idioma no debe reiniciar el espacio de trabajo
+    const initialOptionsRef = useRef({ untitledName, startFromCurrentCode });
+
+    const activeDocument = documents.find((doc) => doc.id === activeId) || null;
+
+    /**
+     * Miniatura del preview actual, si corresponde al código que se guarda
+     * @param {string} docCode
+     * @returns {Promise<string|null>}
+     */
+    const captureThumbnail = useCallback(async (docCode) => {
+        const svgElement = previewRef.current?.querySelector('svg');
+        if (!svgElement || !isPreviewValidRef.current || docCode !== codeRef.current) return null;
+        try {
+            return await exportSvgToThumbnail(svgElement);
+        } catch (err) {
+            console.warn('Thumbnail error:', err);
+            return null;
+        }
+    }, [previewRef]);
+
+    /**
+     * Guarda el código de un documento y actualiza la lista
+     * @param {string} id
+     * @param {string} docCode
+     */
+    const persistDocument = useCallback(async (id, docCode) => {
+        setSaveStatus('saving');
+        try {
+            const existing = await getDocument(id);
+            if (!existing) return;
+
+            const thumbnail = await captureThumbnail(docCode);
+            const saved = await saveDocument({
+                ...existing,
+                code: docCode,
+                thumbnail: thumbnail || existing.thumbnail,
+                updatedAt: docCode === existing.code ? existing.updatedAt : Date.now(),
+            });
+            if (docCode !== existing.code) await recordEditSnapshot(id, existing.code, docCode);
+
+            if (id === activeIdRef.current) lastSavedCodeRef.current = docCode;
+            setDocuments((prev) => [saved, ...prev.filter((doc) => doc.id !== id)]
+                .sort((a, b) => b.updatedAt - a.updatedAt));
+            setSaveStatus('saved');
+        } catch (err) {
+            console.error('Workspace save error:', err);
+            setWorkspaceError(err.message);
+            setSaveStatus('error');
+        }
+    }, [captureThumbnail]);
+
+    // Guardar de inmediato los cambios pendientes del documento activo
+    const flushActiveDocument = useCallback(async () => {
+        const id = activeIdRef.current;
+        if (id && codeRef.current !== lastSavedCodeRef.current) {
+            await persistDocument(id, codeRef.current);
+        }
+    }, [persistDocument]);
+
+    /**
+     * Activa un documento ya guardado y carga su código en el editor
+     * @param {Object} doc
+     */
+    const activateDocument = useCallback((doc) => {
+        lastSavedCodeRef.current = doc.code;
+        activeIdRef.current = doc.id;
+        setActiveId(doc.id);
+        setCode(doc.code);
+    }, [setCode]);
+
+    // Inicializar: restaurar el último documento o crear el primero
+    useEffect(() => {
+        let cancelled = false;
+        const { untitledName: initialName, startFromCurrentCode: startFromCode } = initialOptionsRef.current;
+
+        (async () => {
+            try {
+                const stored = await listDocuments();
+                if (cancelled) return;
+
+                if (startFromCode || stored.length === 0) {
+                    const created = await saveDocument(createDocumentRecord(initialName, codeRef.current));
+                    await addSnapshot(created.id, created.code);
+                    if (cancelled) return;
+                    lastSavedCodeRef.current = created.code;
+                    setDocuments([created, ...stored]);
+                    setActiveId(created.id);
+                    return;
+                }
+
+                const lastId = localStorage.getItem(LAST_DOCUMENT_KEY);
+                setDocuments(stored);
+                activateDocument(stored.find((doc) => doc.id === lastId) || stored[0]);
+            } catch (err) {
+                console.error('Workspace init error:', err);
+                setWorkspaceError(err.message);
+            } finally {
+                if (!cancelled) setIsReady(true);
+            }
+        })();
+
+        return () => {
+            cancelled = true;
+        };
+    }, [activateDocument]);
+
+    // Recordar el documento abierto para la próxima sesión
+    useEffect(() => {
+        if (activeId) localStorage.setItem(LAST_DOCUMENT_KEY, activeId);
+    }, [activeId]);
+
+    // Autoguardado con debounce (también genera la miniatura si aún no tiene)
+    useEffect(() => {
+        if (!activeId) return undefined;
+        const needsThumbnail = isPreviewValid && !activeDocument?.thumbnail;
+        if (code === lastSavedCodeRef.current && !needsThumbnail) return undefined;
+
+        const timeout = setTimeout(() => persistDocument(activeId, code), AUTOSAVE_DELAY);
+        return () => clearTimeout(timeout);
+    }, [code, activeId, isPreviewValid, activeDocument?.thumbnail, persistDocument]);
+
+    // Guardar al ocultar la pestaña (cerrar, cambiar de app en móvil...)
+    useEffect(() => {
+        const handleVisibilityChange = () => {
+            if (document.visibilityState === 'hidden') flushActiveDocument();
+        };
+        document.addEventListener('visibilitychange', handleVisibilityChange);
+        return () => document.removeEventListener('visibilitychange', handleVisibilityChange);
+    }, [flushActiveDocument]);
+
+    const openDocument = useCallback(async (id) => {
+        if (id === activeIdRef.current) return;
+        await flushActiveDocument();
+        const doc = await getDocument(id);
+        if (doc) activateDocument(doc);
+    }, [flushActiveDocument, activateDocument]);
+
+    /**
+     * Crea un documento y lo abre
+     * @param {string} docCode - Código inicial
+     * @param {string} [name] - Nombre (por defecto, untitledName)
+     */
+    const createDocument = useCallback(async (docCode = '', name = untitledName) => {
+        await flushActiveDocument();
+        const created = await saveDocument(createDocumentRecord(name, docCode));
+        await addSnapshot(created.id, created.code);
+        setDocuments((prev) => [created, ...prev]);
+        activateDocument(created);
+        return created;
+    }, [flushActiveDocument, activateDocument, untitledName]);
+
+    const duplicateDocument = useCallback(async (id, name) => {
+        await flushActiveDocument();
+        const source = await getDocument(id);
+        if (!source) return null;
+
+        const copy = await saveDocument({
+            ...createDocumentRecord(name, source.code),
+            thumbnail: source.thumbnail,
+        });
+        await addSnapshot(copy.id, copy.code);
+        setDocuments((prev) => [copy, ...prev]);
+        activateDocument(copy);
+        return copy;
+    }, [flushActiveDocument, activateDocument]);
+
+    const renameDocument = useCallback(async (id, name) => {
+        const trimmed = name.trim();
+        const existing = await getDocument(id);
+        if (!existing || !trimmed) return;
+
+        const renamed = await saveDocument({ ...existing, name: trimmed });
+        setDocuments((prev) => prev.map((doc) => (doc.id === id ? renamed : doc)));
+    }, []);
+
+    const deleteDocument = useCallback(async (id) => {
+        await deleteStoredDocument(id);
+        const remaining = documents.filter((doc) => doc.id !== id);
+        setDocuments(remaining);
+
+        if (id !== activeIdRef.current) return;
+        if (remaining.length > 0) {
+            const next = await getDocument(remaining[0].id);
+            if (next) activateDocument(next);
+        } else {
+            const created = await saveDocument(createDocumentRecord(untitledName, ''));
+            await addSnapshot(created.id, created.code);
+            setDocuments([created]);
+            activateDocument(created);
+        }
+    }, [documents, activateDocument, untitledName]);
+
+    return {
+        documents,
+        activeDocument,
+        isReady,
+        saveStatus,
+        workspaceError,
+        flushActiveDocument,
+        openDocument,
+        createDocument,
+        duplicateDocument,
+        renameDocument,
+        deleteDocument,
+    };
+}
@@ -1,7 +1,11 @@
 // English translations
 export const en = {
     header: {
-        subtitle: 'High-quality exporter'
+        subtitle: 'High-quality exporter',
+        batch: 'Batch',
+        batchTooltip: 'Export many .mmd files to a ZIP',
+        documents: 'Documents',
+        documentsTooltip: 'Saved documents'
     },
     tabs: {
         code: 'Code',
@@ -10,15 +14,44 @@ export const en = {
     editor: {
         title: 'Mermaid Code',
         copy: 'Copy code',
-        placeholder: 'Paste your Mermaid code here...'
+        placeholder: 'Paste your Mermaid code here...',
+        dropHint: 'Drop an exported PNG, a .mmd file or a Markdown document to open its Mermaid code',
+        noEmbeddedSource: 'This PNG has no embedded Mermaid code',
+        unsupportedFile: 'Only PNGs exported by this app, .mmd/.txt files and Markdown documents can be opened',
+        share: 'Copy a link that restores this diagram, its theme and export settings',
+        shareFallback: 'Could not copy: the link is now in the address bar',
+        openMarkdown: 'Open a Markdown document and list its mermaid blocks',
+        noMermaidBlocks: 'This Markdown document has no ```mermaid blocks',
+        quickFix: 'Quick fix',
+        reviewFixes: 'Review Auto-Fix corrections one by one'
     },
     preview: {
-        title: 'Preview'
+        title: 'Preview',
+        editLabel: 'Edit label',
+        editLabelHint: 'Enter to save, Escape to cancel',
+        showSource: 'Show in code',
+        sharedLabel: 'This label is shared by several edges (A & B --> C): edit it in the code'
+    },
+    zoom: {
+        zoomIn: 'Zoom in',
+        zoomOut: 'Zoom out',
+        level: 'Zoom level (mouse wheel or pinch to zoom, drag to pan)',
+        fitWidth: 'Fit width',
+        fitPage: 'Fit page',
+        actualSize: 'Actual size (100%)',
+        minimap: 'Minimap: click or drag to move the view'
     },
     footer: {
         scale: 'Scale',
         transparent: 'Transparent background',
-        transparentShort: 'Transp.'
+        transparentShort: 'Transp.',
+        format: 'Format',
+        formats: {
+            png: 'PNG',
+            svg: 'SVG',
+            pdf: 'PDF',
+            poster: 'Poster'
+        }
     },
     theme: {
         light: 'Light',
@@ -28,7 +61,192 @@ export const en = {
     },
     export: {
         button: 'Export PNG',
-        success: 'Downloaded'
+        buttonSvg: 'Export SVG',
+        buttonPdf: 'Export PDF',
+        buttonPoster: 'Export poster',
+        success: 'Downloaded',
+        copy: 'Copy image',
+        copied: 'Copied',
+        copyFailed: 'Copy failed',
+        copyTooltip: 'Copy the diagram to the clipboard as an image'
+    },
+    workspace: {
+        title: 'Documents',
+        untitled: 'Untitled diagram',
+        new: 'New document',
+        rename: 'Rename',
+        duplicate: 'Duplicate',
+        copySuffix: 'copy',
+        delete: 'Delete',
+        confirmDelete: 'Delete?',
+        saving: 'Saving…',
+        saved: 'Saved in this browser',
+        saveFailed: 'Could not save',
+        close: 'Close documents',
+        history: 'History',
+        historyTooltip: 'Version history of the open document'
+    },
+    undo: {
+        undo: 'Undo',
+        redo: 'Redo',
+        nothingToUndo: 'Nothing to undo',
+        nothingToRedo: 'Nothing to redo',
+        typing: 'Typing',
+        autoFix: 'Auto-fix',
+        changes: 'changes',
+        style: 'Style',
+        improveAll: 'Improve all',
+        example: 'Example',
+        translateExample: 'Translate example',
+        import: 'Import',
+        restoreVersion: 'Restore version',
+        markdownBlock: 'Markdown diagram',
+        label: 'Label'
+    },
+    autoFixReview: {
+        title: 'Auto-Fix review',
+        close: 'Close review',
+        preventive: 'Fix code automatically while typing',
+        preventiveHint: 'Corrections are applied silently before rendering. Turn off to only fix when you choose.',
+        reviewMode: 'Review before applying Auto-Fix',
+        reviewModeHint: 'The Auto-Fix button opens this list instead of applying every correction.',
+        empty: 'No pending corrections: the code has nothing to fix',
+        selected: 'selected',
+        acceptAll: 'Accept all',
+        rejectAll: 'Reject all',
+        line: 'Line',
+        lineRemoved: '(line removed)',
+        cancel: 'Cancel',
+        apply: 'Apply selected'
+    },
+    history: {
+        title: 'Version history',
+        close: 'Close history',
+        loading: 'Loading history…',
+        empty: 'No saved versions yet',
+        labelPlaceholder: 'Version name',
+        saveVersion: 'Save version',
+        addLabel: 'Label',
+        editLabel: 'Edit label',
+        restore: 'Restore',
+        lines: 'lines',
+        compare: 'Compare',
+        from: 'Older version',
+        to: 'Newer version',
+        current: 'Current code',
+        views: {
+            code: 'Code',
+            visual: 'Visual'
+        },
+        noChanges: 'No changes between these versions',
+        changedLines: 'lines changed',
+        nodes: {
+            added: 'added',
+            removed: 'removed',
+            changed: 'changed'
+        }
+    },
+    markdown: {
+        title: 'Markdown',
+        pastedName: 'pasted.md',
+        untitled: 'Diagram',
+        line: 'line',
+        exportAll: 'Export all',
+        close: 'Close document'
+    },
+    batch: {
+        title: 'Batch export',
+        description: 'Choose several .mmd / .mermaid files or a whole folder. Each diagram is exported with the current size, background, canvas and theme settings; the ZIP includes report.json with the result of every file.',
+        formats: {
+            png: 'PNG',
+            svg: 'SVG',
+            both: 'PNG + SVG'
+        },
+        chooseFiles: 'Choose files',
+        chooseFolder: 'Choose folder',
+        progress: 'Exporting',
+        downloaded: 'ZIP downloaded',
+        exported: 'exported',
+        failed: 'failed',
+        line: 'line',
+        close: 'Close'
+    },
+    mermaidTheme: {
+        title: 'Theme',
+        tooltip: 'Mermaid theme used by the preview and every export',
+        theme: 'Diagram theme',
+        themes: {
+            default: 'Default',
+            neutral: 'Neutral',
+            dark: 'Dark',
+            forest: 'Forest',
+            base: 'Base (customizable)'
+        },
+        variables: 'themeVariables (JSON)',
+        variablesHint: 'Mermaid only honours every variable with the "base" theme',
+        invalidJson: 'Invalid JSON: an object like {"primaryColor": "#ffcc00"} is expected',
+        apply: 'Apply',
+        reset: 'Reset',
+        exportVariants: 'Export light + dark',
+        variantsHint: 'Downloads -light and -dark files (SVG if that format is selected, PNG otherwise) for prefers-color-scheme images'
+    },
+    exportStyle: {
+        title: 'Canvas',
+        tooltip: 'Background, padding, border and shadow of the exported image',
+        background: 'Background',
+        transparentHint: 'Transparent background is on: the color only applies when it is off',
+        padding: 'Padding (px)',
+        radius: 'Corner radius (px)',
+        border: 'Border',
+        shadow: 'Drop shadow',
+        color: 'Color',
+        width: 'Width',
+        blur: 'Blur',
+        offset: 'Offset',
+        opacity: 'Opacity',
+        reset: 'Reset',
+        sides: {
+            top: 'Top',
+            right: 'Right',
+            bottom: 'Bottom',
+            left: 'Left'
+        }
+    },
+    sizing: {
+        mode: 'Size',
+        printWidth: 'Width (mm)',
+        modes: {
+            scale: 'Scale',
+            width: 'Width (px)',
+            height: 'Height (px)',
+            print: 'Print size'
+        }
+    },
+    pdf: {
+        pageSize: 'Page',
+        orientation: 'Orientation',
+        margin: 'Margin (mm)',
+        sizes: {
+            a4: 'A4',
+            letter: 'Letter',
+            a3: 'A3'
+        },
+        orientations: {
+            auto: 'Auto',
+            portrait: 'Portrait',
+            landscape: 'Landscape'
+        }
+    },
+    poster: {
+        grid: 'Pages',
+        columns: 'Columns',
+        rows: 'Rows',
+        overlap: 'Overlap (mm)',
+        output: 'Output',
+        outputs: {
+            pdf: 'Multi-page PDF',
+            zip: 'ZIP of PNGs'
+        }
     },
     error: {
         line: 'Line',
@@ -67,6 +285,17 @@ export const en = {
         fixedViaCSS: 'Fixed via CSS injection',
         unstyledNodeInfo: 'This node has no style. Fixing will create a dedicated class to ensure visibility.',
     },
+    nodeStyle: {
+        title: 'Style',
+        stroke: 'Border',
+        strokeWidth: 'Border width',
+        fontWeight: 'Font weight',
+        normal: 'Normal',
+        bold: 'Bold',
+        newClass: 'new class',
+        sharedClass: 'nodes share this class: the change applies to all of them',
+        cancel: 'Cancel'
+    },
     examples: {
         flowchart: `flowchart LR
     subgraph Input
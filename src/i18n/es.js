@@ -1,7 +1,11 @@
 // Spanish (Spain) translations
 export const es = {
     header: {
-        subtitle: 'Exportador de alta calidad'
+        subtitle: 'Exportador de alta calidad',
+        batch: 'Lote',
+        batchTooltip: 'Exportar muchos archivos .mmd a un ZIP',
+        documents: 'Documentos',
+        documentsTooltip: 'Documentos guardados'
     },
     tabs: {
         code: 'Código',
@@ -10,15 +14,44 @@ export const es = {
     editor: {
         title: 'Código Mermaid',
         copy: 'Copiar código',
-        placeholder: 'Pega tu código Mermaid aquí...'
+        placeholder: 'Pega tu código Mermaid aquí...',
+        dropHint: 'Suelta un PNG exportado, un archivo .mmd o un documento Markdown para abrir su código Mermaid',
+        noEmbeddedSource: 'Este PNG no tiene código Mermaid incrustado',
+        unsupportedFile: 'Solo se pueden abrir PNGs exportados con esta app, archivos .mmd/.txt y documentos Markdown',
+        share: 'Copiar un enlace que restaura este diagrama, su tema y las opciones de exportación',
+        shareFallback: 'No se pudo copiar: el enlace está ahora en la barra de direcciones',
+        openMarkdown: 'Abrir un documento Markdown y listar sus bloques mermaid',
+        noMermaidBlocks: 'Este documento Markdown no tiene bloques ```mermaid',
+        quickFix: 'Arreglo rápido',
+        reviewFixes: 'Revisar las correcciones del Auto-Fix una a una'
     },
     preview: {
-        title: 'Vista previa'
+        title: 'Vista previa',
+        editLabel: 'Editar etiqueta',
+        editLabelHint: 'Enter para guardar, Escape para cancelar',
+        showSource: 'Ver en el código',
+        sharedLabel: 'Esta etiqueta es común a varias aristas (A & B --> C): edítala en el código'
+    },
+    zoom: {
+        zoomIn: 'Acercar',
+        zoomOut: 'Alejar',
+        level: 'Nivel de zoom (rueda o pellizco para ampliar, arrastrar para desplazar)',
+        fitWidth: 'Ajustar al ancho',
+        fitPage: 'Ajustar a la página',
+        actualSize: 'Tamaño real (100%)',
+        minimap: 'Minimapa: pulsa o arrastra para mover la vista'
     },
     footer: {
         scale: 'Escala',
         transparent: 'Fondo transparente',
-        transparentShort: 'Transp.'
+        transparentShort: 'Transp.',
+        format: 'Formato',
+        formats: {
+            png: 'PNG',
+            svg: 'SVG',
+            pdf: 'PDF',
+            poster: 'Póster'
+        }
     },
     theme: {
         light: 'Claro',
@@ -28,7 +61,192 @@ export const es = {
     },
     export: {
         button: 'Exportar PNG',
-        success: 'Descargado'
+        buttonSvg: 'Exportar SVG',
+        buttonPdf: 'Exportar PDF',
+        buttonPoster: 'Exportar póster',
+        success: 'Descargado',
+        copy: 'Copiar imagen',
+        copied: 'Copiada',
+        copyFailed: 'Error al copiar',
+        copyTooltip: 'Copiar el diagrama al portapapeles como imagen'
+    },
+    workspace: {
+        title: 'Documentos',
+        untitled: 'Diagrama sin título',
+        new: 'Nuevo documento',
+        rename: 'Renombrar',
+        duplicate: 'Duplicar',
+        copySuffix: 'copia',
+        delete: 'Eliminar',
+        confirmDelete: '¿Eliminar?',
+        saving: 'Guardando…',
+        saved: 'Guardado en este navegador',
+        saveFailed: 'No se pudo guardar',
+        close: 'Cerrar documentos',
+        history: 'Historial',
+        historyTooltip: 'Historial de versiones del documento abierto'
+    },
+    undo: {
+        undo: 'Deshacer',
+        redo: 'Rehacer',
+        nothingToUndo: 'Nada que deshacer',
+        nothingToRedo: 'Nada que rehacer',
+        typing: 'Escritura',
+        autoFix: 'Auto-fix',
+        changes: 'cambios',
+        style: 'Estilo',
+        improveAll: 'Mejorar todo',
+        example: 'Ejemplo',
+        translateExample: 'Traducir ejemplo',
+        import: 'Importar',
+        restoreVersion: 'Restaurar versión',
+        markdownBlock: 'Diagrama del Markdown',
+        label: 'Etiqueta'
+    },
+    autoFixReview: {
+        title: 'Revisión del Auto-Fix',
+        close: 'Cerrar revisión',
+        preventive: 'Corregir el código automáticamente al escribir',
+        preventiveHint: 'Las correcciones se aplican sin avisar antes de renderizar. Desactívalo para corregir solo cuando tú lo elijas.',
+        reviewMode: 'Revisar antes de aplicar el Auto-Fix',
+        reviewModeHint: 'El botón Auto-Fix abre esta lista en lugar de aplicar todas las correcciones.',
+        empty: 'No hay correcciones pendientes: el código no tiene nada que corregir',
+        selected: 'seleccionadas',
+        acceptAll: 'Aceptar todas',
+        rejectAll: 'Rechazar todas',
+        line: 'Línea',
+        lineRemoved: '(línea eliminada)',
+        cancel: 'Cancelar',
+        apply: 'Aplicar seleccionadas'
+    },
+    history: {
+        title: 'Historial de versiones',
+        close: 'Cerrar historial',
+        loading: 'Cargando historial…',
+        empty: 'Aún no hay versiones guardadas',
+        labelPlaceholder: 'Nombre de la versión',
+        saveVersion: 'Guardar versión',
+        addLabel: 'Etiquetar',
+        editLabel: 'Editar etiqueta',
+        restore: 'Restaurar',
+        lines: 'líneas',
+        compare: 'Comparar',
+        from: 'Versión anterior',
+        to: 'Versión posterior',
+        current: 'Código actual',
+        views: {
+            code: 'Código',
+            visual: 'Visual'
+        },
+        noChanges: 'Sin cambios entre estas versiones',
+        changedLines: 'líneas cambiadas',
+        nodes: {
+            added: 'añadidos',
+            removed: 'eliminados',
+            changed: 'modificados'
+        }
+    },
+    markdown: {
+        title: 'Markdown',
+        pastedName: 'pegado.md',
+        untitled: 'Diagrama',
+        line: 'línea',
+        exportAll: 'Exportar todos',
+        close: 'Cerrar documento'
+    },
+    batch: {
+        title: 'Exportación por lotes',
+        description: 'Elige varios archivos .mmd / .mermaid o una carpeta entera. Cada diagrama se exporta con el tamaño, fondo, lienzo y tema actuales; el ZIP incluye report.json con el resultado de cada archivo.',
+        formats: {
+            png: 'PNG',
+            svg: 'SVG',
+            both: 'PNG + SVG'
+        },
+        chooseFiles: 'Elegir archivos',
+        chooseFolder: 'Elegir carpeta',
+        progress: 'Exportando',
+        downloaded: 'ZIP descargado',
+        exported: 'exportados',
+        failed: 'con errores',
+        line: 'línea',
+        close: 'Cerrar'
+    },
+    mermaidTheme: {
+        title: 'Tema',
+        tooltip: 'Tema de Mermaid del preview y de todas las exportaciones',
+        theme: 'Tema del diagrama',
+        themes: {
+            default: 'Por defecto',
+            neutral: 'Neutro',
+            dark: 'Oscuro',
+            forest: 'Bosque',
+            base: 'Base (personalizable)'
+        },
+        variables: 'themeVariables (JSON)',
+        variablesHint: 'Mermaid solo respeta todas las variables con el tema "base"',
+        invalidJson: 'JSON no válido: se espera un objeto como {"primaryColor": "#ffcc00"}',
+        apply: 'Aplicar',
+        reset: 'Restablecer',
+        exportVariants: 'Exportar claro + oscuro',
+        variantsHint: 'Descarga archivos -light y -dark (SVG si ese es el formato elegido, PNG en otro caso) para imágenes con prefers-color-scheme'
+    },
+    exportStyle: {
+        title: 'Lienzo',
+        tooltip: 'Fondo, márgenes, borde y sombra de la imagen exportada',
+        background: 'Fondo',
+        transparentHint: 'El fondo transparente está activo: el color solo se aplica al desactivarlo',
+        padding: 'Margen interior (px)',
+        radius: 'Radio de esquinas (px)',
+        border: 'Borde',
+        shadow: 'Sombra',
+        color: 'Color',
+        width: 'Grosor',
+        blur: 'Desenfoque',
+        offset: 'Desplazamiento',
+        opacity: 'Opacidad',
+        reset: 'Restablecer',
+        sides: {
+            top: 'Arriba',
+            right: 'Derecha',
+            bottom: 'Abajo',
+            left: 'Izquierda'
+        }
+    },
+    sizing: {
+        mode: 'Tamaño',
+        printWidth: 'Ancho (mm)',
+        modes: {
+            scale: 'Escala',
+            width: 'Ancho (px)',
+            height: 'Alto (px)',
+            print: 'Tamaño impreso'
+        }
+    },
+    pdf: {
+        pageSize: 'Página',
+        orientation: 'Orientación',
+        margin: 'Margen (mm)',
+        sizes: {
+            a4: 'A4',
+            letter: 'Carta',
+            a3: 'A3'
+        },
+        orientations: {
+            auto: 'Auto',
+            portrait: 'Vertical',
+            landscape: 'Horizontal'
+        }
+    },
+    poster: {
+        grid: 'Páginas',
+        columns: 'Columnas',
+        rows: 'Filas',
+        overlap: 'Solapamiento (mm)',
+        output: 'Salida',
+        outputs: {
+            pdf: 'PDF multipágina',
+            zip: 'ZIP de PNGs'
+        }
     },
     error: {
         line: 'Línea',
@@ -68,6 +286,17 @@ export const es = {
         fixedViaCSS: 'Corregido via CSS',
         unstyledNodeInfo: 'Este nodo no tiene estilo. Al corregir se creará una clase dedicada para garantizar visibilidad.',
     },
+    nodeStyle: {
+        title: 'Estilo',
+        stroke: 'Borde',
+        strokeWidth: 'Grosor del borde',
+        fontWeight: 'Peso de la fuente',
+        normal: 'Normal',
+        bold: 'Negrita',
+        newClass: 'clase nueva',
+        sharedClass: 'nodos comparten esta clase: el cambio se aplica a todos',
+        cancel: 'Cancelar'
+    },
     examples: {
         flowchart: `flowchart LR
     subgraph Entrada
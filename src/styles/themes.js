@@ -34,6 +34,25 @@ export const themes = {
         scrollTrack: 'rgba(255,255,255,0.05)',
         scrollThumb: 'rgba(255,255,255,0.15)',
         scrollThumbHover: 'rgba(255,255,255,0.25)',
+
+        // Editor syntax highlighting
+        syntax: {
+            keyword: '#c084fc',
+            arrow: '#38bdf8',
+            string: '#fbbf24',
+            label: '#a7f3d0',
+            edgeLabel: '#fcd34d',
+            classRef: '#f472b6',
+            bracket: '#a1a1aa',
+            number: '#fb923c',
+            comment: '#71717a',
+            directive: '#818cf8',
+            identifier: '#e4e4e7',
+            text: '#d4d4d8',
+        },
+        gutterText: '#52525b',
+        lineError: 'rgba(239, 68, 68, 0.12)',
+        bracketMatch: 'rgba(99, 102, 241, 0.35)',
     },
     light: {
         // Backgrounds
@@ -69,6 +88,25 @@ export const themes = {
         scrollTrack: 'rgba(0,0,0,0.05)',
         scrollThumb: 'rgba(0,0,0,0.15)',
         scrollThumbHover: 'rgba(0,0,0,0.25)',
+
+        // Editor syntax highlighting
+        syntax: {
+            keyword: '#7c3aed',
+            arrow: '#0284c7',
+            string: '#b45309',
+            label: '#047857',
+            edgeLabel: '#a16207',
+            classRef: '#db2777',
+            bracket: '#71717a',
+            number: '#c2410c',
+            comment: '#a1a1aa',
+            directive: '#4f46e5',
+            identifier: '#18181b',
+            text: '#3f3f46',
+        },
+        gutterText: '#a1a1aa',
+        lineError: 'rgba(239, 68, 68, 0.08)',
+        bracketMatch: 'rgba(99, 102, 241, 0.25)',
     }
 };
 
@@ -0,0 +1,156 @@
+import { exportSvgToPng, exportSvgToSvg } from './exportUtils';
+import { dataUrlToBytes } from './pngMetadata';
+import { renderMermaidOffscreen } from './mermaidRender';
+import { parseError } from './errorParser';
+
+export const BATCH_FORMATS = ['png', 'svg', 'both'];
+// Extensiones que se aceptan al elegir archivos o carpetas
+export const BATCH_FILE_PATTERN = /\.(mmd|mermaid)$/i;
+// Informe por archivo incluido en el ZIP
+export const BATCH_REPORT_FILENAME = 'report.json';
+
+const textEncoder = new TextEncoder();
+
+/**
+ * Indica si el navegador permite elegir carpetas con la File System Access API
+ * @returns {boolean}
+ */
+export const supportsDirectoryPicker = () => typeof window !== 'undefined' && typeof window.showDirectoryPicker === 'function';
+
+/**
+ * Recorre recursivamente una carpeta elegida con showDirectoryPicker
+ * @param {FileSystemDirectoryHandle} directoryHandle
+ * @param {string} prefix - Ruta relativa acumulada
+ * @returns {Promise<Array<{path: string, file: File}>>}
+ */
+const collectDirectoryFiles = async (directoryHandle, prefix = '') => {
+    const files = [];
+    for await (const handle of directoryHandle.values()) {
+        const path = `${prefix}${handle.name}`;
+        if (handle.kind === 'directory') {
+            files.push(...await collectDirectoryFiles(handle, `${path}/`));
+        } else if (BATCH_FILE_PATTERN.test(handle.name)) {
+            files.push({ path, file: await handle.getFile() });
+        }
+    }
+    return files;
+};
+
+/**
+ * Lee el código de una lista de archivos, conservando su ruta relativa
+ * @param {Array<{path: string, file: File}>} entries
+ * @returns {Promise<Array<{path: string, code: string}>>}
+ */
+const readEntries = (entries) => Promise.all(
+    entries
+        .sort((a, b) => a.path.localeCompare(b.path))
+        .map(async ({ path, file }) => ({ path, code: await file.text() }))
+);
+
+/**
+ * Pide una carpeta al usuario y lee todos sus diagramas (.mmd / .mermaid)
+ * @returns {Promise<Array<{path: string, code: string}>>} - Vacío si el usuario cancela
+ */
+export const pickBatchDirectory = async () => {
+    try {
+        const directoryHandle = await window.showDirectoryPicker({ mode: 'read' });
+        return readEntries(await collectDirectoryFiles(directoryHandle, `${directoryHandle.name}/`));
+    } catch (err) {
+        if (err.name === 'AbortError') return [];
+        throw err;
+    }
+};
+
+/**
+ * Lee los diagramas de un <input type="file"> (múltiple o con webkitdirectory)
+ * @param {FileList|File[]} fileList
+ * @returns {Promise<Array<{path: string, code: string}>>}
+ */
+export const readBatchFiles = (fileList) => readEntries(
+    Array.from(fileList)
+        .filter((file) => BATCH_FILE_PATTERN.test(file.name))
+        .map((file) => ({ path: file.webkitRelativePath || file.name, file }))
+);
+
+/**
+ * Nombre de salida único dentro del ZIP: misma ruta con la nueva extensión
+ * @param {string} path - Ruta del diagrama de origen
+ * @param {string} extension - 'png' | 'svg'
+ * @param {Set<string>} usedNames - Nombres ya usados (se actualiza)
+ * @returns {string}
+ */
+const getOutputName = (path, extension, usedNames) => {
+    const base = path.replace(BATCH_FILE_PATTERN, '') || 'diagram';
+    let name = `${base}.${extension}`;
+    for (let n = 2; usedNames.has(name); n++) {
+        name = `${base}-${n}.${extension}`;
+    }
+    usedNames.add(name);
+    return name;
+};
+
+/**
+ * Renderiza fuera de pantalla y exporta varios diagramas a un único ZIP.
+ * Un diagrama con errores no detiene el lote: queda registrado en el informe.
+ * @param {Array<{path: string, code: string}>} diagrams - Diagramas a exportar
+ * @param {Object} options
+ * @param {string} options.format - 'png' | 'svg' | 'both'
+ * @param {Object} [options.themeConfig] - Tema de Mermaid (ver initializeMermaid)
+ * @param {number} [options.scale] - Escala del PNG
+ * @param {Object} [options.sizing] - Modo de tamaño del PNG (ver resolvePngSizing)
+ * @param {boolean} [options.transparent] - Fondo transparente
+ * @param {Object} [options.style] - Estilo del lienzo (ver DEFAULT_EXPORT_STYLE)
+ * @param {Function} [onProgress] - (done, total, path) tras procesar cada diagrama
+ * @returns {Promise<{blob: Blob, report: Array<{path: string, status: string, outputs: string[], error: Object|null}>}>}
+ */
+export const exportDiagramsToZip = async (diagrams, options, onProgress) => {
+    const { format = 'png', themeConfig, scale = 3, sizing, transparent = false, style } = options;
+    const { zipSync } = await import('fflate');
+    const extensions = format === 'both' ? ['png', 'svg'] : [format];
+    const usedNames = new Set([BATCH_REPORT_FILENAME]);
+    const files = {};
+    const report = [];
+
+    for (const [index, { path, code }] of diagrams.entries()) {
+        const outputs = [];
+        let error = null;
+        let cleanup = null;
+
+        try {
+            if (!code.trim()) {
+                throw new Error('El archivo está vacío');
+            }
+
+            const rendered = await renderMermaidOffscreen(code, themeConfig);
+            cleanup = rendered.cleanup;
+
+            for (const extension of extensions) {
+                const name = getOutputName(path, extension, usedNames);
+                if (extension === 'svg') {
+                    const svgDataUrl = exportSvgToSvg(rendered.svgElement, { transparent, style });
+                    files[name] = textEncoder.encode(decodeURIComponent(svgDataUrl.slice(svgDataUrl.indexOf(',') + 1)));
+                } else {
+                    const pngDataUrl = await exportSvgToPng(rendered.svgElement, { scale, sizing, transparent, style, source: code });
+                    // Los PNG ya van comprimidos: se guardan sin recomprimir
+                    files[name] = [dataUrlToBytes(pngDataUrl), { level: 0 }];
+                }
+                outputs.push(name);
+            }
+        } catch (err) {
+            const { summary, message, lineNumber } = parseError(err, code);
+            error = { summary, message, lineNumber };
+        } finally {
+            cleanup?.();
+        }
+
+        report.push({ path, status: error ? 'error' : 'ok', outputs, error });
+        onProgress?.(index + 1, diagrams.length, path);
+    }
+
+    files[BATCH_REPORT_FILENAME] = textEncoder.encode(JSON.stringify(report, null, 2));
+
+    return {
+        blob: new Blob([zipSync(files)], { type: 'application/zip' }),
+        report,
+    };
+};
@@ -0,0 +1,161 @@
+import { parseAllNodes, parseClassDefs, parseSubgraphs } from './styleParser';
+import { getDiagramType } from './mermaidAutoFix';
+import { KEYWORDS_BY_DIAGRAM } from './syntaxHighlight';
+import { supportsSourceMap, findGraphNodeIds } from './sourceMap';
+
+// Máximo de sugerencias visibles a la vez
+const MAX_COMPLETIONS = 8;
+
+// Declaraciones para la primera línea del diagrama
+const DIAGRAM_DECLARATIONS = [
+    'flowchart TD', 'flowchart LR', 'graph TD', 'graph LR', 'sequenceDiagram', 'classDiagram',
+    'stateDiagram-v2', 'erDiagram', 'gantt', 'pie', 'journey', 'gitGraph', 'mindmap',
+];
+
+// Flechas válidas por tipo de diagrama (claves = valores de getDiagramType)
+const ARROWS_BY_DIAGRAM = {
+    flowchart: ['-->', '---', '-.->', '==>', '--o', '--x', '<-->', '~~~', '-->|texto|'],
+    sequence: ['->>', '-->>', '->', '-->', '-x', '--x', '-)', '--)'],
+    class: ['<|--', '*--', 'o--', '-->', '..>', '..|>', '--', '..'],
+    state: ['-->'],
+    er: ['||--o{', '||--|{', '}o--o{', '|o--||', '||--||'],
+};
+ARROWS_BY_DIAGRAM.graph = ARROWS_BY_DIAGRAM.flowchart;
+
+// Caracteres que forman una flecha o un identificador mientras se escribe
+const ARROW_PREFIX_PATTERN = /[-=.<>~|*{}]*[-=.<~|*{}]$/;
+const WORD_PREFIX_PATTERN = /[\w\u00C0-\uFFFF]*$/;
+
+/**
+ * Indica si la línea del cursor es la declaración del diagrama
+ * (no hay líneas significativas antes)
+ * @param {string[]} previousLines
+ * @returns {boolean}
+ */
+const isDeclarationLine = (previousLines) => previousLines.every((line) => {
+    const trimmed = line.trim();
+    return !trimmed || trimmed.startsWith('%%');
+});
+
+/**
+ * Indica si el cursor está dentro del texto de una forma (A[texto), de
+ * una etiqueta de arista (-->|texto) o de un mensaje (A->>B: texto),
+ * donde se escribe texto libre
+ * @param {string} lineBefore - Línea hasta el cursor
+ * @param {string} diagramType
+ * @returns {boolean}
+ */
+const isInsideLabel = (lineBefore, diagramType) => {
+    const count = (char) => lineBefore.split(char).length - 1;
+    if (count('[') > count(']') || count('(') > count(')')) return true;
+    // Mensajes, miembros y etiquetas de relación van tras ":"
+    if (['sequence', 'class', 'state', 'er'].includes(diagramType) && lineBefore.includes(':')) return true;
+    if (diagramType !== 'flowchart' && diagramType !== 'graph') return false;
+    return count('{') > count('}') || count('|') % 2 === 1;
+};
+
+/**
+ * Filtra y ordena sugerencias: primero las que empiezan por el prefijo
+ * @param {Array<{label: string, kind: string, detail?: string}>} items
+ * @param {string} prefix
+ * @returns {Array<{label: string, kind: string, detail?: string}>}
+ */
+const rankItems = (items, prefix) => {
+    const lowerPrefix = prefix.toLowerCase();
+    const seen = new Set();
+    const starts = [];
+    const contains = [];
+
+    items.forEach((item) => {
+        if (seen.has(item.label) || item.label === prefix) return;
+        seen.add(item.label);
+        const lowerLabel = item.label.toLowerCase();
+        if (lowerLabel.startsWith(lowerPrefix)) starts.push(item);
+        else if (lowerPrefix && lowerLabel.includes(lowerPrefix)) contains.push(item);
+    });
+
+    return [...starts, ...contains].slice(0, MAX_COMPLETIONS);
+};
+
+/**
+ * Sugerencias de autocompletado según el contexto del cursor:
+ * - Tras ":::" o "class ids ", nombres de classDef
+ * - Tras "style " o "class ", ids de nodo y subgraph
+ * - Escribiendo una flecha, las flechas del tipo de diagrama
+ * - En la primera línea, los tipos de diagrama
+ * - En otro caso, ids de nodo, subgraphs y palabras clave del tipo de diagrama
+ * @param {string} code - Código completo
+ * @param {number} caret - Posición del cursor
+ * @param {Object} [options]
+ * @param {boolean} [options.explicit] - Pedida con Ctrl+Espacio (sugiere aunque no haya prefijo)
+ * @returns {{from: number, items: Array<{label: string, kind: string, detail?: string}>} | null}
+ *   from = inicio del texto que se sustituye al aceptar
+ */
+export const getCompletions = (code, caret, { explicit = false } = {}) => {
+    const before = code.slice(0, caret);
+    const lineStart = before.lastIndexOf('\n') + 1;
+    const lineBefore = before.slice(lineStart);
+    const previousLines = code.slice(0, lineStart).split('\n');
+
+    // Dentro de comentarios, cadenas o etiquetas no se sugiere nada
+    const diagramType = getDiagramType(code);
+    if (lineBefore.trimStart().startsWith('%%')) return null;
+    if ((lineBefore.match(/"/g) || []).length % 2 === 1) return null;
+    if (isInsideLabel(lineBefore, diagramType)) return null;
+
+    const wordPrefix = lineBefore.match(WORD_PREFIX_PATTERN)[0];
+    const textBeforeWord = lineBefore.slice(0, lineBefore.length - wordPrefix.length);
+
+    const classItems = () => Array.from(parseClassDefs(code).keys())
+        .map((name) => ({ label: name, kind: 'class', detail: 'classDef' }));
+    // Nodos con forma (con su texto) y, en flowcharts, también los que solo aparecen en aristas
+    const nodeItems = () => [
+        ...Array.from(parseAllNodes(code).values()).map((node) => ({ label: node.id, kind: 'node', detail: node.label })),
+        ...(supportsSourceMap(code) ? findGraphNodeIds(code).map((id) => ({ label: id, kind: 'node' })) : []),
+    ];
+    const subgraphItems = () => Array.from(parseSubgraphs(code).values())
+        .map((subgraph) => ({ label: subgraph.id, kind: 'subgraph', detail: subgraph.title }));
+
+    const result = (from, items, prefix) => {
+        const ranked = rankItems(items, prefix);
+        return ranked.length > 0 ? { from, items: ranked } : null;
+    };
+
+    // Primera línea: tipo de diagrama
+    if (isDeclarationLine(previousLines.slice(0, -1)) && /^\s*[\w-]*$/.test(lineBefore)) {
+        if (!wordPrefix && !explicit) return null;
+        const items = DIAGRAM_DECLARATIONS.map((label) => ({ label, kind: 'keyword' }));
+        return result(caret - wordPrefix.length, items, wordPrefix);
+    }
+
+    // Clase en línea: A[Texto]:::clase
+    if (textBeforeWord.endsWith(':::')) {
+        return result(caret - wordPrefix.length, classItems(), wordPrefix);
+    }
+
+    // class nodo1,nodo2 clase
+    if (/^\s*class\s+[\w,]+\s+$/.test(textBeforeWord)) {
+        return result(caret - wordPrefix.length, classItems(), wordPrefix);
+    }
+
+    // style nodo ... / class nodo1,nodo2 ...
+    if (/^\s*(?:style|class)\s+(?:\w+,)*$/.test(textBeforeWord)) {
+        return result(caret - wordPrefix.length, [...nodeItems(), ...subgraphItems()], wordPrefix);
+    }
+
+    // Flechas
+    const arrowPrefix = lineBefore.match(ARROW_PREFIX_PATTERN)?.[0];
+    if (arrowPrefix && ARROWS_BY_DIAGRAM[diagramType]) {
+        const items = ARROWS_BY_DIAGRAM[diagramType].map((label) => ({ label, kind: 'arrow' }));
+        return result(caret - arrowPrefix.length, items, arrowPrefix);
+    }
+
+    if (!wordPrefix && !explicit) return null;
+
+    const keywordItems = (KEYWORDS_BY_DIAGRAM[diagramType] || []).map((label) => ({ label, kind: 'keyword' }));
+    return result(
+        caret - wordPrefix.length,
+        [...nodeItems(), ...subgraphItems(), ...keywordItems],
+        wordPrefix,
+    );
+};
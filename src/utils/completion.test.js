@@ -0,0 +1,54 @@
+import { describe, it, expect } from 'vitest';
+import { getCompletions } from './completion';
+
+// Sugerencias con el cursor al final del código
+const complete = (code, options) => getCompletions(code, code.length, options);
+const labels = (completion) => completion?.items.map((item) => item.label) ?? [];
+
+describe('getCompletions', () => {
+    it('sugiere ids usados solo como extremos de arista', () => {
+        const code = 'graph TD\n    Alpha[Inicio] --> Gamma\n    Gamma --> Delta\n    Ga';
+        const completion = complete(code);
+
+        expect(completion.from).toBe(code.length - 2);
+        expect(labels(completion)).toContain('Gamma');
+        expect(labels(complete('graph TD\n    Alpha[Inicio] --> Gamma\n    Gamma --> Delta\n    De'))).toContain('Delta');
+    });
+
+    it('mantiene el texto de los nodos con forma como detalle', () => {
+        const completion = complete('graph TD\n    Alpha[Inicio] --> Gamma\n    Al');
+
+        expect(completion.items[0]).toEqual({ label: 'Alpha', kind: 'node', detail: 'Inicio' });
+    });
+
+    it('no repite ni sugiere lo que ya está escrito', () => {
+        const items = labels(complete('graph TD\n    Gamma --> Gamma2\n    Gamma', { explicit: true }));
+
+        expect(items).toContain('Gamma2');
+        expect(items).not.toContain('Gamma');
+        expect(new Set(items).size).toBe(items.length);
+    });
+
+    it('sugiere ids de nodo tras "style"', () => {
+        expect(labels(complete('flowchart LR\n    A --> Beta\n    style B'))).toEqual(['Beta']);
+    });
+
+    it('sugiere clases tras ":::"', () => {
+        const completion = complete('graph TD\n    classDef aviso fill:#ff0\n    A:::av');
+
+        expect(completion.items).toEqual([{ label: 'aviso', kind: 'class', detail: 'classDef' }]);
+    });
+
+    it('sugiere flechas del tipo de diagrama', () => {
+        expect(labels(complete('sequenceDiagram\n    Ana -'))).toContain('->>');
+    });
+
+    it('sugiere el tipo de diagrama en la primera línea', () => {
+        expect(labels(complete('flow'))).toEqual(['flowchart TD', 'flowchart LR']);
+    });
+
+    it('no sugiere nada dentro de comentarios ni etiquetas', () => {
+        expect(complete('graph TD\n    %% Ga')).toBeNull();
+        expect(complete('graph TD\n    Gamma --> A[Ga')).toBeNull();
+    });
+});
@@ -0,0 +1,110 @@
+import { parseAllNodes } from './styleParser';
+
+// Colores del diff visual (mismos tonos que los avisos de la app)
+export const DIFF_COLORS = {
+    added: '#22c55e',
+    removed: '#ef4444',
+    changed: '#f59e0b',
+};
+
+/**
+ * Diff línea a línea entre dos versiones del código (subsecuencia común más larga).
+ * Se recortan antes el prefijo y el sufijo comunes para que ediciones
+ * pequeñas en diagramas grandes sigan siendo baratas.
+ * @param {string} oldText - Versión anterior
+ * @param {string} newText - Versión nueva
+ * @returns {Array<{type: 'same'|'added'|'removed', text: string, oldLine: number|null, newLine: number|null}>}
+ */
+export const diffLines = (oldText, newText) => {
+    const oldLines = oldText.split('\n');
+    const newLines = newText.split('\n');
+
+    let start = 0;
+    while (start < oldLines.length && start < newLines.length && oldLines[start] === newLines[start]) {
+        start++;
+    }
+    let oldEnd = oldLines.length;
+    let newEnd = newLines.length;
+    while (oldEnd > start && newEnd > start && oldLines[oldEnd - 1] === newLines[newEnd - 1]) {
+        oldEnd--;
+        newEnd--;
+    }
+
+    const a = oldLines.slice(start, oldEnd);
+    const b = newLines.slice(start, newEnd);
+    const width = b.length + 1;
+
+    // lengths[i * width + j] = LCS de a[i:] y b[j:]
+    const lengths = new Uint32Array((a.length + 1) * width);
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lengths[i * width + j] = a[i] === b[j]
+                ? lengths[(i + 1) * width + j + 1] + 1
+                : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+        }
+    }
+
+    const result = [];
+    const pushSame = (index) => {
+        result.push({ type: 'same', text: oldLines[index], oldLine: index + 1, newLine: index - oldEnd + newEnd + 1 });
+    };
+
+    for (let k = 0; k < start; k++) {
+        result.push({ type: 'same', text: oldLines[k], oldLine: k + 1, newLine: k + 1 });
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < a.length || j < b.length) {
+        if (i < a.length && j < b.length && a[i] === b[j]) {
+            result.push({ type: 'same', text: a[i], oldLine: start + i + 1, newLine: start + j + 1 });
+            i++;
+            j++;
+        } else if (i < a.length && (j === b.length || lengths[(i + 1) * width + j] >= lengths[i * width + j + 1])) {
+            result.push({ type: 'removed', text: a[i], oldLine: start + i + 1, newLine: null });
+            i++;
+        } else {
+            result.push({ type: 'added', text: b[j], oldLine: null, newLine: start + j + 1 });
+            j++;
+        }
+    }
+
+    for (let k = oldEnd; k < oldLines.length; k++) {
+        pushSame(k);
+    }
+
+    return result;
+};
+
+/**
+ * Compara los nodos de dos versiones de un flowchart (ver parseAllNodes).
+ * Un nodo cambia si conserva el id pero cambia su etiqueta, forma o clase en línea.
+ * @param {string} oldCode - Versión anterior
+ * @param {string} newCode - Versión nueva
+ * @returns {{added: string[], removed: string[], changed: string[]}} - Ids de nodo
+ */
+export const diffNodes = (oldCode, newCode) => {
+    const oldNodes = parseAllNodes(oldCode);
+    const newNodes = parseAllNodes(newCode);
+    const added = [];
+    const removed = [];
+    const changed = [];
+
+    newNodes.forEach((node, id) => {
+        const previous = oldNodes.get(id);
+        if (!previous) {
+            added.push(id);
+        } else if (
+            previous.label !== node.label
+            || previous.shape !== node.shape
+            || previous.inlineClass !== node.inlineClass
+        ) {
+            changed.push(id);
+        }
+    });
+    oldNodes.forEach((node, id) => {
+        if (!newNodes.has(id)) removed.push(id);
+    });
+
+    return { added, removed, changed };
+};
@@ -1,28 +1,120 @@
+import { writePngMetadata, dataUrlToBytes } from './pngMetadata';
+import { suggestTextColor } from './styleParser';
+
+// Límite de lado de canvas seguro en la mayoría de navegadores
+export const MAX_CANVAS_SIDE = 8192;
+// Resolución de referencia de un píxel CSS
+export const CSS_DPI = 96;
+
+export const PNG_SIZING_MODES = ['scale', 'width', 'height', 'print'];
+export const PRINT_DPI_OPTIONS = [150, 300, 600];
+// Escalas del selector de exportación PNG
+export const EXPORT_SCALES = [1, 2, 3, 4];
+
+// Atributo con el que el renderizador marca los SVG generados con un tema oscuro
+export const DARK_THEME_ATTRIBUTE = 'data-dark-theme';
+
+// Clase con la que el preview resalta el elemento bajo el cursor del editor (no se exporta)
+export const PREVIEW_HIGHLIGHT_CLASS = 'preview-source-highlight';
+// Fondo de la variante oscura cuando el fondo configurado es claro
+const DARK_VARIANT_BACKGROUND = '#18181b';
+
 /**
- * Exporta un SVG a PNG con alta calidad
- * @param {SVGElement} svgElement - Elemento SVG a exportar
+ * Estilo por defecto del lienzo exportado (equivale al comportamiento clásico:
+ * fondo blanco y 20px de margen por lado, sin marco ni sombra)
+ */
+export const DEFAULT_EXPORT_STYLE = {
+    background: '#ffffff',
+    padding: { top: 20, right: 20, bottom: 20, left: 20 },
+    radius: 0,
+    border: { enabled: false, color: '#d4d4d8', width: 2 },
+    shadow: { enabled: false, color: '#000000', opacity: 0.25, blur: 12, offsetY: 6 },
+};
+
+/**
+ * Completa un estilo de exportación parcial con los valores por defecto
+ * @param {Object} style - Estilo parcial (p. ej. leído de localStorage)
+ * @returns {Object} - Estilo completo
+ */
+export const resolveExportStyle = (style = {}) => ({
+    ...DEFAULT_EXPORT_STYLE,
+    ...style,
+    padding: { ...DEFAULT_EXPORT_STYLE.padding, ...style.padding },
+    border: { ...DEFAULT_EXPORT_STYLE.border, ...style.border },
+    shadow: { ...DEFAULT_EXPORT_STYLE.shadow, ...style.shadow },
+});
+
+/**
+ * Adapta el fondo del lienzo a una variante clara u oscura del diagrama:
+ * si el fondo configurado no contrasta con la variante se sustituye
+ * @param {Object} style - Estilo parcial o completo
+ * @param {'light'|'dark'} variant - Variante a exportar
+ * @returns {Object} - Estilo completo
+ */
+export const getVariantExportStyle = (style, variant) => {
+    const resolved = resolveExportStyle(style);
+    const lightBackground = suggestTextColor(resolved.background) === '#000000';
+
+    if (variant === 'dark' && lightBackground) {
+        return { ...resolved, background: DARK_VARIANT_BACKGROUND };
+    }
+    if (variant === 'light' && !lightBackground) {
+        return { ...resolved, background: DEFAULT_EXPORT_STYLE.background };
+    }
+    return resolved;
+};
+
+/**
+ * Indica si el estilo dibuja un marco (borde, sombra o esquinas redondeadas)
+ * en lugar de rellenar todo el lienzo
+ * @param {Object} style - Estilo completo
+ * @returns {boolean}
+ */
+export const isFramedExportStyle = (style) => style.border.enabled || style.shadow.enabled || style.radius > 0;
+
+/**
+ * Construye un SVG autocontenido listo para exportar: clonado, recortado al
+ * bbox con padding, con estilos inline, CSS de fuentes/etiquetas y fondo/marco opcional
+ * @param {SVGElement} svgElement - Elemento SVG original del preview
  * @param {Object} options - Opciones de exportación
- * @param {number} options.scale - Escala de exportación (1-4)
  * @param {boolean} options.transparent - Si el fondo debe ser transparente
- * @returns {Promise<string>} - Data URL del PNG generado
+ * @param {Object} [options.style] - Fondo, padding por lado, marco y sombra (ver DEFAULT_EXPORT_STYLE)
+ * @returns {{svgString: string, width: number, height: number, x: number, y: number, canvasBackground: string|null}}
+ *   x/y: origen del viewBox; canvasBackground: color con el que rellenar todo el lienzo al rasterizar
  */
-export const exportSvgToPng = async (svgElement, { scale = 3, transparent = false }) => {
+export const buildExportSvg = (svgElement, { transparent = false, style } = {}) => {
+    const { background, padding, radius, border, shadow } = resolveExportStyle(style);
+    const framed = isFramedExportStyle({ radius, border, shadow });
+
     // Clonar SVG para manipulación
     const clonedSvg = svgElement.cloneNode(true);
 
     // Obtener dimensiones reales
     const bbox = svgElement.getBBox();
-    const padding = 40;
-    const width = Math.ceil(bbox.width + padding);
-    const height = Math.ceil(bbox.height + padding);
+
+    // Marco = contenido + padding; alrededor, espacio para el trazo del borde y la sombra
+    const frameX = bbox.x - padding.left;
+    const frameY = bbox.y - padding.top;
+    const frameWidth = bbox.width + padding.left + padding.right;
+    const frameHeight = bbox.height + padding.top + padding.bottom;
+    const outer = (border.enabled ? border.width / 2 : 0)
+        + (shadow.enabled ? shadow.blur * 2 + Math.abs(shadow.offsetY) : 0);
+
+    const x = frameX - outer;
+    const y = frameY - outer;
+    const width = Math.ceil(frameWidth + outer * 2);
+    const height = Math.ceil(frameHeight + outer * 2);
 
     // Limpiar atributos problemáticos y configurar dimensiones
     clonedSvg.removeAttribute("style");
     clonedSvg.setAttribute("width", width);
     clonedSvg.setAttribute("height", height);
-    clonedSvg.setAttribute("viewBox", `${bbox.x - padding / 2} ${bbox.y - padding / 2} ${width} ${height}`);
+    clonedSvg.setAttribute("viewBox", `${x} ${y} ${width} ${height}`);
     clonedSvg.setAttribute("xmlns", "http://www.w3.org/2000/svg");
     clonedSvg.setAttribute("xmlns:xlink", "http://www.w3.org/1999/xlink");
+    clonedSvg.querySelectorAll(`.${PREVIEW_HIGHLIGHT_CLASS}`).forEach((element) => {
+        element.classList.remove(PREVIEW_HIGHLIGHT_CLASS);
+    });
 
     // Aplicar estilos inline para garantizar renderizado correcto
     applyInlineStyles(clonedSvg);
@@ -33,6 +125,11 @@ export const exportSvgToPng = async (svgElement, { scale = 3, transparent = fals
     const svgId = svgElement.id; // El ID original del SVG
     const selectorId = svgId ? `#${svgId}` : '';
 
+    // Con un tema oscuro las etiquetas forzadas van en claro; sobre el fondo exportado se elige por contraste
+    const darkTheme = svgElement.getAttribute(DARK_THEME_ATTRIBUTE) === 'true';
+    const labelColor = darkTheme ? '#f4f4f5' : '#000000';
+    const edgeLabelColor = transparent ? labelColor : suggestTextColor(background);
+
     const styleElement = document.createElementNS("http://www.w3.org/2000/svg", "style");
     styleElement.textContent = `
     * { 
@@ -52,9 +149,9 @@ export const exportSvgToPng = async (svgElement, { scale = 3, transparent = fals
     ${selectorId} .edgeLabel div,
     ${selectorId} .edgeLabel p,
     ${selectorId} .edgeLabel foreignObject { 
-        background-color: ${transparent ? "transparent" : "#ffffff"}; 
-        color: #000000 !important; 
-        fill: #000000 !important;
+        background-color: ${transparent ? "transparent" : background}; 
+        color: ${edgeLabelColor} !important; 
+        fill: ${edgeLabelColor} !important;
     }
 
     /* =====================================================
@@ -74,8 +171,8 @@ export const exportSvgToPng = async (svgElement, { scale = 3, transparent = fals
     .cluster-label span,
     .cluster-label div,
     .cluster-label p {
-        color: #000000 !important;
-        fill: #000000 !important;
+        color: ${labelColor} !important;
+        fill: ${labelColor} !important;
     }
     
     /* Mermaid uses foreignObject for HTML content in cluster labels */
@@ -83,8 +180,8 @@ export const exportSvgToPng = async (svgElement, { scale = 3, transparent = fals
     ${selectorId} .cluster-label foreignObject *,
     .cluster-label foreignObject,
     .cluster-label foreignObject * {
-        color: #000000 !important;
-        fill: #000000 !important;
+        color: ${labelColor} !important;
+        fill: ${labelColor} !important;
     }
     
     /* Target nodeLabel class inside clusters (used for title text) */
@@ -92,14 +189,14 @@ export const exportSvgToPng = async (svgElement, { scale = 3, transparent = fals
     ${selectorId} .cluster-label .nodeLabel,
     .cluster .nodeLabel,
     .cluster-label .nodeLabel {
-        color: #000000 !important;
-        fill: #000000 !important;
+        color: ${labelColor} !important;
+        fill: ${labelColor} !important;
     }
     
     /* Handle any tspan elements within cluster labels */
     ${selectorId} .cluster-label tspan,
     .cluster-label tspan {
-        fill: #000000 !important;
+        fill: ${labelColor} !important;
     }
     
     /* Ensure cluster title rect/background doesn't interfere */
@@ -111,10 +208,11 @@ export const exportSvgToPng = async (svgElement, { scale = 3, transparent = fals
 
     .cluster rect { stroke-width: 2px; }
     .flowchart-link { stroke-width: 2px; }
-    .marker { fill: #333; }
     .messageText { font-size: 13px; }
+    ${darkTheme ? '' : `
+    .marker { fill: #333; }
     .actor { stroke: #333; fill: #eee; }
-    .actor-line { stroke: #333; }
+    .actor-line { stroke: #333; }`}
 
     /* Normalize foreignObject layout for consistent PNG export (fixes text alignment shift) */
     foreignObject { overflow: visible; }
@@ -151,14 +249,39 @@ export const exportSvgToPng = async (svgElement, { scale = 3, transparent = fals
   `;
     clonedSvg.insertBefore(styleElement, clonedSvg.firstChild);
 
-    // Añadir fondo si no es transparente
-    if (!transparent) {
+    // Añadir fondo si no es transparente (o el marco, que se dibuja también sin fondo)
+    if (!transparent || framed) {
         const bgRect = document.createElementNS("http://www.w3.org/2000/svg", "rect");
-        bgRect.setAttribute("x", bbox.x - padding / 2);
-        bgRect.setAttribute("y", bbox.y - padding / 2);
-        bgRect.setAttribute("width", width);
-        bgRect.setAttribute("height", height);
-        bgRect.setAttribute("fill", "#ffffff");
+        bgRect.setAttribute("x", frameX);
+        bgRect.setAttribute("y", frameY);
+        bgRect.setAttribute("width", frameWidth);
+        bgRect.setAttribute("height", frameHeight);
+        bgRect.setAttribute("fill", transparent ? "none" : background);
+        if (radius > 0) {
+            bgRect.setAttribute("rx", radius);
+            bgRect.setAttribute("ry", radius);
+        }
+        if (border.enabled) {
+            bgRect.setAttribute("stroke", border.color);
+            bgRect.setAttribute("stroke-width", border.width);
+        }
+        if (shadow.enabled) {
+            const filter = document.createElementNS("http://www.w3.org/2000/svg", "filter");
+            filter.setAttribute("id", "export-frame-shadow");
+            filter.setAttribute("x", "-50%");
+            filter.setAttribute("y", "-50%");
+            filter.setAttribute("width", "200%");
+            filter.setAttribute("height", "200%");
+            const dropShadow = document.createElementNS("http://www.w3.org/2000/svg", "feDropShadow");
+            dropShadow.setAttribute("dx", 0);
+            dropShadow.setAttribute("dy", shadow.offsetY);
+            dropShadow.setAttribute("stdDeviation", shadow.blur);
+            dropShadow.setAttribute("flood-color", shadow.color);
+            dropShadow.setAttribute("flood-opacity", shadow.opacity);
+            filter.appendChild(dropShadow);
+            clonedSvg.insertBefore(filter, clonedSvg.firstChild);
+            bgRect.setAttribute("filter", "url(#export-frame-shadow)");
+        }
         // Insertar después de nuestro style para no romper orden, aunque style ya está dentro
         clonedSvg.insertBefore(bgRect, clonedSvg.firstChild);
         // Nota: Insertamos el rect PRIMERO (como firstChild) para que quede AL FONDO (z-index visual).
@@ -180,6 +303,48 @@ export const exportSvgToPng = async (svgElement, { scale = 3, transparent = fals
         svgString = '<?xml version="1.0" encoding="UTF-8"?>' + svgString;
     }
 
+    // Con marco, lo que queda fuera de él (esquinas, sombra) debe seguir siendo transparente
+    const canvasBackground = transparent || framed ? null : background;
+
+    return { svgString, width, height, x, y, canvasBackground };
+};
+
+/**
+ * Recorta un SVG de exportación a una región, ajustando el viewBox para que
+ * la región se rasterice a resolución completa (sin escalar un raster previo)
+ * @param {Object} exportSvg - Resultado de buildExportSvg
+ * @param {{x: number, y: number, width: number, height: number}} region - Región relativa al SVG exportado
+ * @returns {{svgString: string, width: number, height: number, x: number, y: number, canvasBackground: string|null}}
+ */
+export const cropExportSvg = (exportSvg, region) => {
+    const doc = new DOMParser().parseFromString(exportSvg.svgString, "image/svg+xml");
+    const svg = doc.documentElement;
+    const x = exportSvg.x + region.x;
+    const y = exportSvg.y + region.y;
+
+    svg.setAttribute("width", region.width);
+    svg.setAttribute("height", region.height);
+    svg.setAttribute("viewBox", `${x} ${y} ${region.width} ${region.height}`);
+
+    return {
+        svgString: new XMLSerializer().serializeToString(svg),
+        width: region.width,
+        height: region.height,
+        x,
+        y,
+        canvasBackground: exportSvg.canvasBackground,
+    };
+};
+
+/**
+ * Rasteriza un SVG serializado en un canvas a la escala indicada
+ * @param {Object} exportSvg - Resultado de buildExportSvg
+ * @param {Object} options - Opciones de rasterizado
+ * @param {number} options.scale - Escala de rasterizado
+ * @param {boolean} options.transparent - Si el fondo debe ser transparente
+ * @returns {Promise<HTMLCanvasElement>} - Canvas con el diagrama dibujado
+ */
+export const rasterizeSvg = async ({ svgString, width, height, canvasBackground = "#ffffff" }, { scale = 3, transparent = false }) => {
     // Usar base64 Data URI para evitar problemas de CORS
     const base64Svg = btoa(unescape(encodeURIComponent(svgString)));
     const dataUri = `data:image/svg+xml;base64,${base64Svg}`;
@@ -198,15 +363,16 @@ export const exportSvgToPng = async (svgElement, { scale = 3, transparent = fals
     canvas.width = width * scale;
     canvas.height = height * scale;
 
-    const ctx = canvas.getContext("2d", { alpha: transparent });
+    const opaque = !transparent && Boolean(canvasBackground);
+    const ctx = canvas.getContext("2d", { alpha: !opaque });
 
     // Configurar antialiasing de alta calidad
     ctx.imageSmoothingEnabled = true;
     ctx.imageSmoothingQuality = "high";
 
     // Aplicar fondo si no es transparente
-    if (!transparent) {
-        ctx.fillStyle = "#ffffff";
+    if (opaque) {
+        ctx.fillStyle = canvasBackground;
         ctx.fillRect(0, 0, canvas.width, canvas.height);
     }
 
@@ -214,8 +380,150 @@ export const exportSvgToPng = async (svgElement, { scale = 3, transparent = fals
     ctx.scale(scale, scale);
     ctx.drawImage(img, 0, 0, width, height);
 
+    return canvas;
+};
+
+/**
+ * Resuelve la escala de rasterizado y la resolución física del PNG según el modo de tamaño
+ * - scale: multiplicador del tamaño CSS (1x = 96 DPI)
+ * - width / height: ancho o alto exacto en píxeles
+ * - print: ancho físico en mm a un DPI concreto
+ * @param {{width: number, height: number}} size - Tamaño del diagrama en px CSS
+ * @param {Object} sizing - Opciones de tamaño
+ * @param {string} sizing.mode - 'scale' | 'width' | 'height' | 'print'
+ * @param {number} sizing.scale - Multiplicador (modo scale)
+ * @param {number} sizing.targetWidth - Ancho en px (modo width)
+ * @param {number} sizing.targetHeight - Alto en px (modo height)
+ * @param {number} sizing.dpi - Resolución (modo print)
+ * @param {number} sizing.printWidth - Ancho impreso en mm (modo print)
+ * @returns {{scale: number, dpi: number}}
+ */
+export const resolvePngSizing = ({ width, height }, {
+    mode = 'scale',
+    scale = 3,
+    targetWidth,
+    targetHeight,
+    dpi = 300,
+    printWidth,
+} = {}) => {
+    let resolvedScale = scale;
+    let resolvedDpi = null;
+
+    if (mode === 'width' && targetWidth > 0) {
+        resolvedScale = targetWidth / width;
+    } else if (mode === 'height' && targetHeight > 0) {
+        resolvedScale = targetHeight / height;
+    } else if (mode === 'print' && printWidth > 0 && dpi > 0) {
+        resolvedScale = (printWidth / 25.4) * dpi / width;
+        resolvedDpi = dpi;
+    }
+
+    // En los modos de tamaño, no superar el tamaño máximo de canvas del navegador
+    // (el modo scale usa la escala elegida tal cual)
+    if (mode !== 'scale') {
+        const maxScale = MAX_CANVAS_SIDE / Math.max(width, height);
+        const requestedScale = resolvedScale;
+        resolvedScale = Math.min(Math.max(resolvedScale, 0.1), maxScale);
+
+        // Si se ha recortado la escala, el DPI baja para que el ancho impreso siga siendo el pedido
+        if (resolvedDpi && resolvedScale !== requestedScale) {
+            resolvedDpi = resolvedScale * width / (printWidth / 25.4);
+        }
+    }
+
+    // Fuera del modo print, el tamaño físico es el tamaño CSS del diagrama
+    return { scale: resolvedScale, dpi: resolvedDpi || CSS_DPI * resolvedScale };
+};
+
+/**
+ * Exporta un SVG a PNG con alta calidad
+ * @param {SVGElement} svgElement - Elemento SVG a exportar
+ * @param {Object} options - Opciones de exportación
+ * @param {number} options.scale - Escala de exportación (1-4)
+ * @param {Object} [options.sizing] - Modo de tamaño alternativo (ver resolvePngSizing)
+ * @param {boolean} options.transparent - Si el fondo debe ser transparente
+ * @param {Object} [options.style] - Estilo del lienzo (ver DEFAULT_EXPORT_STYLE)
+ * @param {string} [options.source] - Código Mermaid a incrustar en el PNG (chunk iTXt) para poder reabrirlo
+ * @returns {Promise<string>} - Data URL del PNG generado (con chunk pHYs)
+ */
+export const exportSvgToPng = async (svgElement, { scale = 3, sizing, transparent = false, style, source }) => {
+    const exportSvg = buildExportSvg(svgElement, { transparent, style });
+    const resolved = resolvePngSizing(exportSvg, { scale, ...sizing });
+    const canvas = await rasterizeSvg(exportSvg, { scale: resolved.scale, transparent });
+
     // Exportar PNG con máxima calidad
-    return canvas.toDataURL("image/png", 1.0);
+    const pngDataUrl = canvas.toDataURL("image/png", 1.0);
+
+    return writePngMetadata(pngDataUrl, {
+        dpi: resolved.dpi,
+        source,
+        // La escala realmente usada (en los modos de tamaño puede diferir de la elegida)
+        options: { scale: resolved.scale, transparent, ...(sizing ? { sizing } : {}) },
+    });
+};
+
+/**
+ * Exporta el SVG limpio (el mismo que se rasteriza para PNG) como archivo vectorial
+ * @param {SVGElement} svgElement - Elemento SVG a exportar
+ * @param {Object} options - Opciones de exportación
+ * @param {boolean} options.transparent - Si el fondo debe ser transparente
+ * @param {Object} [options.style] - Estilo del lienzo (ver DEFAULT_EXPORT_STYLE)
+ * @returns {string} - Data URL del SVG generado
+ */
+export const exportSvgToSvg = (svgElement, { transparent = false, style }) => {
+    const { svgString } = buildExportSvg(svgElement, { transparent, style });
+    return `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svgString)}`;
+};
+
+/**
+ * Genera una miniatura PNG del diagrama para listados (nunca mayor que el original)
+ * @param {SVGElement} svgElement - Elemento SVG a miniaturizar
+ * @param {Object} [options]
+ * @param {number} [options.maxWidth] - Ancho máximo en px
+ * @param {number} [options.maxHeight] - Alto máximo en px
+ * @returns {Promise<string>} - Data URL del PNG
+ */
+export const exportSvgToThumbnail = async (svgElement, { maxWidth = 240, maxHeight = 160 } = {}) => {
+    const exportSvg = buildExportSvg(svgElement, { transparent: false });
+    const scale = Math.min(1, maxWidth / exportSvg.width, maxHeight / exportSvg.height);
+    const canvas = await rasterizeSvg(exportSvg, { scale, transparent: false });
+    return canvas.toDataURL("image/png");
+};
+
+/**
+ * Indica si el navegador permite copiar imágenes con la API asíncrona del portapapeles
+ * @returns {boolean}
+ */
+export const canCopyImageToClipboard = () => (
+    typeof navigator !== 'undefined'
+    && typeof navigator.clipboard?.write === 'function'
+    && typeof ClipboardItem !== 'undefined'
+);
+
+/**
+ * Copia el diagrama al portapapeles como PNG (y como SVG donde el navegador lo admite)
+ * respetando las mismas opciones de tamaño y transparencia que la descarga
+ * @param {SVGElement} svgElement - Elemento SVG a copiar
+ * @param {Object} options - Opciones de exportación (ver exportSvgToPng)
+ * @returns {Promise<void>}
+ */
+export const copySvgToClipboard = (svgElement, { scale = 3, sizing, transparent = false, style }) => {
+    if (!canCopyImageToClipboard()) {
+        return Promise.reject(new Error("El navegador no permite copiar imágenes al portapapeles"));
+    }
+
+    // Safari exige crear el ClipboardItem de forma síncrona dentro del gesto del usuario:
+    // se le pasa la promesa del PNG en lugar de esperar a que termine el rasterizado
+    const pngBlob = exportSvgToPng(svgElement, { scale, sizing, transparent, style })
+        .then((pngDataUrl) => new Blob([dataUrlToBytes(pngDataUrl)], { type: "image/png" }));
+
+    const items = { "image/png": pngBlob };
+    if (ClipboardItem.supports?.("image/svg+xml")) {
+        const { svgString } = buildExportSvg(svgElement, { transparent, style });
+        items["image/svg+xml"] = new Blob([svgString], { type: "image/svg+xml" });
+    }
+
+    return navigator.clipboard.write([new ClipboardItem(items)]);
 };
 
 /**
@@ -232,6 +540,17 @@ export const downloadDataUrl = (dataUrl, filename) => {
     document.body.removeChild(link);
 };
 
+/**
+ * Descarga un Blob como archivo liberando la URL temporal al terminar
+ * @param {Blob} blob - Contenido del archivo
+ * @param {string} filename - Nombre del archivo
+ */
+export const downloadBlob = (blob, filename) => {
+    const url = URL.createObjectURL(blob);
+    downloadDataUrl(url, filename);
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
 /**
  * Aplica estilos computados como inline para garantizar renderizado
  */
@@ -257,7 +576,11 @@ const applyInlineStyles = (element) => {
 
 /**
  * Genera un nombre de archivo con timestamp
+ * @param {string} extension - Extensión del archivo (default: 'png')
+ * @param {Object} [options]
+ * @param {string} [options.suffix] - Sufijo tras el timestamp (ej: 'dark' -> mermaid-diagram-123-dark.png)
+ * @param {number} [options.timestamp] - Timestamp compartido por varios archivos de una misma exportación
  */
-export const generateFilename = () => {
-    return `mermaid-diagram-${Date.now()}.png`;
+export const generateFilename = (extension = 'png', { suffix, timestamp = Date.now() } = {}) => {
+    return `mermaid-diagram-${timestamp}${suffix ? `-${suffix}` : ''}.${extension}`;
 };
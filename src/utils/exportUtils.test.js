@@ -0,0 +1,43 @@
+import { describe, it, expect } from 'vitest';
+import { resolvePngSizing, MAX_CANVAS_SIDE, CSS_DPI } from './exportUtils';
+
+describe('resolvePngSizing', () => {
+    it('en modo scale declara 96 DPI por cada 1x', () => {
+        expect(resolvePngSizing({ width: 400, height: 300 }, { mode: 'scale', scale: 2 }))
+            .toEqual({ scale: 2, dpi: CSS_DPI * 2 });
+    });
+
+    it('en modo scale no recorta la escala elegida aunque supere el canvas máximo', () => {
+        const size = { width: 4000, height: 1000 };
+        expect(resolvePngSizing(size, { mode: 'scale', scale: 4 }).scale).toBe(4);
+    });
+
+    it('en modo width recorta la escala al canvas máximo', () => {
+        const { scale } = resolvePngSizing({ width: 4000, height: 1000 }, { mode: 'width', targetWidth: 16000 });
+        expect(scale * 4000).toBeCloseTo(MAX_CANVAS_SIDE);
+    });
+
+    it('en modo width ajusta la escala al ancho pedido', () => {
+        const { scale } = resolvePngSizing({ width: 400, height: 300 }, { mode: 'width', targetWidth: 1200 });
+        expect(scale).toBe(3);
+    });
+
+    it('en modo print respeta el DPI cuando cabe en el canvas', () => {
+        // 180 mm a 300 DPI = 2126 px
+        const { scale, dpi } = resolvePngSizing({ width: 1000, height: 500 }, { mode: 'print', printWidth: 180, dpi: 300 });
+        expect(dpi).toBe(300);
+        expect(scale * 1000).toBeCloseTo((180 / 25.4) * 300);
+    });
+
+    it('en modo print baja el DPI si la escala se recorta al canvas máximo', () => {
+        // A3 (297 mm) a 600 DPI pediría ~7016 px de ancho para un diagrama ancho
+        const size = { width: 500, height: 2000 };
+        const printWidth = 297;
+        const { scale, dpi } = resolvePngSizing(size, { mode: 'print', printWidth, dpi: 600 });
+
+        expect(scale * size.height).toBeCloseTo(MAX_CANVAS_SIDE);
+        expect(dpi).toBeLessThan(600);
+        // Ancho impreso resultante (px / DPI) = el pedido
+        expect((scale * size.width) / dpi * 25.4).toBeCloseTo(printWidth);
+    });
+});
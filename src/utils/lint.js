@@ -0,0 +1,60 @@
+import { analyzeCode, fixCodeLine } from './mermaidAutoFix';
+
+/**
+ * Calcula las columnas del problema dentro de su línea: el fragmento
+ * reportado por analyzeCode o, si no aparece tal cual, la línea sin sangría
+ * @param {string} line - Texto de la línea
+ * @param {string} content - Fragmento problemático
+ * @returns {{start: number, end: number}}
+ */
+const findIssueRange = (line, content) => {
+    const index = content ? line.indexOf(content) : -1;
+    if (index !== -1) return { start: index, end: index + content.length };
+
+    const start = line.length - line.trimStart().length;
+    return { start, end: Math.max(start + 1, line.trimEnd().length) };
+};
+
+/**
+ * Diagnósticos del editor a partir de analyzeCode, con la posición exacta
+ * del fragmento para subrayarlo. Todos tienen arreglo automático.
+ * @param {string} code - Código completo
+ * @returns {Array<{line: number, start: number, end: number, type: string, message: string, severity: 'warning'}>}
+ *   line 1-based; start/end = índices de carácter dentro de la línea (un tabulador cuenta como uno:
+ *   el editor mide el texto para dibujarlos, no multiplica columnas)
+ */
+export const lintCode = (code) => {
+    const lines = code.split('\n');
+    return analyzeCode(code).map((issue) => ({
+        line: issue.line,
+        ...findIssueRange(lines[issue.line - 1] || '', issue.content),
+        type: issue.type,
+        message: issue.description,
+        severity: 'warning',
+    }));
+};
+
+/**
+ * Calcula la edición que arregla la línea de un diagnóstico, para aplicarla
+ * en el editor sin perder el historial de deshacer nativo
+ * @param {string} code - Código actual
+ * @param {number} lineNumber - Línea del diagnóstico (1-based)
+ * @returns {{from: number, to: number, text: string} | null} - Rango a sustituir, o null si no hay cambio
+ */
+export const getQuickFix = (code, lineNumber) => {
+    const fixed = fixCodeLine(code, lineNumber);
+    if (fixed === code) return null;
+
+    const lines = code.split('\n');
+    const from = lines.slice(0, lineNumber - 1).reduce((offset, line) => offset + line.length + 1, 0);
+    const to = from + lines[lineNumber - 1].length;
+
+    // La línea desaparece: se elimina también su salto de línea
+    if (fixed.split('\n').length < lines.length) {
+        return lineNumber < lines.length
+            ? { from, to: to + 1, text: '' }
+            : { from: Math.max(0, from - 1), to, text: '' };
+    }
+
+    return { from, to, text: fixed.split('\n')[lineNumber - 1] };
+};
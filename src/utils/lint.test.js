@@ -0,0 +1,39 @@
+import { describe, it, expect } from 'vitest';
+import { lintCode, getQuickFix } from './lint';
+
+describe('lintCode', () => {
+    it('devuelve índices de carácter aunque la línea esté sangrada con tabuladores', () => {
+        const code = 'graph TD\n\t\tA[Hola (mundo)] --> B';
+        const [diagnostic] = lintCode(code);
+        const line = code.split('\n')[diagnostic.line - 1];
+
+        expect(diagnostic.line).toBe(2);
+        expect(diagnostic.start).toBe(2);
+        expect(line.slice(diagnostic.start, diagnostic.end)).toBe('A[Hola (mundo)]');
+    });
+
+    it('sin fragmento exacto subraya la línea sin su sangría', () => {
+        const code = 'graph TD\n\tA --> B\n\tend';
+        const diagnostic = lintCode(code).find((item) => item.type === 'orphan_end');
+        const line = code.split('\n')[diagnostic.line - 1];
+
+        expect(line.slice(diagnostic.start, diagnostic.end)).toBe('end');
+    });
+});
+
+describe('getQuickFix', () => {
+    it('sustituye solo la línea del diagnóstico, conservando su sangría', () => {
+        const code = 'graph TD\n\tA[Hola (mundo)] --> B\n\tB --> C';
+        const fix = getQuickFix(code, 2);
+        const fixed = code.slice(0, fix.from) + fix.text + code.slice(fix.to);
+
+        expect(code.slice(fix.from, fix.to)).toBe('\tA[Hola (mundo)] --> B');
+        expect(fix.text.startsWith('\t')).toBe(true);
+        expect(fixed.split('\n')[2]).toBe('\tB --> C');
+        expect(lintCode(fixed)).toEqual([]);
+    });
+
+    it('devuelve null si la línea no tiene nada que arreglar', () => {
+        expect(getQuickFix('graph TD\n\tA --> B', 2)).toBeNull();
+    });
+});
@@ -0,0 +1,106 @@
+// Documentos Markdown que se pueden abrir o soltar en el editor
+export const MARKDOWN_FILE_PATTERN = /\.(md|markdown|mdx)$/i;
+
+const FENCE_OPEN_PATTERN = /^( {0,3})(`{3,}|~{3,})\s*([^\s`]*)/;
+const HEADING_PATTERN = /^ {0,3}(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/;
+const MERMAID_FENCE_PATTERN = /^ {0,3}(`{3,}|~{3,})\s*mermaid\b/im;
+
+/**
+ * Indica si un texto contiene al menos un bloque ```mermaid
+ * @param {string} text
+ * @returns {boolean}
+ */
+export const containsMermaidBlocks = (text) => MERMAID_FENCE_PATTERN.test(text);
+
+/**
+ * Quita la sintaxis inline más común de un título (enlaces, código, énfasis)
+ * @param {string} text
+ * @returns {string}
+ */
+const cleanHeading = (text) => text
+    .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/[`*_~]/g, '')
+    .trim();
+
+/**
+ * Extrae todos los bloques ```mermaid (o ~~~mermaid) de un documento Markdown,
+ * junto con los títulos bajo los que aparecen
+ * @param {string} markdown - Documento Markdown
+ * @returns {Array<{index: number, code: string, heading: string|null, headingPath: string[], line: number}>}
+ *   line: línea (1-based) de la valla de apertura
+ */
+export const extractMermaidBlocks = (markdown) => {
+    const lines = markdown.split(/\r?\n/);
+    const blocks = [];
+    // headingStack[nivel - 1] = texto del título vigente de ese nivel
+    const headingStack = [];
+    let fence = null;
+
+    lines.forEach((line, i) => {
+        if (fence) {
+            const closing = new RegExp(`^ {0,3}${fence.marker[0] === '`' ? '`' : '~'}{${fence.marker.length},}\\s*$`);
+            if (closing.test(line)) {
+                if (fence.isMermaid) {
+                    const headingPath = headingStack.filter(Boolean);
+                    blocks.push({
+                        index: blocks.length,
+                        code: fence.content.join('\n'),
+                        heading: headingPath[headingPath.length - 1] || null,
+                        headingPath,
+                        line: fence.line,
+                    });
+                }
+                fence = null;
+            } else if (fence.isMermaid) {
+                // Quitar la sangría de la valla de apertura, como hace CommonMark
+                fence.content.push(line.replace(new RegExp(`^ {0,${fence.indent}}`), ''));
+            }
+            return;
+        }
+
+        const open = line.match(FENCE_OPEN_PATTERN);
+        if (open) {
+            fence = {
+                indent: open[1].length,
+                marker: open[2],
+                isMermaid: open[3].toLowerCase() === 'mermaid',
+                content: [],
+                line: i + 1,
+            };
+            return;
+        }
+
+        const heading = line.match(HEADING_PATTERN);
+        if (heading) {
+            const level = heading[1].length;
+            headingStack.length = level;
+            headingStack[level - 1] = cleanHeading(heading[2]);
+        }
+    });
+
+    return blocks;
+};
+
+/**
+ * Convierte un título en un nombre de archivo seguro ("Flujo de Pago" -> "flujo-de-pago")
+ * @param {string} text
+ * @returns {string}
+ */
+export const slugifyHeading = (text) => text
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 60)
+    .replace(/-+$/, '');
+
+/**
+ * Nombre base (sin extensión) para exportar un bloque: el título más cercano
+ * o, si no tiene, su posición en el documento
+ * @param {{index: number, heading: string|null}} block
+ * @returns {string}
+ */
+export const getBlockFilename = (block) => (
+    (block.heading && slugifyHeading(block.heading)) || `diagram-${block.index + 1}`
+);
@@ -0,0 +1,68 @@
+import { describe, it, expect } from 'vitest';
+import { containsMermaidBlocks, extractMermaidBlocks, slugifyHeading, getBlockFilename } from './markdownDiagrams';
+
+const DOCUMENT = [
+    '# Arquitectura',
+    '',
+    '## Flujo de **Pago**',
+    '',
+    '```mermaid',
+    'graph TD',
+    '    A --> B',
+    '```',
+    '',
+    '```js',
+    'const x = 1;',
+    '```',
+    '',
+    '### [Reintentos](#reintentos)',
+    '',
+    '  ~~~~ mermaid',
+    '  sequenceDiagram',
+    '    A->>B: hola',
+    '  ~~~~',
+    '',
+    '# Anexo',
+    '````mermaid',
+    '```',
+    'graph LR',
+    '````',
+].join('\n');
+
+describe('markdownDiagrams', () => {
+    it('detecta bloques mermaid con ``` o ~~~', () => {
+        expect(containsMermaidBlocks(DOCUMENT)).toBe(true);
+        expect(containsMermaidBlocks('```js\nx\n```')).toBe(false);
+    });
+
+    it('extrae solo los bloques mermaid con su línea y sus títulos', () => {
+        const blocks = extractMermaidBlocks(DOCUMENT);
+
+        expect(blocks).toHaveLength(3);
+        expect(blocks[0]).toEqual({
+            index: 0,
+            code: 'graph TD\n    A --> B',
+            heading: 'Flujo de Pago',
+            headingPath: ['Arquitectura', 'Flujo de Pago'],
+            line: 5,
+        });
+        expect(blocks[1].heading).toBe('Reintentos');
+        expect(blocks[1].headingPath).toEqual(['Arquitectura', 'Flujo de Pago', 'Reintentos']);
+        expect(blocks[2].headingPath).toEqual(['Anexo']);
+    });
+
+    it('quita la sangría de la valla de apertura', () => {
+        expect(extractMermaidBlocks(DOCUMENT)[1].code).toBe('sequenceDiagram\n  A->>B: hola');
+    });
+
+    it('no cierra una valla con otra más corta', () => {
+        expect(extractMermaidBlocks(DOCUMENT)[2].code).toBe('```\ngraph LR');
+    });
+
+    it('genera nombres de archivo a partir del título o de la posición', () => {
+        expect(slugifyHeading('Flujo de Pago: versión 2')).toBe('flujo-de-pago-version-2');
+        expect(getBlockFilename({ index: 0, heading: 'Diseño' })).toBe('diseno');
+        expect(getBlockFilename({ index: 3, heading: null })).toBe('diagram-4');
+        expect(getBlockFilename({ index: 1, heading: '¿?' })).toBe('diagram-2');
+    });
+});
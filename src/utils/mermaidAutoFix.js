@@ -355,10 +355,11 @@ const normalizeForHexagon = (content) => {
         .replace(/<br\s*\/?>/gi, ' ')         // Replace <br> with a readable space
         .replace(/<[^>]*>/g, '')              // Strip any other HTML tags
         .replace(/\s+/g, ' ')                 // Collapse multiple spaces
-        .trim();
+        .trim()
+        .replace(/"/g, '#quot;');             // Inner quotes would close the string: entity code
 
     // Wrap in double quotes so multi-word content is one token.
-    // At this point, 'normalized' is guaranteed to be pure ASCII with no HTML,
+    // At this point, 'normalized' is guaranteed to be pure ASCII with no HTML or inner quotes,
     // so the quoted form {"content"}} will parse correctly in Mermaid 10.x.
     return `"${normalized}"`;
 };
@@ -2249,6 +2250,20 @@ export const analyzeCode = (code) => {
         }
 
 
+        // Detectar el bug de linkStyle con color hex como último atributo
+        // (renderiza sin error pero con el color equivocado)
+        if (/^\s*linkStyle\s/.test(line)) {
+            if (/(#[0-9a-fA-F]{3,6})\s*;?\s*$/.test(line)) {
+                issues.push({
+                    line: index + 1,
+                    type: 'linkstyle_hex_at_end',
+                    content: line.trim(),
+                    description: 'Color hex al final de linkStyle: Mermaid lo interpreta mal (se añade stroke-opacity:1)'
+                });
+            }
+            return;
+        }
+
         // Detectar problemas en subgraph titles
         if (/^\s*subgraph\s/.test(line)) {
             const result = fixSubgraphTitle(line);
@@ -2263,6 +2278,28 @@ export const analyzeCode = (code) => {
             return;
         }
 
+        // Detectar texto inválido tras el cierre de un nodo (NODE[text]:(nota))
+        const trailingResult = fixInvalidTrailingSyntax(line);
+        if (trailingResult.wasModified) {
+            issues.push({
+                line: index + 1,
+                type: 'invalid_trailing_syntax',
+                content: trailingResult.removed,
+                description: 'Texto no válido tras el cierre del nodo (se elimina)'
+            });
+        }
+
+        // Detectar espacio antes de ::: (algunas versiones de Mermaid no aplican la clase)
+        const spaceBeforeClass = line.match(/(\]|\}|\)|(?:\]\])|(?:\)\))|(?:\)\]\]))\s+(:::?\w+)/);
+        if (spaceBeforeClass) {
+            issues.push({
+                line: index + 1,
+                type: 'space_before_class',
+                content: spaceBeforeClass[0],
+                description: "Espacio antes de ':::' - la clase puede no aplicarse"
+            });
+        }
+
         // Detectar flechas incompletas antes del pipe del edge label
         const incompleteArrowResult = fixIncompleteEdgeArrows(line);
         if (incompleteArrowResult.fixes.length > 0) {
@@ -2320,6 +2357,96 @@ export const analyzeCode = (code) => {
     return issues;
 };
 
+// Fixes que eliminan la línea completa en lugar de reescribirla
+const LINE_REMOVING_FIXES = ['unsupported_style_directive', 'unsupported_class_assign'];
+
+/**
+ * Agrupa por línea las correcciones de autoFixMermaidCode para revisarlas
+ * y aplicarlas por separado (los fixes de una misma línea se encadenan,
+ * así que la línea es la unidad mínima que se puede aceptar o rechazar)
+ *
+ * @param {string} code - Código a analizar
+ * @returns {Array<{line: number, before: string, after: string|null, fixes: Array}>}
+ *   after = null si la línea se elimina
+ */
+export const getAutoFixChanges = (code) => {
+    const result = autoFixMermaidCode(code);
+    if (!result.hasChanges) return [];
+
+    const removedLines = new Set(result.fixes
+        .filter(fix => LINE_REMOVING_FIXES.includes(fix.type))
+        .map(fix => fix.line));
+    const fixedLines = result.code.split('\n');
+    const changes = [];
+    let fixedIndex = 0;
+
+    code.split('\n').forEach((line, index) => {
+        const lineNumber = index + 1;
+        const after = removedLines.has(lineNumber) ? null : fixedLines[fixedIndex++];
+        const fixes = result.fixes.filter(fix => fix.line === lineNumber);
+        if (fixes.length > 0 && after !== line) {
+            changes.push({ line: lineNumber, before: line, after, fixes });
+        }
+    });
+
+    return changes;
+};
+
+/**
+ * Aplica solo las correcciones indicadas (ver getAutoFixChanges)
+ *
+ * @param {string} code - Código original (el mismo con el que se calcularon los cambios)
+ * @param {Array<{line: number, after: string|null}>} changes - Cambios aceptados
+ * @returns {string} - Código con esas líneas corregidas
+ */
+export const applyAutoFixChanges = (code, changes) => {
+    const changesByLine = new Map(changes.map(change => [change.line, change]));
+    return code
+        .split('\n')
+        .flatMap((line, index) => {
+            const change = changesByLine.get(index + 1);
+            if (!change) return [line];
+            return change.after === null ? [] : [change.after];
+        })
+        .join('\n');
+};
+
+/**
+ * Aplica las correcciones de autoFixMermaidCode a una sola línea,
+ * dejando el resto del código intacto (para arreglos puntuales)
+ *
+ * @param {string} code - Código completo
+ * @param {number} lineNumber - Línea a corregir (1-based)
+ * @returns {string} - Código con esa línea corregida (o eliminada si no está soportada)
+ */
+export const fixCodeLine = (code, lineNumber) => applyAutoFixChanges(
+    code,
+    getAutoFixChanges(code).filter(change => change.line === lineNumber)
+);
+
+/**
+ * Prepara un texto escrito por el usuario para usarlo como etiqueta de nodo
+ * o arista, con las mismas reglas que aplica el auto-fix:
+ * - Hexágonos {{...}}: normalizeForHexagon si el texto lo necesita (o ya iba entrecomillado)
+ * - Resto: safeQuote si tiene contenido problemático, delimitadores de forma o pipes,
+ *   o si la etiqueta original ya iba entrecomillada
+ *
+ * @param {string} text - Texto plano de la etiqueta
+ * @param {Object} [options]
+ * @param {boolean} [options.hexagon] - Si es el contenido de un nodo {{...}}
+ * @param {boolean} [options.quoted] - Si la etiqueta original iba entrecomillada
+ * @returns {string} - Contenido listo para escribir entre los delimitadores
+ */
+export const formatLabelContent = (text, { hexagon = false, quoted = false } = {}) => {
+    if (hexagon) {
+        return quoted || hasStrictProblematicContent(text) ? normalizeForHexagon(text) : text;
+    }
+    if (quoted || hasProblematicContent(text) || /[[\]{}|<>]/.test(text.replace(/<br\s*\/?>/gi, ''))) {
+        return safeQuote(text);
+    }
+    return text;
+};
+
 /**
  * Detecta si un código tiene formas especiales
  * 
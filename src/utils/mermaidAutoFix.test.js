@@ -0,0 +1,78 @@
+import { describe, it, expect } from 'vitest';
+import { autoFixMermaidCode, getAutoFixChanges, applyAutoFixChanges, fixCodeLine } from './mermaidAutoFix';
+
+const FLOWCHART = [
+    'graph TD',
+    '    A[Hola (mundo)] --> B',
+    '    B --> C[Bien]',
+    '    C -->|sí (o no)| D',
+].join('\n');
+
+const MINDMAP = [
+    'mindmap',
+    '  root((Raíz))',
+    '    Hijo',
+    '  style root fill:#f00',
+    '    Otro',
+].join('\n');
+
+describe('getAutoFixChanges', () => {
+    it('agrupa las correcciones por línea con el antes y el después', () => {
+        const changes = getAutoFixChanges(FLOWCHART);
+
+        expect(changes.map((change) => change.line)).toEqual([2, 4]);
+        expect(changes[0]).toMatchObject({
+            before: '    A[Hola (mundo)] --> B',
+            after: '    A["Hola (mundo)"] --> B',
+        });
+        expect(changes[1]).toMatchObject({
+            before: '    C -->|sí (o no)| D',
+            after: '    C -->|"sí (o no)"| D',
+        });
+        expect(changes.every((change) => change.fixes.length > 0)).toBe(true);
+    });
+
+    it('marca con after = null las líneas que se eliminan', () => {
+        const changes = getAutoFixChanges(MINDMAP);
+
+        expect(changes).toHaveLength(1);
+        expect(changes[0]).toMatchObject({ line: 4, before: '  style root fill:#f00', after: null });
+    });
+
+    it('no devuelve cambios si el código es correcto', () => {
+        expect(getAutoFixChanges('graph TD\n    A["Hola (mundo)"] --> B')).toEqual([]);
+    });
+});
+
+describe('applyAutoFixChanges', () => {
+    it('aplicar todos los cambios equivale al auto-fix completo', () => {
+        [FLOWCHART, MINDMAP].forEach((code) => {
+            expect(applyAutoFixChanges(code, getAutoFixChanges(code))).toBe(autoFixMermaidCode(code).code);
+        });
+    });
+
+    it('aplica solo los cambios aceptados', () => {
+        const [first] = getAutoFixChanges(FLOWCHART);
+        const lines = applyAutoFixChanges(FLOWCHART, [first]).split('\n');
+
+        expect(lines[1]).toBe('    A["Hola (mundo)"] --> B');
+        expect(lines[3]).toBe('    C -->|sí (o no)| D');
+    });
+
+    it('sin cambios aceptados deja el código intacto', () => {
+        expect(applyAutoFixChanges(FLOWCHART, [])).toBe(FLOWCHART);
+    });
+});
+
+describe('fixCodeLine', () => {
+    it('corrige una sola línea', () => {
+        const lines = fixCodeLine(FLOWCHART, 4).split('\n');
+
+        expect(lines[1]).toBe('    A[Hola (mundo)] --> B');
+        expect(lines[3]).toBe('    C -->|"sí (o no)"| D');
+    });
+
+    it('elimina la línea si la directiva no está soportada', () => {
+        expect(fixCodeLine(MINDMAP, 4)).toBe('mindmap\n  root((Raíz))\n    Hijo\n    Otro');
+    });
+});
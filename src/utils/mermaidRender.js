@@ -0,0 +1,139 @@
+import { mermaid, initializeMermaid, isDarkMermaidTheme } from '../config/mermaid.config';
+import { DARK_THEME_ATTRIBUTE } from './exportUtils';
+
+let offscreenRenderCount = 0;
+
+/**
+ * Marca un SVG recién renderizado con el tema usado, para que la
+ * exportación adapte el color de las etiquetas
+ * @param {SVGElement} svgElement
+ * @param {{theme: string, themeVariables?: Object}} themeConfig
+ */
+export const markRenderedTheme = (svgElement, themeConfig) => {
+    svgElement.setAttribute(DARK_THEME_ATTRIBUTE, String(isDarkMermaidTheme(themeConfig)));
+};
+
+/**
+ * Renderiza un diagrama fuera de pantalla con un tema concreto, sin tocar el preview.
+ * El SVG se inserta oculto en el documento para que getBBox y los estilos
+ * computados funcionen al exportar; hay que llamar a cleanup() al terminar.
+ * @param {string} code - Código Mermaid
+ * @param {{theme: string, themeVariables?: Object}} themeConfig - Tema a aplicar
+ * @returns {Promise<{svgElement: SVGSVGElement, cleanup: Function}>}
+ */
+export const renderMermaidOffscreen = async (code, themeConfig) => {
+    offscreenRenderCount += 1;
+    const renderId = `mermaid-offscreen-${offscreenRenderCount}-${Date.now()}`;
+
+    initializeMermaid(themeConfig);
+    const { svg } = await mermaid.render(renderId, code);
+
+    const container = document.createElement('div');
+    container.setAttribute('aria-hidden', 'true');
+    Object.assign(container.style, {
+        position: 'fixed',
+        left: '-100000px',
+        top: '0',
+        visibility: 'hidden',
+        pointerEvents: 'none',
+    });
+    container.innerHTML = svg;
+    document.body.appendChild(container);
+
+    const svgElement = container.querySelector('svg');
+    markRenderedTheme(svgElement, themeConfig);
+
+    return {
+        svgElement,
+        cleanup: () => container.remove(),
+    };
+};
+
+// Los nodos de flowchart se renderizan como <g class="node" id="flowchart-{id}-{n}">
+const FLOWCHART_NODE_ID_PATTERN = /^flowchart-(.+)-\d+$/;
+
+/**
+ * Nodos de un flowchart renderizado indexados por su id en el código Mermaid
+ * @param {SVGElement} svgElement
+ * @returns {Map<string, SVGGElement>}
+ */
+export const findRenderedNodes = (svgElement) => {
+    const nodes = new Map();
+    svgElement.querySelectorAll('g.node').forEach((element) => {
+        const match = element.id.match(FLOWCHART_NODE_ID_PATTERN);
+        if (match && !nodes.has(match[1])) nodes.set(match[1], element);
+    });
+    return nodes;
+};
+
+/**
+ * Resalta nodos de un SVG renderizado con un borde de color
+ * @param {SVGElement} svgElement
+ * @param {Object<string, string>} colorsById - Color del borde por id de nodo
+ */
+export const highlightRenderedNodes = (svgElement, colorsById) => {
+    findRenderedNodes(svgElement).forEach((element, id) => {
+        const color = colorsById[id];
+        if (!color) return;
+        element.querySelectorAll('rect, circle, ellipse, polygon, path').forEach((shape) => {
+            shape.style.setProperty('stroke', color, 'important');
+            shape.style.setProperty('stroke-width', '4px', 'important');
+        });
+    });
+};
+
+// Las aristas se renderizan como <path class="flowchart-link LS-{origen} LE-{destino}" id="L-{origen}-{destino}-{n}">
+// y sus etiquetas como <g class="edgeLabel"> dentro de g.edgeLabels, una por arista y en el mismo orden
+const EDGE_INDEX_PATTERN = /-(\d+)$/;
+
+/**
+ * Elemento del diagrama (nodo, subgraph o arista) al que pertenece un elemento del SVG
+ * @param {Element} element - Por ejemplo, el target de un clic
+ * @returns {{type: 'node'|'subgraph'|'edge', id?: string, from?: string, to?: string, index?: number} | null}
+ */
+export const getRenderedTarget = (element) => {
+    const match = element?.closest?.('g.node, g.cluster, g.edgeLabel, path.flowchart-link');
+    if (!match) return null;
+
+    // Las etiquetas de arista no llevan su id: se emparejan con la arista en el mismo orden
+    if (match.matches('g.edgeLabel')) {
+        const svgElement = match.ownerSVGElement;
+        const index = Array.from(svgElement.querySelectorAll('g.edgeLabels > g.edgeLabel')).indexOf(match);
+        const path = svgElement.querySelectorAll('path.flowchart-link')[index];
+        return path ? getRenderedTarget(path) : null;
+    }
+
+    if (match.matches('g.node')) {
+        const id = match.id.match(FLOWCHART_NODE_ID_PATTERN)?.[1];
+        return id ? { type: 'node', id } : null;
+    }
+    if (match.matches('g.cluster')) {
+        return match.id ? { type: 'subgraph', id: match.id } : null;
+    }
+
+    const classes = Array.from(match.classList);
+    const from = classes.find((name) => name.startsWith('LS-'))?.slice(3);
+    const to = classes.find((name) => name.startsWith('LE-'))?.slice(3);
+    const index = Number(match.id.match(EDGE_INDEX_PATTERN)?.[1] ?? 0);
+    return from && to ? { type: 'edge', from, to, index } : null;
+};
+
+/**
+ * Busca en el SVG renderizado el elemento de un nodo, subgraph o arista
+ * @param {SVGElement} svgElement
+ * @param {{type: string, id?: string, from?: string, to?: string, index?: number}} target - Ver getRenderedTarget
+ * @returns {Element|null}
+ */
+export const findRenderedElement = (svgElement, target) => {
+    if (!svgElement || !target) return null;
+
+    if (target.type === 'node') return findRenderedNodes(svgElement).get(target.id) || null;
+    if (target.type === 'subgraph') {
+        return Array.from(svgElement.querySelectorAll('g.cluster')).find((element) => element.id === target.id) || null;
+    }
+
+    return Array.from(svgElement.querySelectorAll('path.flowchart-link')).find((element) => {
+        const rendered = getRenderedTarget(element);
+        return rendered?.from === target.from && rendered.to === target.to && rendered.index === (target.index ?? 0);
+    }) || null;
+};
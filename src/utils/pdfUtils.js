@@ -0,0 +1,106 @@
+import { buildExportSvg, rasterizeSvg, MAX_CANVAS_SIDE } from './exportUtils';
+
+/**
+ * Tamaños de página soportados en milímetros (orientación vertical)
+ */
+export const PDF_PAGE_SIZES = {
+    a4: { width: 210, height: 297 },
+    letter: { width: 215.9, height: 279.4 },
+    a3: { width: 297, height: 420 },
+};
+
+export const PDF_ORIENTATIONS = ['auto', 'portrait', 'landscape'];
+
+// Resolución objetivo del raster embebido (calidad de impresión)
+export const PDF_TARGET_DPI = 300;
+// Escala mínima para que las etiquetas no se vean borrosas al hacer zoom
+const PDF_MIN_SCALE = 2;
+// Milímetros por píxel CSS (96 DPI)
+const MM_PER_CSS_PX = 25.4 / 96;
+
+/**
+ * Calcula la disposición del diagrama en la página: orientación, tamaño
+ * de página y rectángulo donde se coloca la imagen (centrada, sin deformar)
+ * @param {{width: number, height: number}} size - Tamaño del diagrama en px CSS
+ * @param {Object} options - Opciones de página
+ * @param {string} options.pageSize - 'a4' | 'letter' | 'a3'
+ * @param {string} options.orientation - 'auto' | 'portrait' | 'landscape'
+ * @param {number} options.margin - Margen en mm
+ * @returns {{landscape: boolean, pageWidth: number, pageHeight: number, x: number, y: number, imageWidth: number, imageHeight: number}}
+ */
+export const resolvePdfLayout = ({ width, height }, { pageSize = 'a4', orientation = 'auto', margin = 10 }) => {
+    const page = PDF_PAGE_SIZES[pageSize] || PDF_PAGE_SIZES.a4;
+    const landscape = orientation === 'landscape' || (orientation === 'auto' && width > height);
+
+    const pageWidth = landscape ? page.height : page.width;
+    const pageHeight = landscape ? page.width : page.height;
+
+    // El margen no puede comerse la página entera
+    const safeMargin = Math.max(0, Math.min(margin, Math.min(pageWidth, pageHeight) / 2 - 10));
+    const availableWidth = pageWidth - safeMargin * 2;
+    const availableHeight = pageHeight - safeMargin * 2;
+
+    // Ajustar a la página, sin ampliar diagramas pequeños por encima de su tamaño natural
+    const fit = Math.min(availableWidth / width, availableHeight / height, MM_PER_CSS_PX);
+    const imageWidth = width * fit;
+    const imageHeight = height * fit;
+
+    return {
+        landscape,
+        pageWidth,
+        pageHeight,
+        x: (pageWidth - imageWidth) / 2,
+        y: (pageHeight - imageHeight) / 2,
+        imageWidth,
+        imageHeight,
+    };
+};
+
+/**
+ * Calcula la escala de rasterizado necesaria para alcanzar la resolución
+ * objetivo en el tamaño impreso, respetando el límite de canvas
+ * @param {{width: number, height: number}} size - Tamaño del diagrama en px CSS
+ * @param {number} printedWidthMm - Ancho impreso en mm
+ * @param {number} dpi - Resolución objetivo
+ * @returns {number}
+ */
+export const getRasterScaleForPrint = ({ width, height }, printedWidthMm, dpi = PDF_TARGET_DPI) => {
+    const neededScale = (printedWidthMm / 25.4) * dpi / width;
+    const maxScale = MAX_CANVAS_SIDE / Math.max(width, height);
+    return Math.min(Math.max(neededScale, PDF_MIN_SCALE), maxScale);
+};
+
+/**
+ * Exporta un SVG a un PDF de una página generado íntegramente en el cliente.
+ * Las etiquetas HTML de Mermaid (foreignObject) no son representables en PDF
+ * vectorial, así que se embebe un raster a ~300 DPI del SVG limpio.
+ * @param {SVGElement} svgElement - Elemento SVG a exportar
+ * @param {Object} options - Opciones de exportación
+ * @param {string} options.pageSize - 'a4' | 'letter' | 'a3'
+ * @param {string} options.orientation - 'auto' | 'portrait' | 'landscape'
+ * @param {number} options.margin - Margen en mm
+ * @param {boolean} options.transparent - Si el fondo debe ser transparente
+ * @param {Object} [options.style] - Estilo del lienzo (ver DEFAULT_EXPORT_STYLE)
+ * @returns {Promise<Blob>} - PDF generado
+ */
+export const exportSvgToPdf = async (svgElement, { pageSize = 'a4', orientation = 'auto', margin = 10, transparent = false, style }) => {
+    const exportSvg = buildExportSvg(svgElement, { transparent, style });
+    const layout = resolvePdfLayout(exportSvg, { pageSize, orientation, margin });
+
+    const scale = getRasterScaleForPrint(exportSvg, layout.imageWidth);
+    const canvas = await rasterizeSvg(exportSvg, { scale, transparent });
+
+    // jsPDF es pesado: se carga solo cuando se exporta a PDF
+    const { jsPDF } = await import('jspdf');
+    const doc = new jsPDF({
+        orientation: layout.landscape ? 'landscape' : 'portrait',
+        unit: 'mm',
+        format: pageSize in PDF_PAGE_SIZES ? pageSize : 'a4',
+        compress: true,
+    });
+
+    doc.setProperties({ title: 'Mermaid diagram', creator: 'Mermaid PNG Exporter' });
+    doc.addImage(canvas, 'PNG', layout.x, layout.y, layout.imageWidth, layout.imageHeight, undefined, 'FAST');
+
+    return doc.output('blob');
+};
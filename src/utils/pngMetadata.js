@@ -0,0 +1,269 @@
+import { unzlibSync } from 'fflate';
+
+// Firma de 8 bytes con la que empieza todo PNG
+const PNG_SIGNATURE = [137, 80, 78, 71, 13, 10, 26, 10];
+
+// Claves de los chunks de texto que escribe el exportador
+export const PNG_SOURCE_KEYWORD = 'mermaid';
+export const PNG_OPTIONS_KEYWORD = 'mermaid-export-options';
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+const latin1Decoder = new TextDecoder('latin1');
+
+// Tabla CRC-32 (polinomio estándar de PNG) calculada una sola vez
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+/**
+ * Calcula el CRC-32 de un conjunto de bytes
+ * @param {Uint8Array} bytes
+ * @returns {number}
+ */
+const crc32 = (bytes) => {
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+};
+
+/**
+ * Comprueba si unos bytes empiezan con la firma PNG
+ * @param {Uint8Array} bytes
+ * @returns {boolean}
+ */
+export const isPng = (bytes) => PNG_SIGNATURE.every((value, i) => bytes[i] === value);
+
+/**
+ * Crea un chunk PNG completo (longitud + tipo + datos + CRC)
+ * @param {string} type - Tipo de chunk de 4 caracteres (ej: 'iTXt')
+ * @param {Uint8Array} data - Datos del chunk
+ * @returns {Uint8Array}
+ */
+export const createPngChunk = (type, data) => {
+    const chunk = new Uint8Array(12 + data.length);
+    const view = new DataView(chunk.buffer);
+    view.setUint32(0, data.length);
+    chunk.set(textEncoder.encode(type), 4);
+    chunk.set(data, 8);
+    view.setUint32(8 + data.length, crc32(chunk.subarray(4, 8 + data.length)));
+    return chunk;
+};
+
+/**
+ * Crea un chunk iTXt sin comprimir (texto UTF-8 con clave Latin-1)
+ * @param {string} keyword - Clave del texto (1-79 caracteres)
+ * @param {string} text - Texto a guardar
+ * @returns {Uint8Array}
+ */
+export const createITXtChunk = (keyword, text) => {
+    const keywordBytes = textEncoder.encode(keyword);
+    const textBytes = textEncoder.encode(text);
+    // keyword \0 compressionFlag compressionMethod languageTag \0 translatedKeyword \0 text
+    const data = new Uint8Array(keywordBytes.length + 5 + textBytes.length);
+    data.set(keywordBytes, 0);
+    data.set(textBytes, keywordBytes.length + 5);
+    return createPngChunk('iTXt', data);
+};
+
+/**
+ * Crea un chunk pHYs con la resolución física de la imagen
+ * @param {number} dpi - Puntos por pulgada
+ * @returns {Uint8Array}
+ */
+export const createPhysChunk = (dpi) => {
+    const pixelsPerMeter = Math.round(dpi / 0.0254);
+    const data = new Uint8Array(9);
+    const view = new DataView(data.buffer);
+    view.setUint32(0, pixelsPerMeter);
+    view.setUint32(4, pixelsPerMeter);
+    // Unidad: 1 = metro
+    data[8] = 1;
+    return createPngChunk('pHYs', data);
+};
+
+/**
+ * Recorre los chunks de un PNG
+ * @param {Uint8Array} bytes - Bytes del PNG
+ * @returns {Array<{type: string, offset: number, length: number, data: Uint8Array}>} offset: inicio del chunk completo
+ */
+export const readPngChunks = (bytes) => {
+    if (!isPng(bytes)) {
+        throw new Error('El archivo no es un PNG válido');
+    }
+
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const chunks = [];
+    let offset = PNG_SIGNATURE.length;
+
+    while (offset + 12 <= bytes.length) {
+        const length = view.getUint32(offset);
+        const type = latin1Decoder.decode(bytes.subarray(offset + 4, offset + 8));
+        const data = bytes.subarray(offset + 8, offset + 8 + length);
+        chunks.push({ type, offset, length: length + 12, data });
+        offset += length + 12;
+        if (type === 'IEND') break;
+    }
+
+    return chunks;
+};
+
+/**
+ * Inserta chunks justo después de IHDR (antes de los datos de imagen).
+ * Los chunks existentes del mismo tipo y clave se sustituyen.
+ * @param {Uint8Array} bytes - Bytes del PNG original
+ * @param {Uint8Array[]} newChunks - Chunks completos creados con createPngChunk
+ * @returns {Uint8Array}
+ */
+export const insertPngChunks = (bytes, newChunks) => {
+    const chunks = readPngChunks(bytes);
+    const ihdr = chunks.find((chunk) => chunk.type === 'IHDR');
+    if (!ihdr) {
+        throw new Error('PNG sin cabecera IHDR');
+    }
+
+    // Identificador "tipo + clave" (o solo tipo si no lleva clave) para reemplazos
+    const chunkId = (type, data) => {
+        if (type !== 'iTXt' && type !== 'tEXt' && type !== 'zTXt') return type;
+        const end = data.indexOf(0);
+        return `${type}:${latin1Decoder.decode(data.subarray(0, end))}`;
+    };
+    const replacedIds = new Set(newChunks.map((chunk) => chunkId(
+        latin1Decoder.decode(chunk.subarray(4, 8)),
+        chunk.subarray(8, chunk.length - 4)
+    )));
+
+    const kept = chunks.filter((chunk) => !replacedIds.has(chunkId(chunk.type, chunk.data)));
+    const parts = [new Uint8Array(PNG_SIGNATURE)];
+    kept.forEach((chunk) => {
+        parts.push(bytes.subarray(chunk.offset, chunk.offset + chunk.length));
+        if (chunk.type === 'IHDR') parts.push(...newChunks);
+    });
+
+    const result = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+    let position = 0;
+    parts.forEach((part) => {
+        result.set(part, position);
+        position += part.length;
+    });
+    return result;
+};
+
+/**
+ * Lee todos los textos (tEXt, zTXt e iTXt) de un PNG
+ * @param {Uint8Array} bytes - Bytes del PNG
+ * @returns {Object<string, string>} - Mapa clave -> texto
+ */
+export const readPngTextChunks = (bytes) => {
+    const texts = {};
+
+    readPngChunks(bytes).forEach(({ type, data }) => {
+        const keywordEnd = data.indexOf(0);
+        if (keywordEnd <= 0) return;
+        const keyword = latin1Decoder.decode(data.subarray(0, keywordEnd));
+
+        try {
+            if (type === 'tEXt') {
+                texts[keyword] = latin1Decoder.decode(data.subarray(keywordEnd + 1));
+            } else if (type === 'zTXt') {
+                texts[keyword] = latin1Decoder.decode(unzlibSync(data.subarray(keywordEnd + 2)));
+            } else if (type === 'iTXt') {
+                const compressed = data[keywordEnd + 1] === 1;
+                // Saltar etiqueta de idioma y clave traducida (ambas terminadas en \0)
+                const languageEnd = data.indexOf(0, keywordEnd + 3);
+                const translatedEnd = data.indexOf(0, languageEnd + 1);
+                const textBytes = data.subarray(translatedEnd + 1);
+                texts[keyword] = textDecoder.decode(compressed ? unzlibSync(textBytes) : textBytes);
+            }
+        } catch (err) {
+            console.warn(`Chunk ${type} "${keyword}" ilegible:`, err);
+        }
+    });
+
+    return texts;
+};
+
+/**
+ * Convierte un Data URL base64 en bytes
+ * @param {string} dataUrl
+ * @returns {Uint8Array}
+ */
+export const dataUrlToBytes = (dataUrl) => {
+    const binary = atob(dataUrl.slice(dataUrl.indexOf(',') + 1));
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+};
+
+/**
+ * Convierte bytes en un Data URL base64
+ * @param {Uint8Array} bytes
+ * @param {string} mimeType
+ * @returns {string}
+ */
+export const bytesToDataUrl = (bytes, mimeType) => {
+    let binary = '';
+    // Por bloques para no desbordar la pila con String.fromCharCode
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return `data:${mimeType};base64,${btoa(binary)}`;
+};
+
+/**
+ * Escribe los metadatos del exportador en un PNG: resolución física (pHYs)
+ * y, opcionalmente, el código Mermaid y las opciones de exportación (iTXt)
+ * @param {string} pngDataUrl - Data URL del PNG
+ * @param {Object} metadata
+ * @param {number} [metadata.dpi] - Resolución física a declarar
+ * @param {string} [metadata.source] - Código Mermaid original
+ * @param {Object} [metadata.options] - Opciones de exportación a recordar (scale, transparent...)
+ * @returns {string} - Data URL del PNG con metadatos
+ */
+export const writePngMetadata = (pngDataUrl, { dpi, source, options = {} }) => {
+    const chunks = [];
+    if (dpi) {
+        chunks.push(createPhysChunk(dpi));
+    }
+    if (source) {
+        chunks.push(
+            createITXtChunk(PNG_SOURCE_KEYWORD, source),
+            createITXtChunk(PNG_OPTIONS_KEYWORD, JSON.stringify(options))
+        );
+    }
+    if (chunks.length === 0) return pngDataUrl;
+
+    return bytesToDataUrl(insertPngChunks(dataUrlToBytes(pngDataUrl), chunks), 'image/png');
+};
+
+/**
+ * Recupera el código Mermaid incrustado en un PNG exportado por la app
+ * @param {Uint8Array} bytes - Bytes del PNG
+ * @returns {{code: string, options: Object} | null} - null si no tiene código incrustado
+ */
+export const extractMermaidSource = (bytes) => {
+    const texts = readPngTextChunks(bytes);
+    const code = texts[PNG_SOURCE_KEYWORD];
+    if (!code) return null;
+
+    let options = {};
+    try {
+        options = JSON.parse(texts[PNG_OPTIONS_KEYWORD] || '{}');
+    } catch {
+        // Opciones corruptas: el código sigue siendo recuperable
+    }
+
+    return { code, options };
+};
@@ -0,0 +1,63 @@
+import { describe, it, expect } from 'vitest';
+import {
+    isPng,
+    readPngChunks,
+    readPngTextChunks,
+    writePngMetadata,
+    extractMermaidSource,
+    dataUrlToBytes,
+    PNG_SOURCE_KEYWORD,
+} from './pngMetadata';
+
+// PNG de 1x1 píxel sin metadatos
+const PIXEL_PNG = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==';
+
+/**
+ * Píxeles por metro declarados en el chunk pHYs
+ * @param {Uint8Array} bytes
+ * @returns {number|null}
+ */
+const readPhysPixelsPerMeter = (bytes) => {
+    const phys = readPngChunks(bytes).find((chunk) => chunk.type === 'pHYs');
+    return phys ? new DataView(phys.data.buffer, phys.data.byteOffset).getUint32(0) : null;
+};
+
+describe('pngMetadata', () => {
+    it('reconoce la firma PNG', () => {
+        expect(isPng(dataUrlToBytes(PIXEL_PNG))).toBe(true);
+        expect(isPng(new Uint8Array([1, 2, 3]))).toBe(false);
+    });
+
+    it('incrusta y recupera el código Mermaid con caracteres no ASCII', () => {
+        const source = 'graph TD\n    A[Año] --> B["Ñandú 🦤"]';
+        const url = writePngMetadata(PIXEL_PNG, { source, options: { scale: 2, transparent: true } });
+        const bytes = dataUrlToBytes(url);
+
+        expect(readPngTextChunks(bytes)[PNG_SOURCE_KEYWORD]).toBe(source);
+        expect(extractMermaidSource(bytes)).toEqual({ code: source, options: { scale: 2, transparent: true } });
+    });
+
+    it('escribe los metadatos justo después de IHDR y conserva IEND al final', () => {
+        const bytes = dataUrlToBytes(writePngMetadata(PIXEL_PNG, { dpi: 300, source: 'graph TD\nA' }));
+        const types = readPngChunks(bytes).map((chunk) => chunk.type);
+
+        expect(types[0]).toBe('IHDR');
+        expect(types.slice(1, 4)).toEqual(['pHYs', 'iTXt', 'iTXt']);
+        expect(types[types.length - 1]).toBe('IEND');
+    });
+
+    it('sustituye los metadatos al reexportar en lugar de duplicarlos', () => {
+        const first = writePngMetadata(PIXEL_PNG, { dpi: 96, source: 'graph TD\nA' });
+        const bytes = dataUrlToBytes(writePngMetadata(first, { dpi: 300, source: 'graph TD\nB' }));
+        const chunks = readPngChunks(bytes);
+
+        expect(chunks.filter((chunk) => chunk.type === 'pHYs')).toHaveLength(1);
+        expect(readPhysPixelsPerMeter(bytes)).toBe(Math.round(300 / 0.0254));
+        expect(extractMermaidSource(bytes).code).toBe('graph TD\nB');
+    });
+
+    it('devuelve null si el PNG no lleva código incrustado', () => {
+        expect(extractMermaidSource(dataUrlToBytes(PIXEL_PNG))).toBeNull();
+        expect(writePngMetadata(PIXEL_PNG, {})).toBe(PIXEL_PNG);
+    });
+});
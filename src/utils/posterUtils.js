@@ -0,0 +1,252 @@
+import { buildExportSvg, cropExportSvg, rasterizeSvg, MAX_CANVAS_SIDE } from './exportUtils';
+import { PDF_PAGE_SIZES, PDF_TARGET_DPI } from './pdfUtils';
+
+export const POSTER_OUTPUTS = ['pdf', 'zip'];
+export const POSTER_MAX_TILES_PER_SIDE = 10;
+
+// Margen mínimo (mm) para que quepan las marcas de corte y la coordenada de página
+const POSTER_MIN_MARGIN = 8;
+// Longitud de las marcas de corte y separación respecto al área impresa (mm)
+const CROP_MARK_LENGTH = 5;
+const CROP_MARK_GAP = 1;
+
+/**
+ * Coordenada legible de una página del póster: fila en letra, columna en número (ej: "B3")
+ * @param {number} row - Fila (0-based)
+ * @param {number} column - Columna (0-based)
+ * @returns {string}
+ */
+export const getTileLabel = (row, column) => `${String.fromCharCode(65 + row)}${column + 1}`;
+
+/**
+ * Calcula la rejilla del póster: qué región del diagrama va en cada página.
+ * Las páginas contiguas comparten una franja de solapamiento para poder pegarlas.
+ * @param {{width: number, height: number}} size - Tamaño del diagrama en px CSS
+ * @param {Object} options - Opciones del póster
+ * @param {number} options.columns - Páginas en horizontal
+ * @param {number} options.rows - Páginas en vertical
+ * @param {number} options.overlap - Solapamiento entre páginas en mm
+ * @param {string} options.pageSize - 'a4' | 'letter' | 'a3'
+ * @param {string} options.orientation - 'auto' | 'portrait' | 'landscape'
+ * @param {number} options.margin - Margen de cada página en mm
+ * @returns {{landscape: boolean, pageWidth: number, pageHeight: number, margin: number, overlap: number, columns: number, rows: number, mmPerPx: number, tiles: Array<{row: number, column: number, label: string, region: {x: number, y: number, width: number, height: number}}>}}
+ */
+export const computePosterGrid = ({ width, height }, {
+    columns = 2,
+    rows = 2,
+    overlap = 10,
+    pageSize = 'a4',
+    orientation = 'auto',
+    margin = 10,
+}) => {
+    const clamp = (value) => Math.min(Math.max(Math.round(value) || 1, 1), POSTER_MAX_TILES_PER_SIDE);
+    const cols = clamp(columns);
+    const rowCount = clamp(rows);
+
+    const page = PDF_PAGE_SIZES[pageSize] || PDF_PAGE_SIZES.a4;
+    // En modo auto, la orientación de cada página sigue la proporción de su trozo de diagrama
+    const landscape = orientation === 'landscape'
+        || (orientation === 'auto' && width / cols > height / rowCount);
+    const pageWidth = landscape ? page.height : page.width;
+    const pageHeight = landscape ? page.width : page.height;
+
+    const safeMargin = Math.max(margin, POSTER_MIN_MARGIN);
+    const printableWidth = pageWidth - safeMargin * 2;
+    const printableHeight = pageHeight - safeMargin * 2;
+    const safeOverlap = Math.max(0, Math.min(overlap, Math.min(printableWidth, printableHeight) / 2));
+
+    // Tamaño total impreso del póster descontando los solapamientos
+    const posterWidth = cols * printableWidth - (cols - 1) * safeOverlap;
+    const posterHeight = rowCount * printableHeight - (rowCount - 1) * safeOverlap;
+    const mmPerPx = Math.min(posterWidth / width, posterHeight / height);
+
+    const tileWidth = printableWidth / mmPerPx;
+    const tileHeight = printableHeight / mmPerPx;
+    const stepX = tileWidth - safeOverlap / mmPerPx;
+    const stepY = tileHeight - safeOverlap / mmPerPx;
+
+    const tiles = [];
+    for (let row = 0; row < rowCount; row++) {
+        for (let column = 0; column < cols; column++) {
+            const x = column * stepX;
+            const y = row * stepY;
+            const regionWidth = Math.min(tileWidth, width - x);
+            const regionHeight = Math.min(tileHeight, height - y);
+
+            // Omitir páginas que quedarían en blanco (el diagrama no llena la rejilla)
+            if (regionWidth <= 0 || regionHeight <= 0) continue;
+
+            tiles.push({
+                row,
+                column,
+                label: getTileLabel(row, column),
+                region: { x, y, width: regionWidth, height: regionHeight },
+            });
+        }
+    }
+
+    return {
+        landscape,
+        pageWidth,
+        pageHeight,
+        margin: safeMargin,
+        overlap: safeOverlap,
+        columns: cols,
+        rows: rowCount,
+        mmPerPx,
+        tiles,
+    };
+};
+
+/**
+ * Dibuja las marcas de corte en las esquinas del área impresa y las guías
+ * de solapamiento en los lados que comparten franja con otra página
+ */
+const drawCropMarks = (ctx, grid, tile, pxPerMm) => {
+    const m = grid.margin * pxPerMm;
+    const right = (grid.pageWidth - grid.margin) * pxPerMm;
+    const bottom = (grid.pageHeight - grid.margin) * pxPerMm;
+    const gap = CROP_MARK_GAP * pxPerMm;
+    const length = Math.min(CROP_MARK_LENGTH, grid.margin - CROP_MARK_GAP * 2) * pxPerMm;
+
+    ctx.save();
+    ctx.strokeStyle = "#000000";
+    ctx.lineWidth = Math.max(1, 0.2 * pxPerMm);
+
+    const line = (x1, y1, x2, y2) => {
+        ctx.beginPath();
+        ctx.moveTo(x1, y1);
+        ctx.lineTo(x2, y2);
+        ctx.stroke();
+    };
+
+    // Esquinas del área impresa
+    [[m, m, -1, -1], [right, m, 1, -1], [m, bottom, -1, 1], [right, bottom, 1, 1]].forEach(([x, y, dx, dy]) => {
+        line(x + dx * gap, y, x + dx * (gap + length), y);
+        line(x, y + dy * gap, x, y + dy * (gap + length));
+    });
+
+    // Guías de solapamiento: dónde empieza la franja compartida con la página vecina
+    if (grid.overlap > 0) {
+        const overlap = grid.overlap * pxPerMm;
+        ctx.setLineDash([2 * pxPerMm, 1 * pxPerMm]);
+
+        const verticalGuides = [];
+        if (tile.column > 0) verticalGuides.push(m + overlap);
+        if (tile.column < grid.columns - 1) verticalGuides.push(right - overlap);
+        verticalGuides.forEach((x) => {
+            line(x, m - gap, x, m - gap - length);
+            line(x, bottom + gap, x, bottom + gap + length);
+        });
+
+        const horizontalGuides = [];
+        if (tile.row > 0) horizontalGuides.push(m + overlap);
+        if (tile.row < grid.rows - 1) horizontalGuides.push(bottom - overlap);
+        horizontalGuides.forEach((y) => {
+            line(m - gap, y, m - gap - length, y);
+            line(right + gap, y, right + gap + length, y);
+        });
+    }
+
+    ctx.restore();
+};
+
+/**
+ * Renderiza una página completa del póster (papel blanco, trozo del diagrama,
+ * marcas de corte y coordenada de página) en un canvas
+ * @param {Object} exportSvg - Resultado de buildExportSvg
+ * @param {Object} grid - Resultado de computePosterGrid
+ * @param {Object} tile - Página a renderizar
+ * @param {number} index - Posición de la página (0-based) para el pie
+ * @returns {Promise<HTMLCanvasElement>}
+ */
+export const renderPosterPage = async (exportSvg, grid, tile, index) => {
+    // Resolución de impresión limitada al tamaño máximo seguro de canvas
+    const pxPerMm = Math.min(
+        PDF_TARGET_DPI / 25.4,
+        MAX_CANVAS_SIDE / Math.max(grid.pageWidth, grid.pageHeight)
+    );
+
+    const canvas = document.createElement("canvas");
+    canvas.width = Math.round(grid.pageWidth * pxPerMm);
+    canvas.height = Math.round(grid.pageHeight * pxPerMm);
+
+    const ctx = canvas.getContext("2d", { alpha: false });
+    ctx.fillStyle = "#ffffff";
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+    // El recorte se rasteriza directamente a la resolución de impresión
+    const tileSvg = cropExportSvg(exportSvg, tile.region);
+    const tileCanvas = await rasterizeSvg(tileSvg, { scale: grid.mmPerPx * pxPerMm, transparent: false });
+    ctx.drawImage(tileCanvas, Math.round(grid.margin * pxPerMm), Math.round(grid.margin * pxPerMm));
+
+    drawCropMarks(ctx, grid, tile, pxPerMm);
+
+    // Coordenada de la página en el margen inferior
+    ctx.fillStyle = "#000000";
+    ctx.font = `${Math.round(3 * pxPerMm)}px -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Helvetica, Arial, sans-serif`;
+    ctx.textAlign = "center";
+    ctx.textBaseline = "middle";
+    ctx.fillText(
+        `${tile.label}  ·  ${index + 1}/${grid.tiles.length}  ·  ${grid.rows}×${grid.columns}`,
+        canvas.width / 2,
+        canvas.height - (grid.margin / 2) * pxPerMm
+    );
+
+    return canvas;
+};
+
+/**
+ * Convierte un canvas en los bytes de un PNG
+ * @param {HTMLCanvasElement} canvas
+ * @returns {Promise<Uint8Array>}
+ */
+const canvasToPngBytes = (canvas) => new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => {
+        if (!blob) {
+            reject(new Error("Error generando PNG"));
+            return;
+        }
+        blob.arrayBuffer().then((buffer) => resolve(new Uint8Array(buffer)), reject);
+    }, "image/png");
+});
+
+/**
+ * Exporta un diagrama grande como póster dividido en una rejilla de páginas,
+ * ya sea como PDF multipágina o como ZIP de PNGs (uno por página)
+ * @param {SVGElement} svgElement - Elemento SVG a exportar
+ * @param {Object} options - Opciones del póster (ver computePosterGrid)
+ * @param {string} options.output - 'pdf' | 'zip'
+ * @param {Object} [options.style] - Estilo del lienzo (ver DEFAULT_EXPORT_STYLE)
+ * @returns {Promise<Blob>}
+ */
+export const exportSvgToPoster = async (svgElement, { output = 'pdf', style, ...gridOptions }) => {
+    // El papel es blanco: las páginas del póster nunca son transparentes
+    const exportSvg = buildExportSvg(svgElement, { transparent: false, style });
+    const grid = computePosterGrid(exportSvg, gridOptions);
+
+    if (output === 'zip') {
+        const { zipSync } = await import('fflate');
+        const files = {};
+        for (const [index, tile] of grid.tiles.entries()) {
+            const page = await renderPosterPage(exportSvg, grid, tile, index);
+            // Los PNG ya van comprimidos: se guardan sin recomprimir
+            files[`poster-${tile.label}.png`] = [await canvasToPngBytes(page), { level: 0 }];
+        }
+        return new Blob([zipSync(files)], { type: 'application/zip' });
+    }
+
+    const { jsPDF } = await import('jspdf');
+    const orientation = grid.landscape ? 'landscape' : 'portrait';
+    const format = gridOptions.pageSize in PDF_PAGE_SIZES ? gridOptions.pageSize : 'a4';
+    const doc = new jsPDF({ orientation, unit: 'mm', format, compress: true });
+    doc.setProperties({ title: 'Mermaid poster', creator: 'Mermaid PNG Exporter' });
+
+    for (const [index, tile] of grid.tiles.entries()) {
+        if (index > 0) doc.addPage(format, orientation);
+        const page = await renderPosterPage(exportSvg, grid, tile, index);
+        doc.addImage(page, 'PNG', 0, 0, grid.pageWidth, grid.pageHeight, undefined, 'FAST');
+    }
+
+    return doc.output('blob');
+};
@@ -0,0 +1,145 @@
+import { zlibSync, unzlibSync, strToU8, strFromU8 } from 'fflate';
+import { MERMAID_THEMES } from '../config/mermaid.config';
+import { EXPORT_SCALES } from './exportUtils';
+
+// Mismo formato que mermaid.live: JSON comprimido con zlib en base64url tras "#pako:"
+const PAKO_PREFIX = 'pako:';
+// Formato antiguo de mermaid.live: JSON en base64 sin comprimir
+const BASE64_PREFIX = 'base64:';
+// Enlaces de mermaid.live (u otras herramientas compatibles) pegados como texto
+const SHARE_LINK_PATTERN = /^https?:\/\/\S*#(?:pako|base64):\S+$/;
+
+/**
+ * Escala del selector más cercana a la de un enlace (que puede venir manipulado)
+ * @param {*} value
+ * @returns {number|null} - null si no es un número
+ */
+const toExportScale = (value) => {
+    const scale = typeof value === 'string' && value.trim() ? Number(value) : value;
+    if (typeof scale !== 'number' || !Number.isFinite(scale)) return null;
+    return EXPORT_SCALES.reduce((best, option) => (Math.abs(option - scale) < Math.abs(best - scale) ? option : best));
+};
+
+/**
+ * Codifica bytes en base64url (sin relleno)
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+const toBase64Url = (bytes) => {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+/**
+ * Decodifica base64 o base64url (con o sin relleno)
+ * @param {string} text
+ * @returns {Uint8Array}
+ */
+const fromBase64Url = (text) => {
+    const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+    const binary = atob(base64 + '='.repeat((4 - (base64.length % 4)) % 4));
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+};
+
+/**
+ * Indica si un texto es un enlace completo con estado compartido (#pako: o #base64:)
+ * @param {string} text
+ * @returns {boolean}
+ */
+export const isShareLink = (text) => SHARE_LINK_PATTERN.test(text.trim());
+
+/**
+ * Codifica el estado del diagrama en un fragmento de URL comprimido.
+ * Sigue el esquema de mermaid.live (code + config en "mermaid") para que
+ * los enlaces también se abran allí; las opciones de exportación van aparte.
+ * @param {Object} state
+ * @param {string} state.code - Código Mermaid
+ * @param {number} [state.scale] - Escala de exportación
+ * @param {boolean} [state.transparent] - Fondo transparente
+ * @param {{theme: string, themeVariables: Object}} [state.themeConfig] - Tema de Mermaid
+ * @returns {string} - Fragmento sin "#" (ej: "pako:eNp...")
+ */
+export const encodeShareState = ({ code, scale, transparent, themeConfig }) => {
+    const mermaidConfig = {};
+    if (themeConfig?.theme) mermaidConfig.theme = themeConfig.theme;
+    if (themeConfig?.themeVariables && Object.keys(themeConfig.themeVariables).length > 0) {
+        mermaidConfig.themeVariables = themeConfig.themeVariables;
+    }
+
+    const payload = {
+        code,
+        mermaid: JSON.stringify(mermaidConfig, null, 2),
+        export: { scale, transparent },
+    };
+
+    return `${PAKO_PREFIX}${toBase64Url(zlibSync(strToU8(JSON.stringify(payload)), { level: 9 }))}`;
+};
+
+/**
+ * Decodifica un fragmento de URL propio o de mermaid.live
+ * @param {string} hash - location.hash o un enlace completo
+ * @returns {{code: string, scale?: number, transparent?: boolean, themeConfig?: Object} | null}
+ *   null si el fragmento no contiene un estado válido
+ */
+export const decodeShareState = (hash) => {
+    let json;
+    try {
+        const fragment = decodeURIComponent(hash.slice(hash.indexOf('#') + 1)).trim();
+        if (fragment.startsWith(PAKO_PREFIX)) {
+            json = strFromU8(unzlibSync(fromBase64Url(fragment.slice(PAKO_PREFIX.length))));
+        } else if (fragment.startsWith(BASE64_PREFIX)) {
+            json = strFromU8(fromBase64Url(fragment.slice(BASE64_PREFIX.length)));
+        } else {
+            return null;
+        }
+    } catch (err) {
+        console.warn('Enlace compartido ilegible:', err);
+        return null;
+    }
+
+    let payload;
+    try {
+        payload = JSON.parse(json);
+    } catch {
+        return null;
+    }
+    if (typeof payload?.code !== 'string') return null;
+
+    const state = { code: payload.code };
+
+    // mermaid.live guarda la configuración como texto JSON; puede traer claves que aquí no se usan
+    try {
+        const config = typeof payload.mermaid === 'string' ? JSON.parse(payload.mermaid) : payload.mermaid || {};
+        if (MERMAID_THEMES.includes(config.theme)) {
+            state.themeConfig = {
+                theme: config.theme,
+                themeVariables: config.themeVariables && typeof config.themeVariables === 'object' ? config.themeVariables : {},
+            };
+        }
+    } catch {
+        // Configuración corrupta: el código sigue siendo válido
+    }
+
+    const scale = toExportScale(payload.export?.scale);
+    if (scale !== null) state.scale = scale;
+    if (typeof payload.export?.transparent === 'boolean') state.transparent = payload.export.transparent;
+
+    return state;
+};
+
+/**
+ * URL de la app actual con el estado en el fragmento (nunca se envía al servidor)
+ * @param {Object} state - Ver encodeShareState
+ * @returns {string}
+ */
+export const buildShareUrl = (state) => {
+    const { origin, pathname, search } = window.location;
+    return `${origin}${pathname}${search}#${encodeShareState(state)}`;
+};
@@ -0,0 +1,56 @@
+import { describe, it, expect, vi } from 'vitest';
+import { zlibSync, strToU8 } from 'fflate';
+import { encodeShareState, decodeShareState, isShareLink } from './shareUrl';
+
+describe('shareUrl', () => {
+    it('codifica y decodifica el estado completo', () => {
+        const state = {
+            code: 'graph TD\n    A["Año"] --> B',
+            scale: 2,
+            transparent: true,
+            themeConfig: { theme: 'base', themeVariables: { primaryColor: '#ff0000' } },
+        };
+        const fragment = encodeShareState(state);
+
+        expect(fragment.startsWith('pako:')).toBe(true);
+        expect(fragment).not.toMatch(/[+/=]/);
+        expect(decodeShareState(`#${fragment}`)).toEqual(state);
+    });
+
+    it('abre enlaces de mermaid.live (pako y base64)', () => {
+        const payload = JSON.stringify({ code: 'graph LR\nA-->B', mermaid: '{\n  "theme": "dark"\n}' });
+        const pako = Buffer.from(zlibSync(strToU8(payload))).toString('base64url');
+        const base64 = Buffer.from(payload).toString('base64');
+
+        expect(decodeShareState(`https://mermaid.live/edit#pako:${pako}`)).toEqual({
+            code: 'graph LR\nA-->B',
+            themeConfig: { theme: 'dark', themeVariables: {} },
+        });
+        expect(decodeShareState(`#base64:${base64}`).code).toBe('graph LR\nA-->B');
+    });
+
+    it('ignora fragmentos que no son estados válidos', () => {
+        vi.spyOn(console, 'warn').mockImplementation(() => {});
+        expect(decodeShareState('#seccion')).toBeNull();
+        expect(decodeShareState('#pako:no-es-zlib')).toBeNull();
+        expect(decodeShareState(`#base64:${Buffer.from('{"otro":1}').toString('base64')}`)).toBeNull();
+        vi.restoreAllMocks();
+    });
+
+    it('ajusta la escala del enlace a las del selector', () => {
+        const scaleOf = (scale) => decodeShareState(`#${encodeShareState({ code: 'graph TD', scale })}`).scale;
+
+        expect(scaleOf(2)).toBe(2);
+        expect(scaleOf(-5)).toBe(1);
+        expect(scaleOf(1e9)).toBe(4);
+        expect(scaleOf(2.4)).toBe(2);
+        expect(scaleOf('3')).toBe(3);
+        expect(scaleOf(NaN)).toBeUndefined();
+        expect(scaleOf('x')).toBeUndefined();
+    });
+
+    it('reconoce enlaces completos pegados como texto', () => {
+        expect(isShareLink('  https://mermaid.live/edit#pako:eNpLz  ')).toBe(true);
+        expect(isShareLink('graph TD\nA-->B')).toBe(false);
+    });
+});
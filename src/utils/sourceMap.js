@@ -0,0 +1,428 @@
+// Correspondencia entre elementos del diagrama renderizado y su código (flowchart/graph)
+import { parseAllNodes, parseSubgraphs } from './styleParser';
+import { getDiagramType, formatLabelContent } from './mermaidAutoFix';
+
+// Flechas de flowchart: -->, ---, -.->, ==>, --o, --x, <-->, y el cierre .-> de "A -. texto .-> B"
+const ARROW_PATTERN = /<?(?:-{2,}|={2,}|-\.+-?|\.+-)(?:>|[ox](?!\w))?|~~~/g;
+
+// Aperturas de "A -- texto --> B": lo que sigue hasta la siguiente flecha es la etiqueta
+const LABEL_OPENERS = ['--', '==', '-.'];
+
+const ID_PATTERN = /[A-Za-z_\u00C0-\uFFFF][\w\u00C0-\uFFFF]*/;
+
+// Líneas sin nodos ni aristas
+const NON_GRAPH_LINE = /^\s*(?:%%|classDef\s|class\s|style\s|linkStyle\s|click\s|direction\s|end\s*$|(?:graph|flowchart)\b)/;
+
+/**
+ * Sustituye por espacios el texto de etiquetas, cadenas y |etiquetas de arista|
+ * para que sus flechas o palabras no se confundan con sintaxis (conserva posiciones)
+ * @param {string} line
+ * @returns {string}
+ */
+const maskLabels = (line) => {
+    let masked = '';
+    let depth = 0;
+    let quote = false;
+    let pipe = false;
+
+    for (const char of line) {
+        if (quote) {
+            quote = char !== '"';
+            masked += ' ';
+        } else if (char === '"') {
+            quote = true;
+            masked += ' ';
+        } else if ('[({'.includes(char)) {
+            depth++;
+            masked += depth === 1 ? char : ' ';
+        } else if (')]}'.includes(char) && depth > 0) {
+            depth--;
+            masked += depth === 0 ? char : ' ';
+        } else if (depth > 0) {
+            masked += ' ';
+        } else if (char === '|') {
+            pipe = !pipe;
+            masked += char;
+        } else {
+            masked += pipe ? ' ' : char;
+        }
+    }
+    return masked;
+};
+
+/**
+ * Ids de nodo de un tramo entre flechas ("A & B[texto]:::clase")
+ * @param {string} segment - Tramo enmascarado
+ * @param {number} offset - Columna del tramo en la línea
+ * @returns {Array<{id: string, start: number, end: number}>}
+ */
+const segmentIds = (segment, offset) => {
+    const ids = [];
+    let partOffset = offset;
+    segment.split('&').forEach((part) => {
+        const match = part.match(ID_PATTERN);
+        if (match) {
+            const start = partOffset + match.index;
+            ids.push({ id: match[0], start, end: start + match[0].length });
+        }
+        partOffset += part.length + 1;
+    });
+    return ids;
+};
+
+/**
+ * Etiqueta de la arista que llega a un tramo: "-->|texto|" al inicio del tramo
+ * o la de "-- texto -->" ya encontrada
+ * @param {Object} segment - Tramo enmascarado
+ * @param {{start: number, end: number}|null} inlineLabel
+ * @returns {{start: number, end: number, format: 'pipe'|'inline'}|null} - Columnas del texto entre delimitadores
+ */
+const segmentLabel = (segment, inlineLabel) => {
+    if (inlineLabel) return { ...inlineLabel, format: 'inline' };
+    const pipe = segment.text.match(/^\s*\|([^|]*)\|/);
+    if (!pipe) return null;
+    const start = segment.offset + pipe[0].indexOf('|') + 1;
+    return { start, end: start + pipe[1].length, format: 'pipe' };
+};
+
+/**
+ * Ids y aristas definidos en una línea
+ * @param {string} line
+ * @returns {{ids: Array<{id, start, end}>, edges: Array<{from, to, start, end, arrowStart, arrowEnd, label, shared}>}}
+ */
+const parseGraphLine = (line) => {
+    if (NON_GRAPH_LINE.test(line) || /^\s*subgraph\b/.test(line)) return { ids: [], edges: [] };
+
+    const masked = maskLabels(line);
+    const arrows = [...masked.matchAll(ARROW_PATTERN)];
+    const segments = [];
+    let cursor = 0;
+    let skipNext = false;
+    let inlineLabel = null;
+
+    arrows.forEach((arrow) => {
+        if (!skipNext) {
+            const segment = { text: masked.slice(cursor, arrow.index), offset: cursor, arrowStart: arrow.index };
+            segments.push({ ...segment, label: segmentLabel(segment, inlineLabel) });
+            inlineLabel = null;
+        } else {
+            // Cierre de "-- texto -->": lo que hay entre las dos flechas es la etiqueta
+            inlineLabel = { start: cursor, end: arrow.index };
+        }
+        skipNext = LABEL_OPENERS.includes(arrow[0]) && !skipNext;
+        cursor = arrow.index + arrow[0].length;
+    });
+    const last = { text: masked.slice(cursor), offset: cursor, arrowStart: null };
+    segments.push({ ...last, label: segmentLabel(last, inlineLabel) });
+
+    const groups = segments.map((segment) => segmentIds(segment.text, segment.offset));
+    const edges = [];
+    for (let i = 0; i < groups.length - 1; i++) {
+        groups[i].forEach((source) => {
+            groups[i + 1].forEach((target) => {
+                edges.push({
+                    from: source.id,
+                    to: target.id,
+                    start: source.start,
+                    end: target.end,
+                    // Flecha completa, con la etiqueta si la lleva ("-- texto -->", "-->|texto|")
+                    arrowStart: segments[i].arrowStart,
+                    arrowEnd: segments[i + 1].offset + (segments[i + 1].text.match(/^\s*\|[^|]*\|/)?.[0].length || 0),
+                    label: segments[i + 1].label,
+                    // Con "&" (A & B --> C) varias aristas comparten la misma flecha y etiqueta
+                    shared: groups[i].length * groups[i + 1].length > 1,
+                });
+            });
+        });
+    }
+
+    return { ids: groups.flat(), edges };
+};
+
+/**
+ * Indica si el diagrama admite el mapeo (solo flowchart/graph)
+ * @param {string} code
+ * @returns {boolean}
+ */
+export const supportsSourceMap = (code) => ['flowchart', 'graph'].includes(getDiagramType(code));
+
+/**
+ * Ids de nodo usados en el código, incluidos los que solo aparecen como
+ * extremo de una arista sin forma ("Gamma --> Delta")
+ * @param {string} code
+ * @returns {string[]} - En orden de aparición, sin repetir
+ */
+export const findGraphNodeIds = (code) => {
+    const ids = new Set();
+    code.split('\n').forEach((line) => {
+        parseGraphLine(line).ids.forEach(({ id }) => ids.add(id));
+    });
+    return [...ids];
+};
+
+/**
+ * Analiza nodos, subgraphs y aristas con su posición en el código.
+ * index = n-ésima arista con el mismo origen y destino (como el id L-A-B-n de Mermaid)
+ * @param {string} code
+ * @returns {{lines: string[], lineOffsets: number[], lineIds: Array, edges: Array<{from, to, index, line, start, end}>}}
+ */
+const parseSourceMap = (code) => {
+    const lines = code.split('\n');
+    const lineOffsets = [];
+    const lineIds = [];
+    const edges = [];
+    const edgeCounts = new Map();
+    let offset = 0;
+
+    lines.forEach((line, index) => {
+        lineOffsets.push(offset);
+        offset += line.length + 1;
+
+        const parsed = parseGraphLine(line);
+        lineIds.push(parsed.ids);
+        parsed.edges.forEach((edge) => {
+            const key = `${edge.from}-${edge.to}`;
+            const count = edgeCounts.get(key) ?? 0;
+            edgeCounts.set(key, count + 1);
+            edges.push({ ...edge, index: count, line: index + 1 });
+        });
+    });
+
+    return { lines, lineOffsets, lineIds, edges };
+};
+
+/**
+ * Posición de una palabra completa en una línea
+ * @param {string} line
+ * @param {string} word
+ * @returns {number} - Columna o -1
+ */
+const findWord = (line, word) => {
+    const escaped = word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const match = maskLabels(line).match(new RegExp(`(?<![\\w\\u00C0-\\uFFFF])${escaped}(?![\\w\\u00C0-\\uFFFF])`));
+    return match ? match.index : -1;
+};
+
+/**
+ * Rango del código que define un elemento del diagrama
+ * @param {string} code
+ * @param {{type: 'node'|'subgraph'|'edge', id?: string, from?: string, to?: string, index?: number}} target
+ * @returns {{line: number, from: number, to: number} | null} - from/to = posiciones en el código
+ */
+export const findSourceRange = (code, target) => {
+    if (!target || !supportsSourceMap(code)) return null;
+    const { lines, lineOffsets, lineIds, edges } = parseSourceMap(code);
+
+    const wordRange = (lineNumber, word) => {
+        const column = findWord(lines[lineNumber - 1] || '', word);
+        if (column === -1) return null;
+        const from = lineOffsets[lineNumber - 1] + column;
+        return { line: lineNumber, from, to: from + word.length };
+    };
+
+    if (target.type === 'edge') {
+        const edge = edges.find((candidate) => candidate.from === target.from
+            && candidate.to === target.to
+            && candidate.index === (target.index ?? 0));
+        if (!edge) return null;
+        const lineOffset = lineOffsets[edge.line - 1];
+        return { line: edge.line, from: lineOffset + edge.start, to: lineOffset + edge.end };
+    }
+
+    if (target.type === 'subgraph') {
+        const subgraph = parseSubgraphs(code).get(target.id);
+        return subgraph ? wordRange(subgraph.lineNumber, target.id) : null;
+    }
+
+    // Nodo: la línea con su forma (A[texto]) o, si no tiene, su primera aparición
+    const node = parseAllNodes(code).get(target.id);
+    if (node) {
+        const range = wordRange(node.lineNumber, target.id);
+        if (range) return range;
+    }
+    const lineIndex = lineIds.findIndex((ids) => ids.some((entry) => entry.id === target.id));
+    return lineIndex === -1 ? null : wordRange(lineIndex + 1, target.id);
+};
+
+/**
+ * Elemento del diagrama que corresponde a la selección del editor:
+ * - Un id seleccionado o bajo el cursor: su nodo o subgraph
+ * - El cursor sobre una flecha o su etiqueta (o la arista seleccionada entera): esa arista
+ * - El cursor en el texto de un nodo: ese nodo
+ * - Cualquier punto de una línea "subgraph X": ese subgraph
+ * @param {string} code
+ * @param {number} start - Inicio de la selección
+ * @param {number} end - Fin de la selección
+ * @returns {{type: 'node'|'subgraph'|'edge', id?: string, from?: string, to?: string, index?: number} | null}
+ */
+export const getElementAtSelection = (code, start, end = start) => {
+    if (!supportsSourceMap(code)) return null;
+    const { lines, lineOffsets, lineIds, edges } = parseSourceMap(code);
+    const subgraphs = parseSubgraphs(code);
+
+    const lineIndex = code.slice(0, start).split('\n').length - 1;
+    const line = lines[lineIndex] || '';
+    const column = start - lineOffsets[lineIndex];
+    const endColumn = end - lineOffsets[lineIndex];
+    const lineEdges = edges.filter((edge) => edge.line === lineIndex + 1);
+
+    const elementForId = (id) => (subgraphs.has(id) ? { type: 'subgraph', id } : { type: 'node', id });
+    const edgeTarget = (edge) => ({ type: 'edge', from: edge.from, to: edge.to, index: edge.index });
+
+    const subgraphMatch = line.match(/^\s*subgraph\s+([\w\u00C0-\uFFFF]+)/);
+    if (subgraphMatch && subgraphs.has(subgraphMatch[1])) return { type: 'subgraph', id: subgraphMatch[1] };
+
+    if (end > start) {
+        const selectedEdge = lineEdges.find((edge) => edge.start === column && edge.end === endColumn);
+        if (selectedEdge) return edgeTarget(selectedEdge);
+    }
+
+    const id = lineIds[lineIndex].find((entry) => column >= entry.start && column <= entry.end);
+    if (id) return elementForId(id.id);
+
+    const edge = lineEdges.find((candidate) => column >= candidate.arrowStart && column <= candidate.arrowEnd);
+    if (edge) return edgeTarget(edge);
+
+    // Dentro de la forma de un nodo (A[texto]): el último id antes del cursor
+    const owner = lineIds[lineIndex].filter((entry) => entry.start <= column).pop();
+    return owner ? elementForId(owner.id) : null;
+};
+
+// Delimitadores de forma de nodo, los más largos primero (como parseAndFixNodes)
+const SHAPE_DELIMITERS = [
+    ['(((', ')))'], ['([', '])'], ['[[', ']]'], ['[(', ')]'], ['((', '))'], ['{{', '}}'],
+    ['[/', '/]'], ['[/', '\\]'], ['[\\', '\\]'], ['[\\', '/]'], ['>', ']'], ['[', ']'], ['(', ')'], ['{', '}'],
+];
+
+/**
+ * Columna del delimitador que cierra la forma que empieza en `start`
+ * (respeta corchetes anidados y texto entrecomillado)
+ * @param {string} line
+ * @param {number} start - Columna del primer carácter del delimitador de apertura
+ * @returns {number} - Columna del último carácter del cierre, o -1
+ */
+const findShapeEnd = (line, start) => {
+    let depth = 0;
+    let quote = false;
+    for (let i = start; i < line.length; i++) {
+        const char = line[i];
+        if (char === '"') quote = !quote;
+        if (quote) continue;
+        // Forma asimétrica "A>texto]": cierra el primer ]
+        if (line[start] === '>') {
+            if (char === ']') return i;
+        } else if ('[({'.includes(char)) {
+            depth++;
+        } else if (')]}'.includes(char) && --depth === 0) {
+            return i;
+        }
+    }
+    return -1;
+};
+
+/**
+ * Forma del nodo definida justo después de su id ("A[texto]", "A{{texto}}"...)
+ * @param {string} line
+ * @param {number} idEnd - Columna siguiente al id
+ * @returns {{open: string, close: string, start: number, end: number} | null} - start/end = columnas del contenido
+ */
+const findNodeShape = (line, idEnd) => {
+    const start = idEnd + (line.slice(idEnd).match(/^\s*/)[0].length);
+    const end = findShapeEnd(line, start);
+    if (end === -1) return null;
+
+    const shape = SHAPE_DELIMITERS.find(([open, close]) => line.startsWith(open, start)
+        && line.slice(0, end + 1).endsWith(close)
+        && end + 1 - close.length >= start + open.length);
+    if (!shape) return null;
+
+    const [open, close] = shape;
+    return { open, close, start: start + open.length, end: end + 1 - close.length };
+};
+
+/**
+ * Texto plano de una etiqueta del código: sin comillas ni backticks de markdown
+ * y con las comillas escapadas (&quot; / #quot;) resueltas
+ * @param {string} raw - Contenido entre delimitadores
+ * @returns {{text: string, quoted: boolean, markdown: boolean}}
+ */
+const decodeLabel = (raw) => {
+    const trimmed = raw.trim();
+    const markdown = /^"`[\s\S]*`"$/.test(trimmed);
+    const quoted = markdown || (trimmed.length >= 2 && /^"[\s\S]*"$/.test(trimmed));
+    const inner = markdown ? trimmed.slice(2, -2) : quoted ? trimmed.slice(1, -1) : trimmed;
+    return { text: inner.replace(/&quot;|#quot;/g, '"'), quoted, markdown };
+};
+
+/**
+ * Etiqueta editable de un nodo o arista en el código
+ * - Nodo: el contenido de su forma; si no tiene forma ("A --> B"), su id, y al
+ *   editarlo se añade la forma rectangular tras su primera aparición
+ * - Arista: el texto de "-->|texto|" o "-- texto -->"; si no tiene, se añade como |texto|
+ * @param {string} code
+ * @param {{type: 'node'|'edge', id?: string, from?: string, to?: string, index?: number}} target
+ * @returns {{from: number, to: number, text: string, quoted: boolean, markdown: boolean, hexagon: boolean, shared: boolean, wrap: [string, string]} | null}
+ *   from/to = rango del código a sustituir; wrap = delimitadores que hay que añadir alrededor;
+ *   shared = la etiqueta es de varias aristas a la vez (A & B --> C) y no se puede editar por separado
+ */
+export const findLabelRange = (code, target) => {
+    if (!target || !supportsSourceMap(code) || !['node', 'edge'].includes(target.type)) return null;
+    const { lines, lineOffsets, lineIds, edges } = parseSourceMap(code);
+
+    if (target.type === 'edge') {
+        const edge = edges.find((candidate) => candidate.from === target.from
+            && candidate.to === target.to
+            && candidate.index === (target.index ?? 0));
+        if (!edge) return null;
+        const lineOffset = lineOffsets[edge.line - 1];
+        const { shared } = edge;
+
+        if (!edge.label) {
+            const at = lineOffset + edge.arrowEnd;
+            return { from: at, to: at, text: '', quoted: false, markdown: false, hexagon: false, shared, wrap: ['|', '|'] };
+        }
+
+        // Solo el texto: se conservan los espacios de "-- texto -->" y "| texto |"
+        const raw = lines[edge.line - 1].slice(edge.label.start, edge.label.end);
+        const leading = raw.length - raw.trimStart().length;
+        const from = lineOffset + edge.label.start + leading;
+        return { from, to: from + raw.trim().length, ...decodeLabel(raw), hexagon: false, shared, wrap: ['', ''] };
+    }
+
+    let firstUse = null;
+    for (let index = 0; index < lines.length; index++) {
+        for (const entry of lineIds[index]) {
+            if (entry.id !== target.id) continue;
+            firstUse = firstUse || { index, entry };
+
+            const shape = findNodeShape(lines[index], entry.end);
+            if (!shape) continue;
+            const raw = lines[index].slice(shape.start, shape.end);
+            const from = lineOffsets[index] + shape.start;
+            return { from, to: from + raw.length, ...decodeLabel(raw), hexagon: shape.open === '{{', shared: false, wrap: ['', ''] };
+        }
+    }
+
+    if (!firstUse) return null;
+    const at = lineOffsets[firstUse.index] + firstUse.entry.end;
+    return { from: at, to: at, text: target.id, quoted: false, markdown: false, hexagon: false, shared: false, wrap: ['[', ']'] };
+};
+
+/**
+ * Cambia la etiqueta de un nodo o arista conservando su forma y su estilo de
+ * comillas (las reglas de entrecomillado son las del auto-fix)
+ * @param {string} code
+ * @param {Object} target - Ver findLabelRange
+ * @param {string} text - Nuevo texto plano
+ * @returns {string|null} - Código nuevo, o null si el elemento no tiene etiqueta editable
+ *   (o la comparte con otras aristas)
+ */
+export const replaceLabel = (code, target, text) => {
+    const range = findLabelRange(code, target);
+    if (!range || range.shared) return null;
+
+    const content = range.markdown
+        ? `"\`${text.replace(/"/g, '&quot;')}\`"`
+        : formatLabelContent(text, { hexagon: range.hexagon, quoted: range.quoted });
+    return `${code.slice(0, range.from)}${range.wrap[0]}${content}${range.wrap[1]}${code.slice(range.to)}`;
+};
@@ -0,0 +1,108 @@
+import { describe, it, expect } from 'vitest';
+import { findLabelRange, replaceLabel, findSourceRange, findGraphNodeIds } from './sourceMap';
+
+describe('replaceLabel', () => {
+    it('cambia el texto de un nodo conservando su forma', () => {
+        const code = 'graph TD\n    A{¿Seguir?} --> B(Fin)';
+
+        expect(replaceLabel(code, { type: 'node', id: 'A' }, 'Otra vez')).toBe('graph TD\n    A{Otra vez} --> B(Fin)');
+        expect(replaceLabel(code, { type: 'node', id: 'B' }, 'Adiós')).toBe('graph TD\n    A{¿Seguir?} --> B(Adiós)');
+    });
+
+    it('añade forma rectangular a un nodo sin forma', () => {
+        const code = 'graph TD\n    A --> B\n    B --> C';
+
+        expect(replaceLabel(code, { type: 'node', id: 'B' }, 'Medio')).toBe('graph TD\n    A --> B[Medio]\n    B --> C');
+    });
+
+    it('entrecomilla el texto con las reglas del auto-fix', () => {
+        const code = 'graph TD\n    A[Hola] --> B';
+
+        expect(replaceLabel(code, { type: 'node', id: 'A' }, 'Hola (mundo)')).toBe('graph TD\n    A["Hola (mundo)"] --> B');
+    });
+
+    describe('comillas, entidades y <br/>', () => {
+        const cases = [
+            ['hexágono', 'graph TD\n    A{{Hola}} --> B', { type: 'node', id: 'A' }],
+            ['rombo', 'graph TD\n    A{Hola} --> B', { type: 'node', id: 'A' }],
+            ['arista', 'graph TD\n    A -->|Hola| B', { type: 'edge', from: 'A', to: 'B' }],
+        ];
+        const edit = (code, target, text) => replaceLabel(code, target, text).split('\n')[1];
+
+        it('escapa las comillas internas', () => {
+            const [hexagon, rhombus, edge] = cases.map(([, code, target]) => edit(code, target, 'say "hi"'));
+
+            expect(hexagon).toBe('    A{{"say #quot;hi#quot;"}} --> B');
+            expect(rhombus).toBe('    A{"say &quot;hi&quot;"} --> B');
+            expect(edge).toBe('    A -->|"say &quot;hi&quot;"| B');
+        });
+
+        it.each(cases)('recupera el mismo texto con comillas en %s', (_, code, target) => {
+            const edited = replaceLabel(code, target, 'say "hi"');
+            expect(findLabelRange(edited, target).text).toBe('say "hi"');
+        });
+
+        it('conserva las entidades con #', () => {
+            const [hexagon, rhombus, edge] = cases.map(([, code, target]) => edit(code, target, 'A #35; B'));
+
+            expect(hexagon).toBe('    A{{"A #35; B"}} --> B');
+            expect(rhombus).toBe('    A{"A #35; B"} --> B');
+            expect(edge).toBe('    A -->|"A #35; B"| B');
+        });
+
+        it('mantiene <br/> salvo en hexágonos, que no lo admiten', () => {
+            const [hexagon, rhombus, edge] = cases.map(([, code, target]) => edit(code, target, 'uno<br/>dos'));
+
+            expect(hexagon).toBe('    A{{"uno dos"}} --> B');
+            expect(rhombus).toBe('    A{uno<br/>dos} --> B');
+            expect(edge).toBe('    A -->|uno<br/>dos| B');
+        });
+    });
+
+    it('cambia o añade la etiqueta de una arista', () => {
+        const code = 'graph TD\n    A -->|sí| B\n    A --> C';
+
+        expect(replaceLabel(code, { type: 'edge', from: 'A', to: 'B' }, 'vale')).toBe('graph TD\n    A -->|vale| B\n    A --> C');
+        expect(replaceLabel(code, { type: 'edge', from: 'A', to: 'C' }, 'no')).toBe('graph TD\n    A -->|sí| B\n    A -->|no| C');
+    });
+
+    it('distingue aristas repetidas por su índice', () => {
+        const code = 'graph TD\n    A -->|uno| B\n    A -->|dos| B';
+
+        expect(replaceLabel(code, { type: 'edge', from: 'A', to: 'B', index: 1 }, 'tres'))
+            .toBe('graph TD\n    A -->|uno| B\n    A -->|tres| B');
+    });
+
+    it('no edita etiquetas compartidas por varias aristas (A & B --> C)', () => {
+        const code = 'graph TD\n    A & B -->|sí| C\n    C --> D & E';
+
+        expect(findLabelRange(code, { type: 'edge', from: 'A', to: 'C' })).toMatchObject({ text: 'sí', shared: true });
+        expect(replaceLabel(code, { type: 'edge', from: 'A', to: 'C' }, 'no')).toBeNull();
+        expect(replaceLabel(code, { type: 'edge', from: 'C', to: 'E' }, 'no')).toBeNull();
+        // Los nodos del grupo sí se editan por separado
+        expect(replaceLabel(code, { type: 'node', id: 'B' }, 'Be')).toBe('graph TD\n    A & B[Be] -->|sí| C\n    C --> D & E');
+    });
+
+    it('devuelve null si el elemento no existe o el diagrama no es un flowchart', () => {
+        expect(replaceLabel('graph TD\n    A --> B', { type: 'edge', from: 'B', to: 'A' }, 'x')).toBeNull();
+        expect(replaceLabel('sequenceDiagram\n    A->>B: Hola', { type: 'node', id: 'A' }, 'x')).toBeNull();
+    });
+});
+
+describe('findSourceRange', () => {
+    it('localiza el id en la línea con la forma del nodo', () => {
+        const code = 'graph TD\n    A --> B\n    B[Medio] --> C';
+        const range = findSourceRange(code, { type: 'node', id: 'B' });
+
+        expect(range.line).toBe(3);
+        expect(range.from).toBe(code.indexOf('B[Medio]'));
+        expect(code.slice(range.from, range.to)).toBe('B');
+    });
+});
+
+describe('findGraphNodeIds', () => {
+    it('incluye los ids que solo aparecen en aristas, sin repetir', () => {
+        expect(findGraphNodeIds('graph TD\n    Alpha[Inicio] --> Gamma\n    Gamma --> Delta & Epsilon'))
+            .toEqual(['Alpha', 'Gamma', 'Delta', 'Epsilon']);
+    });
+});
@@ -668,7 +668,7 @@ export const parseClassAssignments = (code) => {
  * Update a classDef in the code with new properties
  * @param {string} code - Original Mermaid code
  * @param {string} className - Class name to update
- * @param {Object} newProps - New properties {fill?, stroke?, color?, strokeWidth?}
+ * @param {Object} newProps - New properties {fill?, stroke?, color?, strokeWidth?, fontWeight?}
  * @returns {string} - Modified code
  */
 export const updateClassDef = (code, className, newProps) => {
@@ -701,6 +701,7 @@ export const updateClassDef = (code, className, newProps) => {
         if (newProps.stroke !== undefined) mergedProps.stroke = newProps.stroke;
         if (newProps.color !== undefined) mergedProps.color = newProps.color;
         if (newProps.strokeWidth !== undefined) mergedProps['stroke-width'] = newProps.strokeWidth;
+        if (newProps.fontWeight !== undefined) mergedProps['font-weight'] = newProps.fontWeight;
 
         // Rebuild props string
         const newPropsString = Object.entries(mergedProps)
@@ -1025,7 +1026,7 @@ export const parseAllNodes = (code) => {
  * 
  * @param {string} nodeId - Node ID
  * @param {string} code - Mermaid code
- * @returns {{fill: string, color: string, stroke: string, source: string, className: string|null}}
+ * @returns {{fill: string, color: string, stroke: string, strokeWidth?: string|null, fontWeight?: string|null, source: string, className: string|null}}
  */
 export const getNodeEffectiveStyle = (nodeId, code) => {
     const nodes = parseAllNodes(code);
@@ -1045,6 +1046,8 @@ export const getNodeEffectiveStyle = (nodeId, code) => {
             fill: style.fill || MERMAID_DEFAULT_COLORS.default.fill,
             color: style.color || MERMAID_DEFAULT_COLORS.default.color,
             stroke: style.stroke || MERMAID_DEFAULT_COLORS.default.stroke,
+            strokeWidth: style.strokeWidth || null,
+            fontWeight: style['font-weight'] || null,
             source: 'inline_style',
             className: null,
         };
@@ -1067,6 +1070,8 @@ export const getNodeEffectiveStyle = (nodeId, code) => {
             fill: classDef.fill || MERMAID_DEFAULT_COLORS.default.fill,
             color: classDef.color || MERMAID_DEFAULT_COLORS.default.color,
             stroke: classDef.stroke || MERMAID_DEFAULT_COLORS.default.stroke,
+            strokeWidth: classDef.strokeWidth || null,
+            fontWeight: classDef['font-weight'] || null,
             source: 'classDef',
             className: assignedClass,
         };
@@ -1079,6 +1084,8 @@ export const getNodeEffectiveStyle = (nodeId, code) => {
             fill: defaultClass.fill || MERMAID_DEFAULT_COLORS.default.fill,
             color: defaultClass.color || MERMAID_DEFAULT_COLORS.default.color,
             stroke: defaultClass.stroke || MERMAID_DEFAULT_COLORS.default.stroke,
+            strokeWidth: defaultClass.strokeWidth || null,
+            fontWeight: defaultClass['font-weight'] || null,
             source: 'classDef_default',
             className: 'default',
         };
@@ -1199,7 +1206,7 @@ export const findUnstyledNodes = (code) => {
  * 
  * @param {string} code - Original Mermaid code
  * @param {string} nodeId - Node ID to style
- * @param {Object} props - Properties {fill?, stroke?, color?}
+ * @param {Object} props - Properties {fill?, stroke?, color?, strokeWidth?, fontWeight?}
  * @returns {string} - Modified code
  */
 export const createNodeStyle = (code, nodeId, props) => {
@@ -1233,6 +1240,8 @@ export const createNodeStyle = (code, nodeId, props) => {
     if (props.fill) propsArray.push(`fill:${props.fill}`);
     if (props.stroke) propsArray.push(`stroke:${props.stroke}`);
     if (props.color) propsArray.push(`color:${props.color}`);
+    if (props.strokeWidth) propsArray.push(`stroke-width:${props.strokeWidth}`);
+    if (props.fontWeight) propsArray.push(`font-weight:${props.fontWeight}`);
     
     if (propsArray.length === 0) return code;
     
@@ -1636,7 +1645,7 @@ export const parseInlineStyles = (code) => {
  * Update an inline style statement in the code
  * @param {string} code - Original Mermaid code
  * @param {string} nodeId - Node ID to update
- * @param {Object} newProps - New properties {fill?, stroke?, color?}
+ * @param {Object} newProps - New properties {fill?, stroke?, color?, strokeWidth?, fontWeight?}
  * @returns {string} - Modified code
  */
 export const updateInlineStyle = (code, nodeId, newProps) => {
@@ -1667,6 +1676,7 @@ export const updateInlineStyle = (code, nodeId, newProps) => {
         if (newProps.stroke !== undefined) mergedProps.stroke = newProps.stroke;
         if (newProps.color !== undefined) mergedProps.color = newProps.color;
         if (newProps.strokeWidth !== undefined) mergedProps['stroke-width'] = newProps.strokeWidth;
+        if (newProps.fontWeight !== undefined) mergedProps['font-weight'] = newProps.fontWeight;
 
         // Rebuild props string
         const newPropsString = Object.entries(mergedProps)
@@ -1890,6 +1900,64 @@ export const analyzeAllStyles = (code) => {
     return results;
 };
 
+/**
+ * Add a `style nodeId ...` line for a node without its own style.
+ * Only the given properties are written, so the rest still come from
+ * `classDef default`. The line goes after the last style statement
+ * (or at the end) with the same indentation as the diagram body.
+ * 
+ * @param {string} code - Mermaid code
+ * @param {string} nodeId - Node ID
+ * @param {Object} props - Properties {fill?, stroke?, color?, strokeWidth?, fontWeight?}
+ * @returns {string} - Modified code
+ */
+const addInlineStyle = (code, nodeId, props) => {
+    const propsArray = [];
+    if (props.fill) propsArray.push(`fill:${props.fill}`);
+    if (props.stroke) propsArray.push(`stroke:${props.stroke}`);
+    if (props.color) propsArray.push(`color:${props.color}`);
+    if (props.strokeWidth) propsArray.push(`stroke-width:${props.strokeWidth}`);
+    if (props.fontWeight) propsArray.push(`font-weight:${props.fontWeight}`);
+    if (propsArray.length === 0) return code;
+
+    const lines = code.split('\n');
+    const isStatement = (line) => line.trim() && !line.trim().startsWith('%%');
+    const styleIndex = lines.findLastIndex((line) => /^\s*(?:style|classDef|class|linkStyle)\s/.test(line));
+    const bodyLine = styleIndex !== -1
+        ? lines[styleIndex]
+        : lines.slice(1).find(isStatement);
+    const indent = bodyLine ? bodyLine.match(/^\s*/)[0] : '    ';
+
+    let insertIndex = styleIndex + 1;
+    if (styleIndex === -1) {
+        insertIndex = lines.length;
+        while (insertIndex > 0 && !lines[insertIndex - 1].trim()) insertIndex--;
+    }
+
+    lines.splice(insertIndex, 0, `${indent}style ${nodeId} ${propsArray.join(',')}`);
+    return lines.join('\n');
+};
+
+/**
+ * Update the style of a single node wherever it is currently styled:
+ * - Inline style (style A ...) → updateInlineStyle
+ * - Assigned class with a classDef (A:::cls or class A cls) → updateClassDef
+ *   (affects every node with that class, like editing the classDef by hand)
+ * - No explicit style (or only classDef default) → new `style A ...` line
+ *   (keeps whatever it inherits from classDef default)
+ * 
+ * @param {string} code - Mermaid code
+ * @param {string} nodeId - Node ID
+ * @param {Object} newProps - Properties {fill?, stroke?, color?, strokeWidth?, fontWeight?}
+ * @returns {string} - Modified code
+ */
+export const updateNodeStyle = (code, nodeId, newProps) => {
+    const { source, className } = getNodeEffectiveStyle(nodeId, code);
+    if (source === 'inline_style') return updateInlineStyle(code, nodeId, newProps);
+    if (source === 'classDef') return updateClassDef(code, className, newProps);
+    return addInlineStyle(code, nodeId, newProps);
+};
+
 /**
  * Update any style (classDef, inline, subgraph, edgeLabel, or unstyledNode) based on type
  * @param {string} code
@@ -0,0 +1,58 @@
+import { describe, it, expect } from 'vitest';
+import { getNodeEffectiveStyle, updateNodeStyle } from './styleParser';
+
+describe('getNodeEffectiveStyle', () => {
+    it('devuelve grosor de borde y peso de fuente del classDef default', () => {
+        const code = 'graph TD\n    classDef default fill:#eef,stroke:#336,stroke-width:3px,font-weight:bold\n    A[Inicio] --> B[Fin]';
+
+        expect(getNodeEffectiveStyle('A', code)).toMatchObject({
+            fill: '#eef',
+            stroke: '#336',
+            strokeWidth: '3px',
+            fontWeight: 'bold',
+            source: 'classDef_default',
+            className: 'default',
+        });
+    });
+
+    it('da prioridad al style del nodo y luego a su clase', () => {
+        const code = [
+            'graph TD',
+            '    classDef default stroke-width:3px',
+            '    classDef aviso fill:#ff0,stroke-width:2px',
+            '    A[Uno]:::aviso --> B[Dos]',
+            '    style B fill:#0f0,font-weight:bold',
+        ].join('\n');
+
+        expect(getNodeEffectiveStyle('A', code)).toMatchObject({ fill: '#ff0', strokeWidth: '2px', source: 'classDef', className: 'aviso' });
+        expect(getNodeEffectiveStyle('B', code)).toMatchObject({ fill: '#0f0', fontWeight: 'bold', source: 'inline_style' });
+    });
+});
+
+describe('updateNodeStyle', () => {
+    it('añade una línea style con la sangría del diagrama a un nodo sin estilo', () => {
+        const code = 'graph TD\n  A[Inicio] --> B[Fin]\n';
+
+        expect(updateNodeStyle(code, 'B', { fill: '#ff0' })).toBe('graph TD\n  A[Inicio] --> B[Fin]\n  style B fill:#ff0\n');
+    });
+
+    it('conserva lo heredado de classDef default', () => {
+        const code = [
+            'flowchart LR',
+            '\tclassDef default stroke-width:3px,font-weight:bold',
+            '\tA[Uno] --> B[Dos]',
+        ].join('\n');
+        const updated = updateNodeStyle(code, 'A', { fill: '#0f0' });
+
+        expect(updated.split('\n')[2]).toBe('\tstyle A fill:#0f0');
+        expect(getNodeEffectiveStyle('A', updated)).toMatchObject({ fill: '#0f0', source: 'inline_style' });
+        expect(getNodeEffectiveStyle('B', updated)).toMatchObject({ strokeWidth: '3px', fontWeight: 'bold' });
+    });
+
+    it('actualiza el style o la clase que ya tiene el nodo', () => {
+        const code = 'graph TD\n    classDef aviso fill:#ff0\n    A[Uno]:::aviso --> B[Dos]\n    style B fill:#000';
+
+        expect(updateNodeStyle(code, 'A', { fill: '#f00' })).toContain('classDef aviso fill:#f00');
+        expect(updateNodeStyle(code, 'B', { color: '#fff' })).toContain('style B fill:#000,color:#fff');
+    });
+});
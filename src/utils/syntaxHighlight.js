@@ -0,0 +1,161 @@
+// Resaltado de sintaxis Mermaid para el editor (tokenizador ligero por líneas)
+
+// Declaraciones de tipo de diagrama (primera línea significativa)
+const DIAGRAM_KEYWORDS = [
+    'flowchart', 'graph', 'sequenceDiagram', 'classDiagram', 'stateDiagram', 'stateDiagram-v2',
+    'erDiagram', 'gantt', 'pie', 'journey', 'gitGraph', 'mindmap', 'timeline', 'quadrantChart',
+];
+
+const DIRECTIONS = ['TB', 'TD', 'BT', 'RL', 'LR'];
+
+// Palabras clave por tipo de diagrama (claves = valores de getDiagramType)
+export const KEYWORDS_BY_DIAGRAM = {
+    flowchart: ['subgraph', 'end', 'direction', 'classDef', 'class', 'style', 'linkStyle', 'click', 'call', 'href', ...DIRECTIONS],
+    sequence: [
+        'participant', 'actor', 'as', 'loop', 'alt', 'else', 'opt', 'par', 'and', 'rect', 'end', 'critical',
+        'break', 'box', 'note', 'Note', 'over', 'left', 'right', 'of', 'activate', 'deactivate', 'autonumber',
+        'title', 'create', 'destroy', 'links', 'link',
+    ],
+    class: ['class', 'classDef', 'namespace', 'note', 'for', 'style', 'cssClass', 'callback', 'link', 'click', 'direction', ...DIRECTIONS],
+    state: ['state', 'note', 'end', 'of', 'as', 'left', 'right', 'direction', 'classDef', 'class', 'style', ...DIRECTIONS],
+    er: ['title'],
+    gantt: [
+        'title', 'dateFormat', 'axisFormat', 'tickInterval', 'section', 'excludes', 'includes', 'todayMarker',
+        'weekday', 'done', 'active', 'crit', 'milestone', 'after', 'until',
+    ],
+    pie: ['title', 'showData'],
+    journey: ['title', 'section'],
+    gitgraph: ['commit', 'branch', 'checkout', 'merge', 'cherry-pick', 'id', 'tag', 'type', 'order', 'NORMAL', 'REVERSE', 'HIGHLIGHT'],
+    mindmap: ['root', 'classDef'],
+};
+KEYWORDS_BY_DIAGRAM.graph = KEYWORDS_BY_DIAGRAM.flowchart;
+
+// Flechas de flowchart, secuencia, clases y estados: -->, -.->, ==>, ->>, --x, <|--, ..>, ~~~
+const ARROW_PATTERN = /^(?:<<|<\|?|\*|[xo](?=[-=.]))?(?:-{2,}|={2,}|-\.+-|\.{2,}|-(?=[>x)]))(?:>>|\|?>|[>x)*]|[ox](?!\w))?|^~~~/;
+const TOKEN_PATTERNS = [
+    ['string', /^"[^"]*"?/],
+    ['edgeLabel', /^\|[^|\n]*\|/],
+    ['classRef', /^:::[\w-]+/],
+    ['arrow', ARROW_PATTERN],
+    ['bracket', /^[[\](){}]/],
+    ['number', /^\d+(?:\.\d+)?(?!\w)/],
+    // Palabras con guiones internos (stateDiagram-v2, cherry-pick) sin tragarse flechas (A-->B)
+    ['word', /^[A-Za-z_\u00C0-\uFFFF][\w\u00C0-\uFFFF]*(?:-(?![-.=>x])[\w\u00C0-\uFFFF]+)*/],
+];
+
+// Parejas de delimitadores para el emparejado de corchetes
+const BRACKET_PAIRS = { '(': ')', '[': ']', '{': '}' };
+const CLOSING_BRACKETS = { ')': '(', ']': '[', '}': '{' };
+
+/**
+ * Divide una línea en tokens con su tipo para colorearlos
+ * @param {string} line - Línea de código
+ * @param {string} diagramType - Tipo de diagrama (ver getDiagramType)
+ * @returns {Array<{text: string, type: string}>} - Tipos: comment, directive, keyword,
+ *   string, edgeLabel, classRef, arrow, bracket, number, label, identifier, text
+ */
+export const tokenizeLine = (line, diagramType) => {
+    const trimmed = line.trimStart();
+    if (trimmed.startsWith('%%{')) return [{ text: line, type: 'directive' }];
+    if (trimmed.startsWith('%%')) return [{ text: line, type: 'comment' }];
+
+    const keywords = KEYWORDS_BY_DIAGRAM[diagramType] || [];
+    const tokens = [];
+    let rest = line;
+    let depth = 0; // Dentro de una forma: [texto], (texto), {texto}
+
+    const push = (text, type) => {
+        const last = tokens[tokens.length - 1];
+        if (last && last.type === type && (type === 'text' || type === 'label')) {
+            last.text += text;
+        } else {
+            tokens.push({ text, type });
+        }
+    };
+
+    while (rest.length > 0) {
+        const whitespace = rest.match(/^\s+/);
+        if (whitespace) {
+            push(whitespace[0], depth > 0 ? 'label' : 'text');
+            rest = rest.slice(whitespace[0].length);
+            continue;
+        }
+
+        let matched = false;
+        for (const [kind, pattern] of TOKEN_PATTERNS) {
+            const match = rest.match(pattern);
+            if (!match) continue;
+            const text = match[0];
+
+            if (kind === 'bracket') {
+                depth = Math.max(0, depth + (BRACKET_PAIRS[text] ? 1 : -1));
+                push(text, 'bracket');
+            } else if (depth > 0 && kind !== 'string') {
+                // El contenido de las formas es texto de la etiqueta, no sintaxis
+                push(text, 'label');
+            } else if (kind === 'word') {
+                const isKeyword = DIAGRAM_KEYWORDS.includes(text) || keywords.includes(text);
+                push(text, isKeyword ? 'keyword' : 'identifier');
+            } else {
+                push(text, kind);
+            }
+
+            rest = rest.slice(text.length);
+            matched = true;
+            break;
+        }
+
+        if (!matched) {
+            push(rest[0], depth > 0 ? 'label' : 'text');
+            rest = rest.slice(1);
+        }
+    }
+
+    return tokens;
+};
+
+/**
+ * Recorre el código desde un corchete hasta su pareja (sin salir de la línea)
+ * @param {string} code
+ * @param {number} start - Posición del corchete inicial
+ * @param {string} char - Corchete inicial
+ * @param {string} target - Corchete buscado
+ * @param {number} step - 1 hacia delante, -1 hacia atrás
+ * @returns {number} - Posición de la pareja o -1
+ */
+const scanForBracket = (code, start, char, target, step) => {
+    let depth = 0;
+    for (let i = start + step; i >= 0 && i < code.length; i += step) {
+        const current = code[i];
+        if (current === '\n') return -1;
+        if (current === char) depth++;
+        if (current === target) {
+            if (depth === 0) return i;
+            depth--;
+        }
+    }
+    return -1;
+};
+
+/**
+ * Busca el corchete que empareja con el que hay junto al cursor
+ * (a la derecha o, si no hay, a la izquierda)
+ * @param {string} code - Código completo
+ * @param {number} caret - Posición del cursor
+ * @returns {[number, number]|null} - Posiciones de ambos corchetes, o null
+ */
+export const findMatchingBracket = (code, caret) => {
+    const candidates = [caret, caret - 1];
+    for (const index of candidates) {
+        const char = code[index];
+        if (BRACKET_PAIRS[char]) {
+            const match = scanForBracket(code, index, char, BRACKET_PAIRS[char], 1);
+            return match === -1 ? null : [index, match];
+        }
+        if (CLOSING_BRACKETS[char]) {
+            const match = scanForBracket(code, index, char, CLOSING_BRACKETS[char], -1);
+            return match === -1 ? null : [match, index];
+        }
+    }
+    return null;
+};
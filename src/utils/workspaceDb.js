@@ -0,0 +1,178 @@
+// Base de datos local del espacio de trabajo (nunca sale del navegador)
+const DB_NAME = 'mermaid-exporter';
+const DB_VERSION = 2;
+const DOCUMENTS_STORE = 'documents';
+const SNAPSHOTS_STORE = 'snapshots';
+// Instantáneas sin etiqueta que se conservan por documento (las etiquetadas no caducan)
+const MAX_UNLABELED_SNAPSHOTS = 100;
+
+let dbPromise = null;
+
+/**
+ * Envuelve una petición de IndexedDB en una promesa
+ * @param {IDBRequest} request
+ * @returns {Promise<any>}
+ */
+const promisifyRequest = (request) => new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+/**
+ * Abre (una sola vez) la base de datos, creando los almacenes si hace falta
+ * @returns {Promise<IDBDatabase>}
+ */
+const openWorkspaceDb = () => {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('IndexedDB no está disponible en este navegador'));
+                return;
+            }
+
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(DOCUMENTS_STORE)) {
+                    const store = db.createObjectStore(DOCUMENTS_STORE, { keyPath: 'id' });
+                    store.createIndex('updatedAt', 'updatedAt');
+                }
+                // Versión 2: historial de versiones de cada documento
+                if (!db.objectStoreNames.contains(SNAPSHOTS_STORE)) {
+                    const store = db.createObjectStore(SNAPSHOTS_STORE, { keyPath: 'id' });
+                    store.createIndex('documentId', 'documentId');
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        // Permitir reintentar si la apertura falla (p. ej. modo privado)
+        dbPromise.catch(() => {
+            dbPromise = null;
+        });
+    }
+    return dbPromise;
+};
+
+/**
+ * Ejecuta una operación sobre un almacén dentro de una transacción
+ * @param {string} storeName
+ * @param {IDBTransactionMode} mode
+ * @param {Function} operation - (store) => IDBRequest
+ * @returns {Promise<any>}
+ */
+const withStore = async (storeName, mode, operation) => {
+    const db = await openWorkspaceDb();
+    const transaction = db.transaction(storeName, mode);
+    return promisifyRequest(operation(transaction.objectStore(storeName)));
+};
+
+/**
+ * Genera un identificador único para un documento o instantánea
+ * @returns {string}
+ */
+const createId = () => (
+    typeof crypto !== 'undefined' && crypto.randomUUID
+        ? crypto.randomUUID()
+        : `doc-${Date.now()}-${Math.random().toString(36).slice(2, 10)}`
+);
+
+/**
+ * Crea (sin guardar) un documento nuevo
+ * @param {string} name - Nombre visible
+ * @param {string} code - Código Mermaid
+ * @returns {{id: string, name: string, code: string, thumbnail: string|null, createdAt: number, updatedAt: number}}
+ */
+export const createDocumentRecord = (name, code = '') => {
+    const now = Date.now();
+    return { id: createId(), name, code, thumbnail: null, createdAt: now, updatedAt: now };
+};
+
+/**
+ * Lista todos los documentos, del más reciente al más antiguo
+ * @returns {Promise<Array<Object>>}
+ */
+export const listDocuments = async () => {
+    const documents = await withStore(DOCUMENTS_STORE, 'readonly', (store) => store.getAll());
+    return documents.sort((a, b) => b.updatedAt - a.updatedAt);
+};
+
+/**
+ * Lee un documento por id
+ * @param {string} id
+ * @returns {Promise<Object|undefined>}
+ */
+export const getDocument = (id) => withStore(DOCUMENTS_STORE, 'readonly', (store) => store.get(id));
+
+/**
+ * Guarda (crea o sustituye) un documento
+ * @param {Object} doc - Documento completo (ver createDocumentRecord)
+ * @returns {Promise<Object>} - El documento guardado
+ */
+export const saveDocument = async (doc) => {
+    await withStore(DOCUMENTS_STORE, 'readwrite', (store) => store.put(doc));
+    return doc;
+};
+
+/**
+ * Elimina un documento y su historial
+ * @param {string} id
+ * @returns {Promise<void>}
+ */
+export const deleteDocument = async (id) => {
+    await withStore(DOCUMENTS_STORE, 'readwrite', (store) => store.delete(id));
+    const snapshots = await listSnapshots(id);
+    await Promise.all(snapshots.map((snapshot) => deleteSnapshot(snapshot.id)));
+};
+
+/**
+ * Lista las instantáneas de un documento, de la más reciente a la más antigua
+ * @param {string} documentId
+ * @returns {Promise<Array<{id: string, documentId: string, code: string, label: string|null, isEdit: boolean, createdAt: number, updatedAt: number}>>}
+ */
+export const listSnapshots = async (documentId) => {
+    const snapshots = await withStore(
+        SNAPSHOTS_STORE,
+        'readonly',
+        (store) => store.index('documentId').getAll(documentId),
+    );
+    return snapshots.sort((a, b) => b.createdAt - a.createdAt);
+};
+
+/**
+ * Guarda (crea o sustituye) una instantánea
+ * @param {Object} snapshot
+ * @returns {Promise<Object>} - La instantánea guardada
+ */
+export const saveSnapshot = async (snapshot) => {
+    await withStore(SNAPSHOTS_STORE, 'readwrite', (store) => store.put(snapshot));
+    return snapshot;
+};
+
+/**
+ * Elimina una instantánea
+ * @param {string} id
+ * @returns {Promise<void>}
+ */
+export const deleteSnapshot = (id) => withStore(SNAPSHOTS_STORE, 'readwrite', (store) => store.delete(id));
+
+/**
+ * Añade una instantánea al historial de un documento y descarta las
+ * instantáneas sin etiqueta más antiguas si se supera el límite
+ * @param {string} documentId
+ * @param {string} code - Código Mermaid en ese momento
+ * @param {Object} [options]
+ * @param {string|null} [options.label] - Etiqueta opcional (p. ej. "Antes de refactorizar")
+ * @param {boolean} [options.isEdit] - Creada por el autoguardado (puede absorber ediciones posteriores)
+ * @returns {Promise<Object>} - La instantánea creada
+ */
+export const addSnapshot = async (documentId, code, { label = null, isEdit = false } = {}) => {
+    const now = Date.now();
+    const snapshot = await saveSnapshot({ id: createId(), documentId, code, label, isEdit, createdAt: now, updatedAt: now });
+
+    const unlabeled = (await listSnapshots(documentId)).filter((entry) => !entry.label);
+    const expired = unlabeled.slice(MAX_UNLABELED_SNAPSHOTS);
+    await Promise.all(expired.map((entry) => deleteSnapshot(entry.id)));
+
+    return snapshot;
+};
@@ -78,7 +78,8 @@ export default defineConfig({
           'assets/createText*.js'
         ],
         navigateFallback: 'index.html',
-        navigateFallbackDenylist: [/^\/api/],
+        // Rutas de imagen del servidor embebido (mermaid.ink / Kroki): no son la SPA
+        navigateFallbackDenylist: [/^\/api/, /^\/img\//, /^\/svg\//, /^\/mermaid\//],
         runtimeCaching: [
           // Cache Mermaid diagram chunks on-demand (lazy load)
           {
@@ -182,6 +183,11 @@ export default defineConfig({
     },
 
     rollupOptions: {
+      // render.html: página sin interfaz que usa el servidor para renderizar (server/renderer.js)
+      input: {
+        index: 'index.html',
+        render: 'render.html'
+      },
       output: {
         // Manual chunks for better code splitting
         manualChunks: {